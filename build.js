@@ -1,8 +1,10 @@
 // build.js with code splitting support
-import { mkdir } from 'fs/promises'
+import { mkdir, rename, readFile } from 'fs/promises'
 import { existsSync, watch, readdirSync, unlinkSync } from 'fs'
-import { join, dirname, basename, relative } from 'path'
+import { join, dirname, basename, relative, sep } from 'path'
 import { fileURLToPath } from 'url'
+import { promisify } from 'util'
+import { brotliCompress, gzip, constants as zlibConstants } from 'zlib'
 import * as sass from 'sass'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
@@ -15,24 +17,170 @@ const isProduction =
 const DIST_DIR = join(__dirname, 'dist')
 const STYLES_DIR = join(DIST_DIR, 'styles')
 const CHUNKS_DIR = join(DIST_DIR, 'chunks')
-const JS_OUTPUT = join(DIST_DIR, 'app.js')
-const CSS_OUTPUT = join(STYLES_DIR, 'main.css')
+const JS_OUTPUT = join(DIST_DIR, 'app.js') // Unhashed name of older builds
+const CSS_OUTPUT = join(STYLES_DIR, 'main.css') // Unhashed name of older builds
+const MANIFEST_OUTPUT = join(DIST_DIR, 'manifest.json')
+
+// Hashed bundles and stylesheets written by this script, e.g. app.k3j2h1g0.js
+const HASHED_OUTPUT = /^(app|main)\.[a-z0-9]{8}\./
+
+// Static imports of a bundle, used to find the chunks to preload
+const STATIC_IMPORT = /(?:^|[;\n}])\s*(?:import|export)\s*(?:[\w$*{}\s,]+?\s*from\s*)?["']([^"']+)["']/g
+
+// Build manifest: logical asset name -> content-hashed file, relative to dist/
+// The server resolves asset URLs from it (server/services/assets.ts)
+const manifest = {}
+
+// Event of the last build, read by the dev server for live reload
+const RELOAD_FILE = join(__dirname, 'server/dist/reload')
+
+// Text assets written with precompressed .br and .gz siblings in production,
+// the server sends them as is instead of compressing on every request
+const PRECOMPRESS_EXTENSIONS = ['.js', '.css', '.html', '.svg', '.json', '.map']
+const PRECOMPRESS_THRESHOLD = 1024 // Same as the server, smaller files aren't compressed
+
+const brotliAsync = promisify(brotliCompress)
+const gzipAsync = promisify(gzip)
+
+// Source lines shown before and after the failing line of a build error
+const CODE_FRAME_LINES = 2
+
+// Path of a build output relative to dist/, with URL separators
+const toAssetPath = (file) => relative(DIST_DIR, file).split(sep).join('/')
+
+// Path of a manifest asset, or of its unhashed name if it wasn't built yet
+const getOutputPath = (name, fallback) =>
+  manifest[name] ? join(DIST_DIR, manifest[name].file) : fallback
+
+// Write the build manifest
+const writeManifest = () =>
+  Bun.write(MANIFEST_OUTPUT, JSON.stringify(manifest, null, 2))
+
+// Remove the hashed outputs of previous builds once the manifest points to
+// the current one, watch mode would otherwise pile them up in dist/
+// Siblings of the current output (.map, .br, .gz) are kept
+const removeStaleOutputs = (current) => {
+  const dir = dirname(current)
+  const name = basename(current)
+  const prefix = name.slice(0, name.indexOf('.') + 1)
+
+  for (const file of readdirSync(dir)) {
+    if (HASHED_OUTPUT.test(file) && file.startsWith(prefix) && !file.startsWith(name)) {
+      unlinkSync(join(dir, file))
+    }
+  }
+}
+
+// Remove the chunks of previous builds that the current build didn't output
+const removeStaleChunks = (outputs) => {
+  const current = new Set(outputs.map((output) => output.path))
+
+  for (const file of readdirSync(CHUNKS_DIR)) {
+    if (!current.has(join(CHUNKS_DIR, file).replace(/(\.map)?(\.br|\.gz)?$/, ''))) {
+      unlinkSync(join(CHUNKS_DIR, file))
+    }
+  }
+}
+
+// Content hash of a build output, same length as the bundle hashes
+const hashContent = (content) =>
+  new Bun.CryptoHasher('sha256').update(content).digest('hex').slice(0, 8)
 
 // Log build mode
 console.log(
   `Building in ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'} mode with code splitting`
 )
 
+// Create a code frame around an error location (line and column are 1-based)
+// Returns an empty string if the file can't be read
+const createCodeFrame = async (filePath, line, column) => {
+  try {
+    const lines = (await readFile(filePath, 'utf-8')).split('\n')
+    const start = Math.max(1, line - CODE_FRAME_LINES)
+    const end = Math.min(lines.length, line + CODE_FRAME_LINES)
+    const width = String(end).length
+
+    const frame = []
+    for (let number = start; number <= end; number++) {
+      const gutter = String(number).padStart(width)
+      frame.push(`${number === line ? '>' : ' '} ${gutter} | ${lines[number - 1]}`)
+      if (number === line) {
+        frame.push(`  ${' '.repeat(width)} | ${' '.repeat(Math.max(0, column - 1))}^`)
+      }
+    }
+    return frame.join('\n')
+  } catch (error) {
+    return ''
+  }
+}
+
+// Describe a build error for the browser overlay
+// step: 'scss' or 'js', file is relative to the project root
+const createBuildError = async (step, message, filePath, line, column) => ({
+  step,
+  message,
+  file: filePath ? relative(__dirname, filePath) : null,
+  line: line || null,
+  column: column || null,
+  frame: filePath && line ? await createCodeFrame(filePath, line, column || 1) : ''
+})
+
+// Describe a Sass compilation error, its span is 0-based
+const getSassErrors = async (error) => {
+  const message = error.sassMessage || error.message || 'Unknown SASS error'
+  const url = error.span?.url ? String(error.span.url) : null
+
+  let filePath = null
+  if (url?.startsWith('file://')) {
+    try {
+      filePath = fileURLToPath(url)
+    } catch (e) {
+      // Reported without a location
+    }
+  }
+
+  const start = error.span?.start
+  return [
+    await createBuildError(
+      'scss',
+      message,
+      filePath,
+      start ? start.line + 1 : null,
+      start ? start.column + 1 : null
+    )
+  ]
+}
+
+// Describe the error messages of a failed Bun.build
+// Bun throws them as an AggregateError, older versions return them in logs
+const getBundleErrors = async (messages, fallback) => {
+  const errors = messages.filter((log) => !log.level || log.level === 'error')
+  if (errors.length === 0) {
+    return [await createBuildError('js', fallback)]
+  }
+
+  return Promise.all(
+    errors.map((log) =>
+      createBuildError(
+        'js',
+        log.message || String(log),
+        log.position?.file || null,
+        log.position?.line,
+        log.position?.column
+      )
+    )
+  )
+}
+
 const compileSass = async () => {
   try {
     const inputFile = join(__dirname, 'client/styles/main.scss')
-    const outputFile = CSS_OUTPUT
 
     console.log('┌─────────────────────────────────────────')
     console.log('│ SASS Compilation')
     console.log('│ Mode:', isProduction ? 'PRODUCTION' : 'DEVELOPMENT')
     console.log('│ Input:', inputFile)
-    console.log('│ Output:', outputFile)
+    console.log('│ Output:', join(STYLES_DIR, 'main.[hash].css'))
     console.log('│ Minify:', isProduction ? 'Yes' : 'No')
     console.log('└─────────────────────────────────────────')
 
@@ -58,6 +206,8 @@ const compileSass = async () => {
       ]
     })
 
+    // Content-hashed name, resolved through the build manifest
+    const outputFile = join(STYLES_DIR, `main.${hashContent(result.css)}.css`)
     await mkdir(dirname(outputFile), { recursive: true })
 
     // First write the CSS file
@@ -89,10 +239,19 @@ const compileSass = async () => {
       await Bun.write(outputFile, result.css)
     }
 
+    manifest['main.css'] = { file: toAssetPath(outputFile) }
+    await writeManifest()
+    removeStaleOutputs(outputFile)
+
     console.log('✓ SASS compilation successful')
+    console.log(`  Output: ${toAssetPath(outputFile)}`)
     console.log(`  Size: ${(result.css.length / 1024).toFixed(2)} KB`)
 
-    return { success: true, message: 'SASS compilation successful' } // Return success status with message
+    return {
+      success: true,
+      message: 'SASS compilation successful',
+      files: [`/dist/${manifest['main.css'].file}`]
+    } // Return success status with message
   } catch (error) {
     console.error('❌ SASS compilation failed:', error.message || error)
     let errorDetails = ''
@@ -132,11 +291,39 @@ const compileSass = async () => {
 
     return {
       success: false,
-      message: errorDetails || error.message || 'Unknown SASS error'
+      message: errorDetails || error.message || 'Unknown SASS error',
+      errors: await getSassErrors(error)
     } // Return failure status with error message
   }
 }
 
+// Collect the chunks a bundle imports statically, directly or through other chunks
+// Only imports of files written by this build count, so code samples in
+// strings are ignored
+const collectStaticImports = async (entryPath, outputs) => {
+  const outputPaths = new Set(outputs.map((output) => output.path))
+  const imports = []
+  const queue = [entryPath]
+
+  while (queue.length > 0) {
+    const file = queue.shift()
+    const source = await Bun.file(file).text()
+
+    for (const [, specifier] of source.matchAll(STATIC_IMPORT)) {
+      if (!specifier.startsWith('.')) continue
+
+      const path = join(dirname(file), specifier)
+      const assetPath = toAssetPath(path)
+      if (path !== entryPath && outputPaths.has(path) && !imports.includes(assetPath)) {
+        imports.push(assetPath)
+        queue.push(path)
+      }
+    }
+  }
+
+  return imports
+}
+
 const buildApp = async () => {
   try {
     console.log('┌─────────────────────────────────────────')
@@ -160,7 +347,8 @@ const buildApp = async () => {
       format: 'esm',
       target: 'browser',
       naming: {
-        // Use a unique chunk naming pattern
+        // Content-hashed names, resolved through the build manifest
+        entry: '[name].[hash].[ext]',
         chunk: 'chunks/[name].[hash].[ext]'
       },
       loader: {
@@ -183,31 +371,32 @@ const buildApp = async () => {
     if (!jsResult.success) {
       console.error('❌ JavaScript build failed')
       console.error(jsResult.logs)
-      return { success: false, message: 'JavaScript build failed' }
+      return {
+        success: false,
+        message: 'JavaScript build failed',
+        errors: await getBundleErrors(jsResult.logs, 'JavaScript build failed')
+      }
     }
 
-    // Ensure main bundle is renamed to app.js if it's not already
-    const mainOutput = jsResult.outputs.find(
-      (output) =>
-        !output.path.includes('/chunks/') && output.path.endsWith('.js')
+    // Record the hashed entry and the chunks it imports statically
+    const entryOutput = jsResult.outputs.find(
+      (output) => output.kind === 'entry-point'
     )
-
-    if (mainOutput && mainOutput.path !== JS_OUTPUT) {
-      // Rename the main output file to app.js
-      try {
-        await Bun.write(JS_OUTPUT, await Bun.file(mainOutput.path).text())
-        console.log('✓ Renamed main bundle to app.js')
-      } catch (error) {
-        console.error(`❌ Error renaming main bundle: ${error.message}`)
-      }
+    manifest['app.js'] = {
+      file: toAssetPath(entryOutput.path),
+      imports: await collectStaticImports(entryOutput.path, jsResult.outputs)
     }
+    await writeManifest()
+    removeStaleOutputs(entryOutput.path)
+    removeStaleChunks(jsResult.outputs)
 
     // Log all generated outputs, including chunks
     const outputFiles = jsResult.outputs || []
 
     console.log('✓ JavaScript build successful')
+    console.log(`  Main bundle: ${manifest['app.js'].file}`)
     console.log(
-      `  Main bundle: ${((await Bun.file(JS_OUTPUT).size) / 1024).toFixed(2)} KB`
+      `  Size: ${((await Bun.file(entryOutput.path).size) / 1024).toFixed(2)} KB`
     )
 
     // Log info about chunks
@@ -235,21 +424,17 @@ const buildApp = async () => {
       )
     }
 
-    // Optionally do additional post-processing for production builds
-    if (isProduction) {
-      console.log('Performing production post-processing...')
-      // Here you could do additional processing like:
-      // - Update references in HTML
-      // - Gzip files for efficient serving
-    }
-
     return { success: true, message: 'JavaScript build successful' }
   } catch (error) {
     console.error('❌ JavaScript build error:', error)
     console.error(error.stack)
     return {
       success: false,
-      message: error.message || 'Unknown JavaScript build error'
+      message: error.message || 'Unknown JavaScript build error',
+      errors: await getBundleErrors(
+        error.errors || [],
+        error.message || 'Unknown JavaScript build error'
+      )
     }
   }
 }
@@ -257,19 +442,26 @@ const buildApp = async () => {
 // Copy or create HTML file with proper module loading
 const createHtmlFile = async () => {
   try {
+    // Hashed file names from the build manifest
+    const js = `/${manifest['app.js']?.file || 'app.js'}`
+    const css = `/${manifest['main.css']?.file || 'styles/main.css'}`
+    const preloads = (manifest['app.js']?.imports || [])
+      .map((file) => `\n  <link rel="modulepreload" href="/${file}">`)
+      .join('')
+
     const htmlTemplate = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>MTRL UI Framework</title>
-  <link rel="stylesheet" href="/styles/main.css">
-  <!-- Preload the main JS bundle -->
-  <link rel="modulepreload" href="/app.js">
+  <link rel="stylesheet" href="${css}">
+  <!-- Preload the main JS bundle and its static imports -->
+  <link rel="modulepreload" href="${js}">${preloads}
 </head>
 <body>
   <!-- Load the main bundle as a module -->
-  <script type="module" src="/app.js"></script>
+  <script type="module" src="${js}"></script>
 </body>
 </html>`
 
@@ -291,15 +483,27 @@ const createHtmlFile = async () => {
   }
 }
 
-// Update timestamp file to trigger live reload when needed
-const updateReloadTimestamp = async () => {
+// Notify the dev server that a build finished, so open pages update
+// type: 'reload' reloads pages, 'css' only swaps their stylesheets,
+// 'error' shows the build errors in an overlay
+// The file only holds the last event, replaced at once so the server never
+// reads a partial write
+// details: the errors of an 'error' event, the new stylesheet URLs of a 'css' event
+const notifyBuild = async (type = 'reload', details = {}) => {
   try {
     if (!isProduction) {
-      const reloadDir = join(__dirname, 'src/dist')
-      const reloadFile = join(reloadDir, 'reload')
-      await mkdir(reloadDir, { recursive: true })
-      await Bun.write(reloadFile, Date.now().toString())
-      console.log('🔄 Browser reload triggered')
+      const time = Date.now()
+      const event = JSON.stringify({ id: `${time}-${type}`, type, time, ...details }) + '\n'
+
+      await mkdir(dirname(RELOAD_FILE), { recursive: true })
+      await Bun.write(`${RELOAD_FILE}.tmp`, event)
+      await rename(`${RELOAD_FILE}.tmp`, RELOAD_FILE)
+
+      if (type === 'error') {
+        console.log('🚨 Build errors pushed to the browser')
+      } else {
+        console.log(type === 'css' ? '🎨 Stylesheet update pushed' : '🔄 Browser reload triggered')
+      }
     }
     return { success: true }
   } catch (error) {
@@ -311,6 +515,26 @@ const updateReloadTimestamp = async () => {
   }
 }
 
+// Errors of the last failed build of each step ('js', 'scss')
+// Pages keep showing them until every step builds again
+const buildErrors = new Map()
+
+// Record the result of a build step and notify the dev server
+// A successful step only updates pages once no other step is failing
+const reportBuild = async (step, result, type) => {
+  if (result.success) {
+    buildErrors.delete(step)
+  } else {
+    buildErrors.set(step, result.errors || [])
+  }
+
+  if (buildErrors.size > 0) {
+    await notifyBuild('error', { errors: [...buildErrors.values()].flat() })
+  } else {
+    await notifyBuild(type, type === 'css' ? { files: result.files } : {})
+  }
+}
+
 const setupWatchers = () => {
   if (isProduction) {
     console.log('Watch mode not available in production build')
@@ -340,9 +564,8 @@ const setupWatchers = () => {
       buildTimeout = setTimeout(async () => {
         console.log('\n📁 JavaScript file changed:', filename)
         const result = await buildApp()
-        if (result.success) {
-          await updateReloadTimestamp()
-        } else {
+        await reportBuild('js', result, 'reload')
+        if (!result.success) {
           console.error(`❌ JavaScript build failed: ${result.message}`)
           console.log('⚠️ Browser reload not triggered due to build errors')
         }
@@ -374,9 +597,9 @@ const setupWatchers = () => {
         console.log('\n📁 SCSS file changed:', filename)
         const result = await compileSass()
 
-        if (result.success) {
-          await updateReloadTimestamp()
-        } else {
+        // Only main.css changed, pages swap it without reloading
+        await reportBuild('scss', result, 'css')
+        if (!result.success) {
           console.error(`❌ SCSS compilation failed: ${result.message}`)
           console.log('⚠️ Browser reload not triggered due to SCSS errors')
         }
@@ -404,10 +627,76 @@ const setupWatchers = () => {
   }
 }
 
+// List the files of a directory recursively
+const listFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? listFiles(join(dir, entry.name))
+      : [join(dir, entry.name)]
+  )
+
+// Write .br and .gz siblings of the text assets in dist/ at maximum compression
+// A sibling is only kept if it is smaller than the original
+const precompressAssets = async () => {
+  try {
+    const files = listFiles(DIST_DIR).filter((file) =>
+      PRECOMPRESS_EXTENSIONS.some((extension) => file.endsWith(extension))
+    )
+
+    let originalSize = 0
+    let brotliSize = 0
+    let gzipSize = 0
+
+    for (const file of files) {
+      const content = new Uint8Array(await Bun.file(file).arrayBuffer())
+
+      // Remove siblings of a previous build first, they would be stale
+      for (const extension of ['.br', '.gz']) {
+        if (existsSync(file + extension)) unlinkSync(file + extension)
+      }
+
+      if (content.byteLength < PRECOMPRESS_THRESHOLD) continue
+
+      const br = await brotliAsync(content, {
+        params: {
+          [zlibConstants.BROTLI_PARAM_QUALITY]: zlibConstants.BROTLI_MAX_QUALITY,
+          [zlibConstants.BROTLI_PARAM_SIZE_HINT]: content.byteLength
+        }
+      })
+      const gz = await gzipAsync(content, { level: 9 })
+
+      if (br.byteLength < content.byteLength) await Bun.write(`${file}.br`, br)
+      if (gz.byteLength < content.byteLength) await Bun.write(`${file}.gz`, gz)
+
+      originalSize += content.byteLength
+      brotliSize += Math.min(br.byteLength, content.byteLength)
+      gzipSize += Math.min(gz.byteLength, content.byteLength)
+    }
+
+    console.log('┌─────────────────────────────────────────')
+    console.log('│ Precompressed Assets')
+    console.log('│ Files:', files.length)
+    console.log('│ Original:', (originalSize / 1024).toFixed(2), 'KB')
+    console.log('│ Brotli:', (brotliSize / 1024).toFixed(2), 'KB')
+    console.log('│ Gzip:', (gzipSize / 1024).toFixed(2), 'KB')
+    console.log('└─────────────────────────────────────────')
+
+    return { success: true }
+  } catch (error) {
+    console.error('❌ Error precompressing assets:', error)
+    return {
+      success: false,
+      message: error.message || 'Error precompressing assets'
+    }
+  }
+}
+
 const verifyOutput = async () => {
   // Check if output files exist
-  const jsExists = existsSync(JS_OUTPUT)
-  const cssExists = existsSync(CSS_OUTPUT)
+  const jsOutput = getOutputPath('app.js', JS_OUTPUT)
+  const cssOutput = getOutputPath('main.css', CSS_OUTPUT)
+  const jsExists = existsSync(jsOutput)
+  const cssExists = existsSync(cssOutput)
   const htmlExists = existsSync(join(DIST_DIR, 'index.html'))
 
   console.log('┌─────────────────────────────────────────')
@@ -419,8 +708,8 @@ const verifyOutput = async () => {
 
   // For production builds, check file sizes
   if (isProduction && jsExists && cssExists) {
-    const jsStats = await Bun.file(JS_OUTPUT).size
-    const cssStats = await Bun.file(CSS_OUTPUT).size
+    const jsStats = await Bun.file(jsOutput).size
+    const cssStats = await Bun.file(cssOutput).size
     const totalSize = jsStats + cssStats
 
     // Also check for chunks - using fs.readdirSync instead of Bun.glob
@@ -469,6 +758,16 @@ const cleanAllCaches = async () => {
   try {
     console.log('🧹 Clearing all caches...')
     
+    // Remove hashed bundles, stylesheets and the manifest of previous builds
+    for (const dir of [DIST_DIR, STYLES_DIR]) {
+      if (!existsSync(dir)) continue
+      for (const file of readdirSync(dir)) {
+        if (HASHED_OUTPUT.test(file) || file === basename(MANIFEST_OUTPUT)) {
+          unlinkSync(join(dir, file))
+        }
+      }
+    }
+
     // Remove main bundle file if it exists
     if (existsSync(JS_OUTPUT)) {
       try {
@@ -548,13 +847,21 @@ const build = async () => {
     // Create HTML file with ES module support
     await createHtmlFile()
 
+    // Write .br and .gz siblings the server can send directly
+    if (isProduction && jsResult.success && sassResult.success) {
+      await precompressAssets()
+    }
+
     // Verify output
     const verifyResult = await verifyOutput()
 
-    // IMPORTANT CHANGE: Only update reload timestamp if both build steps succeeded
-    if (jsResult.success && sassResult.success) {
-      await updateReloadTimestamp()
-    } else if (!sassResult.success) {
+    // IMPORTANT CHANGE: Pages only reload if both build steps succeeded,
+    // otherwise they show the build errors
+    buildErrors.clear()
+    if (!jsResult.success) buildErrors.set('js', jsResult.errors || [])
+    await reportBuild('scss', sassResult, 'reload')
+
+    if (!sassResult.success) {
       console.log(
         '⚠️ Browser reload not triggered due to SCSS compilation errors'
       )
@@ -0,0 +1,150 @@
+// src/client/content/core/collection/chaos/index.js
+import { createLayout } from 'mtrl-addons'
+import { createTextfield, createButton } from 'mtrl'
+
+import {
+  createContentLayout,
+  createContentSection
+} from '../../../../layout'
+
+const CHAOS_ENDPOINT = '/api/_chaos'
+
+// Ready-made scenarios for the most common cases
+const PRESETS = [
+  { label: 'Slow network', scenario: 'latency=800;jitter=700' },
+  { label: 'Flaky backend', scenario: 'latency=200;jitter=300;error=500:0.1,503:0.1' },
+  { label: 'Broken payloads', scenario: 'truncate=0.1;malformed=0.1' },
+  { label: 'Hanging requests', scenario: 'hang=0.2' }
+]
+
+/**
+ * Sends a request to the chaos settings endpoint
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Response status and data
+ */
+const requestChaos = async (method, body) => {
+  const response = await fetch(CHAOS_ENDPOINT, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  return { status: response.status, data: await response.json() }
+}
+
+/**
+ * Creates the network chaos settings page
+ * Sets the default chaos scenario applied to every /api request, so lists,
+ * progress indicators and snackbars can be tried against a slow or failing
+ * backend
+ * @param {HTMLElement} container - Container element
+ */
+export const createChaosContent = (container) => {
+  const info = {
+    title: 'Network Chaos',
+    description: 'Simulate latency, errors, truncated or malformed JSON and hanging requests on the development API.'
+  }
+
+  const layout = createLayout(createContentLayout(info), container).component
+
+  const section = createLayout(createContentSection({
+    title: 'Default scenario',
+    description: 'Applied to every /api request without its own scenario. A single request can override it with the chaos query parameter or the X-Chaos header, or opt out with chaos=off. Add a seed to replay the same sequence of outcomes.'
+  }), layout.body).component
+
+  const status = document.createElement('p')
+  status.className = 'mtrl-content__description'
+
+  const scenarioInput = createTextfield({
+    label: 'Scenario',
+    variant: 'outlined',
+    placeholder: 'latency=300;jitter=200;error=503:0.1;seed=42'
+  })
+
+  const applyButton = createButton({
+    text: 'Apply',
+    variant: 'filled',
+    size: 'small'
+  })
+
+  const clearButton = createButton({
+    text: 'Disable',
+    variant: 'outlined',
+    size: 'small'
+  })
+
+  // Reflect the server state in the form
+  const showSettings = ({ status: code, data }) => {
+    if (code === 403) {
+      status.textContent = 'Chaos injection is disabled on this server (set CHAOS_ENABLED=true to enable it).'
+      scenarioInput.disable()
+      applyButton.disable()
+      clearButton.disable()
+      return
+    }
+
+    if (data.error) {
+      status.textContent = `Error: ${data.error}`
+      return
+    }
+
+    scenarioInput.setValue(data.scenario || '')
+    status.textContent = data.scenario
+      ? `Active scenario: ${data.scenario}`
+      : 'No default scenario, API requests are served normally.'
+  }
+
+  const handleError = (error) => {
+    status.textContent = `Error: ${error.message}`
+  }
+
+  const applyScenario = (scenario) => {
+    requestChaos('PUT', { scenario }).then(showSettings).catch(handleError)
+  }
+
+  applyButton.element.addEventListener('click', () => {
+    applyScenario(scenarioInput.getValue().trim())
+  })
+
+  scenarioInput.element.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      applyScenario(scenarioInput.getValue().trim())
+    }
+  })
+
+  clearButton.element.addEventListener('click', () => {
+    requestChaos('DELETE').then(showSettings).catch(handleError)
+  })
+
+  const inputGroup = document.createElement('div')
+  inputGroup.style.display = 'flex'
+  inputGroup.style.gap = '8px'
+  inputGroup.style.alignItems = 'center'
+  inputGroup.appendChild(scenarioInput.element)
+  inputGroup.appendChild(applyButton.element)
+  inputGroup.appendChild(clearButton.element)
+
+  const presetGroup = document.createElement('div')
+  presetGroup.style.display = 'flex'
+  presetGroup.style.flexWrap = 'wrap'
+  presetGroup.style.gap = '8px'
+  presetGroup.style.marginTop = '16px'
+
+  PRESETS.forEach(({ label, scenario }) => {
+    const button = createButton({
+      text: label,
+      variant: 'tonal',
+      size: 'small'
+    })
+    button.element.addEventListener('click', () => applyScenario(scenario))
+    presetGroup.appendChild(button.element)
+  })
+
+  section.body.appendChild(status)
+  section.body.appendChild(inputGroup)
+  section.body.appendChild(presetGroup)
+
+  requestChaos('GET').then(showSettings).catch(handleError)
+}
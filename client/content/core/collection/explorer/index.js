@@ -0,0 +1,243 @@
+// src/client/content/core/collection/explorer/index.js
+import { createLayout } from 'mtrl-addons'
+import { createTextfield, createButton, createRouteAdapter } from 'mtrl'
+
+import {
+  createContentLayout,
+  createContentSection
+} from '../../../../layout'
+
+const OPENAPI_URL = '/api/openapi.json'
+
+// Request bodies prefilled for write operations
+const EXAMPLE_BODIES = {
+  UserInput: { name: 'Jane Doe', email: 'jane.doe@example.com', role: 'Designer' },
+  UserPatch: { role: 'Manager' },
+  ChaosScenarioInput: { scenario: 'latency=300;jitter=200' }
+}
+
+/**
+ * Creates a preformatted block for JSON output
+ * @returns {HTMLElement} The block
+ */
+const createOutput = () => {
+  const pre = document.createElement('pre')
+  pre.style.padding = '12px'
+  pre.style.borderRadius = '4px'
+  pre.style.overflow = 'auto'
+  pre.style.maxHeight = '480px'
+  pre.style.fontSize = '12px'
+  pre.style.background = 'var(--mtrl-sys-color-surface-container, rgba(0,0,0,0.05))'
+  return pre
+}
+
+/**
+ * Reads a list operation through the Route Adapter used by collections
+ * The adapter sends its own request, so the result shows exactly what a
+ * collection gets from the endpoint
+ * @param {string} path - Path relative to /api, with the path parameters filled in
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Promise<Object>} Items and meta as parsed by the adapter
+ */
+const readWithAdapter = async (path, query) => {
+  const adapter = createRouteAdapter({
+    base: '/api',
+    endpoints: { list: path },
+    cache: false
+  })
+
+  try {
+    return await adapter.read(Object.fromEntries(query))
+  } finally {
+    adapter.disconnect()
+  }
+}
+
+/**
+ * Parses filter input like "role=Designer,Manager; name=Jane" into query pairs
+ * @param {string} value - Raw input
+ * @returns {Array} [key, value] pairs
+ */
+const parseFilters = (value) => value
+  .split(';')
+  .map((part) => part.trim())
+  .filter((part) => part.includes('='))
+  .map((part) => {
+    const separator = part.indexOf('=')
+    return [`filter[${part.slice(0, separator).trim()}]`, part.slice(separator + 1).trim()]
+  })
+
+/**
+ * Creates the API explorer page
+ * Lists the operations of the OpenAPI document, sends requests built from
+ * the parameter fields and shows both the raw response and what the
+ * collection adapter parses from it
+ * @param {HTMLElement} container - Container element
+ */
+export const createExplorerContent = (container) => {
+  const info = {
+    title: 'API Explorer',
+    description: 'Try the mock API used by the collection and list demos. Operations come from the OpenAPI document served at /api/openapi.json.'
+  }
+
+  const layout = createLayout(createContentLayout(info), container).component
+
+  const operationsSection = createLayout(createContentSection({
+    title: 'Operations',
+    description: 'Pick an operation to fill in its parameters.'
+  }), layout.body).component
+
+  const requestSection = createLayout(createContentSection({
+    title: 'Request',
+    description: 'No operation selected.'
+  }), layout.body).component
+
+  const responseSection = createLayout(createContentSection({
+    title: 'Response',
+    description: 'Send a request to see the raw response and the parsed collection result.'
+  }), layout.body).component
+
+  const status = document.createElement('p')
+  status.className = 'mtrl-content__description'
+  const rawOutput = createOutput()
+  const parsedTitle = document.createElement('h3')
+  parsedTitle.textContent = 'Collection adapter result'
+  const parsedOutput = createOutput()
+
+  responseSection.body.appendChild(status)
+  responseSection.body.appendChild(rawOutput)
+  responseSection.body.appendChild(parsedTitle)
+  responseSection.body.appendChild(parsedOutput)
+
+  // Renders the form of an operation
+  const selectOperation = (method, path, operation) => {
+    const body = requestSection.body
+    body.innerHTML = ''
+    requestSection.description.textContent = `${method.toUpperCase()} /api${path} — ${operation.description || operation.summary}`
+
+    const fields = (operation.parameters || []).map((parameter) => {
+      const field = createTextfield({
+        label: parameter.style === 'deepObject' ? `${parameter.name} (field=a,b; field2=c)` : parameter.name,
+        variant: 'outlined',
+        placeholder: parameter.schema?.default !== undefined ? String(parameter.schema.default) : '',
+        supportingText: parameter.description
+      })
+      body.appendChild(field.element)
+      return { parameter, field }
+    })
+
+    let bodyInput = null
+    if (operation.requestBody) {
+      const schemaName = operation.requestBody.content['application/json'].schema.$ref?.split('/').pop()
+      bodyInput = document.createElement('textarea')
+      bodyInput.rows = 6
+      bodyInput.style.width = '100%'
+      bodyInput.style.fontFamily = 'monospace'
+      bodyInput.value = JSON.stringify(EXAMPLE_BODIES[schemaName] || {}, null, 2)
+      body.appendChild(bodyInput)
+    }
+
+    const sendButton = createButton({
+      text: 'Send',
+      variant: 'filled',
+      size: 'small'
+    })
+    body.appendChild(sendButton.element)
+
+    sendButton.element.addEventListener('click', async () => {
+      let endpoint = path
+      const query = new URLSearchParams()
+
+      for (const { parameter, field } of fields) {
+        const value = field.getValue().trim()
+        if (parameter.in === 'path') {
+          endpoint = endpoint.replace(`{${parameter.name}}`, encodeURIComponent(value))
+        } else if (value && parameter.style === 'deepObject') {
+          parseFilters(value).forEach(([key, filterValue]) => query.append(key, filterValue))
+        } else if (value) {
+          query.append(parameter.name, value)
+        }
+      }
+
+      let url = `/api${endpoint}`
+      if (query.toString()) url += `?${query}`
+
+      status.textContent = `${method.toUpperCase()} ${url} …`
+      const startTime = performance.now()
+
+      try {
+        const response = await fetch(url, {
+          method: method.toUpperCase(),
+          headers: bodyInput ? { 'Content-Type': 'application/json' } : undefined,
+          body: bodyInput ? bodyInput.value : undefined
+        })
+        const text = await response.text()
+        const elapsed = Math.round(performance.now() - startTime)
+
+        let json = null
+        try {
+          json = text ? JSON.parse(text) : null
+        } catch (error) {
+          // Shown raw below (e.g. truncated by a chaos scenario)
+        }
+
+        const headers = [...response.headers].map(([name, value]) => `${name}: ${value}`).join('\n')
+        status.textContent = `${method.toUpperCase()} ${url} → ${response.status} ${response.statusText} in ${elapsed}ms`
+        rawOutput.textContent = `${headers}\n\n${json ? JSON.stringify(json, null, 2) : text}`
+
+        if (method === 'get' && response.ok) {
+          parsedOutput.textContent = 'Reading through the Route Adapter …'
+          readWithAdapter(endpoint, query)
+            .then((parsed) => { parsedOutput.textContent = JSON.stringify(parsed, null, 2) })
+            .catch((error) => { parsedOutput.textContent = `Route Adapter error: ${error.message}` })
+        } else {
+          parsedOutput.textContent = 'Only successful GET requests are read through the Route Adapter.'
+        }
+      } catch (error) {
+        status.textContent = `Request failed: ${error.message}`
+      }
+    })
+  }
+
+  // Lists the operations by tag
+  fetch(OPENAPI_URL)
+    .then((response) => response.json())
+    .then((spec) => {
+      const groups = {}
+
+      Object.entries(spec.paths).forEach(([path, operations]) => {
+        Object.entries(operations).forEach(([method, operation]) => {
+          const tag = operation.tags?.[0] || 'API'
+          groups[tag] = groups[tag] || []
+          groups[tag].push({ method, path, operation })
+        })
+      })
+
+      Object.entries(groups).forEach(([tag, operations]) => {
+        const heading = document.createElement('h3')
+        heading.textContent = tag
+        operationsSection.body.appendChild(heading)
+
+        const group = document.createElement('div')
+        group.style.display = 'flex'
+        group.style.flexWrap = 'wrap'
+        group.style.gap = '8px'
+
+        operations.forEach(({ method, path, operation }) => {
+          const button = createButton({
+            text: `${method.toUpperCase()} ${path}`,
+            variant: 'tonal',
+            size: 'small'
+          })
+          button.element.title = operation.summary
+          button.element.addEventListener('click', () => selectOperation(method, path, operation))
+          group.appendChild(button.element)
+        })
+
+        operationsSection.body.appendChild(group)
+      })
+    })
+    .catch((error) => {
+      operationsSection.description.textContent = `Could not load ${OPENAPI_URL}: ${error.message}`
+    })
+}
@@ -9,6 +9,8 @@ import { createLayoutManager } from './layout'
 import { appLayout, navigationLayout } from '../config'
 import { generateDynamicRoutes } from './router/dynamic-loader'
 import { createContentPagination } from '../layout/pagination'
+import { createDocs } from '../layout/docs'
+import { createCommandPalette } from './palette'
 import Prism from 'prismjs'
 import 'prismjs/components/prism-javascript'
 import 'prismjs/components/prism-typescript'
@@ -51,6 +53,7 @@ export const createApp = (options = {}) => {
   let router = null
   let eventManager = null
   let navigationSystem = null
+  let commandPalette = null
 
   /**
    * Initialize the application
@@ -81,6 +84,7 @@ export const createApp = (options = {}) => {
       eventManager = initializeEvents(ui)
       initializeTheme(ui)
       navigationSystem = initializeNavigation(ui)
+      commandPalette = initializeCommandPalette(ui)
 
       // Initialize code highlighting if enabled
       initializeCodeHighlighting(ui)
@@ -150,6 +154,12 @@ export const createApp = (options = {}) => {
     // Register dynamic routes
     routerInstance.registerRoutes(generateDynamicRoutes())
 
+    // Register the docs route, markdown docs rendered in the app (/docs/core/events#emit)
+    routerInstance.register('docs', {
+      title: 'Documentation',
+      handler: (route) => handleDocRoute(route, ui)
+    })
+
     // Register notFoundHandler if provided
     if (options.notFoundHandler) {
       routerInstance.registerNotFound(options.notFoundHandler)
@@ -191,6 +201,25 @@ export const createApp = (options = {}) => {
     return routerInstance
   }
 
+  /**
+   * Render a markdown doc and scroll to the heading in its anchor
+   * @param {Object} route - Route object, the subsection is the doc path
+   * @param {Object} ui - UI component reference
+   * @returns {Promise<boolean>} Whether the route was handled
+   * @private
+   */
+  const handleDocRoute = async (route, ui) => {
+    const [path, anchor] = route.subsection.split('#')
+
+    await createDocs(ui.content, `${path || 'README'}.md`)
+
+    if (anchor) {
+      document.getElementById(anchor)?.scrollIntoView()
+    }
+
+    return true
+  }
+
   /**
    * Initialize code highlighting
    * @param {Object} ui - UI component reference
@@ -502,6 +531,29 @@ export const createApp = (options = {}) => {
     return navSystem
   }
 
+  /**
+   * Initialize the global command palette (Ctrl/Cmd+K)
+   * @param {Object} ui - UI component reference
+   * @private
+   */
+  const initializeCommandPalette = (ui) => {
+    if (options.commandPalette === false) return null
+
+    const palette = createCommandPalette({
+      router,
+      themeManager,
+      darkModeToggle: ui.toggleDarkmode,
+      themesMenu: options.themesMenu
+    })
+
+    // Register cleanup
+    if (eventManager) {
+      eventManager.addCleanup(() => palette.destroy())
+    }
+
+    return palette
+  }
+
   /**
    * Execute registered ready callbacks
    * @private
@@ -542,6 +594,10 @@ export const createApp = (options = {}) => {
       themeManager.cleanup()
     }
 
+    if (commandPalette) {
+      commandPalette.destroy()
+    }
+
     if (router) {
       router.destroy()
     }
@@ -559,6 +615,7 @@ export const createApp = (options = {}) => {
     layoutResult = null
     router = null
     navigationSystem = null
+    commandPalette = null
     isInitialized = false
   }
 
@@ -615,7 +672,8 @@ export const createApp = (options = {}) => {
     getComponent: (name) => layoutResult ? layoutResult.get(name) : null,
     getRouter: () => router,
     getThemeManager: () => themeManager,
-    getNavigationSystem: () => navigationSystem
+    getNavigationSystem: () => navigationSystem,
+    getCommandPalette: () => commandPalette
   }
 
   return app
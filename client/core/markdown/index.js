@@ -0,0 +1,241 @@
+// src/client/core/markdown/index.js
+
+/**
+ * Shared markdown pipeline
+ * Used by the Bun server (/docs/...) and the client bundle (createDocs pages)
+ * so the same .md file renders identically in both places
+ */
+
+import MarkdownIt from 'markdown-it'
+import taskLists from 'markdown-it-task-lists'
+import { load as loadYaml, CORE_SCHEMA } from 'js-yaml'
+
+// Leading YAML front-matter block delimited by --- lines
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/
+
+// Custom block renderers keyed by fence language (```<language>)
+const blockRenderers = new Map()
+
+// CommonMark renderer with the GFM extensions used in our guides
+// (tables, strikethrough, autolinks and task lists)
+const md = new MarkdownIt({
+  html: true,
+  linkify: true
+}).use(taskLists, { enabled: false })
+
+const defaultFence = md.renderer.rules.fence
+const defaultImage = md.renderer.rules.image
+const defaultTableOpen = md.renderer.rules.table_open || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options))
+
+md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+  const token = tokens[idx]
+  const language = token.info.trim().split(/\s+/)[0]
+
+  // Let registered block renderers take over their language
+  const renderer = language && blockRenderers.get(language)
+  if (renderer) {
+    const html = renderer(token.content, { info: token.info, env })
+    if (typeof html === 'string') return html
+  }
+
+  const html = defaultFence(tokens, idx, options, env, self)
+
+  if (!language) {
+    return html
+  }
+
+  // Expose the fence language on <pre> as well, Prism looks for it there
+  return html.replace(/^<pre>/, `<pre class="language-${md.utils.escapeHtml(language)}">`)
+}
+
+md.renderer.rules.image = (tokens, idx, options, env, self) => {
+  tokens[idx].attrSet('loading', 'lazy')
+  return defaultImage(tokens, idx, options, env, self)
+}
+
+md.renderer.rules.table_open = (tokens, idx, options, env, self) => {
+  tokens[idx].attrJoin('class', 'markdown-table')
+  return defaultTableOpen(tokens, idx, options, env, self)
+}
+
+// Give every heading a stable id so docs can be linked by anchor
+md.core.ruler.push('heading_ids', (state) => {
+  const used = new Map()
+
+  state.tokens.forEach((token, idx) => {
+    if (token.type !== 'heading_open') return
+    token.attrSet('id', uniqueSlug(slugify(inlineText(state.tokens[idx + 1])), used))
+  })
+})
+
+/**
+ * Get the plain text of an inline token, without markdown syntax
+ * @param {Object} token markdown-it inline token
+ * @returns {string} Plain text
+ */
+function inlineText (token) {
+  if (!token || !token.children) return token ? token.content : ''
+
+  return token.children
+    .filter(child => child.type === 'text' || child.type === 'code_inline')
+    .map(child => child.content)
+    .join('')
+}
+
+/**
+ * Make a slug unique within a document by suffixing repeated slugs
+ * @param {string} slug Base slug
+ * @param {Map} used Slugs already used in the document
+ * @returns {string} Unique slug
+ */
+function uniqueSlug (slug, used) {
+  const count = used.get(slug) || 0
+  used.set(slug, count + 1)
+  return count === 0 ? slug : `${slug}-${count}`
+}
+
+/**
+ * Turn heading text into a URL fragment (GitHub style)
+ * @param {string} text Heading text
+ * @returns {string} Slug
+ */
+export function slugify (text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-')
+}
+
+/**
+ * Split a markdown document into sections, one per heading
+ * Text before the first heading belongs to a section without id
+ * @param {string} markdown Markdown body, without front-matter (see parseFrontMatter)
+ * @returns {Array<{ id: string|null, level: number, heading: string, text: string }>} Sections
+ */
+export function parseSections (markdown) {
+  const tokens = md.parse(markdown, {})
+  const used = new Map()
+  const sections = []
+  let current = { id: null, level: 0, heading: '', text: [] }
+
+  tokens.forEach((token, idx) => {
+    if (token.type === 'heading_open') {
+      sections.push(current)
+      const heading = inlineText(tokens[idx + 1])
+      current = {
+        id: uniqueSlug(slugify(heading), used),
+        level: Number(token.tag.slice(1)),
+        heading,
+        text: [],
+        skip: idx + 1
+      }
+      return
+    }
+
+    if (token.type === 'inline' && idx !== current.skip) {
+      current.text.push(inlineText(token))
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      current.text.push(token.content)
+    }
+  })
+  sections.push(current)
+
+  return sections
+    .filter(section => section.id !== null || section.text.length > 0)
+    .map(({ id, level, heading, text }) => ({ id, level, heading, text: text.join('\n') }))
+}
+
+/**
+ * Split the YAML front-matter from a markdown document
+ * Supported keys: title, description, order, tags, since, draft
+ * @param {string} markdown Raw markdown content
+ * @returns {{ data: Object, content: string }} Normalized metadata and the markdown body
+ */
+export function parseFrontMatter (markdown) {
+  const match = markdown.match(FRONT_MATTER_PATTERN)
+
+  if (!match) {
+    return { data: normalizeFrontMatter({}), content: markdown }
+  }
+
+  // CORE_SCHEMA keeps dates and versions as plain strings
+  const parsed = loadYaml(match[1], { schema: CORE_SCHEMA })
+
+  if (parsed !== undefined && parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+    throw new Error('Front-matter must be a YAML mapping')
+  }
+
+  return {
+    data: normalizeFrontMatter(parsed || {}),
+    content: markdown.slice(match[0].length)
+  }
+}
+
+/**
+ * Coerce front-matter values into the shapes the app relies on
+ * @param {Object} data Raw front-matter mapping
+ * @returns {Object} Normalized metadata
+ */
+function normalizeFrontMatter (data) {
+  const tags = Array.isArray(data.tags)
+    ? data.tags
+    : typeof data.tags === 'string' ? data.tags.split(',') : []
+  const order = Number(data.order)
+
+  return {
+    ...data,
+    title: data.title ? String(data.title) : undefined,
+    description: data.description ? String(data.description) : undefined,
+    order: data.order != null && Number.isFinite(order) ? order : undefined,
+    tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+    since: data.since != null ? String(data.since) : undefined,
+    draft: data.draft === true
+  }
+}
+
+/**
+ * Render markdown to HTML following the CommonMark spec and GFM extensions
+ * Front-matter is not stripped, split it off first with parseFrontMatter
+ * @param {string} markdown Markdown body
+ * @param {Object} env Optional render environment passed to block renderers
+ * @returns {string} Rendered HTML
+ */
+export function renderMarkdown (markdown, env = {}) {
+  return md.render(markdown, env)
+}
+
+/**
+ * Register a custom renderer for fenced blocks of the given language
+ * @param {string} language Fence language (e.g. 'schema' for ```schema blocks)
+ * @param {Function} renderer Receives (content, { info, env }) and returns HTML,
+ * or anything else to fall back to the default code block
+ * @returns {Function} Function that unregisters the renderer
+ */
+export function registerBlockRenderer (language, renderer) {
+  blockRenderers.set(language, renderer)
+
+  return () => {
+    if (blockRenderers.get(language) === renderer) {
+      blockRenderers.delete(language)
+    }
+  }
+}
+
+/**
+ * Apply a markdown-it plugin to the shared pipeline
+ * @param {Function} plugin markdown-it plugin
+ * @param {...any} options Plugin options
+ */
+export function useMarkdownPlugin (plugin, ...options) {
+  md.use(plugin, ...options)
+}
+
+export default {
+  parseFrontMatter,
+  parseSections,
+  slugify,
+  renderMarkdown,
+  registerBlockRenderer,
+  useMarkdownPlugin
+}
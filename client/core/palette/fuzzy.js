@@ -0,0 +1,74 @@
+// src/client/core/palette/fuzzy.js
+
+/**
+ * Score how well a query fuzzily matches a text
+ * Characters must appear in order; consecutive characters and matches at
+ * word starts score higher
+ * @param {string} query Lowercase query
+ * @param {string} text Text to match against
+ * @returns {{ score: number, positions: number[] }|null} Match or null if no match
+ */
+export const fuzzyMatch = (query, text) => {
+  if (!query) return { score: 0, positions: [] }
+
+  const target = text.toLowerCase()
+  const positions = []
+  let score = 0
+  let previous = -2
+  let from = 0
+
+  for (const char of query) {
+    if (char === ' ') continue
+
+    const position = target.indexOf(char, from)
+    if (position === -1) return null
+
+    const atWordStart = position === 0 || /[\s/\-_.]/.test(target[position - 1])
+
+    score += 1
+    if (position === previous + 1) score += 3
+    if (atWordStart) score += 2
+
+    positions.push(position)
+    previous = position
+    from = position + 1
+  }
+
+  // Prefer exact prefixes and shorter texts
+  if (target.startsWith(query)) score += 5
+  score -= target.length * 0.01
+
+  return { score, positions }
+}
+
+/**
+ * Rank items by fuzzy matching their label (and keywords as a fallback)
+ * @param {string} query Search query
+ * @param {Array<Object>} items Items with `label` and optional `keywords`
+ * @param {number} limit Maximum number of results
+ * @returns {Array<Object>} Matching items with `score` and label `positions`
+ */
+export const fuzzyFilter = (query, items, limit = 50) => {
+  const normalizedQuery = query.trim().toLowerCase()
+  const results = []
+
+  for (const item of items) {
+    const labelMatch = fuzzyMatch(normalizedQuery, item.label)
+    const keywordMatch = !labelMatch && item.keywords
+      ? fuzzyMatch(normalizedQuery, item.keywords)
+      : null
+
+    if (labelMatch) {
+      results.push({ ...item, score: labelMatch.score, positions: labelMatch.positions, byLabel: true })
+    } else if (keywordMatch) {
+      results.push({ ...item, score: keywordMatch.score, positions: [], byLabel: false })
+    }
+  }
+
+  // Keyword matches always rank below label matches
+  return results
+    .sort((a, b) => (b.byLabel - a.byLabel) || (b.score - a.score))
+    .slice(0, limit)
+}
+
+export default fuzzyFilter
@@ -0,0 +1,371 @@
+// src/client/core/palette/index.js
+
+import { createDialog, createTextfield } from 'mtrl'
+import stateManager from '../state'
+import { fuzzyFilter } from './fuzzy'
+import { sitemap } from '../../sitemap'
+import { componentsList } from '../../content/components/components-list'
+
+const RECENT_KEY = 'command-palette-recent'
+const MAX_RECENT = 6
+const MAX_RESULTS = 30
+// Slots kept for docs headings, local results fill the rest
+const DOCS_RESULTS = 8
+const DOCS_SEARCH_DELAY = 150
+
+const TYPE_LABELS = {
+  route: 'Page',
+  component: 'Component',
+  doc: 'Docs',
+  action: 'Action'
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Wrap matched characters of a label in <mark>
+ * @param {string} label Item label
+ * @param {number[]} positions Matched character positions
+ * @returns {string} HTML label
+ * @private
+ */
+const highlight = (label, positions = []) => {
+  if (!positions.length) return escapeHtml(label)
+
+  const matched = new Set(positions)
+  return [...label].map((char, index) =>
+    matched.has(index) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char)
+  ).join('')
+}
+
+/**
+ * Collect every sitemap route
+ * @returns {Array<Object>} Route items
+ * @private
+ */
+const collectRoutes = () => {
+  const items = []
+
+  const visit = (page, parentLabel) => {
+    if (!page) return
+
+    if (page.path && page.label) {
+      // Overview pages are only meaningful with their parent label
+      const label = page.label === 'Overview' && parentLabel ? parentLabel : page.label
+      items.push({
+        id: `route:${page.path}`,
+        type: 'route',
+        label,
+        description: page.description,
+        keywords: page.description,
+        path: page.path
+      })
+    }
+
+    if (Array.isArray(page.items)) {
+      page.items.forEach(item => visit(item, page.label))
+    }
+  }
+
+  Object.values(sitemap).forEach(page => visit(page))
+  return items
+}
+
+/**
+ * Collect every component of the catalogue
+ * @returns {Array<Object>} Component items
+ * @private
+ */
+const collectComponents = () => componentsList.flatMap(group =>
+  (group.components || []).map(component => ({
+    id: `component:${component.id}`,
+    type: 'component',
+    label: component.title,
+    description: component.description,
+    keywords: (component.features || []).join(' '),
+    path: `/${component.path}`
+  }))
+)
+
+/**
+ * Creates the global command palette (Ctrl/Cmd+K)
+ * Fuzzy-searches sitemap routes, components, docs headings and app actions
+ *
+ * @param {Object} options - Palette options
+ * @param {Object} options.router - App router, used to navigate
+ * @param {Object} options.themeManager - Theme manager for theme actions
+ * @param {Object} options.darkModeToggle - Header dark mode button, its icon follows the mode
+ * @param {Array} options.themesMenu - Available themes
+ * @returns {Object} Command palette API
+ */
+export const createCommandPalette = (options = {}) => {
+  const { router, themeManager, darkModeToggle, themesMenu = [] } = options
+
+  let dialog = null
+  let textfield = null
+  let resultsElement = null
+  let isOpen = false
+  let results = []
+  let activeIndex = 0
+  let docsTimer = null
+  let docsRequest = 0
+
+  // Static items are collected once, sitemap and catalogue don't change at runtime
+  const actions = [
+    {
+      id: 'action:toggle-dark-mode',
+      type: 'action',
+      label: 'Toggle dark mode',
+      keywords: 'theme light dark mode',
+      run: () => themeManager?.toggleDarkMode(darkModeToggle)
+    },
+    ...themesMenu.map(theme => ({
+      id: `action:theme:${theme.id}`,
+      type: 'action',
+      label: `Switch theme: ${theme.text}`,
+      keywords: `theme color ${theme.id}`,
+      run: () => themeManager?.setTheme(theme.id)
+    }))
+  ]
+  const items = [...collectRoutes(), ...collectComponents(), ...actions]
+  const itemsById = new Map(items.map(item => [item.id, item]))
+
+  /**
+   * Get recent items, resolved against the current items
+   * @private
+   */
+  const getRecent = () => stateManager.get(RECENT_KEY, [])
+    .map(recent => itemsById.get(recent.id) || (recent.type === 'doc' ? recent : null))
+    .filter(Boolean)
+
+  /**
+   * Remember a selected item
+   * @private
+   */
+  const addRecent = (item) => {
+    const { id, type, label, description, path, url } = item
+    const recent = stateManager.get(RECENT_KEY, []).filter(entry => entry.id !== id)
+    stateManager.set(RECENT_KEY, [{ id, type, label, description, path, url }, ...recent].slice(0, MAX_RECENT))
+  }
+
+  /**
+   * Render the current results
+   * @private
+   */
+  const render = (emptyMessage = 'No results') => {
+    if (!resultsElement) return
+
+    if (!results.length) {
+      resultsElement.innerHTML = `<div class="command-palette__empty">${escapeHtml(emptyMessage)}</div>`
+      return
+    }
+
+    resultsElement.innerHTML = results.map((item, index) => `
+      <div class="command-palette__item${index === activeIndex ? ' command-palette__item--active' : ''}"
+        role="option" id="command-palette-item-${index}" data-index="${index}"
+        aria-selected="${index === activeIndex}">
+        <span class="command-palette__type">${TYPE_LABELS[item.type]}</span>
+        <span class="command-palette__label">${highlight(item.label, item.positions)}</span>
+        ${item.snippet
+          ? `<span class="command-palette__description">${item.snippet}</span>`
+          : item.description
+            ? `<span class="command-palette__description">${escapeHtml(item.description)}</span>`
+            : ''}
+      </div>
+    `).join('')
+
+    textfield?.input?.setAttribute('aria-activedescendant', `command-palette-item-${activeIndex}`)
+    resultsElement.querySelector('.command-palette__item--active')?.scrollIntoView({ block: 'nearest' })
+  }
+
+  /**
+   * Search docs headings through the search API
+   * @private
+   */
+  const searchDocs = (query) => {
+    clearTimeout(docsTimer)
+    if (query.trim().length < 2) return
+
+    const requestId = ++docsRequest
+    docsTimer = setTimeout(async () => {
+      try {
+        // Pages and components rank first, ask for enough to still get docs
+        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=${MAX_RESULTS}`)
+        if (!response.ok || requestId !== docsRequest) return
+
+        const { items: docs } = await response.json()
+        const docItems = docs
+          .filter(doc => doc.type === 'doc')
+          .map(doc => ({
+            id: `doc:${doc.url}`,
+            type: 'doc',
+            label: doc.heading && doc.heading !== doc.title ? `${doc.title} › ${doc.heading}` : doc.title,
+            snippet: doc.snippet,
+            url: doc.url
+          }))
+          .slice(0, DOCS_RESULTS)
+
+        if (requestId === docsRequest && docItems.length) {
+          results = [...results.slice(0, MAX_RESULTS - docItems.length), ...docItems]
+          activeIndex = Math.min(activeIndex, results.length - 1)
+          render()
+        }
+      } catch (error) {
+        // Docs search is optional, local results are already shown
+      }
+    }, DOCS_SEARCH_DELAY)
+  }
+
+  /**
+   * Update results for a query
+   * @private
+   */
+  const update = (query = '') => {
+    activeIndex = 0
+
+    if (!query.trim()) {
+      docsRequest++
+      results = [...getRecent(), ...actions.slice(0, 1)]
+      render('Type to search pages, components, docs and actions')
+      return
+    }
+
+    results = fuzzyFilter(query, items, MAX_RESULTS)
+    render()
+    searchDocs(query)
+  }
+
+  /**
+   * Execute an item
+   * @private
+   */
+  const select = (item) => {
+    if (!item) return
+
+    addRecent(item)
+    close()
+
+    if (item.type === 'action') {
+      itemsById.get(item.id)?.run()
+    } else if (router) {
+      router.navigate(item.type === 'doc' ? item.url : item.path)
+    }
+  }
+
+  /**
+   * Handle keyboard navigation inside the palette
+   * @private
+   */
+  const handleKeydown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault()
+      if (!results.length) return
+      const step = event.key === 'ArrowDown' ? 1 : -1
+      activeIndex = (activeIndex + step + results.length) % results.length
+      render()
+    } else if (event.key === 'Enter') {
+      event.preventDefault()
+      select(results[activeIndex])
+    } else if (event.key === 'Escape') {
+      event.preventDefault()
+      close()
+    }
+  }
+
+  /**
+   * Create the dialog on first use
+   * @private
+   */
+  const ensureDialog = () => {
+    if (dialog) return
+
+    dialog = createDialog({
+      title: 'Go to',
+      closeOnEscape: true,
+      closeOnBackdrop: true,
+      class: 'command-palette',
+      content: '<div class="command-palette__results" role="listbox" aria-label="Results"></div>'
+    })
+
+    textfield = createTextfield({
+      label: 'Search pages, components, docs and actions',
+      variant: 'outlined'
+    })
+
+    const content = dialog.getContentElement()
+    resultsElement = content.querySelector('.command-palette__results')
+    content.insertBefore(textfield.element, resultsElement)
+
+    textfield.input?.setAttribute('role', 'combobox')
+    textfield.input?.setAttribute('aria-controls', 'command-palette-results')
+    resultsElement.id = 'command-palette-results'
+
+    textfield.on('input', () => update(textfield.getValue()))
+    textfield.input?.addEventListener('keydown', handleKeydown)
+
+    resultsElement.addEventListener('click', (event) => {
+      const element = event.target.closest('.command-palette__item')
+      if (element) select(results[Number(element.dataset.index)])
+    })
+
+    dialog.on('close', () => {
+      isOpen = false
+    })
+  }
+
+  /**
+   * Open the palette
+   */
+  const open = () => {
+    ensureDialog()
+    textfield.setValue('')
+    update('')
+    dialog.open()
+    isOpen = true
+
+    setTimeout(() => textfield.input?.focus(), 50)
+  }
+
+  /**
+   * Close the palette
+   */
+  const close = () => {
+    clearTimeout(docsTimer)
+    docsRequest++
+    if (dialog && isOpen) dialog.close()
+    isOpen = false
+  }
+
+  // Global shortcut
+  const handleShortcut = (event) => {
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+      event.preventDefault()
+      isOpen ? close() : open()
+    }
+  }
+  document.addEventListener('keydown', handleShortcut)
+
+  return {
+    open,
+    close,
+    isOpen: () => isOpen,
+    destroy () {
+      close()
+      document.removeEventListener('keydown', handleShortcut)
+      dialog?.destroy?.()
+      dialog = null
+    }
+  }
+}
+
+export default createCommandPalette
@@ -24,7 +24,9 @@ const ROUTE_MODULE_MAP = {
   'core/state': () => import('../../content/core/state'),
   'core/collection': () => import('../../content/core/collection'),
   'core/collection/route': () => import('../../content/core/collection/route'),
+  'core/collection/explorer': () => import('../../content/core/collection/explorer'),
   'core/collection/list-manager': () => import('../../content/core/collection/list-manager'),
+  'core/collection/chaos': () => import('../../content/core/collection/chaos'),
   'core/composition': () => import('../../content/core/composition'),
   'core/config': () => import('../../content/core/config'),
   'core/composition/features': () => import('../../content/core/composition/features'),
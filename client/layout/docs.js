@@ -3,6 +3,7 @@ import {
 } from './index'
 
 import {
+  fetchDoc,
   fetchMarkdown
 } from '../services/docs'
 
@@ -23,12 +24,19 @@ export const createDocs = async (container, path) => {
   layout.body.innerHTML = '<div class="loading">Loading documentation...</div>'
 
   try {
-    // Await the promise from fetchMarkdown
-    const htmlContent = await fetchMarkdown(path)
+    // Await the document and its front-matter
+    const { html, meta } = await fetchDoc(path)
     // console.log('Markdown content loaded successfully')
 
+    // Use front-matter for the section head when available
+    if (meta.title) layout.title.textContent = meta.title
+    layout.description.textContent = [
+      meta.description,
+      meta.since && `Since ${meta.since}`
+    ].filter(Boolean).join(' · ')
+
     // Set the HTML content to the layout body
-    layout.body.innerHTML = htmlContent
+    layout.body.innerHTML = html
 
     // Apply the class for styling
     layout.body.classList.add('markdown-container')
@@ -119,6 +119,15 @@ export const sitemap = {
             description:
               'Connect collections to routes for automatic data loading and synchronization.'
           },
+          {
+            id: 'explorer',
+            label: 'API Explorer',
+            path: '/core/collection/explorer',
+            lastModified: '2026-10-19',
+            createdDate: '2026-10-19',
+            description:
+              'Send requests to the mock API and see what the collection adapter parses from them.'
+          },
           {
             id: 'list-manager',
             label: 'List Manager',
@@ -127,6 +136,15 @@ export const sitemap = {
             createdDate: '2025-04-28',
             description:
               'Efficiently manage and render large lists with pagination, filtering, and sorting.'
+          },
+          {
+            id: 'chaos',
+            label: 'Network Chaos',
+            path: '/core/collection/chaos',
+            lastModified: '2026-10-19',
+            createdDate: '2026-10-19',
+            description:
+              'Simulate latency, failures and broken responses on the development API.'
           }
         ]
       },
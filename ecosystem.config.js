@@ -1,4 +1,33 @@
 // ecosystem.config.js
+const { existsSync, readFileSync } = require('fs')
+const { join } = require('path')
+
+/**
+ * Read a variable from the shell, then from the .env file next to this one
+ * pm2 only passes the variables listed here, so production secrets have to
+ * be forwarded explicitly
+ * @param {string} name Variable name
+ * @returns {string|undefined} The value, undefined when it is not set
+ */
+function readEnv (name) {
+  if (process.env[name]) return process.env[name]
+
+  const file = join(__dirname, '.env')
+  if (!existsSync(file)) return undefined
+
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    const match = line.match(/^\s*(?:export\s+)?([\w.]+)\s*=\s*(.*?)\s*$/)
+    if (match && match[1] === name) return match[2].replace(/^(['"])(.*)\1$/, '$2')
+  }
+  return undefined
+}
+
+const CURSOR_KEYS = readEnv('CURSOR_KEYS')
+
+if (!CURSOR_KEYS) {
+  console.warn('⚠️  CURSOR_KEYS is not set in the environment or .env, the server refuses to start in production without it')
+}
+
 module.exports = {
   apps: [{
     name: 'mtrl-app',
@@ -11,12 +40,14 @@ module.exports = {
     env: {
       // Default environment variables (will be overridden by .env)
       NODE_ENV: 'production',
+      CURSOR_KEYS, // Required in production: "id:secret,...", from the environment or .env
       PORT: 4000,
       COMPRESSION_ENABLED: 'true',
       COMPRESSION_LEVEL: '6'
     },
     env_production: {
-      NODE_ENV: 'production'
+      NODE_ENV: 'production',
+      CURSOR_KEYS
     },
     env_development: {
       NODE_ENV: 'development',
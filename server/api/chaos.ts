@@ -0,0 +1,96 @@
+// server/api/chaos.ts
+import config from "../config.js";
+import {
+  parseChaosScenario,
+  formatChaosScenario,
+  getDefaultChaosScenario,
+  setDefaultChaosScenario,
+} from "../middleware/chaos.js";
+
+/**
+ * Create a JSON response
+ * @param data Response body
+ * @param status HTTP status code
+ * @returns Response object
+ */
+function jsonResponse(data: any, status: number = 200): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+/**
+ * Describe the current chaos settings
+ * @returns Settings object
+ */
+function getSettings() {
+  const scenario = getDefaultChaosScenario();
+
+  return {
+    enabled: config.chaos.enabled,
+    scenario: scenario ? formatChaosScenario(scenario) : null,
+  };
+}
+
+/**
+ * Handle the chaos settings endpoint (/api/_chaos)
+ * GET returns the default scenario, PUT sets it from `{ "scenario": "..." }`
+ * and DELETE clears it
+ * @param req The request object
+ * @returns A response object
+ */
+export async function handleChaosRequest(req: Request): Promise<Response> {
+  if (!config.chaos.enabled) {
+    return jsonResponse({ error: "Chaos injection is disabled", enabled: false }, 403);
+  }
+
+  switch (req.method.toUpperCase()) {
+    case "GET":
+      return jsonResponse(getSettings());
+
+    case "PUT": {
+      let body: any;
+      try {
+        body = await req.json();
+      } catch (error) {
+        return jsonResponse({ error: "Invalid JSON body" }, 400);
+      }
+
+      if (typeof body?.scenario !== "string") {
+        return jsonResponse({ error: "scenario must be a spec string" }, 422);
+      }
+
+      const { scenario, error } = parseChaosScenario(body.scenario);
+      if (error) {
+        return jsonResponse({ error }, 422);
+      }
+
+      setDefaultChaosScenario(scenario!);
+      console.log(`🌪️ [CHAOS] Default scenario: ${formatChaosScenario(scenario!) || "(none)"}`);
+      return jsonResponse(getSettings());
+    }
+
+    case "DELETE":
+      setDefaultChaosScenario(null);
+      console.log(`🌪️ [CHAOS] Default scenario cleared`);
+      return jsonResponse(getSettings());
+
+    default:
+      return new Response(JSON.stringify({ error: "Method not allowed" }), {
+        status: 405,
+        headers: {
+          "Content-Type": "application/json",
+          "Cache-Control": "no-store",
+          Allow: "GET, PUT, DELETE",
+        },
+      });
+  }
+}
+
+export default {
+  handleChaosRequest,
+};
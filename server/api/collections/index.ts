@@ -0,0 +1,357 @@
+// server/api/collections/index.ts
+import type { ApiParameter, ApiRoute } from "../routes.js";
+import { LIST_QUERY_PARAMETERS, PAGE_PARAMETERS, CURSOR_PARAMETERS } from "../openapi.js";
+import { apiError, createCursor, parseLimit } from "../users/base.js";
+import { ListQuery, parseListQuery, parseQueryKey, hasQueryParams } from "../users/query.js";
+import { resolveCursor } from "../users/cursor.js";
+import { logEvent } from "../../middleware/logger.js";
+import { Collection, getCollection, listCollections } from "./store.js";
+import {
+  getCollectionSchema,
+  getLevel,
+  getCollectionQueryKey,
+  getCollectionResults,
+  formatItems,
+} from "./query.js";
+
+/**
+ * Collections API
+ *
+ * - GET /api/collections lists the available collections
+ * - GET /api/collections/:name pages through a collection (page= or offset=)
+ * - GET /api/collections/:name/cursor pages with cursors (after= or before=)
+ * - GET /api/collections/:name/:id returns a single item
+ *
+ * Lists take the same search, sort, filter[field], fields, fuzzy and
+ * highlight parameters and return the same envelope as the users API.
+ * parent=<id> lists the children of a nested item.
+ */
+
+/**
+ * Create a JSON response
+ * @param data Response body
+ * @param status HTTP status code
+ * @returns Response object
+ */
+function jsonResponse(data: any, status: number = 200): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+/**
+ * Resolve the level and list query of a list request
+ * @param collection The collection
+ * @param url The parsed URL
+ * @returns The level items, parent and query, or an error response
+ */
+function parseCollectionRequest(
+  collection: Collection,
+  url: URL
+): { items?: any[]; parent?: string | null; query?: ListQuery; error?: Response } {
+  const parent = url.searchParams.get("parent");
+  const items = getLevel(collection, parent);
+  if (!items) {
+    return { error: apiError(`Item "${parent}" has no children in ${collection.name}`, 404) };
+  }
+
+  const { query, error } = parseListQuery(url, getCollectionSchema(collection));
+  if (!query) {
+    return { error: apiError(error!, 400) };
+  }
+
+  return { items, parent, query };
+}
+
+/**
+ * Handle the list of collections
+ * @returns A response object
+ */
+async function handleCollectionList(): Promise<Response> {
+  const collections = await listCollections();
+
+  return jsonResponse({
+    items: collections.map((collection) => ({
+      name: collection.name,
+      source: collection.source,
+      total: collection.items.length,
+      nested: collection.children.size > 0,
+      fields: collection.fields,
+      searchFields: collection.searchFields,
+    })),
+    meta: {
+      total: collections.length,
+    },
+  });
+}
+
+/**
+ * Handle page-based and offset-based pagination of a collection
+ * @param collection The collection
+ * @param url The parsed URL
+ * @returns A response object
+ */
+function handleCollectionPagination(collection: Collection, url: URL): Response {
+  const { items, query, error } = parseCollectionRequest(collection, url);
+  if (error) return error;
+
+  const limit = parseLimit(url);
+  const results = getCollectionResults(items!, collection, query!);
+  const total = results.length;
+
+  // Offset-based pagination
+  if (url.searchParams.has("offset")) {
+    const offset = Math.max(0, parseInt(url.searchParams.get("offset") || "0", 10) || 0);
+    const hasNext = offset + limit < total;
+    const hasPrev = offset > 0;
+
+    logEvent("debug", "Collection offset page", { collection: collection.name, offset, limit, search: query!.search, total });
+
+    return jsonResponse({
+      items: formatItems(results.slice(offset, offset + limit), collection, query!),
+      meta: {
+        offset,
+        limit,
+        total,
+        hasNext,
+        hasPrev,
+        nextOffset: hasNext ? offset + limit : null,
+        prevOffset: hasPrev ? Math.max(0, offset - limit) : null,
+      },
+    });
+  }
+
+  // Page-based pagination
+  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10) || 1);
+  const startIndex = (page - 1) * limit;
+  const totalPages = Math.ceil(total / limit);
+  const hasNext = page < totalPages;
+  const hasPrev = page > 1;
+
+  logEvent("debug", "Collection page", { collection: collection.name, page, limit, search: query!.search, total });
+
+  return jsonResponse({
+    items: formatItems(results.slice(startIndex, startIndex + limit), collection, query!),
+    meta: {
+      page,
+      limit,
+      totalPages,
+      total,
+      hasNext,
+      hasPrev,
+      nextPage: hasNext ? page + 1 : null,
+      prevPage: hasPrev ? page - 1 : null,
+    },
+  });
+}
+
+/**
+ * Handle cursor-based pagination of a collection
+ * Cursors carry the level, search, sort and filter state they were created
+ * for, so follow-up requests only need to pass the cursor
+ * @param collection The collection
+ * @param url The parsed URL
+ * @returns A response object
+ */
+function handleCollectionCursor(collection: Collection, url: URL): Response {
+  const after = url.searchParams.get("after") || url.searchParams.get("cursor");
+  const before = url.searchParams.get("before");
+
+  if (after && before) {
+    return apiError("Use either before or after, not both", 400);
+  }
+
+  let { items, parent, query, error } = parseCollectionRequest(collection, url);
+  if (error) return error;
+
+  const limit = parseLimit(url);
+  let startIndex = 0;
+  let count = limit;
+
+  // Results of the resolved level and query, computed once
+  let results: any[] | null = null;
+  const getResults = () => (results ??= getCollectionResults(items!, collection, query!));
+
+  if (after || before) {
+    const resolved = resolveCursor((after || before)!, {
+      queryKey: getCollectionQueryKey(collection, parent!, query!),
+      ownState: hasQueryParams(url) || url.searchParams.has("parent"),
+      keyOf: (data) => {
+        try {
+          return JSON.parse(data.queryKey || "").c === collection.name ? data.queryKey : null;
+        } catch (error) {
+          return null; // Not a collection cursor
+        }
+      },
+      adopt: (cursorKey) => {
+        const state: { p?: string | null; q?: string } = JSON.parse(cursorKey);
+        const cursorQuery = parseQueryKey(state.q || "", getCollectionSchema(collection));
+        const cursorItems = getLevel(collection, state.p ?? null);
+        if (!cursorQuery || !cursorItems) return false;
+
+        Object.assign(query!, cursorQuery);
+        parent = state.p ?? null;
+        items = cursorItems;
+        return true;
+      },
+      total: () => getResults().length,
+    });
+    if (resolved.error) return resolved.error;
+
+    // Otherwise the result set changed and the listing starts over
+    if (resolved.position != null) {
+      if (before) {
+        startIndex = Math.max(0, resolved.position - limit);
+        count = resolved.position - startIndex;
+      } else {
+        startIndex = resolved.position;
+      }
+    }
+  }
+
+  const total = getResults().length;
+  startIndex = Math.min(startIndex, total);
+
+  const page = getResults().slice(startIndex, startIndex + count);
+  const hasNext = startIndex + page.length < total;
+  const hasPrev = startIndex > 0;
+  const queryKey = getCollectionQueryKey(collection, parent!, query!);
+
+  logEvent("debug", "Collection cursor page", { collection: collection.name, position: startIndex, limit, search: query!.search, total });
+
+  return jsonResponse({
+    items: formatItems(page, collection, query!),
+    meta: {
+      cursor: hasNext ? createCursor(startIndex + page.length, limit, query!.search, queryKey) : null,
+      prevCursor: hasPrev ? createCursor(startIndex, limit, query!.search, queryKey) : null,
+      hasNext,
+      hasPrev,
+      total,
+    },
+  });
+}
+
+/**
+ * Handle a single item request
+ * Items are looked up on every level
+ * @param collection The collection
+ * @param id The item id
+ * @returns A response object
+ */
+function handleCollectionItem(collection: Collection, id: string): Response {
+  for (const level of [collection.items, ...collection.children.values()]) {
+    const item = level.find((candidate) => String(candidate.id) === id);
+    if (item) return jsonResponse(item);
+  }
+
+  return apiError("Item not found", 404);
+}
+
+/**
+ * Run a handler against a collection
+ * @param name Collection name
+ * @param handle Handler of the collection
+ * @returns The handler response, or a 404 response
+ */
+async function withCollection(
+  name: string,
+  handle: (collection: Collection) => Response
+): Promise<Response> {
+  const collection = await getCollection(name);
+  return collection ? handle(collection) : apiError("Collection not found", 404);
+}
+
+// Collection name path parameter
+const NAME_PARAMETER: ApiParameter = {
+  name: "name",
+  in: "path",
+  description: "Collection name, the fixture file name",
+  required: true,
+  schema: { type: "string" },
+};
+
+// Parent item of a nested level
+const PARENT_PARAMETER: ApiParameter = {
+  name: "parent",
+  in: "query",
+  description: "List the children of this item instead of the top level",
+  schema: { type: "string" },
+};
+
+// Responses shared by the collection lists
+const LIST_ERRORS = {
+  "400": { description: "Invalid sort, filter, fields or cursor", schema: "Error" },
+  "404": { description: "Collection or parent item not found", schema: "Error" },
+};
+
+// Collections API routes, in match order
+export const collectionRoutes: ApiRoute[] = [
+  {
+    method: "GET",
+    path: "/collections",
+    operationId: "listCollections",
+    summary: "List the fixture collections",
+    description: "client/data modules and server/data JSON files, the latter are picked up when added.",
+    tag: "Collections",
+    etag: "weak",
+    responses: {
+      "200": { description: "Available collections", schema: "CollectionList" },
+    },
+    handle: () => handleCollectionList(),
+  },
+  {
+    method: "GET",
+    path: "/collections/{name}",
+    operationId: "listCollectionItems",
+    summary: "List the items of a collection",
+    description: "Page-based pagination, or offset-based pagination when offset is set.",
+    tag: "Collections",
+    etag: "weak",
+    parameters: [NAME_PARAMETER, ...PAGE_PARAMETERS, PARENT_PARAMETER, ...LIST_QUERY_PARAMETERS],
+    responses: {
+      "200": { description: "A page of items", schema: "CollectionPage" },
+      ...LIST_ERRORS,
+    },
+    handle: (req, url, { name }) => withCollection(name, (collection) => handleCollectionPagination(collection, url)),
+  },
+  {
+    method: "GET",
+    path: "/collections/{name}/cursor",
+    operationId: "listCollectionItemsWithCursor",
+    summary: "List the items of a collection with cursors",
+    tag: "Collections",
+    etag: false, // Signed cursors embed their issue time, pages stay no-store
+    parameters: [NAME_PARAMETER, ...CURSOR_PARAMETERS, PARENT_PARAMETER, ...LIST_QUERY_PARAMETERS],
+    responses: {
+      "200": { description: "A page of items", schema: "CollectionCursorPage" },
+      ...LIST_ERRORS,
+      "410": { description: "Cursor expired, restart from the first page", schema: "Error" },
+    },
+    handle: (req, url, { name }) => withCollection(name, (collection) => handleCollectionCursor(collection, url)),
+  },
+  {
+    method: "GET",
+    path: "/collections/{name}/{id}",
+    operationId: "getCollectionItem",
+    summary: "Get an item of a collection",
+    description: "Nested items are found too.",
+    tag: "Collections",
+    parameters: [
+      NAME_PARAMETER,
+      { name: "id", in: "path", description: "Item ID", required: true, schema: { type: "string" } },
+    ],
+    responses: {
+      "200": { description: "The item", schema: "CollectionItem" },
+      "404": { description: "Collection or item not found", schema: "Error" },
+    },
+    handle: (req, url, { name, id }) => withCollection(name, (collection) => handleCollectionItem(collection, id)),
+  },
+];
+
+export default {
+  collectionRoutes,
+};
@@ -0,0 +1,155 @@
+// server/api/collections/query.ts
+import { ListQuery, ListQuerySchema, getQueryKey, projectUsers } from "../users/query.js";
+import { tokenizeQuery, tokenMatches, getUserHighlights } from "../users/search.js";
+import { Collection } from "./store.js";
+
+/**
+ * Search, filter and sort for fixture collections
+ *
+ * Collections accept the same list query as the users API. Fixtures are
+ * small, so result sets are computed on each request instead of indexed.
+ */
+
+/**
+ * Get the fields a list query may refer to
+ * @param collection The collection
+ * @returns The query schema
+ */
+export function getCollectionSchema(collection: Collection): ListQuerySchema {
+  return {
+    fields: collection.fields,
+    sortable: collection.fields,
+    filterable: collection.fields,
+  };
+}
+
+/**
+ * Get the items of a level
+ * @param collection The collection
+ * @param parent Parent item id, or null for the top level
+ * @returns The items, or null if the parent has no children
+ */
+export function getLevel(collection: Collection, parent: string | null): any[] | null {
+  if (parent === null) return collection.items;
+  return collection.children.get(parent) || null;
+}
+
+/**
+ * Serialize the result set definition of a collection query
+ * Embedded in cursors, so they can't be replayed on another collection or level
+ * @param collection The collection
+ * @param parent Parent item id, or null for the top level
+ * @param query The list query
+ * @returns A canonical string
+ */
+export function getCollectionQueryKey(
+  collection: Collection,
+  parent: string | null,
+  query: ListQuery
+): string {
+  return JSON.stringify({ c: collection.name, p: parent, q: getQueryKey(query) });
+}
+
+/**
+ * Check an item against the search terms
+ * Every term must prefix (or, with fuzzy, nearly match) a word of a text field
+ * @param item The item
+ * @param terms Query terms
+ * @param fields Text fields
+ * @param fuzzy Whether typos are tolerated
+ * @returns Whether the item matches
+ */
+function matchesSearch(item: any, terms: string[], fields: string[], fuzzy: boolean): boolean {
+  const tokens = fields.flatMap((field) =>
+    typeof item[field] === "string" ? item[field].toLowerCase().match(/\p{L}+|\d+/gu) || [] : []
+  );
+
+  return terms.every((term) => tokens.some((token) => tokenMatches(token, term, fuzzy)));
+}
+
+/**
+ * Check an item against the query filters
+ * @param item The item
+ * @param query The list query
+ * @returns Whether the item matches
+ */
+function matchesFilters(item: any, query: ListQuery): boolean {
+  for (const field in query.filters) {
+    const value = String(item[field] ?? "").toLowerCase();
+    if (!query.filters[field].some((accepted) => accepted.toLowerCase() === value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Compare two field values, numbers numerically and anything else as text
+ * @param a First value
+ * @param b Second value
+ * @returns Negative, zero or positive
+ */
+function compareValues(a: any, b: any): number {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+
+  const textA = String(a ?? "").toLowerCase();
+  const textB = String(b ?? "").toLowerCase();
+  return textA < textB ? -1 : textA > textB ? 1 : 0;
+}
+
+/**
+ * Compute the result set of a query on a level
+ * @param items Items of the level
+ * @param collection The collection
+ * @param query The list query
+ * @returns Matching items, in result order
+ */
+export function getCollectionResults(items: any[], collection: Collection, query: ListQuery): any[] {
+  const terms = tokenizeQuery(query.search);
+
+  const matches = items.filter((item) =>
+    (terms.length === 0 || matchesSearch(item, terms, collection.searchFields, !!query.fuzzy)) &&
+    matchesFilters(item, query)
+  );
+
+  if (query.sort.length === 0) return matches;
+
+  // Ties are broken by list order so pages never overlap
+  return matches
+    .map((item, position) => ({ item, position }))
+    .sort((a, b) => {
+      for (const { field, direction } of query.sort) {
+        const result = compareValues(a.item[field], b.item[field]);
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return a.position - b.position;
+    })
+    .map(({ item }) => item);
+}
+
+/**
+ * Prepare items for a list response
+ * Applies field selection and, when requested, adds search highlights
+ * @param items The items of the page
+ * @param collection The collection
+ * @param query The list query
+ * @returns Items ready to be serialized
+ */
+export function formatItems(items: any[], collection: Collection, query: ListQuery): any[] {
+  const projected = projectUsers(items, query.fields);
+  if (!query.highlight || !query.search) return projected;
+
+  return projected.map((item, i) => ({
+    ...item,
+    _highlights: getUserHighlights(items[i], query.search, query.fuzzy, collection.searchFields),
+  }));
+}
+
+export default {
+  getCollectionSchema,
+  getLevel,
+  getCollectionQueryKey,
+  getCollectionResults,
+  formatItems,
+};
@@ -0,0 +1,264 @@
+// server/api/collections/store.ts
+import { existsSync, readdirSync, readFileSync, statSync } from "fs";
+import { basename, extname, join } from "path";
+import { pathToFileURL } from "url";
+import config from "../../config.js";
+
+/**
+ * Fixture collections served by the collections API
+ *
+ * Two sources are exposed under their file name:
+ * - client/data/*.js modules (the first exported array), loaded once
+ * - server/data/*.json files (an array, or an object with an `items` array),
+ *   picked up when added and reloaded when changed
+ *
+ * A JSON file takes precedence over a client module of the same name.
+ * Entries without an id (menu dividers) are skipped, and a duplicate id
+ * replaces the earlier entry. Nested `submenu` or `children` lists are
+ * served separately through their parent id, their parent gets a
+ * `childCount` instead.
+ */
+
+// Loaded collection
+export interface Collection {
+  name: string;
+  source: "client" | "server";
+  items: any[]; // Top-level items
+  children: Map<string, any[]>; // Parent id -> child items
+  fields: string[]; // Scalar fields, selectable, sortable and filterable
+  searchFields: string[]; // Text fields matched by search
+  version: number; // Changes whenever the collection is reloaded
+}
+
+// Keys holding nested item lists
+const CHILD_KEYS = ["submenu", "children"];
+
+// Collection names double as URL segments
+const NAME_PATTERN = /^[a-z0-9][\w-]*$/i;
+
+// Client modules that only re-export other fixtures
+const IGNORED_CLIENT_MODULES = ["index"];
+
+let version = 0;
+let clientCollections: Promise<Map<string, Collection>> | null = null;
+const serverCollections = new Map<string, { mtime: number; collection: Collection | null }>();
+
+/**
+ * Flatten nested items into levels keyed by parent id
+ * @param entries Raw entries of one level
+ * @param children Receives the child levels
+ * @returns Normalized items of the level
+ */
+function normalizeLevel(entries: any[], children: Map<string, any[]>): any[] {
+  const items = new Map<string, any>();
+
+  for (const entry of entries) {
+    if (!entry || typeof entry !== "object" || entry.id === undefined || entry.id === null) {
+      continue;
+    }
+
+    const item: Record<string, any> = {};
+    let nested: any[] | null = null;
+
+    for (const [key, value] of Object.entries(entry)) {
+      if (CHILD_KEYS.includes(key) && Array.isArray(value)) {
+        nested = value;
+      } else {
+        item[key] = value;
+      }
+    }
+
+    const id = String(entry.id);
+    if (nested) {
+      const level = normalizeLevel(nested, children);
+      children.set(id, level);
+      item.childCount = level.length;
+    }
+
+    // Later duplicates win and keep their own position
+    items.delete(id);
+    items.set(id, item);
+  }
+
+  return [...items.values()];
+}
+
+/**
+ * Create a collection from raw entries
+ * @param name Collection name
+ * @param source Where the entries come from
+ * @param entries Raw entries
+ * @returns The collection
+ */
+function createCollection(name: string, source: Collection["source"], entries: any[]): Collection {
+  const children = new Map<string, any[]>();
+  const items = normalizeLevel(entries, children);
+
+  // Derive the schema from every level
+  const fields = new Set<string>(["id"]);
+  const markup = new Set<string>();
+  const text = new Set<string>();
+
+  for (const level of [items, ...children.values()]) {
+    for (const item of level) {
+      for (const [key, value] of Object.entries(item)) {
+        if (value === null || typeof value === "object") continue;
+        fields.add(key);
+        if (typeof value === "string") {
+          text.add(key);
+          if (value.trimStart().startsWith("<")) markup.add(key);
+        }
+      }
+    }
+  }
+
+  return {
+    name,
+    source,
+    items,
+    children,
+    fields: [...fields],
+    searchFields: [...text].filter((field) => !markup.has(field)),
+    version: ++version,
+  };
+}
+
+/**
+ * Load the client fixture modules
+ * @returns Collections by name
+ */
+async function loadClientCollections(): Promise<Map<string, Collection>> {
+  const collections = new Map<string, Collection>();
+  const dir = config.paths.clientData;
+
+  if (!existsSync(dir)) return collections;
+
+  for (const file of readdirSync(dir).filter((file) => extname(file) === ".js").sort()) {
+    const name = basename(file, ".js");
+    if (IGNORED_CLIENT_MODULES.includes(name) || !NAME_PATTERN.test(name)) continue;
+
+    try {
+      const module = await import(pathToFileURL(join(dir, file)).href);
+      const entries = Object.values(module).find(Array.isArray);
+
+      if (entries) {
+        collections.set(name, createCollection(name, "client", entries as any[]));
+      }
+    } catch (error) {
+      console.error(`✗ Error loading client fixture ${file}:`, error);
+    }
+  }
+
+  return collections;
+}
+
+/**
+ * Get the client collections, loading them on first use
+ * @returns Collections by name
+ */
+function getClientCollections(): Promise<Map<string, Collection>> {
+  if (!clientCollections) {
+    clientCollections = loadClientCollections();
+  }
+  return clientCollections;
+}
+
+/**
+ * Get the names of the JSON fixtures in server/data
+ * @returns Collection names
+ */
+function getServerCollectionNames(): string[] {
+  const dir = config.paths.data;
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter((file) => extname(file) === ".json")
+    .map((file) => basename(file, ".json"))
+    .filter((name) => NAME_PATTERN.test(name))
+    .sort();
+}
+
+/**
+ * Get a JSON fixture, reloading it when the file changed
+ * @param name Collection name
+ * @returns The collection, or null if missing or invalid
+ */
+function getServerCollection(name: string): Collection | null {
+  const file = join(config.paths.data, `${name}.json`);
+
+  let mtime: number;
+  try {
+    mtime = statSync(file).mtimeMs;
+  } catch (error) {
+    serverCollections.delete(name);
+    return null;
+  }
+
+  const cached = serverCollections.get(name);
+  if (cached && cached.mtime === mtime) {
+    return cached.collection;
+  }
+
+  let collection: Collection | null = null;
+  try {
+    const data = JSON.parse(readFileSync(file, "utf-8"));
+    const entries = Array.isArray(data) ? data : data?.items;
+
+    if (Array.isArray(entries)) {
+      collection = createCollection(name, "server", entries);
+      console.log(`📚 [COLLECTIONS] Loaded ${name}.json (${collection.items.length} items)`);
+    } else {
+      console.warn(`⚠️ [COLLECTIONS] ${name}.json is not an array or { items: [...] }, skipped`);
+    }
+  } catch (error: any) {
+    console.warn(`⚠️ [COLLECTIONS] Invalid JSON in ${name}.json, skipped: ${error.message}`);
+  }
+
+  // Invalid files are remembered too, so they are only reported once per change
+  serverCollections.set(name, { mtime, collection });
+  return collection;
+}
+
+/**
+ * Get a collection by name
+ * @param name Collection name
+ * @returns The collection or null if not found
+ */
+export async function getCollection(name: string): Promise<Collection | null> {
+  if (!NAME_PATTERN.test(name)) return null;
+
+  return getServerCollection(name) || (await getClientCollections()).get(name) || null;
+}
+
+/**
+ * List all available collections
+ * @returns Collections sorted by name
+ */
+export async function listCollections(): Promise<Collection[]> {
+  const collections = new Map(await getClientCollections());
+
+  for (const name of getServerCollectionNames()) {
+    const collection = getServerCollection(name);
+    if (collection) collections.set(name, collection);
+  }
+
+  return [...collections.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Load the client fixtures at startup
+ */
+export async function initCollections(): Promise<void> {
+  try {
+    const collections = await listCollections();
+    console.log(`✓ Collections available: ${collections.map(({ name }) => name).join(", ") || "none"}`);
+  } catch (error) {
+    console.error("✗ Error loading collections:", error);
+  }
+}
+
+export default {
+  getCollection,
+  listCollections,
+  initCollections,
+};
@@ -0,0 +1,209 @@
+// server/api/csp-report.ts
+import config from "../config.js";
+
+const { security } = config;
+
+/**
+ * CSP violation collector (/api/csp-report)
+ *
+ * Browsers post violations either as a legacy report-uri body
+ * (application/csp-report, `{ "csp-report": { ... } }`) or as a Reporting
+ * API batch (application/reports+json, `[{ "type": "csp-violation", "body": { ... } }]`).
+ * Both are normalized, logged and kept in memory, newest last, so they can
+ * be reviewed with GET outside production.
+ */
+
+// A normalized CSP violation
+export interface CspViolation {
+  time: number;
+  documentUrl: string | null;
+  blockedUrl: string | null;
+  directive: string | null;
+  disposition: "enforce" | "report" | null;
+  sourceFile: string | null;
+  line: number | null;
+  column: number | null;
+  sample: string | null;
+}
+
+// Bodies larger than this (in bytes) are rejected without being read in full
+const MAX_REPORT_SIZE = 64 * 1024;
+
+const violations: CspViolation[] = [];
+
+/**
+ * Create a JSON response
+ * @param data Response body
+ * @param status HTTP status code
+ * @returns Response object
+ */
+function jsonResponse(data: any, status: number = 200): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+/**
+ * Read a string field from a report body
+ * @param body Report body
+ * @param names Field names, legacy (kebab-case) and Reporting API (camelCase)
+ * @returns The value or null
+ */
+function field(body: Record<string, any>, ...names: string[]): string | null {
+  for (const name of names) {
+    if (body[name] !== undefined && body[name] !== null && body[name] !== "") return String(body[name]);
+  }
+  return null;
+}
+
+/**
+ * Normalize a violation from either report format
+ * @param body Legacy csp-report object or Reporting API body
+ * @returns The violation
+ */
+function normalizeViolation(body: Record<string, any>): CspViolation {
+  const line = Number(field(body, "line-number", "lineNumber"));
+  const column = Number(field(body, "column-number", "columnNumber"));
+  const disposition = field(body, "disposition");
+
+  return {
+    time: Date.now(),
+    documentUrl: field(body, "document-uri", "documentURL"),
+    blockedUrl: field(body, "blocked-uri", "blockedURL"),
+    directive: field(body, "effective-directive", "effectiveDirective", "violated-directive"),
+    disposition: disposition === "enforce" || disposition === "report" ? disposition : null,
+    sourceFile: field(body, "source-file", "sourceFile"),
+    line: Number.isFinite(line) && line > 0 ? line : null,
+    column: Number.isFinite(column) && column > 0 ? column : null,
+    sample: field(body, "script-sample", "sample"),
+  };
+}
+
+/**
+ * Extract the violations of a report payload
+ * @param payload Parsed request body
+ * @returns The violations, empty if the payload holds none
+ */
+function parseReports(payload: any): CspViolation[] {
+  if (Array.isArray(payload)) {
+    return payload
+      .filter((report) => report?.type === "csp-violation" && report.body && typeof report.body === "object")
+      .map((report) => normalizeViolation(report.body));
+  }
+
+  if (payload?.["csp-report"] && typeof payload["csp-report"] === "object") {
+    return [normalizeViolation(payload["csp-report"])];
+  }
+
+  return [];
+}
+
+/**
+ * Read a request body up to a size limit
+ * Declared lengths over the limit are rejected before reading, other bodies
+ * are read until they exceed it
+ * @param req The request object
+ * @param limit Maximum body size in bytes
+ * @returns The body text, or null if it is larger than the limit
+ */
+async function readBodyWithLimit(req: Request, limit: number): Promise<string | null> {
+  if (Number(req.headers.get("Content-Length")) > limit) return null;
+  if (!req.body) return "";
+
+  const reader = req.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.byteLength;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Store and log a violation
+ * @param violation The violation
+ */
+function recordViolation(violation: CspViolation): void {
+  violations.push(violation);
+  if (violations.length > security.reportLimit) {
+    violations.splice(0, violations.length - security.reportLimit);
+  }
+
+  console.warn(
+    `🛡️ [CSP] ${violation.disposition === "report" ? "Would block" : "Blocked"} ${violation.blockedUrl || "?"} ` +
+      `(${violation.directive || "?"}) on ${violation.documentUrl || "?"}`
+  );
+}
+
+/**
+ * Handle the CSP report endpoint (/api/csp-report)
+ * POST collects reports, GET lists the collected violations (development only)
+ * and DELETE clears them
+ * @param req The request object
+ * @returns A response object
+ */
+export async function handleCspReportRequest(req: Request): Promise<Response> {
+  switch (req.method.toUpperCase()) {
+    case "POST": {
+      const text = await readBodyWithLimit(req, MAX_REPORT_SIZE);
+      if (text === null) {
+        return jsonResponse({ error: "Report too large" }, 413);
+      }
+
+      let payload: any;
+      try {
+        payload = JSON.parse(text);
+      } catch (error) {
+        return jsonResponse({ error: "Invalid JSON body" }, 400);
+      }
+
+      parseReports(payload).forEach(recordViolation);
+      return new Response(null, { status: 204 });
+    }
+
+    case "GET":
+      if (config.isProduction) {
+        return jsonResponse({ error: "CSP reports are only listed in development" }, 403);
+      }
+      return jsonResponse({
+        reportOnly: security.reportOnly,
+        items: violations,
+        meta: { total: violations.length, limit: security.reportLimit },
+      });
+
+    case "DELETE":
+      if (config.isProduction) {
+        return jsonResponse({ error: "CSP reports are only listed in development" }, 403);
+      }
+      violations.length = 0;
+      return new Response(null, { status: 204 });
+
+    default:
+      return new Response(JSON.stringify({ error: "Method not allowed" }), {
+        status: 405,
+        headers: {
+          "Content-Type": "application/json",
+          "Cache-Control": "no-store",
+          Allow: "GET, POST, DELETE",
+        },
+      });
+  }
+}
+
+export default {
+  handleCspReportRequest,
+};
@@ -1,6 +1,51 @@
 // server/api/index.ts
 import { logError } from "../middleware/logger.js";
-import { handleUserRequest } from "./users/index.js";
+import { API_ROUTES, matchApiRoute, ApiRoute } from "./routes.js";
+import { withChaos } from "../middleware/chaos.js";
+import { createETag, withValidators } from "../utils/conditional.js";
+import { consumeRateLimit, rateLimitedResponse, withRateLimitHeaders } from "../middleware/rate-limit.js";
+import { getClientIp } from "../utils/client-ip.js";
+
+/**
+ * Create the weak ETag of a list response
+ * @param response The response, left unread
+ * @returns The ETag, or null if the body isn't JSON
+ */
+async function createListETag(response: Response): Promise<string | null> {
+  try {
+    return createETag(JSON.stringify(await response.clone().json()), true);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add an ETag to a successful GET response and answer conditional requests
+ * Validated responses are revalidated on every use instead of not stored
+ * @param req The request object
+ * @param route The matched route
+ * @param response The route response
+ * @returns The response with an ETag, or a 304 response
+ */
+async function withApiValidators(req: Request, route: ApiRoute, response: Response): Promise<Response> {
+  if (route.method !== 'GET' || route.etag === false || response.status !== 200) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  if (headers.get('Cache-Control') === 'no-store') {
+    headers.set('Cache-Control', 'no-cache');
+  }
+
+  const etag = route.etag === 'weak' ? await createListETag(response) : null;
+
+  return withValidators(
+    req,
+    new Response(response.body, { status: response.status, statusText: response.statusText, headers }),
+    { etag },
+    route.etag === 'weak'
+  );
+}
 
 /**
  * Handle API requests
@@ -19,19 +64,43 @@ export async function handleApiRequest(req: Request): Promise<Response | null> {
   const endpoint = url.pathname.substring(5);
   
   try {
-    // Handle user-related endpoints
-    if (endpoint.startsWith('users')) {
-      return await handleUserRequest(req, endpoint);
+    const { route, params, allowed, malformed } = matchApiRoute(API_ROUTES, req.method, `/${endpoint}`);
+    
+    if (malformed) {
+      return new Response(JSON.stringify({ error: 'Malformed path parameter' }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-store'
+        }
+      });
     }
     
-    // Return 404 for unknown endpoints
-    return new Response(JSON.stringify({ error: 'API endpoint not found' }), {
-      status: 404,
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-store'
-      }
-    });
+    if (!route) {
+      return new Response(JSON.stringify({ error: allowed ? 'Method not allowed' : 'API endpoint not found' }), {
+        status: allowed ? 405 : 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-store',
+          ...(allowed ? { Allow: allowed.join(', ') } : {})
+        }
+      });
+    }
+    
+    // Limit requests per client IP and route group
+    const group = typeof route.rateLimit === 'function' ? route.rateLimit(url) : route.rateLimit;
+    const quota = group === false ? null : consumeRateLimit(group || 'default', getClientIp(req));
+    if (quota && !quota.allowed) {
+      return rateLimitedResponse(quota);
+    }
+    
+    const handle = async () => withApiValidators(req, route, await route.handle(req, url, params!));
+    
+    // Development endpoints are never subject to chaos themselves, other
+    // routes get latency and failure injection when a chaos scenario is active
+    const response = route.chaos === false ? await handle() : await withChaos(req, url, handle);
+    
+    return quota ? withRateLimitHeaders(response, quota) : response;
   } catch (error: any) {
     logError(url.pathname, error);
     
@@ -0,0 +1,480 @@
+// server/api/openapi.ts
+import type { ApiParameter, ApiRoute } from "./routes.js";
+
+/**
+ * OpenAPI 3.1 description of the mock API
+ *
+ * Shared parameters and schemas live here, operations come from the route
+ * definitions (see routes.ts), so the document follows the routes it
+ * describes.
+ */
+
+// Page size
+export const LIMIT_PARAMETER: ApiParameter = {
+  name: "limit",
+  in: "query",
+  description: "Number of items per page",
+  schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+};
+
+// Search, sort, filter and field selection shared by the list endpoints
+export const LIST_QUERY_PARAMETERS: ApiParameter[] = [
+  {
+    name: "search",
+    in: "query",
+    description: "Words to search for, every word must prefix a word of the item",
+    schema: { type: "string" },
+  },
+  {
+    name: "fuzzy",
+    in: "query",
+    description: "Tolerate typos in search words of 4 letters or more",
+    schema: { type: "boolean", default: false },
+  },
+  {
+    name: "highlight",
+    in: "query",
+    description: "Add match ranges per field to each item as `_highlights`",
+    schema: { type: "boolean", default: false },
+  },
+  {
+    name: "sort",
+    in: "query",
+    description: "Comma-separated `field:direction` pairs, e.g. `name:asc,role:desc`",
+    schema: { type: "string" },
+  },
+  {
+    name: "filter",
+    in: "query",
+    description: "Exact, case-insensitive matches as `filter[field]=a,b` (any value of a field, every field)",
+    style: "deepObject",
+    explode: true,
+    schema: { type: "object", additionalProperties: { type: "string" } },
+  },
+  {
+    name: "fields",
+    in: "query",
+    description: "Comma-separated fields to return",
+    schema: { type: "string" },
+  },
+];
+
+// Page-based and offset-based pagination
+export const PAGE_PARAMETERS: ApiParameter[] = [
+  {
+    name: "page",
+    in: "query",
+    description: "Page number, starting at 1 (ignored when offset is set)",
+    schema: { type: "integer", minimum: 1, default: 1 },
+  },
+  {
+    name: "offset",
+    in: "query",
+    description: "Index of the first item, switches to offset pagination",
+    schema: { type: "integer", minimum: 0 },
+  },
+  LIMIT_PARAMETER,
+];
+
+// Cursor-based pagination
+export const CURSOR_PARAMETERS: ApiParameter[] = [
+  {
+    name: "after",
+    in: "query",
+    description: "Cursor of the page to continue after (`cursor` is an alias)",
+    schema: { type: "string" },
+  },
+  {
+    name: "before",
+    in: "query",
+    description: "Cursor of the page to continue before",
+    schema: { type: "string" },
+  },
+  LIMIT_PARAMETER,
+];
+
+// Envelope of page-based and offset-based lists
+const pageSchema = (item: Record<string, any>) => ({
+  type: "object",
+  required: ["items", "meta"],
+  properties: {
+    items: { type: "array", items: item },
+    meta: {
+      oneOf: [{ $ref: "#/components/schemas/PageMeta" }, { $ref: "#/components/schemas/OffsetMeta" }],
+    },
+  },
+});
+
+// Envelope of cursor lists
+const cursorPageSchema = (item: Record<string, any>) => ({
+  type: "object",
+  required: ["items", "meta"],
+  properties: {
+    items: { type: "array", items: item },
+    meta: { $ref: "#/components/schemas/CursorMeta" },
+  },
+});
+
+// Reusable schemas
+export const SCHEMAS: Record<string, Record<string, any>> = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      details: {},
+    },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["error", "details"],
+    properties: {
+      error: { type: "string", const: "Validation failed" },
+      details: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["field", "message"],
+          properties: { field: { type: "string" }, message: { type: "string" } },
+        },
+      },
+    },
+  },
+  Highlights: {
+    type: "object",
+    description: "Match ranges per field, as [start, end) character offsets",
+    additionalProperties: {
+      type: "array",
+      items: { type: "array", items: { type: "integer" }, minItems: 2, maxItems: 2 },
+    },
+  },
+  User: {
+    type: "object",
+    required: ["id", "name", "email", "role"],
+    properties: {
+      id: { type: "string", examples: ["42"] },
+      name: { type: "string", examples: ["Jane Doe"] },
+      email: { type: "string", format: "email" },
+      role: { type: "string", examples: ["Designer"] },
+      avatar: { type: "string" },
+      phone: { type: "string" },
+      _highlights: { $ref: "#/components/schemas/Highlights" },
+    },
+  },
+  UserInput: {
+    type: "object",
+    required: ["name", "email", "role"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", maxLength: 100 },
+      email: { type: "string", format: "email" },
+      role: { type: "string" },
+      avatar: { type: "string" },
+      phone: { type: ["string", "null"] },
+    },
+  },
+  UserPatch: {
+    type: "object",
+    additionalProperties: false,
+    description: "Fields to change, a null phone removes it",
+    properties: {
+      name: { type: "string", maxLength: 100 },
+      email: { type: "string", format: "email" },
+      role: { type: "string" },
+      avatar: { type: "string" },
+      phone: { type: ["string", "null"] },
+    },
+  },
+  PageMeta: {
+    type: "object",
+    required: ["page", "limit", "totalPages", "total", "hasNext", "hasPrev"],
+    properties: {
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      totalPages: { type: "integer" },
+      total: { type: "integer" },
+      hasNext: { type: "boolean" },
+      hasPrev: { type: "boolean" },
+      nextPage: { type: ["integer", "null"] },
+      prevPage: { type: ["integer", "null"] },
+    },
+  },
+  OffsetMeta: {
+    type: "object",
+    required: ["offset", "limit", "total", "hasNext", "hasPrev"],
+    properties: {
+      offset: { type: "integer" },
+      limit: { type: "integer" },
+      total: { type: "integer" },
+      hasNext: { type: "boolean" },
+      hasPrev: { type: "boolean" },
+      nextOffset: { type: ["integer", "null"] },
+      prevOffset: { type: ["integer", "null"] },
+    },
+  },
+  CursorMeta: {
+    type: "object",
+    required: ["cursor", "prevCursor", "hasNext", "hasPrev", "total"],
+    properties: {
+      cursor: { type: ["string", "null"], description: "Pass as after= for the next page" },
+      prevCursor: { type: ["string", "null"], description: "Pass as before= for the previous page" },
+      hasNext: { type: "boolean" },
+      hasPrev: { type: "boolean" },
+      total: { type: "integer" },
+    },
+  },
+  UserPage: pageSchema({ $ref: "#/components/schemas/User" }),
+  UserCursorPage: cursorPageSchema({ $ref: "#/components/schemas/User" }),
+  UserPosition: {
+    type: "object",
+    required: ["exists"],
+    properties: {
+      exists: { type: "boolean" },
+      pageNumber: { type: "integer" },
+      index: { type: "integer" },
+      totalPages: { type: "integer" },
+    },
+  },
+  UserCursorPosition: {
+    type: "object",
+    required: ["exists", "index", "cursor"],
+    properties: {
+      exists: { type: "boolean" },
+      index: { type: "integer" },
+      cursor: { type: "string", description: "Loads the page starting at the user with after=" },
+    },
+  },
+  ResetResult: {
+    type: "object",
+    required: ["reset", "total"],
+    properties: { reset: { type: "boolean" }, total: { type: "integer" } },
+  },
+  CollectionItem: {
+    type: "object",
+    required: ["id"],
+    description: "Fixture item, fields depend on the collection",
+    properties: {
+      id: { type: ["string", "integer"] },
+      childCount: { type: "integer", description: "Number of children, listed with parent=<id>" },
+      _highlights: { $ref: "#/components/schemas/Highlights" },
+    },
+    additionalProperties: true,
+  },
+  CollectionSummary: {
+    type: "object",
+    required: ["name", "source", "total", "nested", "fields", "searchFields"],
+    properties: {
+      name: { type: "string" },
+      source: { type: "string", enum: ["client", "server"] },
+      total: { type: "integer" },
+      nested: { type: "boolean" },
+      fields: { type: "array", items: { type: "string" } },
+      searchFields: { type: "array", items: { type: "string" } },
+    },
+  },
+  CollectionList: {
+    type: "object",
+    properties: {
+      items: { type: "array", items: { $ref: "#/components/schemas/CollectionSummary" } },
+      meta: { type: "object", properties: { total: { type: "integer" } } },
+    },
+  },
+  CollectionPage: pageSchema({ $ref: "#/components/schemas/CollectionItem" }),
+  CollectionCursorPage: cursorPageSchema({ $ref: "#/components/schemas/CollectionItem" }),
+  SearchResults: {
+    type: "object",
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["type", "title", "url", "snippet", "score"],
+          properties: {
+            type: { type: "string", enum: ["doc", "page", "component"] },
+            title: { type: "string" },
+            heading: { type: "string" },
+            url: { type: "string" },
+            snippet: { type: "string", description: "HTML-escaped excerpt with <mark> highlights" },
+            score: { type: "number" },
+          },
+        },
+      },
+      meta: {
+        type: "object",
+        properties: {
+          query: { type: "string" },
+          limit: { type: "integer" },
+          total: { type: "integer", description: "Matching entries, before the limit" },
+        },
+      },
+    },
+  },
+  ChaosSettings: {
+    type: "object",
+    required: ["enabled", "scenario"],
+    properties: {
+      enabled: { type: "boolean" },
+      scenario: { type: ["string", "null"], examples: ["latency=300;jitter=200;error=503:0.1;seed=42"] },
+    },
+  },
+  ChaosScenarioInput: {
+    type: "object",
+    required: ["scenario"],
+    properties: {
+      scenario: { type: "string", examples: ["latency=300;error=500:0.1"] },
+    },
+  },
+  CspReportInput: {
+    oneOf: [
+      {
+        type: "object",
+        description: "report-uri format",
+        required: ["csp-report"],
+        properties: { "csp-report": { type: "object" } },
+      },
+      {
+        type: "array",
+        description: "Reporting API batch, only csp-violation reports are kept",
+        items: {
+          type: "object",
+          properties: { type: { type: "string" }, body: { type: "object" } },
+        },
+      },
+    ],
+  },
+  CspViolation: {
+    type: "object",
+    properties: {
+      time: { type: "integer", description: "Milliseconds since the epoch" },
+      documentUrl: { type: ["string", "null"] },
+      blockedUrl: { type: ["string", "null"], examples: ["inline", "eval", "https://example.com/script.js"] },
+      directive: { type: ["string", "null"], examples: ["script-src-elem"] },
+      disposition: { type: ["string", "null"], enum: ["enforce", "report", null] },
+      sourceFile: { type: ["string", "null"] },
+      line: { type: ["integer", "null"] },
+      column: { type: ["integer", "null"] },
+      sample: { type: ["string", "null"] },
+    },
+  },
+  CspViolationList: {
+    type: "object",
+    required: ["reportOnly", "items", "meta"],
+    properties: {
+      reportOnly: { type: "boolean", description: "Whether the policy is only reported, not enforced" },
+      items: { type: "array", items: { $ref: "#/components/schemas/CspViolation" } },
+      meta: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          limit: { type: "integer", description: "Violations kept in memory" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Reference a schema by component name, or keep an inline schema
+ * @param schema Component name or schema
+ * @returns A schema object
+ */
+function toSchema(schema: string | Record<string, any>): Record<string, any> {
+  return typeof schema === "string" ? { $ref: `#/components/schemas/${schema}` } : schema;
+}
+
+/**
+ * Build the OpenAPI document from route definitions
+ * @param routes The API routes
+ * @param serverUrl Base URL of the API
+ * @returns The OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument(routes: ApiRoute[], serverUrl: string): Record<string, any> {
+  const paths: Record<string, Record<string, any>> = {};
+  const tags: string[] = [];
+
+  for (const route of routes) {
+    if (!tags.includes(route.tag)) tags.push(route.tag);
+
+    const responses: Record<string, any> = {};
+    for (const [status, response] of Object.entries(route.responses)) {
+      responses[status] = {
+        description: response.description,
+        ...(response.headers
+          ? {
+              headers: Object.fromEntries(
+                Object.entries(response.headers).map(([name, description]) => [
+                  name,
+                  { description, schema: { type: "string" } },
+                ])
+              ),
+            }
+          : {}),
+        ...(response.schema ? { content: { "application/json": { schema: toSchema(response.schema) } } } : {}),
+      };
+    }
+
+    // GET responses carry an ETag and answer If-None-Match, see api/index.ts
+    if (route.method === "GET" && route.etag !== false && responses["200"]) {
+      responses["200"].headers = {
+        ...responses["200"].headers,
+        ETag: {
+          description: route.etag === "weak" ? "Weak ETag of the JSON body" : "Strong ETag",
+          schema: { type: "string" },
+        },
+      };
+      responses["304"] = { description: "Not modified since the ETag sent in If-None-Match" };
+    }
+
+    // Requests are limited per client IP and route group, see middleware/rate-limit.ts
+    if (route.rateLimit !== false) {
+      responses["429"] = {
+        description: "Too many requests, RateLimit-* headers describe the quota",
+        headers: {
+          "Retry-After": { description: "Seconds until the next request is allowed", schema: { type: "integer" } },
+        },
+        content: { "application/json": { schema: toSchema("Error") } },
+      };
+    }
+
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      ...(route.description ? { description: route.description } : {}),
+      tags: [route.tag],
+      ...(route.parameters?.length ? { parameters: route.parameters } : {}),
+      ...(route.requestBody
+        ? {
+            requestBody: {
+              required: true,
+              content: { "application/json": { schema: toSchema(route.requestBody) } },
+            },
+          }
+        : {}),
+      responses,
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "mtrl-app mock API",
+      version: "1.0.0",
+      description:
+        "Mock backend used by the mtrl demos. Lists share the same envelope: `items` plus a `meta` object describing page, offset or cursor pagination.",
+    },
+    servers: [{ url: serverUrl }],
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components: { schemas: SCHEMAS },
+  };
+}
+
+export default {
+  buildOpenApiDocument,
+  LIST_QUERY_PARAMETERS,
+  PAGE_PARAMETERS,
+  CURSOR_PARAMETERS,
+  LIMIT_PARAMETER,
+  SCHEMAS,
+};
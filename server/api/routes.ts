@@ -0,0 +1,245 @@
+// server/api/routes.ts
+import config from "../config.js";
+import { compilePath, matchPath, PathPattern } from "../utils/path-pattern.js";
+import { userRoutes } from "./users/index.js";
+import { collectionRoutes } from "./collections/index.js";
+import { handleSearchRequest } from "./search.js";
+import { handleChaosRequest } from "./chaos.js";
+import { handleCspReportRequest } from "./csp-report.js";
+import { buildOpenApiDocument, LIMIT_PARAMETER } from "./openapi.js";
+
+/**
+ * API route definitions
+ *
+ * Every /api endpoint is declared here once, with the metadata the OpenAPI
+ * document is generated from. Paths are OpenAPI templates relative to /api,
+ * integer path parameters only match digits.
+ */
+
+// Parameter of an API operation
+export interface ApiParameter {
+  name: string;
+  in: "query" | "path" | "header";
+  description: string;
+  required?: boolean;
+  schema: Record<string, any>;
+  style?: string;
+  explode?: boolean;
+}
+
+// Response of an API operation, schema is a component name or an inline schema
+export interface ApiResponse {
+  description: string;
+  schema?: string | Record<string, any>;
+  headers?: Record<string, string>; // Header name -> description
+}
+
+// API operation
+export interface ApiRoute {
+  method: "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+  path: string;
+  operationId: string;
+  summary: string;
+  description?: string;
+  tag: string;
+  parameters?: ApiParameter[];
+  requestBody?: string; // Component schema name of the JSON body
+  responses: Record<string, ApiResponse>;
+  chaos?: boolean; // Subject to chaos injection, true by default
+  etag?: "strong" | "weak" | false; // ETag of GET responses, strong by default
+  rateLimit?: string | false | ((url: URL) => string); // Group in config.rateLimit.groups, or a function picking it per request, "default" by default
+  handle: (req: Request, url: URL, params: Record<string, string>) => Promise<Response>;
+}
+
+/**
+ * Compile the path template of a route (utils/path-pattern.ts)
+ * @param route The route
+ * @returns The pattern, integer path parameters only match digits
+ */
+function compileRoutePath(route: ApiRoute): PathPattern {
+  const integers = (route.parameters || [])
+    .filter((parameter) => parameter.in === "path" && parameter.schema.type === "integer")
+    .map((parameter) => parameter.name);
+
+  return compilePath(route.path, { integers, trailingSlash: true });
+}
+
+/**
+ * Find the route handling a request
+ * HEAD requests are served by GET routes
+ * @param routes Routes in match order
+ * @param method HTTP method
+ * @param path Path relative to /api, with a leading slash
+ * @returns The route and its path parameters, the methods allowed on the path,
+ * or malformed when a parameter isn't valid percent-encoding
+ */
+export function matchApiRoute(
+  routes: ApiRoute[],
+  method: string,
+  path: string
+): { route?: ApiRoute; params?: Record<string, string>; allowed?: string[]; malformed?: boolean } {
+  const requested = method.toUpperCase() === "HEAD" ? "GET" : method.toUpperCase();
+  const allowed: string[] = [];
+
+  for (const route of routes) {
+    const match = matchPath(compileRoutePath(route), path);
+    if (!match) continue;
+
+    if (route.method !== requested) {
+      if (!allowed.includes(route.method)) allowed.push(route.method);
+      continue;
+    }
+
+    return match.malformed ? { malformed: true } : { route, params: match.params };
+  }
+
+  return allowed.length > 0 ? { allowed } : {};
+}
+
+// Chaos settings documentation
+const CHAOS_DESCRIPTION =
+  "Development only. Single requests can pick their own scenario with the chaos query parameter or the X-Chaos header.";
+const CHAOS_DISABLED = { description: "Chaos injection is disabled", schema: "Error" };
+
+// CSP report documentation
+const CSP_REPORTS_PRODUCTION = { description: "Reports are only listed in development", schema: "Error" };
+
+// All API routes, in match order
+export const API_ROUTES: ApiRoute[] = [
+  ...userRoutes,
+  ...collectionRoutes,
+  {
+    method: "GET",
+    path: "/search",
+    operationId: "searchSite",
+    summary: "Search the documentation",
+    description: "Full-text search over the docs, sitemap pages and components.",
+    tag: "Search",
+    etag: "weak",
+    rateLimit: "search",
+    parameters: [
+      { name: "q", in: "query", description: "Search query", required: true, schema: { type: "string" } },
+      { ...LIMIT_PARAMETER, schema: { type: "integer", minimum: 1, maximum: 100, default: 20 } },
+    ],
+    responses: {
+      "200": { description: "Matching sections and pages", schema: "SearchResults" },
+      "400": { description: "Missing query", schema: "Error" },
+    },
+    handle: (req, url) => handleSearchRequest(req, url),
+  },
+  {
+    method: "GET",
+    path: "/_chaos",
+    operationId: "getChaosSettings",
+    summary: "Get the default chaos scenario",
+    description: CHAOS_DESCRIPTION,
+    tag: "Development",
+    responses: {
+      "200": { description: "Current chaos settings", schema: "ChaosSettings" },
+      "403": CHAOS_DISABLED,
+    },
+    chaos: false,
+    etag: false,
+    handle: (req) => handleChaosRequest(req),
+  },
+  {
+    method: "PUT",
+    path: "/_chaos",
+    operationId: "setChaosScenario",
+    summary: "Set the default chaos scenario",
+    description: CHAOS_DESCRIPTION,
+    tag: "Development",
+    requestBody: "ChaosScenarioInput",
+    responses: {
+      "200": { description: "Current chaos settings", schema: "ChaosSettings" },
+      "400": { description: "Invalid JSON body", schema: "Error" },
+      "403": CHAOS_DISABLED,
+      "422": { description: "Invalid scenario", schema: "Error" },
+    },
+    chaos: false,
+    handle: (req) => handleChaosRequest(req),
+  },
+  {
+    method: "DELETE",
+    path: "/_chaos",
+    operationId: "clearChaosScenario",
+    summary: "Disable the default chaos scenario",
+    tag: "Development",
+    responses: {
+      "200": { description: "Current chaos settings", schema: "ChaosSettings" },
+      "403": CHAOS_DISABLED,
+    },
+    chaos: false,
+    handle: (req) => handleChaosRequest(req),
+  },
+  {
+    method: "POST",
+    path: "/csp-report",
+    operationId: "reportCspViolation",
+    summary: "Report Content-Security-Policy violations",
+    description:
+      "Sent by browsers, as application/csp-report (report-uri) or application/reports+json (Reporting API).",
+    tag: "Security",
+    requestBody: "CspReportInput",
+    rateLimit: "reports",
+    responses: {
+      "204": { description: "Report collected" },
+      "400": { description: "Invalid JSON body", schema: "Error" },
+      "413": { description: "Report too large", schema: "Error" },
+    },
+    chaos: false,
+    handle: (req) => handleCspReportRequest(req),
+  },
+  {
+    method: "GET",
+    path: "/csp-report",
+    operationId: "listCspViolations",
+    summary: "List the collected CSP violations",
+    description: "Development only. The most recent violations are kept in memory.",
+    tag: "Security",
+    responses: {
+      "200": { description: "Collected violations, oldest first", schema: "CspViolationList" },
+      "403": CSP_REPORTS_PRODUCTION,
+    },
+    chaos: false,
+    etag: false,
+    handle: (req) => handleCspReportRequest(req),
+  },
+  {
+    method: "DELETE",
+    path: "/csp-report",
+    operationId: "clearCspViolations",
+    summary: "Clear the collected CSP violations",
+    tag: "Security",
+    responses: {
+      "204": { description: "Violations cleared" },
+      "403": CSP_REPORTS_PRODUCTION,
+    },
+    chaos: false,
+    handle: (req) => handleCspReportRequest(req),
+  },
+  {
+    method: "GET",
+    path: "/openapi.json",
+    operationId: "getOpenApiDocument",
+    summary: "Get this API description",
+    tag: "Development",
+    responses: {
+      "200": { description: "OpenAPI 3.1 document", schema: { type: "object" } },
+    },
+    chaos: false,
+    handle: async (req, url) =>
+      new Response(JSON.stringify(buildOpenApiDocument(API_ROUTES, `${config.isProduction ? config.baseUrl : url.origin}/api`)), {
+        headers: {
+          "Content-Type": "application/json",
+          "Cache-Control": "no-store",
+          "Access-Control-Allow-Origin": "*",
+        },
+      }),
+  },
+];
+
+export default {
+  API_ROUTES,
+  matchApiRoute,
+};
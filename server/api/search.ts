@@ -0,0 +1,56 @@
+// server/api/search.ts
+import { search } from "../services/search.js";
+
+// Default and maximum number of results
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Handle full-text search requests
+ * @param req The request object
+ * @param url The parsed URL
+ * @returns A response object
+ */
+export async function handleSearchRequest(
+  req: Request,
+  url: URL
+): Promise<Response> {
+  const query = (url.searchParams.get("q") || "").trim();
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(url.searchParams.get("limit") || String(DEFAULT_LIMIT), 10) || DEFAULT_LIMIT)
+  );
+
+  if (!query) {
+    return new Response(JSON.stringify({ error: "Missing search query (q)" }), {
+      status: 400,
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+      },
+    });
+  }
+
+  const { items, total } = search(query, limit);
+
+  return new Response(
+    JSON.stringify({
+      items,
+      meta: {
+        query,
+        limit,
+        total, // Matching entries, before the limit
+      },
+    }),
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+      },
+    }
+  );
+}
+
+export default {
+  handleSearchRequest,
+};
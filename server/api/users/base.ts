@@ -1,135 +1,199 @@
 // server/api/user/base.ts
-import { createHash } from "crypto";
-import { logError } from "../../middleware/logger.js";
+import { createHmac, timingSafeEqual } from "crypto";
+import { logError, logEvent } from "../../middleware/logger.js";
+import config from "../../config.js";
 
 // Import pre-generated users
-import { USERS, TOTAL_USERS as TOTAL_USERS_COUNT } from "../../data/users.js";
+import { TOTAL_USERS as TOTAL_USERS_COUNT } from "../../data/users.js";
+import { findUser, getTotalUsers, getUserAt, getUsersInRange } from "./store.js";
+import { searchUserPositions } from "./search.js";
 
-// Total number of users (now from pre-generated data)
+// Number of pre-generated users (see getTotalUsers for the current total)
 export const TOTAL_USERS = TOTAL_USERS_COUNT;
 
 // Default page size
 export const DEFAULT_LIMIT = 20;
 
-// Secret key for cursor generation (in a real app, store this securely)
-export const CURSOR_SECRET = "cursor-secret-key-change-me";
+// Largest page size, every list request sorts and filters the whole dataset
+export const MAX_LIMIT = 100;
+
+// Result of decoding a cursor
+export interface CursorData {
+  position: number;
+  limit: number;
+  searchTerm: string;
+  queryKey: string | null;
+}
+
+// Why a cursor was rejected
+export type CursorError = "invalid" | "expired";
 
 /**
- * Get a user by ID from the pre-generated list
+ * Read the page size of a list request
+ * Missing, zero or invalid values fall back to the default, others are
+ * clamped to 1..MAX_LIMIT
+ * @param url The parsed URL
+ * @returns The page size
+ */
+export function parseLimit(url: URL): number {
+  return Math.min(MAX_LIMIT, Math.max(1, parseInt(url.searchParams.get("limit") || "", 10) || DEFAULT_LIMIT));
+}
+
+/**
+ * Get a user by ID, including changes from the overlay store
  * @param id The user ID (1-based)
  * @returns A user object or null if not found
  */
 export function getUserById(id: number): any {
-  // Convert 1-based ID to 0-based array index
-  const index = id - 1;
-
-  if (index < 0 || index >= USERS.length) {
-    return null;
-  }
-
-  return USERS[index];
+  return findUser(id);
 }
 
 /**
- * Get a batch of users for the given range from pre-generated list
+ * Get a batch of users for the given range, including overlay changes
  * @param startIndex The starting index (0-based)
  * @param count The number of users to return
  * @returns An array of user objects
  */
 export function getUserBatch(startIndex: number, count: number): any[] {
-  const endIndex = Math.min(startIndex + count, TOTAL_USERS);
+  return getUsersInRange(startIndex, count);
+}
 
-  // Return slice of pre-generated users
-  return USERS.slice(startIndex, endIndex);
+/**
+ * Sign a cursor payload with HMAC-SHA256
+ * @param keyId The key id, bound into the signature
+ * @param secret The key secret
+ * @param encodedPayload The base64url-encoded payload
+ * @returns The raw HMAC digest
+ */
+function signCursor(keyId: string, secret: string, encodedPayload: string): Buffer {
+  return createHmac("sha256", secret).update(`${keyId}.${encodedPayload}`).digest();
 }
 
 /**
- * Create an opaque cursor for the given position
+ * Create an opaque, signed cursor for the given position
+ * Cursors are signed with the first key of the configured key ring and
+ * expire after the configured TTL
  * @param position The position in the dataset
  * @param limit The page size
  * @param searchTerm Optional search term
+ * @param queryKey Optional sort/filter state the position refers to
  * @returns An encoded cursor string
  */
 export function createCursor(
   position: number,
   limit: number,
-  searchTerm: string = ""
+  searchTerm: string = "",
+  queryKey: string | null = null
 ): string {
+  const now = Date.now();
+  const { ttl, keys } = config.cursors;
+  const key = keys[0];
+
   // Create a payload with position and other metadata
-  const payload = {
+  const payload: Record<string, any> = {
     p: position, // Position in the dataset
     l: limit, // Page size
     s: searchTerm, // Search term if any
-    t: Date.now(), // Timestamp to prevent guessing
+    t: now, // Issue time
   };
 
-  // Encode as base64
-  const jsonPayload = JSON.stringify(payload);
-  const base64Payload = Buffer.from(jsonPayload).toString("base64");
+  if (ttl > 0) {
+    payload.e = now + ttl * 1000; // Expiry time
+  }
+
+  if (queryKey) {
+    payload.q = queryKey; // Sort and filter state
+  }
 
-  // Add a simple signature to prevent tampering
-  // In production, use a proper HMAC
-  const hash = createHash("sha256")
-    .update(base64Payload + CURSOR_SECRET)
-    .digest("hex")
-    .substring(0, 8); // Use first 8 characters of hash
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = signCursor(key.id, key.secret, encodedPayload).toString("base64url");
 
-  return `${base64Payload}.${hash}`;
+  return `${key.id}.${encodedPayload}.${signature}`;
 }
 
 /**
- * Decode a cursor to get the position
+ * Verify the signature and expiry of a cursor and decode it
+ * Any key of the ring validates, so cursors survive a key rotation. The
+ * position isn't checked against a result set (see decodeCursor)
  * @param cursor The cursor string
- * @returns The position and metadata, or null if invalid
+ * @returns The position and metadata, or why the cursor was rejected
  */
-export function decodeCursor(
-  cursor: string | null
-): { position: number; limit: number; searchTerm: string } | null {
-  if (!cursor) return null;
+export function verifyCursor(cursor: string | null): { data?: CursorData; error?: CursorError } {
+  if (!cursor) return { error: "invalid" };
 
   try {
-    // Split the cursor into payload and signature
-    const [base64Payload, signature] = cursor.split(".");
-
-    // Verify the signature
-    const expectedSignature = createHash("sha256")
-      .update(base64Payload + CURSOR_SECRET)
-      .digest("hex")
-      .substring(0, 8);
-
-    if (signature !== expectedSignature) {
-      console.warn("Invalid cursor signature");
-      return null;
+    // Split the cursor into key id, payload and signature
+    const parts = cursor.split(".");
+    if (parts.length !== 3) {
+      return { error: "invalid" };
+    }
+    const [keyId, encodedPayload, signature] = parts;
+
+    // Verify the signature with the key the cursor was signed with
+    const key = config.cursors.keys.find((candidate) => candidate.id === keyId);
+    if (!key) {
+      logEvent("warn", "Cursor signed with an unknown key", { keyId });
+      return { error: "invalid" };
+    }
+
+    const expected = signCursor(key.id, key.secret, encodedPayload);
+    const actual = Buffer.from(signature, "base64url");
+
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      logEvent("warn", "Invalid cursor signature");
+      return { error: "invalid" };
     }
 
     // Decode the payload
-    const jsonPayload = Buffer.from(base64Payload, "base64").toString();
-    const payload = JSON.parse(jsonPayload);
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+
+    // Signature is valid, so an old timestamp means the cursor expired
+    if (typeof payload.e === "number" && payload.e <= Date.now()) {
+      return { error: "expired" };
+    }
 
     // Basic validation
-    if (
-      typeof payload.p !== "number" ||
-      payload.p < 0 ||
-      payload.p >= TOTAL_USERS
-    ) {
-      return null;
+    if (typeof payload.p !== "number" || payload.p < 0) {
+      return { error: "invalid" };
     }
 
     return {
-      position: payload.p,
-      limit: payload.l || DEFAULT_LIMIT,
-      searchTerm: payload.s || "",
+      data: {
+        position: payload.p,
+        limit: payload.l || DEFAULT_LIMIT,
+        searchTerm: payload.s || "",
+        queryKey: typeof payload.q === "string" ? payload.q : null,
+      },
     };
   } catch (error) {
-    console.warn("Error decoding cursor:", error);
-    return null;
+    logEvent("warn", "Error decoding cursor", { error: String(error) });
+    return { error: "invalid" };
+  }
+}
+
+/**
+ * Decode and verify a cursor of a result set
+ * @param cursor The cursor string
+ * @param maxPosition Largest valid position, the number of users by default
+ * @returns The position and metadata, or why the cursor was rejected
+ */
+export function decodeCursor(
+  cursor: string | null,
+  maxPosition: number = getTotalUsers()
+): { data?: CursorData; error?: CursorError } {
+  const decoded = verifyCursor(cursor);
+
+  // A position equal to the total marks the end of the list
+  if (decoded.data && decoded.data.position > maxPosition) {
+    return { error: "invalid" };
   }
+
+  return decoded;
 }
 
 /**
  * Search users with the given term
- * This uses a more efficient approach for large datasets by generating
- * and filtering users in batches
+ * Uses the prebuilt users search index, so totals are exact
  * @param term The search term
  * @param startIndex The starting index
  * @param limit The number of users per page
@@ -140,56 +204,17 @@ export function searchUsers(
   startIndex: number,
   limit: number
 ): { users: any[]; totalMatches: number } {
-  const batchSize = 1000; // Process users in batches to avoid memory issues
-  const lowercaseTerm = term.toLowerCase();
-  const matchingUsers: any[] = [];
-  let totalMatches = 0;
-  let foundEnough = false;
-
-  // Process users in batches until we find enough matches
-  for (
-    let batchStart = 0;
-    batchStart < TOTAL_USERS && !foundEnough;
-    batchStart += batchSize
-  ) {
-    const batchEnd = Math.min(batchStart + batchSize, TOTAL_USERS);
-    const userBatch = getUserBatch(batchStart, batchEnd - batchStart);
-
-    // Filter users in this batch
-    for (const user of userBatch) {
-      if (
-        user.name.toLowerCase().includes(lowercaseTerm) ||
-        user.email.toLowerCase().includes(lowercaseTerm) ||
-        user.role.toLowerCase().includes(lowercaseTerm)
-      ) {
-        totalMatches++;
-
-        // Only add users that are within our desired page
-        if (totalMatches > startIndex && matchingUsers.length < limit) {
-          matchingUsers.push(user);
-        }
-
-        // If we've found enough users for this page and counted a reasonable
-        // number for estimation, we can stop
-        if (matchingUsers.length >= limit && totalMatches >= 1000) {
-          foundEnough = true;
-          break;
-        }
-      }
-    }
-  }
+  const positions = searchUserPositions(term);
+  const end = Math.min(startIndex + limit, positions.length);
+  const users: any[] = [];
 
-  // If we didn't process the entire dataset, estimate the total
-  if (foundEnough) {
-    // We've processed a partial dataset, so estimate the total
-    const processedFraction = totalMatches / TOTAL_USERS;
-    // Round to avoid fractional users
-    totalMatches = Math.round(totalMatches * (1 / processedFraction));
+  for (let i = Math.max(0, startIndex); i < end; i++) {
+    users.push(getUserAt(positions[i]));
   }
 
   return {
-    users: matchingUsers,
-    totalMatches,
+    users,
+    totalMatches: positions.length,
   };
 }
 
@@ -206,8 +231,8 @@ export async function handleSingleUserRequest(
   const userId = endpoint.split("/")[1];
   const userIdNum = parseInt(userId, 10);
 
-  // Validate user ID is within range
-  if (isNaN(userIdNum) || userIdNum < 1 || userIdNum > TOTAL_USERS) {
+  // Validate user ID
+  if (isNaN(userIdNum) || userIdNum < 1) {
     return new Response(JSON.stringify({ error: "User not found" }), {
       status: 404,
       headers: {
@@ -242,10 +267,17 @@ export async function handleSingleUserRequest(
  * Create standardized API error response
  * @param message Error message
  * @param status HTTP status code
+ * @param details Optional details, e.g. validation issues
  * @returns Response object
  */
-export function apiError(message: string, status: number = 404): Response {
-  return new Response(JSON.stringify({ error: message }), {
+export function apiError(
+  message: string,
+  status: number = 404,
+  details?: any
+): Response {
+  const body = details === undefined ? { error: message } : { error: message, details };
+
+  return new Response(JSON.stringify(body), {
     status,
     headers: {
       "Content-Type": "application/json",
@@ -258,10 +290,13 @@ export default {
   getUserById,
   getUserBatch,
   createCursor,
+  verifyCursor,
   decodeCursor,
   searchUsers,
   handleSingleUserRequest,
   apiError,
   TOTAL_USERS,
   DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
 };
@@ -1,76 +1,158 @@
 // server/api/users/cursor.ts
-import { 
-  DEFAULT_LIMIT, 
-  TOTAL_USERS, 
-  getUserBatch, 
-  searchUsers,
+import {
+  parseLimit,
+  CursorData,
   createCursor,
-  decodeCursor  
-} from "./base.js";
+  verifyCursor,
+  apiError
+} from './base.js';
+import {
+  ListQuery,
+  parseListQuery,
+  getQueryKey,
+  parseQueryKey,
+  hasQueryParams,
+  queryUsers,
+  findUserIndex,
+  formatUsers
+} from './query.js';
+import { getTotalUsers } from './store.js';
+
+/**
+ * Create a cursor for a boundary in the result set of a query
+ * The same cursor pages forward with after= and backward with before=
+ * @param position Boundary position in the result set
+ * @param limit The page size
+ * @param query The list query the position refers to
+ * @returns An encoded cursor string
+ */
+function createQueryCursor(position: number, limit: number, query: ListQuery): string {
+  const queryKey = query.sort.length || Object.keys(query.filters).length || query.fuzzy
+    ? getQueryKey(query)
+    : null;
+
+  return createCursor(position, limit, query.search, queryKey);
+}
+
+// How a list resolves cursors against the current request
+export interface CursorScope {
+  queryKey: string; // Query key of the request
+  ownState: boolean; // Whether the request defines its own query state
+  keyOf(data: CursorData): string | null; // Query key the cursor was created for, null if it belongs to another list
+  adopt(cursorKey: string): boolean; // Continue with the cursor's state, false if it can't be restored
+  total(): number; // Size of the resolved result set, the largest valid position
+}
+
+/**
+ * Resolve a cursor against the current request
+ * Adopts the cursor's state unless the request defines its own, then checks
+ * the position against the resolved result set
+ * @param cursor The cursor string
+ * @param scope How the list reads, restores and sizes cursor states
+ * @returns The boundary position (null if the result set changed) or an error response
+ */
+export function resolveCursor(
+  cursor: string,
+  scope: CursorScope
+): { position?: number | null; error?: Response } {
+  const decoded = verifyCursor(cursor);
+  const invalid = { error: apiError('Invalid cursor', 400, { code: 'CURSOR_INVALID' }) };
+
+  if (decoded.error === 'expired') {
+    return { error: apiError('Cursor expired, restart from the first page', 410, { code: 'CURSOR_EXPIRED' }) };
+  }
+  if (!decoded.data) return invalid;
+
+  const cursorKey = scope.keyOf(decoded.data);
+  if (cursorKey === null) return invalid;
+
+  let position: number | null = null;
+  if (!scope.ownState && scope.adopt(cursorKey)) {
+    // Continue with the state encoded in the cursor
+    position = decoded.data.position;
+  } else if (cursorKey === scope.queryKey) {
+    position = decoded.data.position;
+  } else {
+    // The result set changed, the position is meaningless
+    return { position: null };
+  }
+
+  // A position equal to the total marks the end of the list
+  return position > scope.total() ? invalid : { position };
+}
 
 /**
  * Handle cursor-based pagination requests
+ * Cursors carry the search, sort and filter state they were created for, so
+ * follow-up requests only need to pass the cursor.
+ * - after=<cursor> (or cursor=<cursor>) returns the page following the cursor
+ * - before=<cursor> returns the page preceding the cursor
  * @param req The request object
  * @param url The parsed URL
  * @returns A response object
  */
 export async function handleCursorPagination(req: Request, url: URL): Promise<Response> {
   // Parse query parameters
-  const limit = parseInt(url.searchParams.get('limit') || String(DEFAULT_LIMIT), 10);
-  const searchTerm = url.searchParams.get('search') || '';
-  const cursor = url.searchParams.get('cursor');
-  
+  const limit = parseLimit(url);
+  const after = url.searchParams.get('after') || url.searchParams.get('cursor');
+  const before = url.searchParams.get('before');
+
+  if (after && before) {
+    return apiError('Use either before or after, not both', 400);
+  }
+
+  const { query, error } = parseListQuery(url);
+  if (!query) {
+    return apiError(error!, 400);
+  }
+
   // Handle cursor-based pagination
   let startIndex = 0;
-  let cursorData = null;
-  
-  if (cursor) {
-    cursorData = decodeCursor(cursor);
-    if (cursorData) {
-      startIndex = cursorData.position;
-      // If search term in cursor doesn't match current search, ignore cursor
-      if (cursorData.searchTerm !== searchTerm) {
-        startIndex = 0;
+  let count = limit;
+
+  if (after || before) {
+    const resolved = resolveCursor((after || before)!, {
+      queryKey: getQueryKey(query),
+      ownState: hasQueryParams(url),
+      // Cursors without sort/filter/fuzzy state only carry a search term
+      keyOf: (data) => data.queryKey || getQueryKey({ search: data.searchTerm, sort: [], filters: {} }),
+      adopt: (cursorKey) => {
+        const cursorState = parseQueryKey(cursorKey);
+        if (cursorState) Object.assign(query, cursorState);
+        return Boolean(cursorState);
+      },
+      total: getTotalUsers
+    });
+    if (resolved.error) return resolved.error;
+
+    if (resolved.position != null) {
+      if (before) {
+        // Page ending right before the cursor
+        startIndex = Math.max(0, resolved.position - limit);
+        count = resolved.position - startIndex;
+      } else {
+        startIndex = resolved.position;
       }
     }
+    // Otherwise start over from the first page
   }
-  
+
   // Add some artificial delay to simulate network latency
   // await new Promise(resolve => setTimeout(resolve, 300));
-  
+
   // Handle users list with pagination
-  let users: any[];
-  let total: number;
-  let hasNext: boolean;
-  let nextCursor: string | null = null;
-  
-  if (searchTerm) {
-    // Handle search case
-    const searchResults = searchUsers(searchTerm, startIndex, limit);
-    users = searchResults.users;
-    total = searchResults.totalMatches;
-    hasNext = startIndex + users.length < total;
-    
-    if (hasNext) {
-      nextCursor = createCursor(startIndex + users.length, limit, searchTerm);
-    }
-  } else {
-    // Handle normal pagination without search
-    users = getUserBatch(startIndex, limit);
-    total = TOTAL_USERS;
-    hasNext = startIndex + users.length < total;
-    
-    if (hasNext) {
-      nextCursor = createCursor(startIndex + users.length, limit);
-    }
-  }
-  
-  // Return the paginated result with cursor
+  const { users, total } = queryUsers(query, startIndex, count);
+  const hasNext = startIndex + users.length < total;
+  const hasPrev = startIndex > 0;
+
+  // Return the paginated result with cursors in both directions
   return new Response(JSON.stringify({
-    items: users,
+    items: formatUsers(users, query),
     meta: {
-      cursor: nextCursor,
+      cursor: hasNext ? createQueryCursor(startIndex + users.length, limit, query) : null,
+      prevCursor: hasPrev ? createQueryCursor(startIndex, limit, query) : null,
       hasNext,
+      hasPrev,
       total
     }
   }), {
@@ -81,6 +163,55 @@ export async function handleCursorPagination(req: Request, url: URL): Promise<Re
   });
 }
 
+/**
+ * Handle finding a cursor anchored at a user ID
+ * Counterpart of handleFindPosition for cursor pagination: the returned
+ * cursor loads the page starting at the user with after=, and the page
+ * above it with before=. Search, sort and filters are respected.
+ * @param req The request object
+ * @param url The parsed URL
+ * @returns A response object
+ */
+export async function handleFindCursor(req: Request, url: URL): Promise<Response> {
+  const userId = parseInt(url.pathname.split('/').pop() || '', 10);
+  if (isNaN(userId)) {
+    return apiError('Invalid user ID', 400);
+  }
+
+  const limit = parseLimit(url);
+  const { query, error } = parseListQuery(url);
+  if (!query) {
+    return apiError(error!, 400);
+  }
+
+  const index = findUserIndex(query, userId);
+  if (index === -1) {
+    return new Response(JSON.stringify({
+      error: 'User not found',
+      exists: false
+    }), {
+      status: 404,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  return new Response(JSON.stringify({
+    exists: true,
+    index,
+    cursor: createQueryCursor(index, limit, query)
+  }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
 export default {
-  handleCursorPagination
-};
\ No newline at end of file
+  resolveCursor,
+  handleCursorPagination,
+  handleFindCursor
+};
@@ -1,53 +1,196 @@
 // server/api/users/index.ts
+import type { ApiParameter, ApiRoute } from "../routes.js";
+import {
+  LIST_QUERY_PARAMETERS,
+  PAGE_PARAMETERS,
+  CURSOR_PARAMETERS,
+  LIMIT_PARAMETER,
+} from "../openapi.js";
 import { handleSingleUserRequest } from "./base.js";
 import { handleStandardPagination, handleFindPosition } from "./standard.js";
-import { handleCursorPagination } from "./cursor.js";
+import { handleCursorPagination, handleFindCursor } from "./cursor.js";
+import {
+  handleCreateUser,
+  handleReplaceUser,
+  handleUpdateUser,
+  handleDeleteUser,
+  handleResetUsers,
+} from "./write.js";
 
-/**
- * Route users-related API requests to the appropriate handler
- * @param req The request object
- * @param endpoint The endpoint path (without /api/ prefix)
- * @returns A response object
- */
-export async function handleUserRequest(
-  req: Request,
-  endpoint: string
-): Promise<Response> {
-  const url = new URL(req.url);
-
-  // Check if it's a find-position request
-  if (endpoint.match(/^users\/find-position\/\d+$/)) {
-    return await handleFindPosition(req, url);
-  }
-
-  // Check if it's a request for a single user
-  if (endpoint.match(/^users\/\d+$/)) {
-    return await handleSingleUserRequest(req, endpoint);
-  }
+// User ID path parameter
+const USER_ID_PARAMETER: ApiParameter = {
+  name: "id",
+  in: "path",
+  description: "User ID",
+  required: true,
+  schema: { type: "integer", minimum: 1 },
+};
 
-  // Check if it's a cursor-based pagination request
-  if (endpoint === "users/cursor" || endpoint === "users/cursor/") {
-    return await handleCursorPagination(req, url);
-  }
+// Responses shared by the operations on a single user
+const USER_NOT_FOUND = { description: "User not found", schema: "Error" };
+const INVALID_USER = {
+  "400": { description: "Invalid JSON body", schema: "Error" },
+  "422": { description: "Validation failed", schema: "ValidationError" },
+};
+const INVALID_LIST_QUERY = { description: "Invalid sort, filter or fields", schema: "Error" };
+const INVALID_CURSOR = { description: "Invalid cursor, or both before and after", schema: "Error" };
 
-  // Default to standard pagination
-  if (endpoint === "users" || endpoint === "users/") {
-    return await handleStandardPagination(req, url);
-  }
+// Searches count against the tight "search" group, plain paging doesn't
+const searchRateLimit = (url: URL) => (url.searchParams.get("search") ? "search" : "default");
 
-  // If no handler matches, return 404
-  return new Response(
-    JSON.stringify({ error: "User API endpoint not found" }),
-    {
-      status: 404,
-      headers: {
-        "Content-Type": "application/json",
-        "Cache-Control": "no-store",
+// Users API routes, in match order
+export const userRoutes: ApiRoute[] = [
+  {
+    method: "GET",
+    path: "/users",
+    operationId: "listUsers",
+    summary: "List users",
+    description: "Page-based pagination, or offset-based pagination when offset is set.",
+    tag: "Users",
+    etag: "weak",
+    rateLimit: searchRateLimit,
+    parameters: [...PAGE_PARAMETERS, ...LIST_QUERY_PARAMETERS],
+    responses: {
+      "200": { description: "A page of users", schema: "UserPage" },
+      "400": INVALID_LIST_QUERY,
+    },
+    handle: (req, url) => handleStandardPagination(req, url),
+  },
+  {
+    method: "POST",
+    path: "/users",
+    operationId: "createUser",
+    summary: "Create a user",
+    tag: "Users",
+    requestBody: "UserInput",
+    responses: {
+      "201": {
+        description: "The created user",
+        schema: "User",
+        headers: { Location: "URL of the created user", "X-Total-Count": "Number of users" },
       },
-    }
-  );
-}
+      ...INVALID_USER,
+    },
+    handle: (req) => handleCreateUser(req),
+  },
+  {
+    method: "POST",
+    path: "/users/reset",
+    operationId: "resetUsers",
+    summary: "Restore the generated users",
+    description: "Discards every created, changed and deleted user.",
+    tag: "Users",
+    responses: {
+      "200": { description: "The restored total", schema: "ResetResult" },
+    },
+    handle: (req) => handleResetUsers(req),
+  },
+  {
+    method: "GET",
+    path: "/users/cursor",
+    operationId: "listUsersWithCursor",
+    summary: "List users with cursors",
+    description:
+      "Cursors carry the search, sort and filter state they were created for, so follow-up requests only need the cursor.",
+    tag: "Users",
+    etag: false, // Signed cursors embed their issue time, pages stay no-store
+    rateLimit: searchRateLimit,
+    parameters: [...CURSOR_PARAMETERS, ...LIST_QUERY_PARAMETERS],
+    responses: {
+      "200": { description: "A page of users", schema: "UserCursorPage" },
+      "400": INVALID_CURSOR,
+      "410": { description: "Cursor expired, restart from the first page", schema: "Error" },
+    },
+    handle: (req, url) => handleCursorPagination(req, url),
+  },
+  {
+    method: "GET",
+    path: "/users/find-position/{id}",
+    operationId: "findUserPosition",
+    summary: "Find the page of a user",
+    tag: "Users",
+    parameters: [USER_ID_PARAMETER, LIMIT_PARAMETER],
+    responses: {
+      "200": { description: "Position of the user", schema: "UserPosition" },
+      "404": USER_NOT_FOUND,
+    },
+    handle: (req, url) => handleFindPosition(req, url),
+  },
+  {
+    method: "GET",
+    path: "/users/find-cursor/{id}",
+    operationId: "findUserCursor",
+    summary: "Get a cursor anchored at a user",
+    description: "Search, sort and filters are respected.",
+    tag: "Users",
+    etag: false, // Signed cursors embed their issue time, pages stay no-store
+    rateLimit: searchRateLimit,
+    parameters: [USER_ID_PARAMETER, LIMIT_PARAMETER, ...LIST_QUERY_PARAMETERS],
+    responses: {
+      "200": { description: "Cursor of the user", schema: "UserCursorPosition" },
+      "400": INVALID_LIST_QUERY,
+      "404": USER_NOT_FOUND,
+    },
+    handle: (req, url) => handleFindCursor(req, url),
+  },
+  {
+    method: "GET",
+    path: "/users/{id}",
+    operationId: "getUser",
+    summary: "Get a user",
+    tag: "Users",
+    parameters: [USER_ID_PARAMETER],
+    responses: {
+      "200": { description: "The user", schema: "User" },
+      "404": USER_NOT_FOUND,
+    },
+    handle: (req, url, { id }) => handleSingleUserRequest(req, `users/${id}`),
+  },
+  {
+    method: "PUT",
+    path: "/users/{id}",
+    operationId: "replaceUser",
+    summary: "Replace a user",
+    tag: "Users",
+    parameters: [USER_ID_PARAMETER],
+    requestBody: "UserInput",
+    responses: {
+      "200": { description: "The replaced user", schema: "User" },
+      ...INVALID_USER,
+      "404": USER_NOT_FOUND,
+    },
+    handle: (req, url, { id }) => handleReplaceUser(req, Number(id)),
+  },
+  {
+    method: "PATCH",
+    path: "/users/{id}",
+    operationId: "updateUser",
+    summary: "Update fields of a user",
+    tag: "Users",
+    parameters: [USER_ID_PARAMETER],
+    requestBody: "UserPatch",
+    responses: {
+      "200": { description: "The updated user", schema: "User" },
+      ...INVALID_USER,
+      "404": USER_NOT_FOUND,
+    },
+    handle: (req, url, { id }) => handleUpdateUser(req, Number(id)),
+  },
+  {
+    method: "DELETE",
+    path: "/users/{id}",
+    operationId: "deleteUser",
+    summary: "Delete a user",
+    tag: "Users",
+    parameters: [USER_ID_PARAMETER],
+    responses: {
+      "204": { description: "User deleted", headers: { "X-Total-Count": "Number of users" } },
+      "404": USER_NOT_FOUND,
+    },
+    handle: (req, url, { id }) => handleDeleteUser(req, Number(id)),
+  },
+];
 
 export default {
-  handleUserRequest,
+  userRoutes,
 };
@@ -0,0 +1,397 @@
+// server/api/users/query.ts
+import { getUserBatch } from "./base.js";
+import { searchUserPositions, getUserHighlights } from "./search.js";
+import {
+  forEachUser,
+  getTotalUsers,
+  getUserAt,
+  getUserPosition,
+  getUsersVersion,
+} from "./store.js";
+
+// Fields that can be sorted, filtered and selected
+export const USER_FIELDS = ["id", "name", "email", "role", "avatar", "phone"];
+export const SORTABLE_FIELDS = ["id", "name", "email", "role"];
+export const FILTERABLE_FIELDS = ["id", "name", "email", "role", "avatar", "phone"];
+
+// Fields a list query may refer to
+export interface ListQuerySchema {
+  fields: string[]; // Selectable fields
+  sortable: string[];
+  filterable: string[];
+}
+
+// Schema of the users list
+export const USER_SCHEMA: ListQuerySchema = {
+  fields: USER_FIELDS,
+  sortable: SORTABLE_FIELDS,
+  filterable: FILTERABLE_FIELDS,
+};
+
+// Number of materialized result sets kept in memory
+const MAX_CACHED_RESULTS = 10;
+
+// Sort instruction, e.g. { field: "name", direction: "asc" }
+export interface SortRule {
+  field: string;
+  direction: "asc" | "desc";
+}
+
+// Parsed list query shared by offset, page and cursor pagination
+export interface ListQuery {
+  search: string;
+  sort: SortRule[];
+  filters: Record<string, string[]>; // field -> accepted values (OR)
+  fields: string[] | null; // Projection, null for all fields
+  fuzzy?: boolean; // Tolerate typos in search terms
+  highlight?: boolean; // Add match ranges to each item
+}
+
+// Materialized result sets (list positions) keyed by store version and query state
+const resultCache = new Map<string, Uint32Array>();
+
+/**
+ * Parse sort, filter, field selection and search parameters
+ * Supports sort=name:asc,role:desc, filter[role]=Designer,Manager and fields=id,name
+ * @param url The parsed URL
+ * @param schema Fields the query may refer to, users by default
+ * @returns The parsed query or a validation error message
+ */
+export function parseListQuery(
+  url: URL,
+  schema: ListQuerySchema = USER_SCHEMA
+): { query?: ListQuery; error?: string } {
+  const params = url.searchParams;
+  const sort: SortRule[] = [];
+  const filters: Record<string, string[]> = {};
+
+  // Sorting
+  const sortParam = params.get("sort");
+  if (sortParam) {
+    for (const part of sortParam.split(",")) {
+      const [field, direction = "asc"] = part.trim().split(":");
+      if (!schema.sortable.includes(field)) {
+        return { error: `Invalid sort field "${field}". Allowed: ${schema.sortable.join(", ")}` };
+      }
+      if (direction !== "asc" && direction !== "desc") {
+        return { error: `Invalid sort direction "${direction}" for ${field}. Use asc or desc` };
+      }
+      if (!sort.some((rule) => rule.field === field)) {
+        sort.push({ field, direction });
+      }
+    }
+  }
+
+  // Filtering
+  for (const [key, value] of params) {
+    const match = key.match(/^filter\[(\w+)\]$/);
+    if (!match) continue;
+
+    const field = match[1];
+    if (!schema.filterable.includes(field)) {
+      return { error: `Invalid filter field "${field}". Allowed: ${schema.filterable.join(", ")}` };
+    }
+
+    const values = value.split(",").map((v) => v.trim()).filter(Boolean);
+    filters[field] = [...(filters[field] || []), ...values];
+  }
+
+  // Field selection
+  let fields: string[] | null = null;
+  const fieldsParam = params.get("fields");
+  if (fieldsParam) {
+    fields = fieldsParam.split(",").map((field) => field.trim()).filter(Boolean);
+    const unknown = fields.filter((field) => !schema.fields.includes(field));
+    if (unknown.length > 0) {
+      return { error: `Invalid fields: ${unknown.join(", ")}. Allowed: ${schema.fields.join(", ")}` };
+    }
+  }
+
+  const isEnabled = (name: string) => ["1", "true"].includes(params.get(name) || "");
+
+  return {
+    query: {
+      search: params.get("search") || "",
+      sort,
+      filters,
+      fields,
+      fuzzy: isEnabled("fuzzy"),
+      highlight: isEnabled("highlight"),
+    },
+  };
+}
+
+/**
+ * Check whether a query only paginates (no sort or filter)
+ * @param query The list query
+ * @returns True if the natural order applies
+ */
+function isNaturalOrder(query: ListQuery): boolean {
+  return query.sort.length === 0 && Object.keys(query.filters).length === 0;
+}
+
+/**
+ * Serialize the parts of a query that define the result set
+ * Used as cache key and embedded in cursors
+ * @param query The list query
+ * @returns A canonical string
+ */
+export function getQueryKey(
+  query: Pick<ListQuery, "search" | "sort" | "filters" | "fuzzy">
+): string {
+  const filters = Object.keys(query.filters)
+    .sort()
+    .map((field) => [field, [...query.filters[field]].map((v) => v.toLowerCase()).sort()]);
+
+  return JSON.stringify({
+    s: query.search,
+    o: query.sort.map((rule) => `${rule.field}:${rule.direction}`),
+    f: filters,
+    ...(query.fuzzy ? { z: 1 } : {}),
+  });
+}
+
+/**
+ * Restore the result set definition from a query key
+ * @param key A key created by getQueryKey
+ * @param schema Fields the query may refer to, users by default
+ * @returns Search, sort and filters, or null if the key is malformed
+ */
+export function parseQueryKey(
+  key: string,
+  schema: ListQuerySchema = USER_SCHEMA
+): Pick<ListQuery, "search" | "sort" | "filters" | "fuzzy"> | null {
+  try {
+    const { s, o, f, z } = JSON.parse(key);
+    const sort: SortRule[] = (o || []).map((rule: string) => {
+      const [field, direction] = rule.split(":");
+      return { field, direction: direction === "desc" ? "desc" : "asc" };
+    });
+
+    if (sort.some((rule) => !schema.sortable.includes(rule.field))) return null;
+
+    const filters: Record<string, string[]> = {};
+    for (const [field, values] of f || []) {
+      if (!schema.filterable.includes(field)) return null;
+      filters[field] = values;
+    }
+
+    return { search: s || "", sort, filters, fuzzy: z === 1 };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a request defines its own search, sort or filter
+ * @param url The parsed URL
+ * @returns True if any result set parameter is present
+ */
+export function hasQueryParams(url: URL): boolean {
+  for (const key of url.searchParams.keys()) {
+    if (["search", "sort", "fuzzy"].includes(key) || key.startsWith("filter[")) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check a user against the query filters
+ * @param user The user
+ * @param query The list query
+ * @returns Whether the user matches
+ */
+function matchesFilters(user: any, query: ListQuery): boolean {
+  for (const field in query.filters) {
+    const value = String(user[field] ?? "").toLowerCase();
+    if (!query.filters[field].some((accepted) => accepted.toLowerCase() === value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Build comparable sort keys for the matched users
+ * Keys are computed once per result set instead of once per comparison
+ * @param users Matched users
+ * @param sort Sort rules
+ * @returns One key array per sort rule
+ */
+function buildSortKeys(users: any[], sort: SortRule[]): Array<Array<number | string>> {
+  return sort.map(({ field }) =>
+    users.map((user) =>
+      field === "id" ? Number(user.id) : String(user[field] ?? "").toLowerCase()
+    )
+  );
+}
+
+/**
+ * Sort matched users by the sort rules
+ * Ties are broken by list order so pages never overlap
+ * @param matches List positions of the matched users
+ * @param users Matched users, parallel to matches
+ * @param sort Sort rules
+ * @returns Sorted list positions
+ */
+function sortMatches(matches: number[], users: any[], sort: SortRule[]): number[] {
+  const keys = buildSortKeys(users, sort);
+  const order = matches.map((_, position) => position);
+
+  order.sort((a, b) => {
+    for (let r = 0; r < sort.length; r++) {
+      const valueA = keys[r][a];
+      const valueB = keys[r][b];
+      if (valueA !== valueB) {
+        const result = valueA < valueB ? -1 : 1;
+        return sort[r].direction === "desc" ? -result : result;
+      }
+    }
+    return a - b;
+  });
+
+  return order.map((position) => matches[position]);
+}
+
+/**
+ * Materialize the sorted and filtered result set for a query
+ * @param query The list query
+ * @returns List positions, in result order
+ */
+function getResultSet(query: ListQuery): Uint32Array {
+  const key = `${getUsersVersion()}:${getQueryKey(query)}`;
+  const cached = resultCache.get(key);
+
+  if (cached) {
+    // Refresh LRU position
+    resultCache.delete(key);
+    resultCache.set(key, cached);
+    return cached;
+  }
+
+  const matches: number[] = [];
+  const matchedUsers: any[] = [];
+  const collect = (user: any, position: number) => {
+    if (matchesFilters(user, query)) {
+      matches.push(position);
+      matchedUsers.push(user);
+    }
+  };
+
+  if (query.search) {
+    // Search narrows the candidates through the index
+    for (const position of searchUserPositions(query.search, query.fuzzy)) {
+      collect(getUserAt(position), position);
+    }
+  } else {
+    forEachUser(collect);
+  }
+
+  const result = Uint32Array.from(
+    query.sort.length > 0 ? sortMatches(matches, matchedUsers, query.sort) : matches
+  );
+
+  if (resultCache.size >= MAX_CACHED_RESULTS) {
+    resultCache.delete(resultCache.keys().next().value!);
+  }
+  resultCache.set(key, result);
+
+  return result;
+}
+
+/**
+ * Query a page of users
+ * @param query The list query
+ * @param startIndex The starting index in the result set
+ * @param limit The number of users per page
+ * @returns The users of the page and the total number of matches
+ */
+export function queryUsers(
+  query: ListQuery,
+  startIndex: number,
+  limit: number
+): { users: any[]; total: number } {
+  // Fast path without search, sorting or filtering
+  if (isNaturalOrder(query) && !query.search) {
+    return { users: getUserBatch(startIndex, limit), total: getTotalUsers() };
+  }
+
+  const resultSet = getResultSet(query);
+  const users: any[] = [];
+  const end = Math.min(startIndex + limit, resultSet.length);
+
+  for (let i = startIndex; i < end; i++) {
+    users.push(getUserAt(resultSet[i]));
+  }
+
+  return { users, total: resultSet.length };
+}
+
+/**
+ * Find the index of a user in the result set of a query
+ * @param query The list query
+ * @param userId The user ID
+ * @returns The index (0-based) or -1 if the user is not part of the results
+ */
+export function findUserIndex(query: ListQuery, userId: number): number {
+  const position = getUserPosition(userId);
+  if (position === -1) return -1;
+
+  // Without search, sort or filters the result set is the whole list
+  if (isNaturalOrder(query) && !query.search) {
+    return position;
+  }
+
+  return getResultSet(query).indexOf(position);
+}
+
+/**
+ * Apply field selection to users
+ * @param users The users
+ * @param fields Selected fields, or null for all fields
+ * @returns Projected users
+ */
+export function projectUsers(users: any[], fields: string[] | null): any[] {
+  if (!fields) return users;
+
+  return users.map((user) => {
+    const projected: Record<string, any> = {};
+    for (const field of fields) {
+      if (field in user) {
+        projected[field] = user[field];
+      }
+    }
+    return projected;
+  });
+}
+
+/**
+ * Prepare users for a list response
+ * Applies field selection and, when requested, adds search highlights as
+ * `_highlights: { field: [[start, end], ...] }`
+ * @param users The users of the page
+ * @param query The list query
+ * @returns Users ready to be serialized
+ */
+export function formatUsers(users: any[], query: ListQuery): any[] {
+  const projected = projectUsers(users, query.fields);
+  if (!query.highlight || !query.search) return projected;
+
+  return projected.map((user, i) => ({
+    ...user,
+    _highlights: getUserHighlights(users[i], query.search, query.fuzzy),
+  }));
+}
+
+export default {
+  parseListQuery,
+  getQueryKey,
+  parseQueryKey,
+  hasQueryParams,
+  queryUsers,
+  findUserIndex,
+  projectUsers,
+  formatUsers,
+};
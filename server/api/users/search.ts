@@ -0,0 +1,357 @@
+// server/api/users/search.ts
+import { USERS, TOTAL_USERS } from "../../data/users.js";
+import {
+  isBaseUserChanged,
+  getBasePosition,
+  forEachChangedUser,
+  getTotalUsers,
+} from "./store.js";
+
+/**
+ * Search index for the users dataset
+ *
+ * Names, emails and roles are split into lowercase word tokens. Each token
+ * maps to the sorted base indexes of the generated users containing it, so a
+ * search resolves to exact totals without scanning the dataset. Query terms
+ * match tokens by prefix and all terms must match. Digit-only terms match
+ * user ids. Users changed through the overlay store are matched directly.
+ */
+
+// Fields searched and highlighted
+export const SEARCH_FIELDS = ["name", "email", "role"];
+
+// Terms beyond this are ignored, match counters are stored in bytes
+const MAX_QUERY_TERMS = 16;
+
+// Inverted index over the generated users
+interface UserSearchIndex {
+  postings: Map<string, Uint32Array>; // Token -> sorted base indexes
+  tokens: string[]; // Sorted tokens for prefix lookups
+}
+
+// Highlight ranges per field, as [start, end) character offsets
+export type UserHighlights = Record<string, Array<[number, number]>>;
+
+let index: UserSearchIndex | null = null;
+
+/**
+ * Split text into lowercase word tokens with their offsets
+ * @param text Text to tokenize
+ * @returns Tokens with their start offset
+ */
+function tokenizeWithOffsets(text: string): Array<{ token: string; start: number }> {
+  const tokens: Array<{ token: string; start: number }> = [];
+
+  for (const match of (text || "").toLowerCase().matchAll(/\p{L}+/gu)) {
+    tokens.push({ token: match[0], start: match.index! });
+  }
+
+  return tokens;
+}
+
+/**
+ * Get the distinct tokens of a user
+ * @param user The user
+ * @returns Distinct tokens from name, email and role
+ */
+function getUserTokens(user: any): Set<string> {
+  const tokens = new Set<string>();
+
+  for (const field of SEARCH_FIELDS) {
+    for (const token of String(user[field] || "").toLowerCase().split(/[^\p{L}]+/u)) {
+      if (token) tokens.add(token);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a search query into terms
+ * Letters and digits form separate terms, so "young99" searches both
+ * @param query Search query
+ * @returns Lowercase terms
+ */
+export function tokenizeQuery(query: string): string[] {
+  return [...(query || "").toLowerCase().matchAll(/\p{L}+|\d+/gu)]
+    .map((match) => match[0])
+    .slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Build the inverted index over the generated users
+ * @returns Number of distinct tokens
+ */
+export function buildUserSearchIndex(): number {
+  const lists = new Map<string, number[]>();
+
+  for (let i = 0; i < TOTAL_USERS; i++) {
+    for (const token of getUserTokens(USERS[i])) {
+      let list = lists.get(token);
+      if (!list) {
+        list = [];
+        lists.set(token, list);
+      }
+      list.push(i);
+    }
+  }
+
+  // Indexes are pushed in ascending order, typed arrays keep memory low
+  const postings = new Map<string, Uint32Array>();
+  for (const [token, list] of lists) {
+    postings.set(token, Uint32Array.from(list));
+  }
+
+  index = { postings, tokens: [...postings.keys()].sort() };
+  return index.tokens.length;
+}
+
+/**
+ * Get the index, building it on first use
+ * @returns The search index
+ */
+function getIndex(): UserSearchIndex {
+  if (!index) buildUserSearchIndex();
+  return index!;
+}
+
+/**
+ * Compute the Damerau-Levenshtein distance, giving up above a maximum
+ * @param a First string
+ * @param b Second string
+ * @param max Maximum distance of interest
+ * @returns The distance, or max + 1 if larger than max
+ */
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      // Transposition of adjacent characters
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a term
+ * @param term Query term
+ * @returns Maximum edit distance
+ */
+function getTypoTolerance(term: string): number {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Check whether a token matches a query term
+ * @param token Indexed token
+ * @param term Query term
+ * @param fuzzy Whether typos are tolerated
+ * @returns True if the token starts with the term, or is close to it
+ */
+export function tokenMatches(token: string, term: string, fuzzy: boolean): boolean {
+  if (token.startsWith(term)) return true;
+  if (!fuzzy) return false;
+
+  const tolerance = getTypoTolerance(term);
+  if (tolerance === 0) return false;
+
+  // Compare with the whole token and with a prefix of the same length
+  return (
+    editDistance(term, token, tolerance) <= tolerance ||
+    editDistance(term, token.slice(0, term.length), tolerance) <= tolerance
+  );
+}
+
+/**
+ * Find indexed tokens matching a query term
+ * @param term Query term
+ * @param fuzzy Whether typos are tolerated
+ * @returns Matching tokens
+ */
+function findTokens(term: string, fuzzy: boolean): string[] {
+  const { tokens } = getIndex();
+
+  if (fuzzy && getTypoTolerance(term) > 0) {
+    // The vocabulary is small (names and roles), a full pass is cheap
+    return tokens.filter((token) => tokenMatches(token, term, true));
+  }
+
+  // Binary search for the first token >= term
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (tokens[mid] < term) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches: string[] = [];
+  for (let i = low; i < tokens.length && tokens[i].startsWith(term); i++) {
+    matches.push(tokens[i]);
+  }
+  return matches;
+}
+
+/**
+ * Check whether a user matches all query terms
+ * @param user The user
+ * @param terms Query terms
+ * @param fuzzy Whether typos are tolerated
+ * @returns True if every term matches
+ */
+function userMatches(user: any, terms: string[], fuzzy: boolean): boolean {
+  const tokens = [...getUserTokens(user)];
+
+  return terms.every((term) =>
+    /^\d+$/.test(term)
+      ? user.id === String(Number(term))
+      : tokens.some((token) => tokenMatches(token, term, fuzzy))
+  );
+}
+
+/**
+ * Search users
+ * @param query Search query
+ * @param fuzzy Whether typos are tolerated
+ * @returns List positions of all matching users, in list order
+ */
+export function searchUserPositions(query: string, fuzzy: boolean = false): Uint32Array {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) {
+    return Uint32Array.from({ length: getTotalUsers() }, (_, i) => i);
+  }
+
+  const { postings } = getIndex();
+
+  // hits[i] counts the terms matched so far by base user i
+  const hits = new Uint8Array(TOTAL_USERS);
+
+  terms.forEach((term, termIndex) => {
+    const mark = (baseIndex: number) => {
+      if (hits[baseIndex] === termIndex) hits[baseIndex] = termIndex + 1;
+    };
+
+    if (/^\d+$/.test(term)) {
+      const id = Number(term);
+      if (id >= 1 && id <= TOTAL_USERS) mark(id - 1);
+      return;
+    }
+
+    for (const token of findTokens(term, fuzzy)) {
+      const posting = postings.get(token)!;
+      for (let i = 0; i < posting.length; i++) {
+        mark(posting[i]);
+      }
+    }
+  });
+
+  const positions: number[] = [];
+  for (let i = 0; i < TOTAL_USERS; i++) {
+    if (hits[i] === terms.length && !isBaseUserChanged(i)) {
+      positions.push(getBasePosition(i));
+    }
+  }
+
+  // Replaced and created users are not in the index
+  let changed = false;
+  forEachChangedUser((user, position) => {
+    if (userMatches(user, terms, fuzzy)) {
+      positions.push(position);
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    positions.sort((a, b) => a - b);
+  }
+
+  return Uint32Array.from(positions);
+}
+
+/**
+ * Compute match highlights for a user
+ * @param user The user
+ * @param query Search query
+ * @param fuzzy Whether typos are tolerated
+ * @param fields Fields to highlight, the searched user fields by default
+ * @returns Character ranges per field, only for fields with matches
+ */
+export function getUserHighlights(
+  user: any,
+  query: string,
+  fuzzy: boolean = false,
+  fields: string[] = SEARCH_FIELDS
+): UserHighlights {
+  const terms = tokenizeQuery(query).filter((term) => !/^\d+$/.test(term));
+  const highlights: UserHighlights = {};
+
+  for (const field of fields) {
+    const ranges: Array<[number, number]> = [];
+
+    for (const { token, start } of tokenizeWithOffsets(user[field])) {
+      // Longest matching term wins, prefix matches only cover the prefix
+      let length = 0;
+      for (const term of terms) {
+        if (token.startsWith(term)) {
+          length = Math.max(length, term.length);
+        } else if (fuzzy && tokenMatches(token, term, true)) {
+          length = Math.max(length, Math.min(token.length, term.length));
+        }
+      }
+
+      if (length > 0) {
+        ranges.push([start, start + length]);
+      }
+    }
+
+    if (ranges.length > 0) {
+      highlights[field] = ranges;
+    }
+  }
+
+  return highlights;
+}
+
+/**
+ * Build the users search index at startup
+ */
+export function initUserSearchIndex(): void {
+  try {
+    const startTime = Date.now();
+    const count = buildUserSearchIndex();
+    console.log(`✓ Users search index built (${count} tokens in ${Date.now() - startTime}ms)`);
+  } catch (error) {
+    console.error("✗ Error building users search index:", error);
+  }
+}
+
+export default {
+  initUserSearchIndex,
+  buildUserSearchIndex,
+  searchUserPositions,
+  getUserHighlights,
+  tokenizeQuery,
+  tokenMatches,
+};
@@ -1,10 +1,8 @@
 // server/api/users/standard.ts
-import {
-  DEFAULT_LIMIT,
-  TOTAL_USERS,
-  getUserBatch,
-  searchUsers,
-} from "./base.js";
+import { DEFAULT_LIMIT, apiError, parseLimit } from "./base.js";
+import { parseListQuery, queryUsers, formatUsers } from "./query.js";
+import { getTotalUsers, getUserPosition } from "./store.js";
+import { logEvent } from "../../middleware/logger.js";
 
 /**
  * Find the page number and position for a given user ID
@@ -21,17 +19,15 @@ export function findUserPosition(
   index?: number;
   totalPages?: number;
 } {
-  // Validate user ID
-  if (userId < 1 || userId > TOTAL_USERS) {
+  // Resolve the list index, accounting for created and deleted users
+  const index = getUserPosition(userId);
+  if (index === -1) {
     return { exists: false };
   }
 
-  // Convert 1-based ID to 0-based index
-  const index = userId - 1;
-
   // Calculate which page this index falls on
   const pageNumber = Math.floor(index / limit) + 1;
-  const totalPages = Math.ceil(TOTAL_USERS / limit);
+  const totalPages = Math.ceil(getTotalUsers() / limit);
 
   return {
     exists: true,
@@ -72,10 +68,7 @@ export async function handleFindPosition(
   }
 
   // Get page size from query params
-  const limit = parseInt(
-    url.searchParams.get("limit") || String(DEFAULT_LIMIT),
-    10
-  );
+  const limit = parseLimit(url);
 
   // Find the position
   const position = findUserPosition(userId, limit);
@@ -119,45 +112,34 @@ export async function handleOffsetPagination(
     0,
     parseInt(url.searchParams.get("offset") || "0", 10)
   );
-  const limit = parseInt(
-    url.searchParams.get("limit") || String(DEFAULT_LIMIT),
-    10
-  );
-  const searchTerm = url.searchParams.get("search") || "";
-
-  console.log(
-    `🎯 [OFFSET-API] Request: offset=${offset}, limit=${limit}, search="${searchTerm}"`
-  );
-
-  // Handle users list with offset pagination
-  let users: any[];
-  let total: number;
-
-  if (searchTerm) {
-    // Handle search case
-    const searchResults = searchUsers(searchTerm, offset, limit);
-    users = searchResults.users;
-    total = searchResults.totalMatches;
-  } else {
-    // Handle normal offset pagination without search
-    users = getUserBatch(offset, limit);
-    total = TOTAL_USERS;
+  const limit = parseLimit(url);
+  const { query, error } = parseListQuery(url);
+  if (!query) {
+    return apiError(error!, 400);
   }
 
+  // Handle users list with offset pagination (search, sort and filters applied)
+  const { users, total } = queryUsers(query, offset, limit);
+
   // Calculate pagination metadata for offset-based
   const hasNext = offset + limit < total;
   const hasPrev = offset > 0;
   const nextOffset = hasNext ? offset + limit : null;
   const prevOffset = hasPrev ? Math.max(0, offset - limit) : null;
 
-  console.log(
-    `✅ [OFFSET-API] Response: ${users.length} items, hasNext=${hasNext}, hasPrev=${hasPrev}`
-  );
+  logEvent("debug", "Users offset page", {
+    offset,
+    limit,
+    search: query.search,
+    sort: url.searchParams.get("sort") || "-",
+    items: users.length,
+    total,
+  });
 
   // Return the paginated result with offset pagination metadata
   return new Response(
     JSON.stringify({
-      items: users,
+      items: formatUsers(users, query),
       meta: {
         offset,
         limit,
@@ -191,59 +173,44 @@ export async function handleStandardPagination(
   const hasOffset = url.searchParams.has("offset");
 
   if (hasOffset) {
-    console.log(`🎯 [API] Using offset-based pagination`);
     return handleOffsetPagination(req, url);
   }
 
   // Fall back to page-based pagination
-  console.log(`📄 [API] Using page-based pagination`);
-
-  // Parse query parameters for page-based pagination
   const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10));
-  const limit = parseInt(
-    url.searchParams.get("limit") || String(DEFAULT_LIMIT),
-    10
-  );
-  const searchTerm = url.searchParams.get("search") || "";
+  const limit = parseLimit(url);
+  const { query, error } = parseListQuery(url);
+  if (!query) {
+    return apiError(error!, 400);
+  }
 
   // Calculate start index based on page number
   const startIndex = (page - 1) * limit;
 
-  console.log(
-    `📄 [PAGE-API] Request: page=${page}, limit=${limit}, search="${searchTerm}"`
-  );
-
   // Add some artificial delay to simulate network latency
   // await new Promise(resolve => setTimeout(resolve, 300));
 
-  // Handle users list with pagination
-  let users: any[];
-  let total: number;
-
-  if (searchTerm) {
-    // Handle search case
-    const searchResults = searchUsers(searchTerm, startIndex, limit);
-    users = searchResults.users;
-    total = searchResults.totalMatches;
-  } else {
-    // Handle normal pagination without search
-    users = getUserBatch(startIndex, limit);
-    total = TOTAL_USERS;
-  }
+  // Handle users list with pagination (search, sort and filters applied)
+  const { users, total } = queryUsers(query, startIndex, limit);
 
   // Calculate pagination metadata
   const totalPages = Math.ceil(total / limit);
   const hasNext = page < totalPages;
   const hasPrev = page > 1;
 
-  console.log(
-    `✅ [PAGE-API] Response: ${users.length} items, page ${page}/${totalPages}, hasNext=${hasNext}`
-  );
+  logEvent("debug", "Users page", {
+    page,
+    limit,
+    search: query.search,
+    sort: url.searchParams.get("sort") || "-",
+    items: users.length,
+    total,
+  });
 
   // Return the paginated result with standard pagination metadata
   return new Response(
     JSON.stringify({
-      items: users,
+      items: formatUsers(users, query),
       meta: {
         page,
         limit,
@@ -0,0 +1,428 @@
+// server/api/users/store.ts
+import { USERS, TOTAL_USERS } from "../../data/users.js";
+import { USER_ROLES } from "../../data/list.ts";
+
+/**
+ * In-memory overlay over the pre-generated users
+ *
+ * The generated dataset is never mutated. Writes are recorded in an overlay:
+ * replaced base users, deleted base users and users created at runtime, which
+ * are appended after the base users. Positions are always resolved against
+ * the overlay, so totals, search and find-position reflect every change until
+ * the store is reset.
+ */
+
+// Replaced base users, keyed by base index
+const updatedUsers = new Map<number, any>();
+
+// Deleted base indexes, as a set for lookups and sorted for position math
+const deletedSet = new Set<number>();
+let deletedIndexes: number[] = [];
+
+// Users created at runtime, in insertion order
+let createdUsers: any[] = [];
+
+// Next id handed out to created users
+let nextId = TOTAL_USERS + 1;
+
+// Incremented on every change, lets caches detect stale data
+let version = 0;
+
+// Fields a user payload may contain
+const WRITABLE_FIELDS = ["name", "email", "role", "avatar", "phone"];
+
+// Loose email check, the demo only needs to reject obvious mistakes
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A validation problem with a payload field
+export interface ValidationIssue {
+  field: string;
+  message: string;
+}
+
+/**
+ * Get the number of users, including overlay changes
+ * @returns The current total
+ */
+export function getTotalUsers(): number {
+  return TOTAL_USERS - deletedIndexes.length + createdUsers.length;
+}
+
+/**
+ * Get the overlay version, incremented on every write
+ * @returns The current version
+ */
+export function getUsersVersion(): number {
+  return version;
+}
+
+/**
+ * Count deleted base indexes lower than or equal to an index
+ * @param index A base index
+ * @returns Number of deleted base users up to the index
+ */
+function countDeletedUpTo(index: number): number {
+  let low = 0;
+  let high = deletedIndexes.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (deletedIndexes[mid] <= index) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+/**
+ * Resolve a position among the remaining base users to a base index
+ * @param position Position among base users that are not deleted
+ * @returns The base index
+ */
+function resolveBaseIndex(position: number): number {
+  let index = position;
+
+  // Every deleted index at or before the candidate shifts it by one
+  for (const deleted of deletedIndexes) {
+    if (deleted <= index) index++;
+    else break;
+  }
+
+  return index;
+}
+
+/**
+ * Get the user at a position
+ * @param position The position (0-based)
+ * @returns The user or null if out of range
+ */
+export function getUserAt(position: number): any {
+  if (position < 0 || position >= getTotalUsers()) return null;
+
+  const baseCount = TOTAL_USERS - deletedIndexes.length;
+  if (position >= baseCount) {
+    return createdUsers[position - baseCount];
+  }
+
+  const index = resolveBaseIndex(position);
+  return updatedUsers.get(index) || USERS[index];
+}
+
+/**
+ * Get consecutive users starting at a position
+ * @param startIndex The starting position (0-based)
+ * @param count The number of users
+ * @returns An array of users
+ */
+export function getUsersInRange(startIndex: number, count: number): any[] {
+  const users: any[] = [];
+  const total = getTotalUsers();
+  const end = Math.min(startIndex + count, total);
+  const baseCount = TOTAL_USERS - deletedIndexes.length;
+
+  let position = Math.max(0, startIndex);
+  let index = position < baseCount ? resolveBaseIndex(position) : TOTAL_USERS;
+
+  // Walk base users, skipping deleted ones
+  while (position < end && position < baseCount) {
+    if (!deletedSet.has(index)) {
+      users.push(updatedUsers.get(index) || USERS[index]);
+      position++;
+    }
+    index++;
+  }
+
+  // Continue with created users
+  while (position < end) {
+    users.push(createdUsers[position - baseCount]);
+    position++;
+  }
+
+  return users;
+}
+
+/**
+ * Visit every user in list order
+ * @param callback Called with each user and its position
+ */
+export function forEachUser(callback: (user: any, position: number) => void): void {
+  let position = 0;
+
+  for (let index = 0; index < TOTAL_USERS; index++) {
+    if (deletedSet.size > 0 && deletedSet.has(index)) continue;
+    callback(updatedUsers.get(index) || USERS[index], position++);
+  }
+
+  for (const user of createdUsers) {
+    callback(user, position++);
+  }
+}
+
+/**
+ * Check whether a base user was replaced or deleted
+ * @param index A base index
+ * @returns True if the generated user no longer applies
+ */
+export function isBaseUserChanged(index: number): boolean {
+  return deletedSet.has(index) || updatedUsers.has(index);
+}
+
+/**
+ * Get the list position of a base user that is not deleted
+ * @param index A base index
+ * @returns The position (0-based)
+ */
+export function getBasePosition(index: number): number {
+  return index - countDeletedUpTo(index);
+}
+
+/**
+ * Visit the users that differ from the generated dataset
+ * Replaced base users come first, then created users
+ * @param callback Called with each user and its position
+ */
+export function forEachChangedUser(callback: (user: any, position: number) => void): void {
+  for (const [index, user] of updatedUsers) {
+    callback(user, getBasePosition(index));
+  }
+
+  const baseCount = TOTAL_USERS - deletedIndexes.length;
+  createdUsers.forEach((user, index) => callback(user, baseCount + index));
+}
+
+/**
+ * Locate a user by id
+ * @param id The user id
+ * @returns Where the user lives in the store, or null if not found
+ */
+function locateUser(id: number): { base: boolean; index: number } | null {
+  if (!Number.isInteger(id) || id < 1) return null;
+
+  if (id <= TOTAL_USERS) {
+    const index = id - 1;
+    return deletedSet.has(index) ? null : { base: true, index };
+  }
+
+  const index = createdUsers.findIndex((user) => Number(user.id) === id);
+  return index === -1 ? null : { base: false, index };
+}
+
+/**
+ * Find a user by id
+ * @param id The user id
+ * @returns The user or null if not found or deleted
+ */
+export function findUser(id: number): any {
+  const location = locateUser(id);
+  if (!location) return null;
+
+  return location.base
+    ? updatedUsers.get(location.index) || USERS[location.index]
+    : createdUsers[location.index];
+}
+
+/**
+ * Get the list position of a user
+ * @param id The user id
+ * @returns The position (0-based) or -1 if not found
+ */
+export function getUserPosition(id: number): number {
+  const location = locateUser(id);
+  if (!location) return -1;
+
+  if (location.base) {
+    return getBasePosition(location.index);
+  }
+
+  return TOTAL_USERS - deletedIndexes.length + location.index;
+}
+
+/**
+ * Validate a user payload
+ * @param data The payload
+ * @param partial Whether missing fields are allowed (PATCH)
+ * @returns Validation issues, empty if the payload is valid
+ */
+export function validateUser(data: any, partial: boolean = false): ValidationIssue[] {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return [{ field: "", message: "Payload must be a JSON object" }];
+  }
+
+  const issues: ValidationIssue[] = [];
+
+  for (const field of Object.keys(data)) {
+    if (field !== "id" && !WRITABLE_FIELDS.includes(field)) {
+      issues.push({ field, message: "Unknown field" });
+    }
+  }
+
+  const required = (field: string) => !partial || field in data;
+
+  if (required("name")) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      issues.push({ field: "name", message: "Name is required" });
+    } else if (data.name.length > 100) {
+      issues.push({ field: "name", message: "Name must be at most 100 characters" });
+    }
+  }
+
+  if (required("email")) {
+    if (typeof data.email !== "string" || !EMAIL_PATTERN.test(data.email)) {
+      issues.push({ field: "email", message: "A valid email address is required" });
+    }
+  }
+
+  if (required("role")) {
+    if (!USER_ROLES.includes(data.role)) {
+      issues.push({ field: "role", message: `Role must be one of: ${USER_ROLES.join(", ")}` });
+    }
+  }
+
+  if ("avatar" in data && (typeof data.avatar !== "string" || !data.avatar)) {
+    issues.push({ field: "avatar", message: "Avatar must be a non-empty string" });
+  }
+
+  if ("phone" in data && data.phone !== null && typeof data.phone !== "string") {
+    issues.push({ field: "phone", message: "Phone must be a string or null" });
+  }
+
+  return issues;
+}
+
+/**
+ * Build a user object from a validated payload
+ * @param id The user id
+ * @param data The payload
+ * @returns A user in the shape of the generated users
+ */
+function buildUser(id: number, data: any): any {
+  const user: any = {
+    id: String(id),
+    name: data.name.trim(),
+    email: data.email,
+    role: data.role,
+    avatar: data.avatar || data.name.trim().charAt(0),
+  };
+
+  // Phone is optional, like in the generated data
+  if (data.phone) {
+    user.phone = data.phone;
+  }
+
+  return user;
+}
+
+/**
+ * Store a user at its location
+ * @param location Where the user lives
+ * @param user The new user object
+ */
+function storeUser(location: { base: boolean; index: number }, user: any): void {
+  if (location.base) {
+    updatedUsers.set(location.index, user);
+  } else {
+    createdUsers[location.index] = user;
+  }
+  version++;
+}
+
+/**
+ * Create a user, appended at the end of the list
+ * @param data A validated payload
+ * @returns The created user
+ */
+export function createUser(data: any): any {
+  const user = buildUser(nextId++, data);
+  createdUsers.push(user);
+  version++;
+  return user;
+}
+
+/**
+ * Replace a user
+ * @param id The user id
+ * @param data A validated payload
+ * @returns The replaced user or null if not found
+ */
+export function replaceUser(id: number, data: any): any {
+  const location = locateUser(id);
+  if (!location) return null;
+
+  const user = buildUser(id, data);
+  storeUser(location, user);
+  return user;
+}
+
+/**
+ * Update some fields of a user
+ * @param id The user id
+ * @param patch A validated partial payload
+ * @returns The updated user or null if not found
+ */
+export function updateUser(id: number, patch: any): any {
+  const location = locateUser(id);
+  if (!location) return null;
+
+  const { id: _, ...changes } = patch;
+  const user = { ...findUser(id), ...changes };
+
+  // A null phone removes it
+  if (user.phone === null) {
+    delete user.phone;
+  }
+
+  storeUser(location, user);
+  return user;
+}
+
+/**
+ * Delete a user
+ * @param id The user id
+ * @returns True if the user existed
+ */
+export function deleteUser(id: number): boolean {
+  const location = locateUser(id);
+  if (!location) return false;
+
+  if (location.base) {
+    deletedSet.add(location.index);
+    updatedUsers.delete(location.index);
+    deletedIndexes.splice(countDeletedUpTo(location.index), 0, location.index);
+  } else {
+    createdUsers.splice(location.index, 1);
+  }
+
+  version++;
+  return true;
+}
+
+/**
+ * Drop every overlay change and restore the generated dataset
+ */
+export function resetUsers(): void {
+  updatedUsers.clear();
+  deletedSet.clear();
+  deletedIndexes = [];
+  createdUsers = [];
+  nextId = TOTAL_USERS + 1;
+  version++;
+}
+
+export default {
+  getTotalUsers,
+  getUsersVersion,
+  getUserAt,
+  getUsersInRange,
+  forEachUser,
+  isBaseUserChanged,
+  getBasePosition,
+  forEachChangedUser,
+  findUser,
+  getUserPosition,
+  validateUser,
+  createUser,
+  replaceUser,
+  updateUser,
+  deleteUser,
+  resetUsers,
+};
@@ -0,0 +1,173 @@
+// server/api/users/write.ts
+import { apiError } from "./base.js";
+import {
+  validateUser,
+  createUser,
+  replaceUser,
+  updateUser,
+  deleteUser,
+  resetUsers,
+  getTotalUsers,
+} from "./store.js";
+import { logEvent } from "../../middleware/logger.js";
+
+/**
+ * Create a JSON response for write endpoints
+ * @param data Response body
+ * @param status HTTP status code
+ * @param headers Additional headers
+ * @returns Response object
+ */
+function jsonResponse(
+  data: any,
+  status: number = 200,
+  headers: Record<string, string> = {}
+): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+      ...headers,
+    },
+  });
+}
+
+/**
+ * Read and validate a user payload from a request
+ * @param req The request object
+ * @param partial Whether missing fields are allowed (PATCH)
+ * @param userId The user ID from the path, if any
+ * @returns The payload or an error response
+ */
+async function readUserPayload(
+  req: Request,
+  partial: boolean,
+  userId?: number
+): Promise<{ data?: any; error?: Response }> {
+  let data: any;
+
+  try {
+    data = await req.json();
+  } catch (error) {
+    return { error: apiError("Invalid JSON body", 400) };
+  }
+
+  const issues = validateUser(data, partial);
+
+  // The id is defined by the path and cannot be changed
+  if (data && typeof data === "object" && "id" in data) {
+    if (userId === undefined || String(data.id) !== String(userId)) {
+      issues.push({ field: "id", message: "The id cannot be set or changed" });
+    }
+  }
+
+  if (issues.length > 0) {
+    return { error: apiError("Validation failed", 422, issues) };
+  }
+
+  return { data };
+}
+
+/**
+ * Handle POST /api/users
+ * @param req The request object
+ * @returns A response with the created user
+ */
+export async function handleCreateUser(req: Request): Promise<Response> {
+  const { data, error } = await readUserPayload(req, false);
+  if (error) return error;
+
+  const user = createUser(data);
+  logEvent("info", "User created", { id: user.id });
+
+  return jsonResponse(user, 201, {
+    Location: `/api/users/${user.id}`,
+    "X-Total-Count": String(getTotalUsers()),
+  });
+}
+
+/**
+ * Handle PUT /api/users/:id
+ * @param req The request object
+ * @param userId The user ID
+ * @returns A response with the replaced user
+ */
+export async function handleReplaceUser(
+  req: Request,
+  userId: number
+): Promise<Response> {
+  const { data, error } = await readUserPayload(req, false, userId);
+  if (error) return error;
+
+  const user = replaceUser(userId, data);
+  if (!user) return apiError("User not found");
+
+  logEvent("info", "User replaced", { id: userId });
+  return jsonResponse(user);
+}
+
+/**
+ * Handle PATCH /api/users/:id
+ * @param req The request object
+ * @param userId The user ID
+ * @returns A response with the updated user
+ */
+export async function handleUpdateUser(
+  req: Request,
+  userId: number
+): Promise<Response> {
+  const { data, error } = await readUserPayload(req, true, userId);
+  if (error) return error;
+
+  const user = updateUser(userId, data);
+  if (!user) return apiError("User not found");
+
+  logEvent("info", "User updated", { id: userId });
+  return jsonResponse(user);
+}
+
+/**
+ * Handle DELETE /api/users/:id
+ * @param req The request object
+ * @param userId The user ID
+ * @returns An empty response
+ */
+export async function handleDeleteUser(
+  req: Request,
+  userId: number
+): Promise<Response> {
+  if (!deleteUser(userId)) {
+    return apiError("User not found");
+  }
+
+  logEvent("info", "User deleted", { id: userId });
+  return new Response(null, {
+    status: 204,
+    headers: {
+      "Cache-Control": "no-store",
+      "X-Total-Count": String(getTotalUsers()),
+    },
+  });
+}
+
+/**
+ * Handle POST /api/users/reset
+ * Drops every change and restores the generated dataset
+ * @param req The request object
+ * @returns A response with the restored total
+ */
+export async function handleResetUsers(req: Request): Promise<Response> {
+  resetUsers();
+  logEvent("info", "Users reset");
+
+  return jsonResponse({ reset: true, total: getTotalUsers() });
+}
+
+export default {
+  handleCreateUser,
+  handleReplaceUser,
+  handleUpdateUser,
+  handleDeleteUser,
+  handleResetUsers,
+};
@@ -1,5 +1,6 @@
 // server/config.ts
-import { join, dirname } from "path";
+import { join, dirname, resolve, basename } from "path";
+import { existsSync } from "fs";
 import { fileURLToPath } from "url";
 
 // Get directory name in ESM
@@ -12,11 +13,24 @@ interface CacheSettings {
   development: number;
 }
 
+// Token bucket of a rate limit group: limit requests per window, refilled continuously
+export interface RateLimitGroup {
+  limit: number; // Requests allowed in a burst
+  window: number; // Seconds to refill the whole bucket
+}
+
+// Key used to sign API cursors
+export interface CursorKey {
+  id: string; // Key id embedded in cursors, selects the key on decode
+  secret: string;
+}
+
 // Config interface
 export interface ServerConfig {
   port: number;
   isProduction: boolean;
-  baseUrl: string; // Added baseUrl property
+  baseUrl: string; // Public URL of the site, used in canonical links, sitemaps and structured data
+  trustProxy: boolean; // Take the client IP from X-Forwarded-For (behind a reverse proxy)
   paths: {
     root: string;
     dist: string;
@@ -24,60 +38,617 @@ export interface ServerConfig {
     public: string;
     templates: string;
     reloadFile: string;
+    data: string; // JSON fixtures exposed as API collections
+    clientData: string; // Client fixtures exposed as API collections
   };
   compression: {
-    level: number;
+    enabled: boolean; // Compress dynamic responses and serve precompressed files
+    level: number; // gzip level
+    brotliQuality: number;
+    zstdLevel: number;
     threshold: number;
+    cacheSize: number; // Bytes of compressed responses kept in memory
   };
   cache: {
     css: CacheSettings;
     js: CacheSettings;
     assets: CacheSettings;
+    sitemap: CacheSettings; // sitemap.xml, sitemap.json and robots.txt
+    bots: number; // Pages and snapshots served to bots
+  };
+  cursors: {
+    ttl: number; // Seconds a cursor stays valid, 0 disables expiry
+    keys: CursorKey[]; // Key ring, the first key signs new cursors
+  };
+  chaos: {
+    enabled: boolean; // Allow latency and failure injection on /api/*
+    maxHang: number; // Milliseconds a hanging response is held at most
+  };
+  logging: {
+    level: "debug" | "info" | "warn" | "error"; // Lines below this level are dropped
+    format: "json" | "pretty"; // Console output, files always get JSON lines
+    file: string; // Log file, empty logs to the console only
+    maxSize: number; // Bytes before the file is rotated, 0 disables rotation by size
+    daily: boolean; // Rotate the file when the date changes
+    keep: number; // Rotated files kept
+  };
+  metrics: {
+    enabled: boolean; // Serve Prometheus metrics at /metrics
+    token: string; // Bearer token required to read them, mandatory in production
+  };
+  rateLimit: {
+    enabled: boolean; // Limit /api requests per client IP and route group
+    allowlist: string[]; // Client IPs that are never limited
+    maxClients: number; // Buckets kept in memory, idle ones are dropped first
+    groups: Record<string, RateLimitGroup>; // Routes pick a group, "default" otherwise
+  };
+  security: {
+    enabled: boolean; // Add the security headers to responses
+    reportOnly: boolean; // Send Content-Security-Policy-Report-Only, nothing is blocked
+    contentSecurityPolicy: Record<string, string[]>; // Directives, "'nonce'" stands for the request nonce
+    reportUri: string; // Where browsers post CSP violations, empty disables reporting
+    reportLimit: number; // CSP violation reports kept in memory
+    referrerPolicy: string;
+    permissionsPolicy: string;
+    hstsMaxAge: number; // Seconds, 0 disables Strict-Transport-Security
   };
 }
 
-// Environment configuration
-const config: ServerConfig = {
-  // Server settings
-  port: Number(process.env.PORT) || 4000,
-  isProduction: process.env.NODE_ENV === "production",
-  
-  // Base URL - automatically determined based on environment
-  baseUrl: process.env.NODE_ENV === "production" 
-    ? "https://mtrl.app" 
-    : `http://localhost:${Number(process.env.PORT) || 4000}`,
-  
-  // Paths
-  paths: {
-    root: PROJECT_ROOT,
-    dist: join(PROJECT_ROOT, "dist"),
-    srcDist: join(PROJECT_ROOT, "server", "dist"),
-    public: join(PROJECT_ROOT, "public"),
-    templates: join(PROJECT_ROOT, "server", "templates"),
-    reloadFile: join(PROJECT_ROOT, "server", "dist", "reload")
-  },
-  
-  // Compression settings
-  compression: {
-    level: 6, // 0-9, higher = more compression but slower
-    threshold: 1024, // Only compress responses larger than 1KB
-  },
-  
-  // Cache settings (durations in seconds)
-  cache: {
-    css: {
-      production: 86400, // 1 day
-      development: 3600  // 1 hour
+
+// Any part of the server config, the default export of a config file
+type DeepPartial<T> = {
+  [K in keyof T]?: T[K] extends unknown[] ? T[K] : T[K] extends object ? DeepPartial<T[K]> : T[K];
+};
+export type ConfigOverrides = DeepPartial<ServerConfig>;
+
+/**
+ * Server configuration
+ *
+ * Settings are resolved in layers, each one overriding the previous:
+ *
+ *   1. Defaults (createDefaults), some depend on the mode
+ *   2. mtrl-app.config.ts at the project root, or the file given by --config
+ *   3. Environment variables (ENV_OPTIONS)
+ *   4. Command line flags, named after the variables: PORT -> --port 5000,
+ *      BASE_URL -> --base-url=https://staging.mtrl.app
+ *
+ * The config file can set any setting, e.g. longer asset caching:
+ *
+ *   import type { ConfigOverrides } from "./server/config.ts";
+ *
+ *   export default {
+ *     cache: { assets: { production: 2592000 } },
+ *   } satisfies ConfigOverrides;
+ *
+ * The result is validated when the server starts, which lists the invalid
+ * settings and exits, and printed at boot (describeConfig).
+ */
+
+// Config file read from the project root
+const CONFIG_FILE = "mtrl-app.config.ts";
+
+const DEFAULT_PORT = 4000;
+
+// Development-only signing key, production must set CURSOR_KEYS
+const DEFAULT_CURSOR_KEY: CursorKey = { id: "dev", secret: "dev-cursor-secret-change-me" };
+
+// Never rate limited in development. Production leaves them out: behind a
+// reverse proxy without trustProxy, every client comes from loopback
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+// Settings whose keys are free, e.g. the names of rate limit groups
+const OPEN_SETTINGS = ["rateLimit.groups", "security.contentSecurityPolicy"];
+
+// Settings masked when the config is printed
+const SECRET_SETTINGS = ["metrics.token", "cursors.keys"];
+
+// A setting read from an environment variable and the matching flag
+interface EnvOption {
+  env: string; // Variable name, the flag is its kebab-case form
+  key: string; // Dotted path of the setting
+  parse: (value: string) => unknown;
+}
+
+// Parsers of raw values, invalid values are kept as is and reported by validate()
+const toNumber = (value: string) => (value.trim() !== "" && !isNaN(Number(value)) ? Number(value) : value);
+const toBoolean = (value: string) =>
+  value === "true" || value === "1" ? true : value === "false" || value === "0" ? false : value;
+const toList = (value: string) => value.split(",").map((item) => item.trim()).filter(Boolean);
+const toText = (value: string) => value;
+
+/**
+ * Parse a cursor key ring
+ * Format: "id:secret,id:secret", the first key signs new cursors and the
+ * others only validate existing ones, which allows rotating keys
+ * @param value Raw value
+ * @returns The key ring
+ */
+function parseCursorKeys(value: string): CursorKey[] {
+  return toList(value).map((entry) => {
+    const separator = entry.indexOf(":");
+    return separator > 0
+      ? { id: entry.slice(0, separator), secret: entry.slice(separator + 1) }
+      : { id: entry, secret: "" };
+  });
+}
+
+// Environment variables, in the order they are documented
+const ENV_OPTIONS: EnvOption[] = [
+  { env: "NODE_ENV", key: "isProduction", parse: (value) => value === "production" },
+  { env: "PORT", key: "port", parse: toNumber },
+  { env: "BASE_URL", key: "baseUrl", parse: toText },
+  // Only enable behind a proxy that sets X-Forwarded-For, clients can send it too
+  { env: "TRUST_PROXY", key: "trustProxy", parse: toBoolean },
+  { env: "COMPRESSION_ENABLED", key: "compression.enabled", parse: toBoolean },
+  { env: "COMPRESSION_LEVEL", key: "compression.level", parse: toNumber },
+  { env: "CURSOR_TTL", key: "cursors.ttl", parse: toNumber },
+  { env: "CURSOR_KEYS", key: "cursors.keys", parse: parseCursorKeys },
+  { env: "CHAOS_ENABLED", key: "chaos.enabled", parse: toBoolean },
+  { env: "LOG_LEVEL", key: "logging.level", parse: toText },
+  { env: "LOG_FORMAT", key: "logging.format", parse: toText },
+  { env: "LOG_FILE", key: "logging.file", parse: toText },
+  { env: "METRICS_ENABLED", key: "metrics.enabled", parse: toBoolean },
+  { env: "METRICS_TOKEN", key: "metrics.token", parse: toText },
+  { env: "RATE_LIMIT_ENABLED", key: "rateLimit.enabled", parse: toBoolean },
+  // Added to the loopback addresses in development
+  { env: "RATE_LIMIT_ALLOWLIST", key: "rateLimit.allowlist", parse: toList },
+  { env: "SECURITY_HEADERS", key: "security.enabled", parse: toBoolean },
+  { env: "CSP_REPORT_ONLY", key: "security.reportOnly", parse: toBoolean },
+];
+
+/**
+ * Get the command line flag of an environment variable
+ * @param env Variable name
+ * @returns Flag name without the dashes, e.g. base-url
+ */
+function toFlag(env: string): string {
+  return env.toLowerCase().replace(/_/g, "-");
+}
+
+/**
+ * Create the default settings
+ * @param isProduction Production mode
+ * @param port Server port, part of the development base URL
+ * @returns The defaults
+ */
+function createDefaults(isProduction: boolean, port: number): ServerConfig {
+  return {
+    // Server settings
+    port,
+    isProduction,
+    baseUrl: isProduction ? "https://mtrl.app" : `http://localhost:${port}`,
+    trustProxy: false,
+
+    // Paths, relative ones in a config file are resolved from the project root
+    paths: {
+      root: PROJECT_ROOT,
+      dist: join(PROJECT_ROOT, "dist"),
+      srcDist: join(PROJECT_ROOT, "server", "dist"),
+      public: join(PROJECT_ROOT, "public"),
+      templates: join(PROJECT_ROOT, "server", "templates"),
+      reloadFile: join(PROJECT_ROOT, "server", "dist", "reload"),
+      data: join(PROJECT_ROOT, "server", "data"),
+      clientData: join(PROJECT_ROOT, "client", "data")
+    },
+
+    // Compression settings (production only unless enabled)
+    compression: {
+      enabled: isProduction,
+      level: 6, // 0-9, higher = more compression but slower
+      brotliQuality: 5, // 0-11, build.js uses 11 for precompressed files
+      zstdLevel: 3, // 1-19
+      threshold: 1024, // Only compress responses larger than 1KB
+      cacheSize: 32 * 1024 * 1024, // 32 MB
+    },
+
+    // Cache settings (durations in seconds)
+    cache: {
+      css: {
+        production: 86400, // 1 day
+        development: 3600  // 1 hour
+      },
+      js: {
+        production: 86400, // 1 day
+        development: 0     // No cache
+      },
+      assets: {
+        production: 604800, // 7 days
+        development: 86400  // 1 day
+      },
+      sitemap: {
+        production: 86400, // 1 day
+        development: 0     // Always revalidate
+      },
+      bots: 3600 // 1 hour
+    },
+
+    // API cursor signing
+    cursors: {
+      ttl: 3600, // 1 hour, 0 disables expiry
+      keys: [DEFAULT_CURSOR_KEY]
+    },
+
+    // Chaos injection for the mock API (development only unless enabled)
+    chaos: {
+      enabled: !isProduction,
+      maxHang: 60000 // 1 minute
+    },
+
+    // Access and error logs (JSON lines in production)
+    logging: {
+      level: isProduction ? "info" : "debug", // Per-request details are debug lines
+      format: isProduction ? "json" : "pretty",
+      file: "",
+      maxSize: 10 * 1024 * 1024, // 10 MB
+      daily: true,
+      keep: 14
     },
-    js: {
-      production: 86400, // 1 day
-      development: 0     // No cache
+
+    // Prometheus metrics, production only serves them with a token
+    metrics: {
+      enabled: true,
+      token: ""
+    },
+
+    // API rate limiting (durations in seconds)
+    rateLimit: {
+      enabled: true,
+      allowlist: isProduction ? [] : [...LOOPBACK_ADDRESSES],
+      maxClients: 10000,
+      groups: {
+        default: { limit: 120, window: 60 },
+        // Searches scan the whole index, plain paging stays in the default group
+        search: { limit: 30, window: 60 },
+        // Browsers send CSP reports in bursts when a page breaks
+        reports: { limit: 60, window: 60 }
+      }
     },
-    assets: {
-      production: 604800, // 7 days
-      development: 86400  // 1 day
+
+    // Security headers, the CSP is only sent with server-rendered pages
+    security: {
+      enabled: true,
+      reportOnly: false,
+      contentSecurityPolicy: {
+        "default-src": ["'self'"],
+        // The layout demo evaluates the schema typed by the user
+        "script-src": ["'self'", "'nonce'", "'unsafe-eval'"],
+        // Components position and animate elements with inline styles
+        "style-src": ["'self'", "'unsafe-inline'"],
+        "img-src": ["'self'", "data:", "https:"],
+        "font-src": ["'self'", "data:"],
+        // Art Institute of Chicago API, used by the list demos
+        "connect-src": ["'self'", "https://api.artic.edu"],
+        "object-src": ["'none'"],
+        "base-uri": ["'self'"],
+        "form-action": ["'self'"],
+        "frame-ancestors": ["'self'"]
+      },
+      reportUri: "/api/csp-report",
+      reportLimit: 200,
+      referrerPolicy: "strict-origin-when-cross-origin",
+      permissionsPolicy: "camera=(), microphone=(), geolocation=(), payment=(), usb=()",
+      hstsMaxAge: isProduction ? 31536000 : 0 // 1 year, never on localhost
     }
+  };
+}
+
+/**
+ * Check if a value is a plain object
+ * @param value Any value
+ * @returns True for objects that aren't arrays
+ */
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Read a setting
+ * @param settings Settings object
+ * @param key Dotted path, e.g. compression.level
+ * @returns The value, undefined if a part of the path is missing
+ */
+function getSetting(settings: unknown, key: string): any {
+  return key.split(".").reduce((value: any, part) => (isObject(value) ? value[part] : undefined), settings);
+}
+
+/**
+ * Write a setting, creating the objects on its path
+ * @param settings Settings object
+ * @param key Dotted path
+ * @param value The value
+ */
+function setSetting(settings: Record<string, any>, key: string, value: unknown): void {
+  const parts = key.split(".");
+  const last = parts.pop()!;
+  let target = settings;
+
+  for (const part of parts) {
+    if (!isObject(target[part])) target[part] = {};
+    target = target[part];
   }
-};
+  target[last] = value;
+}
+
+/**
+ * List the settings of an object, arrays count as one setting
+ * @param settings Settings object
+ * @param prefix Path of the object
+ * @returns Dotted paths of the values
+ */
+function listSettings(settings: Record<string, any>, prefix: string = ""): string[] {
+  return Object.entries(settings).flatMap(([name, value]) =>
+    isObject(value) ? listSettings(value, `${prefix}${name}.`) : [`${prefix}${name}`]
+  );
+}
+
+/**
+ * Merge settings into a copy of others, objects are merged and other values replaced
+ * @param target Base settings
+ * @param source Overriding settings
+ * @returns The merged settings
+ */
+function merge<T extends Record<string, any>>(target: T, source: Record<string, any>): T {
+  const result: Record<string, any> = { ...target };
+
+  for (const [name, value] of Object.entries(source)) {
+    result[name] = isObject(value) && isObject(result[name]) ? merge(result[name], value) : value;
+  }
+
+  return result as T;
+}
+
+/**
+ * Parse the command line flags
+ * Flags take a value as --name=value or --name value, or are true on their own
+ * @param args Command line arguments
+ * @returns Values by flag name
+ */
+function parseFlags(args: string[]): Map<string, string> {
+  const flags = new Map<string, string>();
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    // Other arguments belong to the runtime
+    if (!match) continue;
+
+    const next = args[i + 1];
+    const value = match[2] ?? (next !== undefined && !next.startsWith("--") ? args[++i] : "true");
+    flags.set(match[1], value);
+  }
+
+  return flags;
+}
+
+/**
+ * Find where a setting was set
+ * @param sources Sources by setting
+ * @param key Dotted path
+ * @returns The source of the setting or of the object containing it, "default" otherwise
+ */
+function findSource(sources: Map<string, string>, key: string): string {
+  for (const [setting, source] of sources) {
+    if (setting === key || key.startsWith(`${setting}.`) || setting.startsWith(`${key}.`)) return source;
+  }
+  return "default";
+}
+
+// Checks of the settings: test and description of the expected value
+type Check = [key: string, test: (value: any) => boolean, expected: string];
+
+const isBoolean = (value: unknown) => typeof value === "boolean";
+const isText = (value: unknown) => typeof value === "string";
+const isTextList = (value: unknown) => Array.isArray(value) && value.every(isText);
+const isInteger = (min: number, max: number = Infinity) => (value: unknown) =>
+  Number.isInteger(value) && (value as number) >= min && (value as number) <= max;
+
+/**
+ * Check an http(s) URL
+ * @param value Any value
+ * @returns True for absolute http and https URLs
+ */
+function isHttpUrl(value: unknown): boolean {
+  try {
+    return isText(value) && ["http:", "https:"].includes(new URL(value as string).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the settings
+ * @param config Merged settings
+ * @param sources Sources of the overridden settings, for the messages
+ * @returns Errors, empty when the settings are valid
+ */
+function validate(config: ServerConfig, sources: Map<string, string>): string[] {
+  const seconds = "a number of seconds (integer, 0 or more)";
+  const cacheKeys = isObject(config.cache) ? listSettings(config.cache, "cache.") : [];
+  const groups = isObject(config.rateLimit?.groups) ? Object.keys(config.rateLimit.groups) : [];
+  const paths = isObject(config.paths) ? Object.keys(config.paths) : [];
+
+  const checks: Check[] = [
+    ["port", isInteger(1, 65535), "an integer from 1 to 65535"],
+    ["isProduction", isBoolean, "true or false"],
+    ["baseUrl", isHttpUrl, "an http or https URL"],
+    ["trustProxy", isBoolean, "true or false"],
+    ...paths.map((name): Check => [`paths.${name}`, isText, "a path"]),
+    ["compression.enabled", isBoolean, "true or false"],
+    ["compression.level", isInteger(0, 9), "an integer from 0 to 9"],
+    ["compression.brotliQuality", isInteger(0, 11), "an integer from 0 to 11"],
+    ["compression.zstdLevel", isInteger(1, 19), "an integer from 1 to 19"],
+    ["compression.threshold", isInteger(0), "a number of bytes"],
+    ["compression.cacheSize", isInteger(0), "a number of bytes"],
+    ...cacheKeys.map((key): Check => [key, isInteger(0), seconds]),
+    ["cursors.ttl", isInteger(0), seconds],
+    [
+      "cursors.keys",
+      (keys) =>
+        Array.isArray(keys) &&
+        keys.length > 0 &&
+        // Key ids are embedded in cursors, keep them URL and separator safe
+        keys.every((key) => isObject(key) && /^[\w-]+$/.test(key.id) && isText(key.secret) && key.secret.length > 0),
+      "a list of id:secret keys, ids made of letters, digits, _ and -"
+    ],
+    [
+      "cursors.keys",
+      // Anyone can sign cursors with the development key, it is public
+      (keys) => !config.isProduction || !Array.isArray(keys) || !keys.some((key) => key?.secret === DEFAULT_CURSOR_KEY.secret),
+      "set with CURSOR_KEYS in production, not the development key"
+    ],
+    ["chaos.enabled", isBoolean, "true or false"],
+    ["chaos.maxHang", isInteger(0), "a number of milliseconds"],
+    ["logging.level", (value) => ["debug", "info", "warn", "error"].includes(value), '"debug", "info", "warn" or "error"'],
+    ["logging.format", (value) => value === "json" || value === "pretty", '"json" or "pretty"'],
+    ["logging.file", isText, "a path, empty to log to the console only"],
+    ["logging.maxSize", isInteger(0), "a number of bytes"],
+    ["logging.daily", isBoolean, "true or false"],
+    ["logging.keep", isInteger(0), "a number of files"],
+    ["metrics.enabled", isBoolean, "true or false"],
+    ["metrics.token", isText, "a string"],
+    ["rateLimit.enabled", isBoolean, "true or false"],
+    ["rateLimit.allowlist", isTextList, "a list of IP addresses"],
+    ["rateLimit.maxClients", isInteger(1), "a positive integer"],
+    // Routes without a group use the default one
+    ["rateLimit.groups.default", isObject, "a rate limit group ({ limit, window })"],
+    ...groups.flatMap((name): Check[] => [
+      [`rateLimit.groups.${name}.limit`, isInteger(1), "a positive integer"],
+      [`rateLimit.groups.${name}.window`, (value) => typeof value === "number" && value > 0, "a positive number of seconds"],
+    ]),
+    ["security.enabled", isBoolean, "true or false"],
+    ["security.reportOnly", isBoolean, "true or false"],
+    [
+      "security.contentSecurityPolicy",
+      (policy) => isObject(policy) && Object.values(policy).every(isTextList),
+      "directives mapped to lists of sources"
+    ],
+    ["security.reportUri", isText, "a URL, empty to disable reporting"],
+    ["security.reportLimit", isInteger(0), "a number of reports"],
+    ["security.referrerPolicy", isText, "a string"],
+    ["security.permissionsPolicy", isText, "a string"],
+    ["security.hstsMaxAge", isInteger(0), seconds],
+  ];
+
+  return checks
+    .filter(([key, test]) => !test(getSetting(config, key)))
+    .map(([key, , expected]) =>
+      `${key} must be ${expected}, got ${JSON.stringify(getSetting(config, key)) ?? "nothing"} (${findSource(sources, key)})`
+    );
+}
+
+/**
+ * Load the settings from the defaults, the config file, the environment and the command line
+ * @param args Command line arguments
+ * @param env Environment variables
+ * @returns The settings, the sources of the overridden ones and the errors found
+ */
+export function loadConfig(
+  args: string[],
+  env: Record<string, string | undefined>
+): { config: ServerConfig; sources: Map<string, string>; errors: string[] } {
+  const errors: string[] = [];
+  const sources = new Map<string, string>();
+  const flags = parseFlags(args);
+  let overrides: Record<string, any> = {};
+
+  // Config file
+  const file = resolve(PROJECT_ROOT, flags.get("config") || CONFIG_FILE);
+  let fileSettings: string[] = [];
+
+  if (existsSync(file)) {
+    try {
+      // Loaded synchronously, so invalid settings stop the server before other modules start
+      const { default: settings } = require(file);
+      if (isObject(settings)) {
+        overrides = merge(overrides, settings);
+        fileSettings = listSettings(settings);
+        fileSettings.forEach((key) => sources.set(key, basename(file)));
+      } else {
+        errors.push(`${basename(file)} must export the settings object as its default export`);
+      }
+    } catch (error: any) {
+      errors.push(`${basename(file)} could not be loaded: ${error.message}`);
+    }
+  } else if (flags.has("config")) {
+    errors.push(`--config: ${file} does not exist`);
+  }
+  flags.delete("config");
+
+  // Environment variables, empty ones are ignored
+  for (const option of ENV_OPTIONS) {
+    const value = env[option.env];
+    if (value === undefined || value === "") continue;
+
+    setSetting(overrides, option.key, option.parse(value));
+    sources.set(option.key, option.env);
+  }
+
+  // Command line flags
+  for (const [name, value] of flags) {
+    const option = ENV_OPTIONS.find((candidate) => toFlag(candidate.env) === name);
+    if (!option) {
+      errors.push(`--${name}: unknown flag, flags are ${ENV_OPTIONS.map((candidate) => `--${toFlag(candidate.env)}`).join(", ")} and --config`);
+      continue;
+    }
+
+    setSetting(overrides, option.key, option.parse(value));
+    sources.set(option.key, `--${name}`);
+  }
+
+  // Defaults of the mode, then the overrides
+  const port = Number.isInteger(overrides.port) ? overrides.port : DEFAULT_PORT;
+  const defaults = createDefaults(overrides.isProduction === true, port);
+
+  for (const key of fileSettings) {
+    const open = OPEN_SETTINGS.some((setting) => key.startsWith(`${setting}.`));
+    if (!open && getSetting(defaults, key) === undefined) {
+      errors.push(`${key} is not a setting (${basename(file)})`);
+    }
+  }
+
+  const config = merge(defaults, overrides);
+
+  // Relative paths are resolved from the project root
+  if (isText(config.baseUrl)) config.baseUrl = config.baseUrl.replace(/\/+$/, "");
+  if (isText(config.logging?.file) && config.logging.file) config.logging.file = resolve(PROJECT_ROOT, config.logging.file);
+  if (!config.isProduction && Array.isArray(config.rateLimit?.allowlist)) {
+    config.rateLimit.allowlist = [...new Set([...LOOPBACK_ADDRESSES, ...config.rateLimit.allowlist])];
+  }
+  if (isObject(config.paths)) {
+    for (const [name, path] of Object.entries(config.paths)) {
+      if (isText(path)) (config.paths as Record<string, string>)[name] = resolve(PROJECT_ROOT, path);
+    }
+  }
+
+  errors.push(...validate(config, sources));
+
+  return { config, sources, errors };
+}
+
+const { config, sources, errors } = loadConfig(process.argv.slice(2), process.env);
+
+if (errors.length > 0) {
+  console.error(`❌ Invalid configuration:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  process.exit(1);
+}
+
+/**
+ * Describe the effective settings, printed at boot
+ * Secrets are masked and overridden settings name their source
+ * @returns One line per setting
+ */
+export function describeConfig(): string {
+  return listSettings(config)
+    .map((key) => {
+      const value = getSetting(config, key);
+      const shown =
+        key === "cursors.keys" ? (value as CursorKey[]).map((cursorKey) => `${cursorKey.id}:***`).join(", ") :
+        SECRET_SETTINGS.includes(key) ? (value ? "***" : '""') :
+        JSON.stringify(value);
+      const source = findSource(sources, key);
+
+      return `  ${key} = ${shown}${source !== "default" ? ` (${source})` : ""}`;
+    })
+    .join("\n");
+}
 
-export default config;
\ No newline at end of file
+export default config;
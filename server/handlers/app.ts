@@ -4,6 +4,8 @@ import { renderTemplate, serveRenderedTemplate, renderErrorPage, TemplateData }
 import { getLiveReloadScript } from "../services/live-reload.js";
 import { logError } from "../middleware/logger.js";
 import { isBot } from "../middleware/bot-detection.js";
+import { withValidators } from "../utils/conditional.js";
+import { getCspNonce, createPageETag } from "../middleware/security.js";
 import { sitemap } from "../../client/sitemap.js"; // Import the sitemap
 import config from "../config.js";
 
@@ -16,6 +18,7 @@ export async function handleAppRequest(req: Request): Promise<Response> {
   const url = new URL(req.url);
   const path = url.pathname;
   const requestIsFromBot = isBot(req);
+  const nonce = getCspNonce(req);
   
   try {
     const templatePath = getTemplateFile("app.ejs");
@@ -32,20 +35,25 @@ export async function handleAppRequest(req: Request): Promise<Response> {
       ...pageMetadata,
       
       // Add live reload script in development
-      liveReloadScript: !config.isProduction ? getLiveReloadScript() : "",
+      liveReloadScript: !config.isProduction ? getLiveReloadScript(nonce) : "",
       
       // Mark if this is being rendered for a bot
       isSnapshot: requestIsFromBot,
       
       // Cache-busting timestamp for assets in development
-      timestamp: config.isProduction ? "" : `?v=${Date.now()}`
+      timestamp: config.isProduction ? "" : `?v=${Date.now()}`,
+      
+      // Nonce of the inline scripts, allowed by the Content-Security-Policy
+      nonce
     };
     
     // Render the template
     const html = await renderTemplate(templatePath, templateData);
     
-    // Serve the rendered template with bot awareness
-    return await serveRenderedTemplate(html, requestIsFromBot);
+    // Serve the rendered template with bot awareness, revalidated by ETag
+    return await withValidators(req, await serveRenderedTemplate(html, requestIsFromBot), {
+      etag: createPageETag(html, nonce)
+    });
   } catch (error: any) {
     logError(url.pathname, error);
     return renderErrorPage(error);
@@ -96,7 +104,7 @@ function findPageInSitemap(path: string): any {
  */
 function getPageMetadataFromSitemap(path: string): TemplateData {
   // Base URL for canonical links and images
-  const baseUrl = process.env.BASE_URL || "https://mtrl.app";
+  const { baseUrl } = config;
   
   // Find page in sitemap
   const page = findPageInSitemap(path);
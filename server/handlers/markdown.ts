@@ -1,85 +1,13 @@
 // server/handlers/markdown.ts
-import { join, basename } from "path";
 import { existsSync } from "fs";
 import { renderTemplate, serveRenderedTemplate } from "../services/template.js";
 import { logError } from "../middleware/logger.js";
 import { getTemplateFile } from "../utils/paths.js";
-import config from "../config.js";
-
-// Markdown files directory
-const MARKDOWN_DIR = join(config.paths.root, "docs");
-
-/**
- * Improved markdown to HTML converter
- * @param markdown Markdown content to convert
- * @returns HTML representation of the markdown
- */
-function convertMarkdownToHtml(markdown: string): string {
-  // Preserve code blocks before other processing
-  const codeBlocks: string[] = [];
-  let processedMarkdown = markdown.replace(/\`\`\`([\s\S]*?)\`\`\`/gm, (match) => {
-    const placeholder = `__CODE_BLOCK_${codeBlocks.length}__`;
-    codeBlocks.push(match);
-    return placeholder;
-  });
-
-  // Process headings
-  processedMarkdown = processedMarkdown
-    .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-    .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-    .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-    .replace(/^#### (.*$)/gm, '<h4>$1</h4>')
-    .replace(/^##### (.*$)/gm, '<h5>$1</h5>')
-    .replace(/^###### (.*$)/gm, '<h6>$1</h6>');
-
-  // Process blockquotes
-  processedMarkdown = processedMarkdown.replace(/^\> (.*$)/gm, '<blockquote>$1</blockquote>');
-
-  // Process inline styles
-  processedMarkdown = processedMarkdown
-    .replace(/\*\*(.*)\*\*/gm, '<strong>$1</strong>')
-    .replace(/\*(.*)\*/gm, '<em>$1</em>')
-    .replace(/\`(.*?)\`/gm, '<code>$1</code>');
-
-  // Process links and images
-  processedMarkdown = processedMarkdown
-    .replace(/!\[(.*?)\]\((.*?)\)/gm, '<img alt="$1" src="$2" />')
-    .replace(/\[(.*?)\]\((.*?)\)/gm, '<a href="$2">$1</a>');
-
-  // Properly handle paragraphs
-  // Split by double line breaks to identify paragraphs
-  const paragraphs = processedMarkdown.split(/\n\s*\n/);
-  processedMarkdown = paragraphs
-    .map(p => {
-      // Trim the paragraph
-      p = p.trim();
-      
-      // Skip if it's empty or already an HTML element
-      if (p === '' || p.startsWith('<')) {
-        return p;
-      }
-      
-      // Check if it contains a placeholder
-      if (p.includes('__CODE_BLOCK_')) {
-        return p;
-      }
-      
-      // Otherwise, wrap in paragraph tags
-      return `<p>${p}</p>`;
-    })
-    .join('\n\n');
-
-  // Restore code blocks with proper HTML
-  codeBlocks.forEach((block, index) => {
-    const code = block.replace(/```(?:\w+)?\n([\s\S]*?)```/m, '$1');
-    processedMarkdown = processedMarkdown.replace(
-      `__CODE_BLOCK_${index}__`,
-      `<pre><code>${code}</code></pre>`
-    );
-  });
-
-  return processedMarkdown;
-}
+import { renderMarkdown } from "../../client/core/markdown/index.js";
+import { readDoc, isDocVisible } from "../services/docs.js";
+import { getLiveReloadScript } from "../services/live-reload.js";
+import { withValidators } from "../utils/conditional.js";
+import { getCspNonce, createPageETag } from "../middleware/security.js";
 
 /**
  * Handle markdown file requests
@@ -109,19 +37,19 @@ export async function handleMarkdownRequest(req: Request): Promise<Response | nu
       mdPath += '.md';
     }
     
-    // Try to find the markdown file
-    const filePath = join(MARKDOWN_DIR, mdPath);
+    // Read and parse the markdown file
+    const doc = await readDoc(mdPath);
     
-    // Check if file exists
-    if (!existsSync(filePath)) {
+    // Check if file exists (drafts don't exist in production)
+    if (!doc || !isDocVisible(doc)) {
       return new Response(`Markdown file not found: ${mdPath}`, { 
         status: 404,
         headers: { "Content-Type": "text/plain" }
       });
     }
     
-    // Read the markdown file
-    const markdown = await Bun.file(filePath).text();
+    // Validators: ETag from the response content, Last-Modified from the file
+    const lastModified = doc.modified;
     
     // Determine format based on accept header or path
     const acceptHeader = req.headers.get('Accept') || '';
@@ -130,7 +58,7 @@ export async function handleMarkdownRequest(req: Request): Promise<Response | nu
     
     if (requestingHtml) {
       // Convert markdown to HTML
-      const htmlContent = convertMarkdownToHtml(markdown);
+      const htmlContent = renderMarkdown(doc.content);
       
       // Try to use a dedicated markdown template if available
       let templatePath = getTemplateFile("markdown.ejs");
@@ -140,27 +68,33 @@ export async function handleMarkdownRequest(req: Request): Promise<Response | nu
         templatePath = getTemplateFile("app.ejs");
       }
       
-      // Get file title from the first heading or filename
-      const title = markdown.match(/^# (.*$)/m)?.[1] || 
-                    basename(mdPath, '.md');
-      
-      // Render the template with markdown content
+      // Render the template with markdown content and front-matter metadata
+      const nonce = getCspNonce(req);
       const html = await renderTemplate(templatePath, {
-        title: `${title} - mtrl docs`,
+        title: `${doc.title} - mtrl docs`,
+        description: doc.meta.description,
+        keywords: doc.meta.tags,
+        path: doc.url,
         content: htmlContent,
-        markdown: true
+        markdown: true,
+        meta: doc.meta,
+        liveReloadScript: getLiveReloadScript(nonce),
+        nonce
       });
       
       // Serve the rendered HTML
-      return await serveRenderedTemplate(html);
+      return await withValidators(req, await serveRenderedTemplate(html), {
+        etag: createPageETag(html, nonce),
+        lastModified
+      });
     } else {
-      // Serve raw markdown
-      return new Response(markdown, {
+      // Serve raw markdown (front-matter included, the client parses it)
+      return await withValidators(req, new Response(doc.source, {
         headers: {
           "Content-Type": "text/markdown",
           "Cache-Control": "max-age=3600"
         }
-      });
+      }), { lastModified });
     }
   } catch (error: any) {
     logError(path, error);
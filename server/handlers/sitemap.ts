@@ -2,6 +2,9 @@
 import { logError } from "../middleware/logger.js";
 import config from "../config.js";
 import { sitemap } from "../../client/sitemap.js";
+import { listDocs } from "../services/docs.js";
+import { createETag, withValidators } from "../utils/conditional.js";
+import { getSitemapCacheControl } from "../utils/caching.js";
 
 // Interface for sitemap items
 interface SitemapItem {
@@ -9,6 +12,10 @@ interface SitemapItem {
   lastmod: string;
   changefreq: "always" | "hourly" | "daily" | "weekly" | "monthly" | "yearly" | "never";
   priority: number;
+  // Front-matter metadata, only exposed in the JSON sitemap
+  title?: string;
+  description?: string;
+  tags?: string[];
 }
 
 // Interface for sitemap structure
@@ -28,8 +35,8 @@ interface SitemapNode {
   children?: SitemapNode[];
 }
 
-// Get the base URL from config or default to localhost
-const BASE_URL = config.baseUrl || `http://localhost:${config.port}`;
+// Public URL of the site
+const BASE_URL = config.baseUrl;
 
 /**
  * Generate sitemap in XML format optimized for search engines
@@ -76,7 +83,7 @@ function getLastModifiedDate(item: any): string {
  * Creates a sitemap following the hierarchical structure from sitemap.js
  * @returns Array of properly categorized sitemap items in hierarchical order
  */
-function getSitemapUrls(): SitemapItem[] {  
+async function getSitemapUrls(): Promise<SitemapItem[]> {  
   // Create hierarchical structure first
   const rootNode: SitemapNode = {
     path: '/',
@@ -253,6 +260,22 @@ function getSitemapUrls(): SitemapItem[] {
   // Start with the root node
   flattenNode(rootNode);
   
+  // Append markdown docs, described by their front-matter (drafts are hidden in production)
+  for (const doc of await listDocs()) {
+    if (visited.has(doc.url)) continue;
+    visited.add(doc.url);
+    
+    result.push({
+      loc: `${BASE_URL}${doc.url}`,
+      lastmod: doc.lastModified,
+      changefreq: "monthly",
+      priority: 0.4,
+      title: doc.title,
+      description: doc.meta.description,
+      tags: doc.meta.tags
+    });
+  }
+  
   return result;
 }
 
@@ -275,7 +298,7 @@ export async function handleSitemapRequest(req: Request): Promise<Response | nul
     let sitemapItems: SitemapItem[] = [];
     
     try {
-      sitemapItems = getSitemapUrls();
+      sitemapItems = await getSitemapUrls();
     } catch (error) {
       console.error("Sitemap generation failed:", error);
       throw new Error(`Failed to generate sitemap: ${error.message}`);
@@ -296,20 +319,23 @@ export async function handleSitemapRequest(req: Request): Promise<Response | nul
     // Log sitemap size for debugging
     console.log(`Generated sitemap with ${sitemapItems.length} URLs`);
     
+    // Validators: the newest lastmod, and an ETag of the entries. The JSON
+    // sitemap's created time changes on every request, so its ETag is weak
+    const lastModified = sitemapItems.reduce((latest, item) => item.lastmod > latest ? item.lastmod : latest, "");
+    const etag = createETag(`${path}:${JSON.stringify(sitemapItems)}`, path === "/sitemap.json");
+    
     // Return XML or JSON based on request
     if (path === "/sitemap.xml") {
       const xml = generateSitemapXml(sitemapItems);
       
       // Use correct XML content type and appropriate caching
-      return new Response(xml, {
+      return await withValidators(req, new Response(xml, {
         headers: {
           "Content-Type": "application/xml; charset=UTF-8",
           "X-Robots-Tag": "noindex", // The sitemap itself shouldn't be indexed
-          "Cache-Control": config.isProduction 
-            ? "public, max-age=86400" // Cache for 24 hours in production
-            : "no-store, max-age=0"   // No caching in development
+          "Cache-Control": getSitemapCacheControl()
         }
-      });
+      }), { etag, lastModified });
     } else {
       const json = JSON.stringify({
         created: new Date().toISOString(),
@@ -317,15 +343,13 @@ export async function handleSitemapRequest(req: Request): Promise<Response | nul
         urls: sitemapItems
       }, null, 2);
       
-      return new Response(json, {
+      return await withValidators(req, new Response(json, {
         headers: {
           "Content-Type": "application/json; charset=UTF-8",
           "X-Robots-Tag": "noindex",
-          "Cache-Control": config.isProduction 
-            ? "public, max-age=86400" 
-            : "no-store, max-age=0"
+          "Cache-Control": getSitemapCacheControl()
         }
-      });
+      }), { etag, lastModified });
     }
   } catch (error: any) {
     logError(path, error);
@@ -2,7 +2,7 @@
 import { join } from 'path';
 import { existsSync } from 'fs';
 import { serveStaticFile } from '../services/file-service.js';
-import { logError } from '../middleware/logger.js';
+import { logError, logEvent } from '../middleware/logger.js';
 import config from '../config.js';
 
 // Define path to snapshot directory
@@ -53,8 +53,8 @@ export async function handleSnapshotRequest(req: Request): Promise<Response | nu
     // Check if the file exists
     if (!existsSync(snapshotPath)) {
       if (isFromBotMiddleware) {
-        console.log(`🤖 Bot snapshot not found: ${subPath}, falling back to SPA`);
-        // For bots, if snapshot doesn't exist, let the app handle it
+        // For bots, if snapshot doesn't exist, let the app handle it (the
+        // bot middleware logs the fallback)
         return null;
       } else {
         return new Response(`Snapshot not found: ${subPath}`, { 
@@ -71,9 +71,9 @@ export async function handleSnapshotRequest(req: Request): Promise<Response | nu
       // Set proper headers to indicate this is a pre-rendered version
       customHeaders['X-Robots-Tag'] = 'all';
       customHeaders['X-Pre-Rendered'] = 'true';
-      customHeaders['Cache-Control'] = 'public, max-age=3600';
+      customHeaders['Cache-Control'] = `public, max-age=${config.cache.bots}`;
       
-      console.log(`🤖 Serving snapshot: ${snapshotPath}`);
+      logEvent('debug', 'Serving snapshot', { file: subPath });
     }
     
     // Serve the snapshot file
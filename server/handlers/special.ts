@@ -1,8 +1,15 @@
 // server/handlers/special.ts
-import { handleReloadRequest } from "../services/live-reload.js";
+import { createHash, timingSafeEqual } from "crypto";
+import {
+  handleReloadRequest,
+  handleLiveReloadEvents,
+  LIVE_RELOAD_EVENTS_PATH,
+} from "../services/live-reload.js";
 import { logError } from "../middleware/logger.js";
 import { resolveStaticFile, isValidFile } from "../utils/paths.js";
 import { serveStaticFile } from "../services/file-service.js";
+import { getSitemapCacheControl } from "../utils/caching.js";
+import { renderMetrics } from "../services/metrics.js";
 import config from "../config.js";
 
 /**
@@ -17,22 +24,20 @@ export function handleRobotsRequest(req: Request): Response | null {
   }
   
   try {
-    // Get the base URL from the request
-    const baseUrl = `${url.protocol}//${url.host}`;
-    
     // Create robots.txt content with sitemap reference
     const robotsTxt = `User-agent: *
 Allow: /
 Disallow: /api/
 Disallow: /dist/reload
+Disallow: /metrics
 
 # Sitemaps
-Sitemap: ${baseUrl}/sitemap.xml
+Sitemap: ${config.baseUrl}/sitemap.xml
 `;
     
     const headers = new Headers({
       "Content-Type": "text/plain",
-      "Cache-Control": "public, max-age=86400"
+      "Cache-Control": getSitemapCacheControl()
     });
     
     return new Response(robotsTxt, { headers });
@@ -47,16 +52,20 @@ Sitemap: ${baseUrl}/sitemap.xml
 
 /**
  * Handle live reload requests
+ * /dist/reload/events streams build events, /dist/reload returns the last one
  * @param req The request object
  * @returns A response object or null if not a reload request
  */
 export function handleLiveReload(req: Request): Response | null {
   const url = new URL(req.url);
-  if (url.pathname !== "/dist/reload") {
+  if (url.pathname !== "/dist/reload" && url.pathname !== LIVE_RELOAD_EVENTS_PATH) {
     return null;
   }
   
   try {
+    if (url.pathname === LIVE_RELOAD_EVENTS_PATH) {
+      return handleLiveReloadEvents(req);
+    }
     return handleReloadRequest();
   } catch (error: any) {
     logError("/dist/reload", error);
@@ -101,6 +110,66 @@ export function handleHealthCheck(req: Request): Response | null {
   }
 }
 
+/**
+ * Check the bearer token of a metrics request
+ * Compared as hashes, in constant time
+ * @param req The request object
+ * @returns True if the token matches config.metrics.token
+ */
+function hasMetricsToken(req: Request): boolean {
+  const match = (req.headers.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const hash = (value: string) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(hash(match[1].trim()), hash(config.metrics.token));
+}
+
+/**
+ * Handle Prometheus metrics requests
+ * Production only serves them when a token is configured, and development
+ * checks it when one is set
+ * @param req The request object
+ * @returns A response object or null if not a metrics request
+ */
+export function handleMetricsRequest(req: Request): Response | null {
+  const url = new URL(req.url);
+  if (url.pathname !== "/metrics" || !config.metrics.enabled) {
+    return null;
+  }
+
+  if (config.isProduction && !config.metrics.token) {
+    return new Response("Metrics are disabled, set METRICS_TOKEN", {
+      status: 404,
+      headers: { "Content-Type": "text/plain" }
+    });
+  }
+
+  if (config.metrics.token && !hasMetricsToken(req)) {
+    return new Response("Unauthorized", {
+      status: 401,
+      headers: {
+        "Content-Type": "text/plain",
+        "WWW-Authenticate": 'Bearer realm="metrics"'
+      }
+    });
+  }
+
+  try {
+    return new Response(renderMetrics(), {
+      headers: {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        "Cache-Control": "no-store"
+      }
+    });
+  } catch (error: any) {
+    logError("/metrics", error);
+    return new Response(`Error rendering metrics: ${error.message}`, {
+      status: 500,
+      headers: { "Content-Type": "text/plain" }
+    });
+  }
+}
+
 /**
  * Handle web app manifest requests
  * @param req The request object 
@@ -124,8 +193,7 @@ export async function handleManifestRequest(req: Request): Promise<Response | nu
       resolveStaticFile("/dist/site.webmanifest"),
       // Then check for manifest.json (alternative)
       resolveStaticFile("/manifest.json"),
-      resolveStaticFile("/public/manifest.json"),
-      resolveStaticFile("/dist/manifest.json")
+      resolveStaticFile("/public/manifest.json")
     ].filter(Boolean) as string[];
     
     for (const manifestPath of possiblePaths) {
@@ -181,5 +249,6 @@ export default {
   handleRobotsRequest,
   handleLiveReload,
   handleHealthCheck,
+  handleMetricsRequest,
   handleManifestRequest
 };
\ No newline at end of file
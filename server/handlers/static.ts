@@ -7,27 +7,17 @@ import { readFileSync } from "fs";
 
 /**
  * Handle static file requests
- * @param url The request URL object
- * @returns A response object or null if not a static file
+ * Routed for the static directories (see routes.ts)
+ * @param req The request object
+ * @returns A response object, a 404 page if the file doesn't exist
  */
 export async function handleStaticRequest(
   req: Request
-): Promise<Response | null> {
+): Promise<Response> {
   const url = new URL(req.url);
   const path = url.pathname;
 
   try {
-    // Skip if not a potential static file path
-    if (
-      !path.startsWith("/dist/") &&
-      !path.startsWith("/public/") &&
-      !path.startsWith("/examples/") &&
-      !path.startsWith("/client/") &&
-      !path.startsWith("/node_modules/")
-    ) {
-      return null;
-    }
-
     // Try to resolve the file path
     const filePath = resolveStaticFile(path);
     if (!filePath) {
@@ -172,7 +162,6 @@ export async function handleManifestRequest(
       // Then check for manifest.json (alternative)
       resolveStaticFile("/manifest.json"),
       resolveStaticFile("/public/manifest.json"),
-      resolveStaticFile("/dist/manifest.json"),
     ].filter(Boolean) as string[];
 
     for (const manifestPath of possiblePaths) {
@@ -1,24 +1,20 @@
 // server/index.ts
-import { logRequest, logResponse, logError } from "./middleware/logger.ts";
 import {
-  handleStaticRequest,
-  handleFaviconRequest,
-} from "./handlers/static.ts";
-import {
-  handleRobotsRequest,
-  handleLiveReload,
-  handleHealthCheck,
-  handleManifestRequest,
-} from "./handlers/special.ts";
-import { handleAppRequest, handleNotFound } from "./handlers/app.ts";
-import { handleApiRequest } from "./api/index.ts";
-import { handleMarkdownRequest } from "./handlers/markdown.ts";
-import { handleSnapshotRequest } from "./handlers/snapshot.ts";
-import { handleSitemapRequest } from "./handlers/sitemap.ts";
-import { botDetectionMiddleware } from "./middleware/bot-detection.ts"; // Import the bot detection middleware
+  runWithRequestContext,
+  logResponse,
+  logError,
+  getAgentClass,
+} from "./middleware/logger.ts";
+import { recordRequest } from "./services/metrics.ts";
+import { routes, routeRequest } from "./routes.ts";
 import { initLiveReload } from "./services/live-reload.ts";
-import { compressionMiddleware } from "./middleware/compression.ts";
-import config from "./config.ts";
+import { initSearchIndex } from "./services/search.ts";
+import { initUserSearchIndex } from "./api/users/search.ts";
+import { initCollections } from "./api/collections/store.ts";
+import { ENCODINGS } from "./utils/compression.ts";
+import { setClientAddress } from "./utils/client-ip.ts";
+import { setChaosIdleTimeout } from "./middleware/chaos.ts";
+import config, { describeConfig } from "./config.ts";
 
 const { port, isProduction } = config;
 
@@ -27,91 +23,69 @@ if (!isProduction) {
   initLiveReload();
 }
 
+// Build the search index (rebuilt on docs changes in development)
+await initSearchIndex();
+
+// Build the users search index, so API searches return exact totals
+initUserSearchIndex();
+
+// Load the fixture collections (server/data JSON files are picked up on demand)
+initCollections();
+
 /**
  * Main request handler
  * @param req The request object
+ * @param server The Bun server, for the client address and idle timeout
  * @returns The response object
  */
-async function handleRequest(req: Request): Promise<Response> {
-  const startTime = performance.now();
+async function handleRequest(
+  req: Request,
+  server?: {
+    requestIP(req: Request): { address: string } | null;
+    timeout(req: Request, seconds: number): void;
+  }
+): Promise<Response> {
   const url = new URL(req.url);
 
-  try {
-    // Log the incoming request
-    logRequest(req, url);
-
-    // Define a variable to hold the response
-    let response: Response | null = null;
-
-    // Try bot detection first - serve static snapshot if it's a bot
-    response = await botDetectionMiddleware(req);
-
-    // Continue with normal request handling if not handled by bot middleware
-    if (!response) {
-      // Try API handler
-      response = await handleApiRequest(req);
-    }
-
-    // Try markdown handler
-    if (!response) {
-      response = await handleMarkdownRequest(req);
-    }
-
-    // Try sitemap handler
-    if (!response) {
-      response = await handleSitemapRequest(req);
-    }
-
-    // Try snapshot handler (for direct snapshot requests)
-    if (!response) {
-      response = await handleSnapshotRequest(req);
-    }
+  // Remember the client address, used by the rate limiter and the logs
+  setClientAddress(req, server?.requestIP(req)?.address);
 
-    // Try special handlers if not an API, markdown, or sitemap request
-    if (!response) {
-      response =
-        handleHealthCheck(req) ||
-        handleRobotsRequest(req) ||
-        (!isProduction ? handleLiveReload(req) : null) ||
-        (await handleManifestRequest(req)) ||
-        (await handleFaviconRequest(req));
-    }
-
-    // If no special handler matched, try static files
-    if (
-      !response &&
-      (url.pathname.startsWith("/dist/") ||
-        url.pathname.startsWith("/public/") ||
-        url.pathname.startsWith("/examples/") ||
-        url.pathname.startsWith("/client/"))
-    ) {
-      response = await handleStaticRequest(req);
-    }
+  // Let chaos scenarios hold the response longer than the idle timeout
+  if (server) {
+    setChaosIdleTimeout(req, (seconds) => server.timeout(req, seconds));
+  }
 
-    // If still no match, use the app handler
-    if (!response) {
-      response = await handleAppRequest(req);
+  return runWithRequestContext(req, async (context) => {
+    let response: Response;
+
+    try {
+      // Route the request through its handler and the middleware pipeline (routes.ts)
+      const result = await routeRequest(req);
+      response = result.response;
+      context.handler = result.handler;
+    } catch (error: any) {
+      // Handle unexpected errors
+      logError(url.pathname, error);
+
+      response = new Response(`Server Error: ${error.message}`, {
+        status: 500,
+        headers: { "Content-Type": "text/plain" },
+      });
     }
 
-    // Apply compression if in production mode
-    if (isProduction && response) {
-      response = await compressionMiddleware(req, response);
-    }
+    // Log the response, with the request id the client gets
+    response = await logResponse(req, response, context);
 
-    // Log the response
-    const endTime = performance.now();
-    logResponse(url.pathname, response.status, Math.round(endTime - startTime));
+    recordRequest({
+      handler: context.handler || "none",
+      method: req.method,
+      status: response.status,
+      duration: (performance.now() - context.start) / 1000,
+      agent: getAgentClass(req),
+    });
 
     return response;
-  } catch (error: any) {
-    // Handle unexpected errors
-    logError(url.pathname, error);
-
-    return new Response(`Server Error: ${error.message}`, {
-      status: 500,
-      headers: { "Content-Type": "text/plain" },
-    });
-  }
+  });
 }
 
 // Start the server
@@ -126,18 +100,27 @@ const startupBanner = `
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 🚀 Bun HTTP server running on http://localhost:${server.port}
 🔧 Mode: ${isProduction ? "🏭 Production" : "🔨 Development"}
-📦 Compression: ${isProduction ? "✅ Enabled (gzip)" : "❌ Disabled"}
+📦 Compression: ${config.compression.enabled ? `✅ Enabled (${ENCODINGS.join(", ")})` : "❌ Disabled"}
 🤖 Bot detection: ✅ Enabled (serving snapshots for search engines)
+🧭 Routes: ${routes.map((route) => route.name).join(", ")}
 📁 Static file serving enabled
 🌐 Web App Manifest support enabled
 📝 Markdown documentation support enabled
 🔍 API Routes enabled
+🔎 Full-text search enabled (/api/search)
+📚 Fixture collections enabled (/api/collections)
+🛡️ Security headers: ${config.security.enabled ? `✅ Enabled (CSP ${config.security.reportOnly ? "report-only" : "enforced"}${config.security.reportUri ? `, reports at ${config.security.reportUri}` : ""})` : "❌ Disabled"}
+🚦 API rate limiting: ${config.rateLimit.enabled ? `✅ Enabled (${Object.entries(config.rateLimit.groups).map(([name, group]) => `${name} ${group.limit}/${group.window}s`).join(", ")})` : "❌ Disabled"}
+📈 Metrics: ${!config.metrics.enabled || (isProduction && !config.metrics.token) ? "❌ Disabled" : `✅ Enabled (/metrics${config.metrics.token ? ", token required" : ""})`}
+📜 Logs: ${config.logging.format === "json" ? "JSON lines" : "Pretty"}${config.logging.file ? ` + ${config.logging.file} (rotated)` : ""}
+🌪️ Chaos injection: ${config.chaos.enabled ? "✅ Enabled (/api/_chaos)" : "❌ Disabled"}
 🗺️ XML/JSON Sitemap support enabled
 ${!isProduction ? "🔄 Live reload enabled" : ""}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 `;
 
 console.log(startupBanner);
+console.log(`⚙️ Configuration:\n${describeConfig()}\n`);
 
 // Export server for potential programmatic use
 export default server;
@@ -2,7 +2,8 @@
 import { join } from "path";
 import { existsSync } from "fs";
 import { handleSnapshotRequest } from "../handlers/snapshot.js";
-import { logRequest } from "./logger.js";
+import { logEvent } from "./logger.js";
+import { recordSnapshot } from "../services/metrics.js";
 import config from "../config.js";
 
 // More comprehensive regex pattern for search engine and social media bots
@@ -56,31 +57,14 @@ export function isBot(request: Request): boolean {
 
 /**
  * Check if a path should bypass bot detection
+ * Only routes with the botSnapshot option get here (see routes.ts), this
+ * skips asset files requested on those routes
  * @param path The URL path
  * @returns Whether the path should bypass bot detection
  */
 export function shouldBypassBotDetection(path: string): boolean {
-  // Always bypass for API requests, static assets, and health checks
-  if (path.startsWith('/api/') || 
-      path.startsWith('/dist/') || 
-      path.startsWith('/public/') ||
-      path === '/health' ||
-      path === '/healthz') {
-    return true;
-  }
-  
-  // Bypass for specific file extensions
   const extension = path.split('.').pop()?.toLowerCase();
-  if (extension && BYPASS_EXTENSIONS.includes(`.${extension}`)) {
-    return true;
-  }
-  
-  // Explicitly bypass bot detection for robots.txt and sitemap.xml
-  if (path === '/robots.txt' || path === '/sitemap.xml') {
-    return true;
-  }
-  
-  return false;
+  return Boolean(extension && BYPASS_EXTENSIONS.includes(`.${extension}`));
 }
 
 /**
@@ -100,12 +84,7 @@ export async function botDetectionMiddleware(request: Request): Promise<Response
   // Check if request is from a bot
   if (isBot(request)) {
     const userAgent = request.headers.get('user-agent') || '';
-    // Use a shorter line for more readability in logs
-    const shortUserAgent = userAgent.length > 50 
-      ? userAgent.substring(0, 47) + '...' 
-      : userAgent;
-      
-    console.log(`🤖 Bot detected: ${shortUserAgent}`);
+    logEvent('info', '🤖 Bot detected', { userAgent });
     
     // Create a new request to the snapshot handler
     // We're keeping the original URL but redirecting it internally to the snapshot handler
@@ -123,6 +102,8 @@ export async function botDetectionMiddleware(request: Request): Promise<Response
     
     // If a snapshot was found, serve it with bot-friendly headers
     if (snapshotResponse) {
+      recordSnapshot(true);
+      
       // Create a new response with additional headers for bots
       const headers = new Headers(snapshotResponse.headers);
       
@@ -131,7 +112,7 @@ export async function botDetectionMiddleware(request: Request): Promise<Response
       headers.set('X-Pre-Rendered', 'true'); // Indicate pre-rendered content
       
       // Ensure caching is appropriate for bots
-      headers.set('Cache-Control', 'public, max-age=3600'); // 1 hour cache
+      headers.set('Cache-Control', `public, max-age=${config.cache.bots}`);
       
       return new Response(snapshotResponse.body, {
         status: snapshotResponse.status,
@@ -141,7 +122,8 @@ export async function botDetectionMiddleware(request: Request): Promise<Response
     }
     
     // If no snapshot was found, log and continue to normal handling
-    console.log(`🤖 Bot snapshot not found for ${path}, falling back to SPA`);
+    recordSnapshot(false);
+    logEvent('info', 'Bot snapshot not found, falling back to SPA', { path });
   }
   
   // Not a bot or no snapshot found, continue with normal handling
@@ -0,0 +1,408 @@
+// server/middleware/chaos.ts
+import { logEvent } from "./logger.js";
+import config from "../config.js";
+
+/**
+ * Chaos injection for the mock API
+ *
+ * Simulates slow and failing backends so list, progress and snackbar demos
+ * can be tested against them. A scenario is described by a spec string of
+ * `key=value` pairs separated by semicolons:
+ *
+ *   latency=300;jitter=200;error=500:0.1,503:0.05;truncate=0.05;seed=42
+ *
+ * - latency: fixed delay in ms
+ * - jitter: random extra delay in ms, between 0 and the value
+ * - error: status:rate pairs, rates are probabilities between 0 and 1
+ * - truncate: rate of JSON bodies cut short
+ * - malformed: rate of JSON bodies made invalid (still complete)
+ * - hang: rate of requests that never respond (until the client gives up)
+ * - seed: makes the sequence of outcomes reproducible
+ *
+ * The scenario comes from the `chaos` query parameter, the `X-Chaos` request
+ * header, or the default scenario set through `/api/_chaos`. `chaos=off`
+ * disables the default scenario for a single request.
+ */
+
+// A parsed chaos scenario
+export interface ChaosScenario {
+  latency: number;
+  jitter: number;
+  errors: Array<{ status: number; rate: number }>;
+  truncate: number;
+  malformed: number;
+  hang: number;
+  seed: number | null;
+}
+
+// Request header carrying a scenario
+export const CHAOS_HEADER = "X-Chaos";
+
+// Response header listing the effects applied to a response
+export const CHAOS_APPLIED_HEADER = "X-Chaos-Applied";
+
+// Number of seeded random generators kept, one per scenario
+const MAX_GENERATORS = 50;
+
+// Scenario applied when a request doesn't specify one
+let defaultScenario: ChaosScenario | null = null;
+
+// Seeded random generators, keyed by scenario spec
+const generators = new Map<string, () => number>();
+
+// Idle timeout setters of the requests in flight, recorded by handleRequest
+const idleTimeouts = new WeakMap<Request, (seconds: number) => void>();
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param seed Integer seed
+ * @returns A function returning numbers in [0, 1)
+ */
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse a rate between 0 and 1
+ * @param value Raw value
+ * @returns The rate or null if invalid
+ */
+function parseRate(value: string): number | null {
+  // Number("") is 0, a missing rate is not
+  const rate = value.trim() ? Number(value) : NaN;
+  return Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : null;
+}
+
+/**
+ * Parse a scenario spec
+ * @param spec Spec string, e.g. "latency=300;error=503:0.2;seed=7"
+ * @returns The scenario or a validation error message
+ */
+export function parseChaosScenario(spec: string): { scenario?: ChaosScenario; error?: string } {
+  const scenario: ChaosScenario = {
+    latency: 0,
+    jitter: 0,
+    errors: [],
+    truncate: 0,
+    malformed: 0,
+    hang: 0,
+    seed: null,
+  };
+
+  for (const part of spec.split(";").map((entry) => entry.trim()).filter(Boolean)) {
+    const separator = part.indexOf("=");
+    const key = separator === -1 ? part : part.slice(0, separator).trim();
+    const value = separator === -1 ? "" : part.slice(separator + 1).trim();
+
+    switch (key) {
+      case "latency":
+      case "jitter": {
+        const ms = Number(value);
+        if (!Number.isInteger(ms) || ms < 0 || ms > 60000) {
+          return { error: `${key} must be a number of milliseconds between 0 and 60000` };
+        }
+        scenario[key] = ms;
+        break;
+      }
+
+      case "error": {
+        for (const entry of value.split(",").filter(Boolean)) {
+          const [statusValue, rateValue] = entry.split(":");
+          const status = Number(statusValue);
+          const rate = parseRate(rateValue ?? "");
+          if (!Number.isInteger(status) || status < 400 || status > 599 || rate === null) {
+            return { error: `Invalid error rate "${entry}", expected status:rate like 503:0.1` };
+          }
+          scenario.errors.push({ status, rate });
+        }
+        if (scenario.errors.reduce((sum, { rate }) => sum + rate, 0) > 1) {
+          return { error: "Error rates must not add up to more than 1" };
+        }
+        break;
+      }
+
+      case "truncate":
+      case "malformed":
+      case "hang": {
+        const rate = parseRate(value);
+        if (rate === null) {
+          return { error: `${key} must be a rate between 0 and 1` };
+        }
+        scenario[key] = rate;
+        break;
+      }
+
+      case "seed": {
+        const seed = Number(value);
+        if (!Number.isInteger(seed)) {
+          return { error: "seed must be an integer" };
+        }
+        scenario.seed = seed;
+        break;
+      }
+
+      default:
+        return { error: `Unknown chaos option "${key}"` };
+    }
+  }
+
+  return { scenario };
+}
+
+/**
+ * Format a scenario as a spec string
+ * @param scenario The scenario
+ * @returns Canonical spec string
+ */
+export function formatChaosScenario(scenario: ChaosScenario): string {
+  const parts: string[] = [];
+
+  if (scenario.latency) parts.push(`latency=${scenario.latency}`);
+  if (scenario.jitter) parts.push(`jitter=${scenario.jitter}`);
+  if (scenario.errors.length) {
+    parts.push(`error=${scenario.errors.map(({ status, rate }) => `${status}:${rate}`).join(",")}`);
+  }
+  if (scenario.truncate) parts.push(`truncate=${scenario.truncate}`);
+  if (scenario.malformed) parts.push(`malformed=${scenario.malformed}`);
+  if (scenario.hang) parts.push(`hang=${scenario.hang}`);
+  if (scenario.seed !== null) parts.push(`seed=${scenario.seed}`);
+
+  return parts.join(";");
+}
+
+/**
+ * Get the default scenario
+ * @returns The scenario applied to requests without their own, or null
+ */
+export function getDefaultChaosScenario(): ChaosScenario | null {
+  return defaultScenario;
+}
+
+/**
+ * Set or clear the default scenario
+ * Setting a scenario restarts its seeded sequence
+ * @param scenario The scenario, or null to disable
+ */
+export function setDefaultChaosScenario(scenario: ChaosScenario | null): void {
+  defaultScenario = scenario;
+  if (scenario) {
+    generators.delete(formatChaosScenario(scenario));
+  }
+}
+
+/**
+ * Get the random generator of a scenario
+ * Seeded scenarios share one sequence per spec, so the same requests in the
+ * same order get the same outcomes
+ * @param scenario The scenario
+ * @returns A function returning numbers in [0, 1)
+ */
+function getRandom(scenario: ChaosScenario): () => number {
+  if (scenario.seed === null) return Math.random;
+
+  const key = formatChaosScenario(scenario);
+  let random = generators.get(key);
+
+  if (!random) {
+    if (generators.size >= MAX_GENERATORS) {
+      generators.delete(generators.keys().next().value!);
+    }
+    random = createRandom(scenario.seed);
+    generators.set(key, random);
+  }
+
+  return random;
+}
+
+/**
+ * Resolve the scenario for a request
+ * @param req The request object
+ * @param url The parsed URL
+ * @returns The scenario, null for none, or a validation error message
+ */
+export function getChaosScenario(
+  req: Request,
+  url: URL
+): { scenario: ChaosScenario | null; error?: string } {
+  if (!config.chaos.enabled) return { scenario: null };
+
+  const spec = url.searchParams.get("chaos") ?? req.headers.get(CHAOS_HEADER);
+
+  if (spec === null) return { scenario: defaultScenario };
+  if (spec === "off" || spec === "") return { scenario: null };
+
+  const { scenario, error } = parseChaosScenario(spec);
+  return error ? { scenario: null, error } : { scenario: scenario! };
+}
+
+/**
+ * Record how to change the idle timeout of a request
+ * Bun closes connections that send nothing for 10 seconds, delayed and
+ * hanging chaos responses lift the limit (see withChaos)
+ * @param req The request object
+ * @param setIdleTimeout Sets the idle timeout in seconds, 0 disables it
+ */
+export function setChaosIdleTimeout(req: Request, setIdleTimeout: (seconds: number) => void): void {
+  idleTimeouts.set(req, setIdleTimeout);
+}
+
+/**
+ * Wait until the client gives up or the hang limit is reached
+ * @param signal The request abort signal
+ * @param limit Maximum time to wait in ms
+ */
+function waitForAbort(signal: AbortSignal, limit: number): Promise<void> {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(resolve, limit);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timeout);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Create a JSON error response for an injected failure
+ * @param status HTTP status code
+ * @param effects Applied effects
+ * @returns Response object
+ */
+function chaosError(status: number, effects: string[]): Response {
+  const headers: Record<string, string> = {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    [CHAOS_APPLIED_HEADER]: effects.join("; "),
+  };
+
+  // Let clients exercise their retry logic
+  if (status === 429 || status === 503) {
+    headers["Retry-After"] = "1";
+  }
+
+  return new Response(
+    JSON.stringify({ error: `Injected ${status} error`, chaos: true }),
+    { status, headers }
+  );
+}
+
+/**
+ * Run an API handler under the chaos scenario of the request
+ * @param req The request object
+ * @param url The parsed URL
+ * @param handle The API handler
+ * @returns The (possibly delayed, failed or corrupted) response
+ */
+export async function withChaos(
+  req: Request,
+  url: URL,
+  handle: () => Promise<Response>
+): Promise<Response> {
+  const { scenario, error } = getChaosScenario(req, url);
+
+  if (error) {
+    return new Response(JSON.stringify({ error: `Invalid chaos scenario: ${error}` }), {
+      status: 400,
+      headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    });
+  }
+
+  if (!scenario) return handle();
+
+  // Draw every value up front, each request consumes the same amount of the
+  // seeded sequence whatever happens to it
+  const random = getRandom(scenario);
+  const delay = scenario.latency + Math.floor(random() * scenario.jitter);
+  const hangDraw = random();
+  const errorDraw = random();
+  const truncateDraw = random();
+  const malformedDraw = random();
+  const cutDraw = random();
+
+  const effects: string[] = [];
+
+  // Latency, jitter and hangs go up to a minute, past Bun's idle timeout
+  if (delay > 0 || hangDraw < scenario.hang) {
+    idleTimeouts.get(req)?.(0);
+  }
+
+  if (delay > 0) {
+    effects.push(`latency=${delay}ms`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  if (hangDraw < scenario.hang) {
+    effects.push("hang");
+    logEvent("debug", "Chaos applied", { effects: effects.join(", ") });
+    await waitForAbort(req.signal, config.chaos.maxHang);
+    return chaosError(504, effects);
+  }
+
+  // Pick an error status by cumulative rate
+  let threshold = 0;
+  for (const { status, rate } of scenario.errors) {
+    threshold += rate;
+    if (errorDraw < threshold) {
+      effects.push(`error=${status}`);
+      logEvent("debug", "Chaos applied", { effects: effects.join(", ") });
+      return chaosError(status, effects);
+    }
+  }
+
+  const response = await handle();
+
+  const isJson = response.headers.get("Content-Type")?.includes("application/json");
+  const truncate = isJson && truncateDraw < scenario.truncate;
+  const malformed = isJson && !truncate && malformedDraw < scenario.malformed;
+
+  const headers = new Headers(response.headers);
+  headers.delete("Content-Length");
+
+  if (truncate || malformed) {
+    let body = await response.text();
+
+    if (truncate) {
+      // Keep between 10% and 90% of the body
+      body = body.slice(0, Math.floor(body.length * (0.1 + cutDraw * 0.8)));
+      effects.push("truncate");
+    } else {
+      // Corruptions commonly seen in the wild, each one breaks JSON.parse
+      const corruptions = [
+        (text: string) => `)]}',\n${text}`, // Anti-XSSI prefix
+        (text: string) => `${text}\n<!-- upstream error -->`, // Trailing HTML
+        (text: string) => text.replace('"', "'"), // Single-quoted key
+      ];
+      body = corruptions[Math.floor(cutDraw * corruptions.length)](body);
+      effects.push("malformed");
+    }
+
+    logEvent("debug", "Chaos applied", { effects: effects.join(", ") });
+    headers.set(CHAOS_APPLIED_HEADER, effects.join("; "));
+    return new Response(body, { status: response.status, headers });
+  }
+
+  if (effects.length > 0) {
+    logEvent("debug", "Chaos applied", { effects: effects.join(", ") });
+    headers.set(CHAOS_APPLIED_HEADER, effects.join("; "));
+    return new Response(response.body, { status: response.status, headers });
+  }
+
+  return response;
+}
+
+export default {
+  withChaos,
+  setChaosIdleTimeout,
+  parseChaosScenario,
+  formatChaosScenario,
+  getChaosScenario,
+  getDefaultChaosScenario,
+  setDefaultChaosScenario,
+};
@@ -1,37 +1,220 @@
 // server/middleware/logger.ts
+import { AsyncLocalStorage } from "async_hooks";
+import { openLogFile } from "../services/log-file.js";
+import { isBot } from "./bot-detection.js";
+import { getClientIp } from "../utils/client-ip.js";
 import config from "../config.js";
 
-const { isProduction } = config;
+const { isProduction, logging } = config;
 
 /**
- * Log an incoming request
+ * Structured logs
+ *
+ * Every request gets an id, taken from the X-Request-Id header sent by an
+ * upstream proxy or generated, and echoed in the response. Log lines written
+ * while the request is handled carry that id, so bot detection events,
+ * handler errors and the access line, which names the handler and the
+ * content encoding, can be correlated. Lines are JSON objects:
+ *
+ *   {"time":"...","level":"info","type":"access","requestId":"...","method":"GET",
+ *    "path":"/","status":200,"duration":4.2,"bytes":5120,"agent":"browser","handler":"app"}
+ *
+ * The console gets them as is in production and formatted for humans in
+ * development (config.logging.format). The log file, when configured, always
+ * gets JSON lines and rotates by size and date (services/log-file.ts).
+ * Per-request details (pagination, chaos effects, compression) are debug
+ * lines, dropped in production unless config.logging.level lowers the bar.
+ */
+
+// Level of a log line
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+// Levels from the least to the most severe
+const LEVELS: LogLevel[] = ["debug", "info", "warn", "error"];
+
+// Request being handled
+export interface RequestContext {
+  id: string;
+  method: string;
+  path: string;
+  start: number;
+  handler: string | null; // Handler that served the request, e.g. "static" or "api"
+}
+
+// Header carrying the request id
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Ids accepted from upstream, anything else could break log lines
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+// Console colors of the pretty format
+const COLORS = {
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+  green: "\x1b[32m",
+  white: "\x1b[37m",
+  dim: "\x1b[2m",
+  reset: "\x1b[0m",
+};
+
+const requestContext = new AsyncLocalStorage<RequestContext>();
+
+const logFile = logging.file ? openLogFile(logging.file, logging) : null;
+
+// Write the lines still buffered when the process exits
+process.on("exit", () => logFile?.close());
+
+/**
+ * Write a log line to the console and the log file
+ * @param entry The JSON entry
+ * @param pretty The line shown in the pretty format
+ */
+function write(entry: Record<string, any>, pretty: string): void {
+  if (LEVELS.indexOf(entry.level) < LEVELS.indexOf(logging.level)) return;
+
+  const line = JSON.stringify(entry);
+  const output = entry.level === "error" ? console.error : entry.level === "warn" ? console.warn : console.log;
+
+  output(logging.format === "json" ? line : pretty);
+
+  try {
+    logFile?.write(line);
+  } catch (error) {
+    console.error("Error writing log file:", error);
+  }
+}
+
+/**
+ * Shorten a request id for the pretty format
+ * @param id The request id
+ * @returns The first 8 characters
+ */
+function shortId(id: string | undefined): string {
+  return id ? `${COLORS.dim}${id.slice(0, 8)}${COLORS.reset}` : "";
+}
+
+/**
+ * Classify the user agent of a request
  * @param req The request object
- * @param url The parsed URL
+ * @returns "bot", "browser", "cli", "other" or "none"
  */
-export function logRequest(req: Request, url: URL): void {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const path = url.pathname;
-  
-  console.log(`${timestamp} - ${method} ${path}`);
+export function getAgentClass(req: Request): string {
+  const userAgent = req.headers.get("user-agent") || "";
+
+  if (isBot(req)) return "bot";
+  if (!userAgent) return "none";
+  if (/^mozilla\/|^opera\//i.test(userAgent)) return "browser";
+  if (/curl|wget|httpie|python|go-http|node|bun|axios|okhttp|java\//i.test(userAgent)) return "cli";
+  return "other";
 }
 
 /**
- * Log a server response
- * @param path URL path
- * @param status HTTP status code
- * @param time Time taken to process request in ms
+ * Handle a request within its log context
+ * @param req The request object
+ * @param handle Request handler, gets the context to name the handler
+ * @returns The response of the handler
+ */
+export function runWithRequestContext<T>(req: Request, handle: (context: RequestContext) => Promise<T>): Promise<T> {
+  const upstreamId = req.headers.get(REQUEST_ID_HEADER);
+
+  const context: RequestContext = {
+    id: upstreamId && REQUEST_ID_PATTERN.test(upstreamId) ? upstreamId : crypto.randomUUID(),
+    method: req.method,
+    path: new URL(req.url).pathname,
+    start: performance.now(),
+    handler: null,
+  };
+
+  return requestContext.run(context, () => handle(context));
+}
+
+/**
+ * Get the context of the request being handled
+ * @returns The context, or undefined outside of a request
+ */
+export function getRequestContext(): RequestContext | undefined {
+  return requestContext.getStore();
+}
+
+/**
+ * Log an event of the request being handled
+ * @param level Log level
+ * @param message Event description
+ * @param fields Extra fields of the JSON entry
+ */
+export function logEvent(level: LogLevel, message: string, fields: Record<string, any> = {}): void {
+  const context = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    type: "event",
+    requestId: context?.id,
+    message,
+    ...fields,
+  };
+
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+
+  const text = level === "debug" ? `${COLORS.dim}${message}${COLORS.reset}` : message;
+  write(entry, `${text}${details ? ` ${COLORS.dim}${details}${COLORS.reset}` : ""} ${shortId(context?.id)}`);
+}
+
+/**
+ * Add the request id to a response and log it (access log)
+ * Bodies are never read to measure them, those without a Content-Length
+ * (streams, compressed on the fly) are logged with a null size
+ * @param req The request object
+ * @param response The response to send
+ * @param context Context of the request
+ * @returns Response with the X-Request-Id header
  */
-export function logResponse(path: string, status: number, time: number): void {
-  const color = status >= 500 ? "\x1b[31m" : // Red for server errors
-               status >= 400 ? "\x1b[33m" : // Yellow for client errors
-               status >= 300 ? "\x1b[36m" : // Cyan for redirects
-               status >= 200 ? "\x1b[32m" : // Green for success
-               "\x1b[37m"; // White for anything else
-  
-  const reset = "\x1b[0m";
-  
-  console.log(`${color}${status}${reset} ${path} ${time}ms`);
+export async function logResponse(req: Request, response: Response, context: RequestContext): Promise<Response> {
+  const { status } = response;
+  const headers = new Headers(response.headers);
+  headers.set(REQUEST_ID_HEADER, context.id);
+
+  const length = headers.get("Content-Length");
+  const bytes = req.method === "HEAD" || !response.body ? 0 : length !== null ? Number(length) : null;
+  const duration = Math.round((performance.now() - context.start) * 10) / 10;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: status >= 500 ? "error" : "info",
+    type: "access",
+    requestId: context.id,
+    method: context.method,
+    path: context.path,
+    status,
+    duration,
+    bytes,
+    agent: getAgentClass(req),
+    handler: context.handler,
+    encoding: headers.get("Content-Encoding") || undefined,
+    ip: getClientIp(req),
+  };
+
+  const color = status >= 500 ? COLORS.red : // Red for server errors
+               status >= 400 ? COLORS.yellow : // Yellow for client errors
+               status >= 300 ? COLORS.cyan : // Cyan for redirects
+               status >= 200 ? COLORS.green : // Green for success
+               COLORS.white; // White for anything else
+
+  const size = bytes === null ? "" : bytes >= 1024 ? ` ${(bytes / 1024).toFixed(1)}KB` : ` ${bytes}B`;
+  const pretty =
+    `${color}${status}${COLORS.reset} ${context.method} ${context.path} ${duration}ms${size}` +
+    `${COLORS.dim} ${context.handler || "-"} ${entry.agent}${entry.encoding ? ` ${entry.encoding}` : ""}${COLORS.reset} ` +
+    shortId(context.id);
+
+  write(entry, pretty);
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
 }
 
 /**
@@ -41,15 +224,28 @@ export function logResponse(path: string, status: number, time: number): void {
  * @param includeStack Whether to include the stack trace
  */
 export function logError(path: string, error: Error, includeStack: boolean = !isProduction): void {
-  console.error(`\x1b[31mERROR\x1b[0m ${path} - ${error.message}`);
-  
-  if (includeStack && error.stack) {
-    console.error(error.stack);
-  }
+  const context = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level: "error",
+    type: "error",
+    requestId: context?.id,
+    path,
+    message: error.message,
+    stack: includeStack ? error.stack : undefined,
+  };
+
+  write(
+    entry,
+    `${COLORS.red}ERROR${COLORS.reset} ${path} - ${error.message} ${shortId(context?.id)}` +
+      (includeStack && error.stack ? `\n${error.stack}` : "")
+  );
 }
 
 export default {
-  logRequest,
+  runWithRequestContext,
+  getRequestContext,
+  logEvent,
   logResponse,
   logError
-};
\ No newline at end of file
+};
@@ -0,0 +1,154 @@
+// server/middleware/rate-limit.ts
+import config from "../config.js";
+
+const { rateLimit } = config;
+
+/**
+ * API rate limiting
+ *
+ * Each client IP gets a token bucket per route group (config.rateLimit.groups).
+ * A bucket holds `limit` tokens and refills continuously, the whole bucket
+ * in `window` seconds; every request takes one token and requests finding
+ * the bucket empty get a 429 with Retry-After. Responses describe the quota
+ * with the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers (IETF RateLimit header fields draft).
+ *
+ * Buckets live in memory, one server process counts on its own. Allowlisted
+ * IPs (loopback in development) are never limited.
+ */
+
+// Quota of a client in a group after a request
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  reset: number; // Seconds until the bucket is full again
+  retryAfter: number; // Seconds until the next token, 0 when allowed
+  window: number;
+}
+
+// Token bucket of a client in a group
+interface Bucket {
+  tokens: number;
+  updated: number;
+}
+
+// Buckets by "<group>:<ip>", least recently used first
+const buckets = new Map<string, Bucket>();
+
+/**
+ * Check if an IP is never limited
+ * IPv4 addresses mapped to IPv6 (::ffff:a.b.c.d) match their IPv4 form
+ * @param ip Client IP
+ * @returns True if the IP is in the allowlist
+ */
+export function isAllowlisted(ip: string): boolean {
+  return rateLimit.allowlist.includes(ip) || rateLimit.allowlist.includes(ip.replace(/^::ffff:/, ""));
+}
+
+/**
+ * Refill a bucket for the time elapsed since its last update
+ * @param bucket The bucket
+ * @param limit Bucket capacity
+ * @param rate Tokens per millisecond
+ * @param now Current time in milliseconds
+ */
+function refill(bucket: Bucket, limit: number, rate: number, now: number): void {
+  bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * rate);
+  bucket.updated = now;
+}
+
+/**
+ * Take a token for a request
+ * @param group Route group, a key of config.rateLimit.groups
+ * @param ip Client IP
+ * @returns The quota after the request, or null if the request isn't limited
+ */
+export function consumeRateLimit(group: string, ip: string): RateLimitResult | null {
+  const name = rateLimit.groups[group] ? group : "default";
+  const settings = rateLimit.groups[name];
+  if (!rateLimit.enabled || !settings || isAllowlisted(ip)) {
+    return null;
+  }
+
+  const { limit, window } = settings;
+  const rate = limit / (window * 1000);
+  const now = Date.now();
+  const key = `${name}:${ip}`;
+
+  let bucket = buckets.get(key);
+  if (bucket) {
+    refill(bucket, limit, rate, now);
+    // Move to the end, the least recently seen clients are evicted first
+    buckets.delete(key);
+  } else {
+    bucket = { tokens: limit, updated: now };
+  }
+  buckets.set(key, bucket);
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) bucket.tokens -= 1;
+
+  // Forget the least recently seen clients, their buckets have mostly refilled
+  for (const oldKey of buckets.keys()) {
+    if (buckets.size <= rateLimit.maxClients) break;
+    buckets.delete(oldKey);
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(bucket.tokens),
+    reset: Math.ceil((limit - bucket.tokens) / rate / 1000),
+    retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate / 1000),
+    window,
+  };
+}
+
+/**
+ * Add the RateLimit headers to a response
+ * @param response The response
+ * @param result Quota from consumeRateLimit
+ * @returns Response with the headers
+ */
+export function withRateLimitHeaders(response: Response, result: RateLimitResult): Response {
+  const headers = new Headers(response.headers);
+  headers.set("RateLimit-Limit", String(result.limit));
+  headers.set("RateLimit-Remaining", String(result.remaining));
+  headers.set("RateLimit-Reset", String(result.reset));
+  headers.set("RateLimit-Policy", `${result.limit};w=${result.window}`);
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Create the 429 response of a limited request
+ * @param result Quota from consumeRateLimit
+ * @returns The response
+ */
+export function rateLimitedResponse(result: RateLimitResult): Response {
+  const response = new Response(
+    JSON.stringify({ error: "Too many requests", retryAfter: result.retryAfter }),
+    {
+      status: 429,
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+        "Retry-After": String(result.retryAfter),
+      },
+    }
+  );
+
+  return withRateLimitHeaders(response, result);
+}
+
+export default {
+  isAllowlisted,
+  consumeRateLimit,
+  withRateLimitHeaders,
+  rateLimitedResponse,
+};
@@ -0,0 +1,121 @@
+// server/middleware/security.ts
+import { createETag } from "../utils/conditional.js";
+import config from "../config.js";
+
+const { security } = config;
+
+/**
+ * Security headers
+ *
+ * Every response gets X-Content-Type-Options, Referrer-Policy,
+ * Permissions-Policy, X-Frame-Options and, in production,
+ * Strict-Transport-Security. Headers set by a handler are kept.
+ *
+ * Server-rendered pages also get a Content-Security-Policy. Handlers ask for
+ * the request nonce with getCspNonce() and pass it to renderTemplate, which
+ * puts it on the inline scripts; the policy only allows scripts from the site
+ * or carrying the nonce. Responses rendered without a nonce (static HTML,
+ * snapshots, error pages) get no policy, their inline scripts were not
+ * written for one.
+ *
+ * In report-only mode the policy is sent as
+ * Content-Security-Policy-Report-Only: nothing is blocked and browsers post
+ * the violations to the collector (/api/csp-report).
+ */
+
+// Name of the reporting endpoint in Reporting-Endpoints and report-to
+const REPORT_ENDPOINT = "csp-endpoint";
+
+// Nonces issued for the requests in flight
+const nonces = new WeakMap<Request, string>();
+
+/**
+ * Get the CSP nonce of a request, created on first use
+ * @param req The request object
+ * @returns Base64 nonce of 128 random bits
+ */
+export function getCspNonce(req: Request): string {
+  let nonce = nonces.get(req);
+
+  if (!nonce) {
+    nonce = Buffer.from(crypto.getRandomValues(new Uint8Array(16))).toString("base64");
+    nonces.set(req, nonce);
+  }
+
+  return nonce;
+}
+
+/**
+ * Create the ETag of a rendered page, leaving its nonce out
+ * The nonce changes on every request while the page doesn't, a 304 keeps
+ * the cached page together with the policy it was sent with
+ * @param html Rendered page
+ * @param nonce Nonce of the request
+ * @returns Strong ETag
+ */
+export function createPageETag(html: string, nonce: string): string {
+  return createETag(html.replaceAll(nonce, ""));
+}
+
+/**
+ * Build the Content-Security-Policy value
+ * @param nonce Nonce of the request
+ * @returns The policy
+ */
+export function buildContentSecurityPolicy(nonce: string): string {
+  const directives = Object.entries(security.contentSecurityPolicy).map(([name, sources]) =>
+    [name, ...sources.map((source) => (source === "'nonce'" ? `'nonce-${nonce}'` : source))].join(" ")
+  );
+
+  if (security.reportUri) {
+    directives.push(`report-uri ${security.reportUri}`, `report-to ${REPORT_ENDPOINT}`);
+  }
+
+  return directives.join("; ");
+}
+
+/**
+ * Middleware to add the security headers
+ * @param req Original request
+ * @param response Original response
+ * @returns Response with the security headers
+ */
+export function securityHeadersMiddleware(req: Request, response: Response): Response {
+  if (!security.enabled) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  const setDefault = (name: string, value: string) => {
+    if (value && !headers.has(name)) headers.set(name, value);
+  };
+
+  setDefault("X-Content-Type-Options", "nosniff");
+  setDefault("Referrer-Policy", security.referrerPolicy);
+  setDefault("Permissions-Policy", security.permissionsPolicy);
+  setDefault("X-Frame-Options", "SAMEORIGIN");
+
+  if (security.hstsMaxAge > 0) {
+    setDefault("Strict-Transport-Security", `max-age=${security.hstsMaxAge}; includeSubDomains`);
+  }
+
+  // A 304 must not replace the policy stored with the cached page
+  const nonce = nonces.get(req);
+  const contentType = headers.get("Content-Type") || "";
+  if (nonce && response.status !== 304 && contentType.startsWith("text/html")) {
+    const name = security.reportOnly ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy";
+    setDefault(name, buildContentSecurityPolicy(nonce));
+
+    if (security.reportUri) {
+      setDefault("Reporting-Endpoints", `${REPORT_ENDPOINT}="${security.reportUri}"`);
+    }
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+export default securityHeadersMiddleware;
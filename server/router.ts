@@ -0,0 +1,156 @@
+// server/router.ts
+import { compilePath, matchPath, PathMatch } from "./utils/path-pattern.ts";
+
+/**
+ * Request router
+ *
+ * Routes are declared in a table (server/routes.ts) and tried in order.
+ * Paths are exact ("/health"), have named segments ("/users/{id}") or end
+ * with a wildcard ("/dist/*" matches /dist and everything below it, the rest
+ * of the path is params["*"]), see utils/path-pattern.ts. Params are
+ * percent-decoded, a path that can't be decoded gets a 400. A handler
+ * returning null passes the request on to the next matching route, so a
+ * catch-all route can come last.
+ *
+ * Middleware runs around the handler: `before` middleware can answer the
+ * request itself by returning a response, `after` middleware transforms the
+ * response. The router's global middleware wraps the route's own:
+ *
+ *   router before -> route before -> handler -> route after -> router after
+ *
+ * Route options (compression, caching, bot snapshots) are read by the
+ * global middleware from match.route.
+ */
+
+// Route handler, null passes the request to the next matching route
+export type RouteHandler = (req: Request, match: RouteMatch) => Response | null | Promise<Response | null>;
+
+// Middleware running before the handler, a response skips the handler
+export type BeforeMiddleware = (req: Request, match: RouteMatch) => Response | null | Promise<Response | null>;
+
+// Middleware running after the handler
+export type AfterMiddleware = (req: Request, response: Response, match: RouteMatch) => Response | Promise<Response>;
+
+// A server route
+export interface Route {
+  name: string; // Handler name in logs and metrics
+  path: string | string[];
+  method?: string | string[]; // Any method by default, HEAD requests match GET routes
+  handle: RouteHandler;
+  compress?: boolean; // Apply the compression middleware, true by default
+  cache?: string; // Cache-Control of responses that don't set one
+  botSnapshot?: boolean; // Serve bots the pre-rendered snapshot of the page when there is one
+  before?: BeforeMiddleware[];
+  after?: AfterMiddleware[];
+}
+
+// A matched route
+export interface RouteMatch {
+  route: Route;
+  url: URL;
+  params: Record<string, string>;
+  handler: string; // Name reported in logs and metrics, middleware may change it
+}
+
+// Router options
+export interface RouterOptions {
+  before?: BeforeMiddleware[];
+  after?: AfterMiddleware[];
+  notFound: (req: Request) => Response | Promise<Response>; // When no route answers
+}
+
+// Result of routing a request
+export interface RouteResult {
+  response: Response;
+  handler: string;
+}
+
+/**
+ * Match a route against a request
+ * @param route The route
+ * @param method HTTP method
+ * @param pathname URL path, not decoded
+ * @returns The decoded path parameters, malformed if one can't be decoded,
+ * or null if the route doesn't match
+ */
+export function matchRoute(route: Route, method: string, pathname: string): PathMatch | null {
+  if (route.method) {
+    const methods = Array.isArray(route.method) ? route.method : [route.method];
+    const requested = method.toUpperCase();
+    if (!methods.includes(requested) && !(requested === "HEAD" && methods.includes("GET"))) return null;
+  }
+
+  for (const path of Array.isArray(route.path) ? route.path : [route.path]) {
+    const match = matchPath(compilePath(path), pathname);
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Create a router
+ * @param routes Routes in match order
+ * @param options Global middleware and the not found handler
+ * @returns Function routing a request through the pipeline
+ */
+export function createRouter(routes: Route[], options: RouterOptions) {
+  const { before = [], after = [], notFound } = options;
+
+  /**
+   * Run a matched route through the pipeline
+   * @param req The request object
+   * @param match The matched route
+   * @returns The response, or null to try the next route
+   */
+  async function runRoute(req: Request, match: RouteMatch): Promise<Response | null> {
+    const { route } = match;
+    let response: Response | null = null;
+
+    for (const middleware of [...before, ...(route.before || [])]) {
+      response = await middleware(req, match);
+      if (response) break;
+    }
+
+    if (!response) {
+      response = await route.handle(req, match);
+      if (!response) return null;
+    }
+
+    for (const middleware of [...(route.after || []), ...after]) {
+      response = await middleware(req, response, match);
+    }
+
+    return response;
+  }
+
+  return async function route(req: Request): Promise<RouteResult> {
+    const url = new URL(req.url);
+
+    for (const candidate of routes) {
+      const result = matchRoute(candidate, req.method, url.pathname);
+      if (!result) continue;
+
+      if (result.malformed) {
+        return {
+          response: new Response("Bad Request: malformed percent-encoding in the path", {
+            status: 400,
+            headers: { "Content-Type": "text/plain", "Cache-Control": "no-store" },
+          }),
+          handler: candidate.name,
+        };
+      }
+
+      const match: RouteMatch = { route: candidate, url, params: result.params, handler: candidate.name };
+      const response = await runRoute(req, match);
+      if (response) return { response, handler: match.handler };
+    }
+
+    return { response: await notFound(req), handler: "not-found" };
+  };
+}
+
+export default {
+  createRouter,
+  matchRoute,
+};
@@ -0,0 +1,120 @@
+// server/routes.ts
+import { createRouter, Route, BeforeMiddleware, AfterMiddleware } from "./router.ts";
+import { handleStaticRequest, handleFaviconRequest } from "./handlers/static.ts";
+import {
+  handleRobotsRequest,
+  handleLiveReload,
+  handleHealthCheck,
+  handleMetricsRequest,
+  handleManifestRequest,
+} from "./handlers/special.ts";
+import { handleAppRequest, handleNotFound } from "./handlers/app.ts";
+import { handleApiRequest } from "./api/index.ts";
+import { handleMarkdownRequest } from "./handlers/markdown.ts";
+import { handleSnapshotRequest } from "./handlers/snapshot.ts";
+import { handleSitemapRequest } from "./handlers/sitemap.ts";
+import { botDetectionMiddleware } from "./middleware/bot-detection.ts";
+import { compressionMiddleware } from "./middleware/compression.ts";
+import { securityHeadersMiddleware } from "./middleware/security.ts";
+import config from "./config.ts";
+
+const { isProduction } = config;
+
+/**
+ * Server routes
+ *
+ * Every endpoint of the server is declared here, in match order. The first
+ * route whose method and path match handles the request; a handler
+ * returning null passes it on to the next matching route, down to the app
+ * route that renders every other path. See router.ts for the path syntax.
+ *
+ * Route options are applied by the middleware below:
+ * - botSnapshot: bots get the page snapshot when there is one (pages only)
+ * - cache: Cache-Control of responses that don't set one
+ * - compress: false skips the compression middleware
+ */
+
+/**
+ * Serve bots the snapshot of the page on routes with botSnapshot
+ * @param req The request object
+ * @param match The matched route
+ * @returns The snapshot response, or null to continue with the route
+ */
+const botSnapshot: BeforeMiddleware = async (req, match) => {
+  if (!match.route.botSnapshot) return null;
+
+  const response = await botDetectionMiddleware(req);
+  if (response) match.handler = "snapshot";
+  return response;
+};
+
+/**
+ * Set the route's Cache-Control on responses that don't set one
+ * @param req The request object
+ * @param response The response
+ * @param match The matched route
+ * @returns Response with the Cache-Control header
+ */
+const cacheControl: AfterMiddleware = (req, response, match) => {
+  if (!match.route.cache || response.headers.has("Cache-Control")) return response;
+
+  const headers = new Headers(response.headers);
+  headers.set("Cache-Control", match.route.cache);
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+};
+
+/**
+ * Add the security headers, and the CSP of pages rendered with a nonce
+ * @param req The request object
+ * @param response The response
+ * @returns Response with the security headers
+ */
+const securityHeaders: AfterMiddleware = (req, response) => securityHeadersMiddleware(req, response);
+
+/**
+ * Compress responses (production only unless enabled), except on routes with compress: false
+ * @param req The request object
+ * @param response The response
+ * @param match The matched route
+ * @returns The compressed response, or the response as is
+ */
+const compression: AfterMiddleware = (req, response, match) =>
+  config.compression.enabled && match.route.compress !== false ? compressionMiddleware(req, response) : response;
+
+// Routes in match order
+export const routes: Route[] = [
+  { name: "api", path: "/api/*", handle: handleApiRequest },
+  { name: "markdown", path: ["/docs/*", "/md/*"], handle: handleMarkdownRequest, botSnapshot: true },
+  { name: "sitemap", path: ["/sitemap.xml", "/sitemap.json"], handle: handleSitemapRequest },
+  { name: "snapshot", path: "/snapshot/*", handle: handleSnapshotRequest },
+  { name: "health", path: ["/health", "/healthz"], handle: handleHealthCheck },
+  { name: "metrics", path: "/metrics", handle: handleMetricsRequest, cache: "no-store" },
+  { name: "robots", path: "/robots.txt", handle: handleRobotsRequest },
+  // Live reload only runs in development, production serves these paths as static files
+  ...(!isProduction
+    ? [{ name: "live-reload", path: ["/dist/reload", "/dist/reload/events"], handle: handleLiveReload, compress: false }]
+    : []),
+  { name: "manifest", path: ["/manifest.json", "/site.webmanifest"], handle: handleManifestRequest },
+  { name: "favicon", path: "/favicon.ico", handle: handleFaviconRequest },
+  { name: "static", path: ["/dist/*", "/public/*", "/examples/*", "/client/*"], handle: handleStaticRequest },
+  { name: "app", path: "/*", handle: handleAppRequest, botSnapshot: true },
+];
+
+/**
+ * Route a request to its handler
+ * Resolves to the response and the name of the handler that served it
+ */
+export const routeRequest = createRouter(routes, {
+  before: [botSnapshot],
+  after: [cacheControl, securityHeaders, compression],
+  notFound: handleNotFound,
+});
+
+export default {
+  routes,
+  routeRequest,
+};
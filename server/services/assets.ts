@@ -0,0 +1,94 @@
+// server/services/assets.ts
+import { join } from "path";
+import { readFileSync, statSync } from "fs";
+import { getTimestampParam } from "../utils/caching.js";
+import config from "../config.js";
+
+const { paths } = config;
+
+/**
+ * Build asset URLs
+ *
+ * build.js writes content-hashed files and dist/manifest.json, which maps
+ * the logical asset names to them:
+ *
+ *   {
+ *     "app.js": { "file": "app.k3j2h1g0.js", "imports": ["chunks/chunk-a1b2c3d4.js"] },
+ *     "main.css": { "file": "styles/main.9f8e7d6c.css" }
+ *   }
+ *
+ * File names are relative to /dist/, imports are the static imports of the
+ * entry and its chunks. The manifest is re-read when the build rewrites it.
+ */
+
+// Asset entry of the build manifest
+export interface AssetEntry {
+  file: string;
+  imports?: string[];
+}
+
+// Build manifest, keyed by logical asset name
+export type AssetManifest = Record<string, AssetEntry>;
+
+// URLs of the assets loaded by the app template
+export interface PageAssets {
+  js: string;
+  css: string;
+  preload: string[]; // Static imports of the entry, for <link rel="modulepreload">
+}
+
+const MANIFEST_PATH = join(paths.dist, "manifest.json");
+
+let manifest: AssetManifest | null = null;
+let manifestMtime = 0;
+
+/**
+ * Get the build manifest, reloaded when build.js rewrites it
+ * @returns The manifest, or null before the first build
+ */
+export function getAssetManifest(): AssetManifest | null {
+  try {
+    const { mtimeMs } = statSync(MANIFEST_PATH);
+    if (!manifest || mtimeMs !== manifestMtime) {
+      manifest = JSON.parse(readFileSync(MANIFEST_PATH, "utf-8"));
+      manifestMtime = mtimeMs;
+    }
+  } catch (error) {
+    // Missing or being written, keep the last manifest
+  }
+
+  return manifest;
+}
+
+/**
+ * Get the URL of a build asset
+ * Builds without a manifest are served under their logical name with a
+ * cache-busting parameter in development
+ * @param name Logical asset name, e.g. "app.js"
+ * @param fallback Path of the unhashed file, relative to /dist/
+ * @returns The asset URL
+ */
+export function getAssetUrl(name: string, fallback: string = name): string {
+  const entry = getAssetManifest()?.[name];
+  return entry ? `/dist/${entry.file}` : `/dist/${fallback}${getTimestampParam()}`;
+}
+
+/**
+ * Get the assets loaded by the app template
+ * @returns Script, stylesheet and module preload URLs
+ */
+export function getPageAssets(): PageAssets {
+  const entry = getAssetManifest()?.["app.js"];
+
+  return {
+    js: getAssetUrl("app.js"),
+    css: getAssetUrl("main.css", "styles/main.css"),
+    preload: (entry?.imports || []).map((file) => `/dist/${file}`),
+  };
+}
+
+export default {
+  getAssetManifest,
+  getAssetUrl,
+  getPageAssets,
+};
@@ -0,0 +1,119 @@
+// server/services/docs.ts
+import { join, relative, sep } from "path";
+import { existsSync } from "fs";
+import { readdir, readFile, stat } from "fs/promises";
+import { parseFrontMatter } from "../../client/core/markdown/index.js";
+import config from "../config.js";
+
+const { isProduction } = config;
+
+// Markdown files directory
+export const DOCS_DIR = join(config.paths.root, "docs");
+
+// Front-matter metadata of a doc, as normalized by the shared markdown pipeline
+export interface DocMeta {
+  [key: string]: any;
+  title?: string;
+  description?: string;
+  order?: number;
+  tags: string[];
+  since?: string;
+  draft: boolean;
+}
+
+// A parsed markdown document
+export interface Doc {
+  path: string; // Path relative to the docs directory, e.g. "core/events.md"
+  url: string; // Public URL of the rendered doc, e.g. "/docs/core/events"
+  title: string; // Front-matter title, first heading or file name
+  meta: DocMeta;
+  content: string; // Markdown body without front-matter
+  source: string; // Raw markdown, front-matter included
+  modified: Date; // File mtime
+  lastModified: string; // ISO date (YYYY-MM-DD) from the file mtime
+}
+
+/**
+ * Check whether a doc may be served in the current environment
+ * Drafts are only visible in development
+ * @param doc The parsed doc
+ * @returns Whether the doc is visible
+ */
+export function isDocVisible(doc: Doc): boolean {
+  return !(isProduction && doc.meta.draft);
+}
+
+/**
+ * Read and parse a markdown document
+ * @param docPath Path relative to the docs directory (with .md extension)
+ * @returns The parsed doc or null if the file doesn't exist
+ */
+export async function readDoc(docPath: string): Promise<Doc | null> {
+  const filePath = join(DOCS_DIR, docPath);
+
+  // Never resolve outside of the docs directory
+  if (relative(DOCS_DIR, filePath).startsWith("..")) {
+    return null;
+  }
+
+  let markdown: string;
+  let stats: Awaited<ReturnType<typeof stat>>;
+  try {
+    [markdown, stats] = await Promise.all([readFile(filePath, "utf-8"), stat(filePath)]);
+  } catch (error: any) {
+    if (error.code === "ENOENT" || error.code === "EISDIR") return null;
+    throw error;
+  }
+
+  const { data, content } = parseFrontMatter(markdown);
+  const normalizedPath = docPath.split(sep).join("/");
+  const fileName = normalizedPath.split("/").pop()!.replace(/\.md$/, "");
+
+  return {
+    path: normalizedPath,
+    url: `/docs/${normalizedPath.replace(/\.md$/, "")}`,
+    title: data.title || content.match(/^# (.*$)/m)?.[1]?.trim() || fileName,
+    meta: data,
+    content,
+    source: markdown,
+    modified: stats.mtime,
+    lastModified: stats.mtime.toISOString().split("T")[0],
+  };
+}
+
+/**
+ * List all visible docs, sorted by front-matter order then title
+ * @returns Array of parsed docs
+ */
+export async function listDocs(): Promise<Doc[]> {
+  if (!existsSync(DOCS_DIR)) {
+    return [];
+  }
+
+  const entries = (await readdir(DOCS_DIR, { recursive: true })).filter((entry) => entry.endsWith(".md"));
+  const docs: Doc[] = [];
+
+  await Promise.all(entries.map(async (entry) => {
+    try {
+      const doc = await readDoc(entry);
+      if (doc && isDocVisible(doc)) {
+        docs.push(doc);
+      }
+    } catch (error: any) {
+      console.warn(`Skipping doc ${entry}: ${error.message}`);
+    }
+  }));
+
+  return docs.sort((a, b) => {
+    const orderA = a.meta.order ?? Number.MAX_SAFE_INTEGER;
+    const orderB = b.meta.order ?? Number.MAX_SAFE_INTEGER;
+    return orderA - orderB || a.path.localeCompare(b.path);
+  });
+}
+
+export default {
+  readDoc,
+  listDocs,
+  isDocVisible,
+  DOCS_DIR,
+};
@@ -2,7 +2,30 @@
 
 import { readFile, stat, writeFile, mkdir } from "fs/promises";
 import { existsSync } from "fs";
-import { extname, dirname } from "path";
+import { extname, dirname, basename } from "path";
+import {
+  ContentEncoding,
+  ENCODINGS,
+  PRECOMPRESSED_EXTENSIONS,
+  isCompressible,
+  negotiateEncoding,
+} from "../utils/compression.js";
+import { getCacheControl } from "../utils/caching.js";
+import {
+  weakenETag,
+  isNotModified,
+  notModifiedResponse,
+  withValidators,
+} from "../utils/conditional.js";
+import {
+  parseRange,
+  ifRangeMatches,
+  createRangeResponse,
+  rangeNotSatisfiable,
+} from "../utils/range.js";
+import { recordCompression } from "./metrics.js";
+import { logEvent } from "../middleware/logger.js";
+import config from "../config.js";
 
 // MIME type mapping for static files
 const MIME_TYPES: Record<string, string> = {
@@ -39,12 +62,59 @@ function getMimeType(filePath: string): string {
   return MIME_TYPES[ext] || "application/octet-stream";
 }
 
+/**
+ * Get the strong ETag of a file from its size and modification time
+ * Nothing is read, so large files (videos) cost the same as small ones
+ * @param mtimeMs Modification time of the file
+ * @param size Size of the file
+ * @returns The ETag
+ */
+function getFileETag(mtimeMs: number, size: number): string {
+  return `"${size.toString(36)}-${Math.floor(mtimeMs).toString(36)}"`;
+}
+
+/**
+ * Find the precompressed sibling (.br, .gz) of a file to serve for a request
+ * Siblings older than the file are stale and ignored
+ * @param filePath Path to the file
+ * @param mtimeMs Modification time of the file
+ * @param request The request object
+ * @returns The sibling path, size and encoding, or null
+ */
+async function findPrecompressed(
+  filePath: string,
+  mtimeMs: number,
+  request: Request
+): Promise<{ path: string; size: number; encoding: ContentEncoding } | null> {
+  const siblings = new Map<ContentEncoding, { path: string; size: number }>();
+
+  for (const encoding of ENCODINGS) {
+    const extension = PRECOMPRESSED_EXTENSIONS[encoding];
+    if (!extension) continue;
+
+    try {
+      const siblingStats = await stat(filePath + extension);
+      if (siblingStats.mtimeMs >= mtimeMs) {
+        siblings.set(encoding, { path: filePath + extension, size: siblingStats.size });
+      }
+    } catch (error) {
+      // No sibling for this encoding
+    }
+  }
+
+  if (siblings.size === 0) return null;
+
+  const encoding = negotiateEncoding(request.headers.get("accept-encoding"), [...siblings.keys()]);
+  return encoding ? { ...siblings.get(encoding)!, encoding } : null;
+}
+
 /**
  * Serve a static file with proper headers
  * @param filePath Absolute path to the file
  * @param customHeaders Additional headers to add
- * @param request Optional request object for future enhancements
- * @returns Response object with the file content
+ * @param request Optional request object, used to pick a precompressed sibling
+ *   and to answer conditional and range requests
+ * @returns Response object with the file content, a part of it, or a 304 response
  */
 export async function serveStaticFile(
   filePath: string,
@@ -53,9 +123,10 @@ export async function serveStaticFile(
 ): Promise<Response> {
   try {
     // Special case for webmanifest files to ensure proper content type
+    // (dist/manifest.json is the build manifest, see services/assets.ts)
     if (
       filePath.endsWith(".webmanifest") ||
-      filePath.endsWith("manifest.json")
+      (basename(filePath) === "manifest.json" && dirname(filePath) !== config.paths.dist)
     ) {
       const content = await readFile(filePath, "utf-8");
 
@@ -64,7 +135,7 @@ export async function serveStaticFile(
         const parsedContent = JSON.parse(content);
         const jsonString = JSON.stringify(parsedContent, null, 2);
 
-        return new Response(jsonString, {
+        const response = new Response(jsonString, {
           status: 200,
           headers: {
             "Content-Type": "application/manifest+json",
@@ -72,6 +143,8 @@ export async function serveStaticFile(
             ...customHeaders,
           },
         });
+
+        return request ? await withValidators(request, response) : response;
       } catch (jsonError) {
         console.error(`Invalid JSON in manifest file: ${filePath}`, jsonError);
         // Return the raw content if parsing fails
@@ -86,23 +159,86 @@ export async function serveStaticFile(
     }
 
     // For all other files
-    const fileContent = await readFile(filePath);
     const fileStats = await stat(filePath);
     const lastModified = new Date(fileStats.mtime).toUTCString();
+    const etag = getFileETag(fileStats.mtimeMs, fileStats.size);
 
     // Get proper MIME type based on file extension
     const contentType = getMimeType(filePath);
+    const compressible = isCompressible(contentType);
+
+    // The cached copy is still valid
+    if (request && isNotModified(request, etag, lastModified)) {
+      return notModifiedResponse({
+        ETag: etag,
+        "Last-Modified": lastModified,
+        "Cache-Control": getCacheControl(filePath),
+        ...(compressible ? { Vary: "Accept-Encoding" } : {}),
+        ...customHeaders,
+      });
+    }
 
     // Base headers
-    const headers = {
+    const headers: Record<string, string> = {
       "Content-Type": contentType,
       "Content-Length": fileStats.size.toString(),
+      "Accept-Ranges": "bytes",
+      ETag: etag,
       "Last-Modified": lastModified,
-      "Cache-Control": "max-age=3600",
+      "Cache-Control": getCacheControl(filePath),
+      ...(compressible ? { Vary: "Accept-Encoding" } : {}),
       ...customHeaders,
     };
 
-    return new Response(fileContent, { status: 200, headers });
+    // Byte ranges (e.g. to seek in videos) address the uncompressed file,
+    // an If-Range that no longer matches gets the full file
+    const rangeHeader = request?.method === "GET" ? request.headers.get("Range") : null;
+    if (rangeHeader && ifRangeMatches(request!, etag, lastModified)) {
+      const ranges = parseRange(rangeHeader, fileStats.size);
+
+      if (ranges === "unsatisfiable") {
+        return rangeNotSatisfiable(fileStats.size, {
+          ETag: etag,
+          "Last-Modified": lastModified,
+          "Accept-Ranges": "bytes",
+        });
+      }
+      if (ranges) {
+        return await createRangeResponse(Bun.file(filePath), ranges, headers);
+      }
+    }
+
+    // Serve the .br or .gz sibling written by build.js if the client accepts it,
+    // other responses are compressed by the compression middleware
+    if (request && config.compression.enabled && compressible) {
+      const precompressed = await findPrecompressed(filePath, fileStats.mtimeMs, request);
+
+      if (precompressed) {
+        recordCompression(precompressed.encoding, "precompressed", fileStats.size, precompressed.size);
+        logEvent("debug", "Serving precompressed file", {
+          encoding: precompressed.encoding,
+          bytes: fileStats.size,
+          compressed: precompressed.size,
+        });
+
+        return new Response(Bun.file(precompressed.path), {
+          status: 200,
+          headers: {
+            "Content-Type": contentType,
+            "Content-Encoding": precompressed.encoding,
+            "Content-Length": precompressed.size.toString(),
+            ETag: weakenETag(etag), // Same content, different bytes
+            "Last-Modified": lastModified,
+            "Cache-Control": getCacheControl(filePath),
+            Vary: "Accept-Encoding",
+            ...customHeaders,
+          },
+        });
+      }
+    }
+
+    // Streamed from disk
+    return new Response(Bun.file(filePath), { status: 200, headers });
   } catch (error: any) {
     if (error.code === "ENOENT") {
       return new Response("File not found", { status: 404 });
@@ -1,20 +1,136 @@
 // server/services/live-reload.ts
-import { existsSync, readFileSync } from "fs";
+import { existsSync, mkdirSync, readFileSync, watch } from "fs";
+import { basename, dirname } from "path";
 import { setNoCacheHeaders } from "../utils/caching.js";
-import { writeToFile } from "./file-service.js";
 import config from "../config.js";
 
 const { isProduction, paths } = config;
 
+/**
+ * Push-based live reload
+ *
+ * `build.js --watch` replaces the reload file with the event of each finished
+ * build, so the file only ever holds the last one. The server watches that
+ * file and pushes each new event to open pages over Server-Sent Events
+ * (/dist/reload/events):
+ *
+ *   { "id": "...", "type": "reload" | "css" | "error", "time": 1700000000000 }
+ *
+ * "css" events list the new stylesheet URLs in files, "error" events the
+ * build errors in errors.
+ *
+ * Pages reload on "reload" and swap their stylesheets on "css". On "error"
+ * they show the build errors in an overlay, which stays until the next
+ * successful build. They reconnect with exponential backoff, and reload if a
+ * build finished while they were disconnected.
+ */
+
+// Error of a failed build step, line and column are 1-based
+export interface BuildError {
+  step: "js" | "scss";
+  message: string;
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  frame: string;
+}
+
+// Event written by the build
+export interface LiveReloadEvent {
+  id: string;
+  type: "reload" | "css" | "error";
+  time: number;
+  files?: string[];
+  errors?: BuildError[];
+}
+
+// Path of the event stream
+export const LIVE_RELOAD_EVENTS_PATH = "/dist/reload/events";
+
+// Interval of keep-alive comments, below the idle timeout of Bun.serve
+const KEEP_ALIVE_INTERVAL = 5000;
+
+const encoder = new TextEncoder();
+const clients = new Set<ReadableStreamDefaultController<Uint8Array>>();
+
+let lastEvent: LiveReloadEvent | null = null;
+let lastBuildId: string | null = null; // Id of the last event read from the reload file
+
+/**
+ * Send an SSE message to every connected page
+ * @param event SSE event name
+ * @param data Event payload
+ */
+function broadcast(event: string, data: any): void {
+  const message = encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  for (const client of clients) {
+    try {
+      client.enqueue(message);
+    } catch (error) {
+      // The stream was closed, cancel() removes it
+    }
+  }
+}
+
+/**
+ * Read the event of the last build from the reload file
+ * @returns The event, or null if there is none
+ */
+function readBuildEvent(): LiveReloadEvent | null {
+  if (!existsSync(paths.reloadFile)) return null;
+
+  try {
+    const event = JSON.parse(readFileSync(paths.reloadFile, "utf-8"));
+    return event && typeof event.id === "string" ? event : null;
+  } catch (error) {
+    // Older build scripts wrote plain timestamps
+    return null;
+  }
+}
+
+/**
+ * Push the build event when the reload file holds a new one
+ */
+function handleReloadFileChange(): void {
+  try {
+    const event = readBuildEvent();
+    if (!event || event.id === lastBuildId) return;
+
+    lastBuildId = event.id;
+    lastEvent = event;
+    const label = event.type === "css" ? "Stylesheet update" : event.type === "error" ? "Build errors" : "Reload";
+    console.log(`🔄 [LIVE-RELOAD] ${label} pushed to ${clients.size} page(s)`);
+    broadcast("change", event);
+  } catch (error) {
+    console.error("Error reading live reload events:", error);
+  }
+}
+
 /**
  * Initialize the live reload system
+ * The event already in the reload file is skipped, pages only get new builds
  */
 export function initLiveReload(): void {
   if (isProduction) return;
-  
+
   try {
-    const timestamp = Date.now().toString();
-    writeToFile(paths.reloadFile, timestamp);
+    const dir = dirname(paths.reloadFile);
+    mkdirSync(dir, { recursive: true });
+
+    const event = readBuildEvent();
+    if (event) {
+      lastEvent = event;
+      lastBuildId = event.id;
+    }
+
+    // Watch the directory, the build may create or replace the file
+    watch(dir, (_, filename) => {
+      if (filename === basename(paths.reloadFile)) {
+        handleReloadFileChange();
+      }
+    });
+
     console.log("✓ Live reload initialized");
   } catch (error) {
     console.error("✗ Error initializing live reload:", error);
@@ -22,81 +138,235 @@ export function initLiveReload(): void {
 }
 
 /**
- * Handle a request for the reload timestamp
- * @returns Response with the current timestamp
+ * Handle a request for the event stream
+ * @param req The request object
+ * @returns An SSE response
+ */
+export function handleLiveReloadEvents(req: Request): Response {
+  if (isProduction) {
+    return new Response("Not available in production", { status: 404 });
+  }
+
+  let client: ReadableStreamDefaultController<Uint8Array>;
+  let keepAlive: ReturnType<typeof setInterval>;
+
+  const close = () => {
+    clearInterval(keepAlive);
+    clients.delete(client);
+  };
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      client = controller;
+      clients.add(controller);
+
+      // Tell the page which build it is connected to, and whether it failed
+      const hello = {
+        build: lastEvent?.id || null,
+        errors: lastEvent?.type === "error" ? lastEvent.errors || [] : null,
+      };
+      controller.enqueue(encoder.encode(`event: hello\ndata: ${JSON.stringify(hello)}\n\n`));
+
+      keepAlive = setInterval(() => {
+        try {
+          controller.enqueue(encoder.encode(": ping\n\n"));
+        } catch (error) {
+          close();
+        }
+      }, KEEP_ALIVE_INTERVAL);
+
+      req.signal.addEventListener("abort", close, { once: true });
+    },
+    cancel: close,
+  });
+
+  const headers = new Headers();
+  setNoCacheHeaders(headers);
+  headers.set("Content-Type", "text/event-stream");
+  headers.set("Connection", "keep-alive");
+
+  return new Response(stream, { headers });
+}
+
+/**
+ * Handle a request for the last build event
+ * @returns Response with the last event, or null before the first build
  */
 export function handleReloadRequest(): Response {
   if (isProduction) {
     return new Response("Not available in production", { status: 404 });
   }
-  
+
   const headers = new Headers();
   setNoCacheHeaders(headers);
-  headers.set("Content-Type", "text/plain");
+  headers.set("Content-Type", "application/json");
   headers.set("Access-Control-Allow-Origin", "*");
-  
-  try {
-    const timestamp = Date.now().toString();
-    writeToFile(paths.reloadFile, timestamp);
-    return new Response(timestamp, { headers });
-  } catch (error) {
-    console.error("Error handling reload request:", error);
-    return new Response("Error", { status: 500, headers });
-  }
+
+  return new Response(JSON.stringify(lastEvent), { headers });
 }
 
 /**
- * Update the reload timestamp to trigger a page refresh
+ * Push a reload to every connected page
+ * @param type Reload the page, or only its stylesheets
  */
-export function triggerReload(): void {
+export function triggerReload(type: Exclude<LiveReloadEvent["type"], "error"> = "reload"): void {
   if (isProduction) return;
-  
-  try {
-    const timestamp = Date.now().toString();
-    writeToFile(paths.reloadFile, timestamp);
-  } catch (error) {
-    console.error("Error triggering reload:", error);
-  }
+
+  const time = Date.now();
+  lastEvent = { id: `server-${time}`, type, time };
+  broadcast("change", lastEvent);
 }
 
 /**
  * Get the live reload script for injection into templates
+ * @param nonce CSP nonce of the request
  * @returns The live reload script
  */
-export function getLiveReloadScript(): string {
+export function getLiveReloadScript(nonce: string = ""): string {
   if (isProduction) return '';
-  
+
   return `
-    <script>
-      // Live reload script
+    <script${nonce ? ` nonce="${nonce}"` : ""}>
+      // Live reload client
       (function() {
-        let lastTimestamp = null;
-        const RELOAD_CHECK_INTERVAL = 1000; // Check every second
-        
-        function checkForChanges() {
-          fetch('/dist/reload?' + Date.now())
-            .then(response => response.text())
-            .then(timestamp => {
-              // First run, just store the timestamp
-              if (lastTimestamp === null) {
-                lastTimestamp = timestamp;
-                return;
-              }
-              
-              // If timestamp has changed, reload the page
-              if (timestamp !== lastTimestamp) {
-                console.log('[LiveReload] Changes detected, reloading page...');
-                window.location.reload();
-              }
-            })
-            .catch(error => {
-              console.warn('[LiveReload] Error checking for changes:', error);
-            });
+        var MIN_DELAY = 1000;
+        var MAX_DELAY = 30000;
+        var delay = MIN_DELAY;
+        var build;
+        var overlay = null;
+
+        // Remove the build error overlay
+        function hideErrors() {
+          if (overlay) {
+            overlay.remove();
+            overlay = null;
+          }
+        }
+
+        // Show build errors with their location and code frame
+        // Built with textContent, messages and sources are not trusted as HTML
+        function showErrors(errors) {
+          hideErrors();
+
+          overlay = document.createElement('div');
+          overlay.setAttribute('role', 'alertdialog');
+          overlay.setAttribute('aria-label', 'Build failed');
+          overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;' +
+            'background:rgba(0,0,0,0.85);color:#e8e8e8;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace;padding:32px;';
+
+          var header = document.createElement('div');
+          header.style.cssText = 'display:flex;justify-content:space-between;align-items:center;margin-bottom:16px;';
+          var title = document.createElement('strong');
+          title.style.cssText = 'color:#ff6b6b;font-size:18px;';
+          title.textContent = 'Build failed, the page runs the last successful build';
+          var close = document.createElement('button');
+          close.type = 'button';
+          close.textContent = '×';
+          close.title = 'Dismiss (Esc)';
+          close.style.cssText = 'background:none;border:0;color:inherit;font-size:28px;cursor:pointer;';
+          close.onclick = hideErrors;
+          header.appendChild(title);
+          header.appendChild(close);
+          overlay.appendChild(header);
+
+          errors.forEach(function(error) {
+            var section = document.createElement('section');
+            section.style.cssText = 'margin-bottom:24px;';
+
+            var location = document.createElement('div');
+            location.style.cssText = 'color:#8ab4f8;';
+            location.textContent = (error.step === 'scss' ? 'SCSS' : 'JavaScript') +
+              (error.file ? ' · ' + error.file + (error.line ? ':' + error.line + ':' + (error.column || 1) : '') : '');
+
+            var message = document.createElement('div');
+            message.style.cssText = 'white-space:pre-wrap;margin:4px 0 8px;';
+            message.textContent = error.message;
+
+            section.appendChild(location);
+            section.appendChild(message);
+
+            if (error.frame) {
+              var frame = document.createElement('pre');
+              frame.style.cssText = 'margin:0;padding:12px;background:rgba(255,255,255,0.06);overflow:auto;';
+              frame.textContent = error.frame;
+              section.appendChild(frame);
+            }
+
+            overlay.appendChild(section);
+          });
+
+          document.body.appendChild(overlay);
+          console.error('[LiveReload] Build failed', errors);
+        }
+
+        document.addEventListener('keydown', function(event) {
+          if (event.key === 'Escape') hideErrors();
+        });
+
+        // Replace stylesheets once the new ones are loaded, so nothing flashes
+        // files holds the new content-hashed stylesheet URLs of the build
+        function swapStylesheets(files) {
+          var stylesheet = (files || []).filter(function(file) { return /\.css$/.test(file); })[0];
+          var links = document.querySelectorAll('link[rel="stylesheet"][href*="/dist/"]');
+          Array.prototype.forEach.call(links, function(link) {
+            var next = link.cloneNode();
+            next.href = stylesheet && link.href.indexOf('/dist/styles/') !== -1
+              ? stylesheet
+              : link.href.split('?')[0] + '?v=' + Date.now();
+            next.onload = function() { link.remove(); };
+            next.onerror = function() { link.remove(); };
+            link.after(next);
+          });
+          console.log('[LiveReload] Stylesheets updated');
         }
-        
-        // Start checking for changes
-        console.log('[LiveReload] Monitoring for changes...');
-        setInterval(checkForChanges, RELOAD_CHECK_INTERVAL);
+
+        function connect() {
+          var source = new EventSource('${LIVE_RELOAD_EVENTS_PATH}');
+
+          source.addEventListener('hello', function(event) {
+            var data = JSON.parse(event.data);
+            delay = MIN_DELAY;
+
+            // A build finished while disconnected
+            if (build !== undefined && data.build !== build && !data.errors) {
+              window.location.reload();
+              return;
+            }
+            build = data.build;
+
+            if (data.errors) {
+              showErrors(data.errors);
+            } else {
+              hideErrors();
+            }
+            console.log('[LiveReload] Connected');
+          });
+
+          source.addEventListener('change', function(event) {
+            var data = JSON.parse(event.data);
+            build = data.id;
+
+            if (data.type === 'error') {
+              showErrors(data.errors || []);
+            } else if (data.type === 'css') {
+              hideErrors();
+              swapStylesheets(data.files);
+            } else {
+              console.log('[LiveReload] Changes detected, reloading page...');
+              window.location.reload();
+            }
+          });
+
+          source.onerror = function() {
+            source.close();
+            var wait = delay + Math.round(Math.random() * delay * 0.2);
+            console.warn('[LiveReload] Connection lost, retrying in ' + wait + 'ms');
+            setTimeout(connect, wait);
+            delay = Math.min(delay * 2, MAX_DELAY);
+          };
+        }
+
+        connect();
       })();
     </script>
   `;
@@ -104,7 +374,8 @@ export function getLiveReloadScript(): string {
 
 export default {
   initLiveReload,
+  handleLiveReloadEvents,
   handleReloadRequest,
   triggerReload,
   getLiveReloadScript
-};
\ No newline at end of file
+};
@@ -0,0 +1,173 @@
+// server/services/log-file.ts
+import { closeSync, existsSync, mkdirSync, openSync, readdirSync, renameSync, statSync, unlinkSync, write, writeSync } from "fs";
+import { basename, dirname, extname, join } from "path";
+import { promisify } from "util";
+
+/**
+ * Rotating log files
+ *
+ * Lines are appended to the log file until it grows past maxSize or the
+ * date changes, then the file is renamed after the day it was started
+ * (access.log -> access-2024-05-01.log, access-2024-05-01.1.log, ...) and a
+ * new one is opened. Only the most recent `keep` rotated files are kept.
+ * Lines are buffered and written asynchronously after the current tick, so
+ * logging never blocks a request on the disk; close() writes what is left.
+ */
+
+const writeAsync = promisify(write);
+
+// Rotation settings
+export interface LogFileOptions {
+  maxSize: number; // Bytes, 0 disables rotation by size
+  daily: boolean; // Rotate when the date changes
+  keep: number; // Rotated files kept, 0 keeps them all
+}
+
+// A log file that rotates itself
+export interface LogFile {
+  write: (line: string) => void;
+  close: () => void;
+}
+
+/**
+ * Get the local date of a timestamp as YYYY-MM-DD
+ * @param time Timestamp in milliseconds
+ * @returns The date
+ */
+function toDay(time: number): string {
+  const date = new Date(time);
+  const pad = (value: number) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param text The text
+ * @returns The escaped text
+ */
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Open a rotating log file
+ * @param path Path of the current log file
+ * @param options Rotation settings
+ * @returns The log file
+ */
+export function openLogFile(path: string, options: LogFileOptions): LogFile {
+  const dir = dirname(path);
+  const extension = extname(path) || ".log";
+  const name = basename(path, extname(path));
+
+  mkdirSync(dir, { recursive: true });
+
+  // Rotated names: the day the file was started, then a counter for files
+  // rotated by size on the same day
+  const rotatedPattern = new RegExp(`^${escapeRegExp(name)}-\\d{4}-\\d{2}-\\d{2}(?:\\.\\d+)?${escapeRegExp(extension)}$`);
+
+  let fd = -1;
+  let size = 0;
+  let day = "";
+  const queue: Buffer[] = [];
+  let flushing = false;
+
+  const open = () => {
+    fd = openSync(path, "a");
+    const stats = statSync(path);
+    size = stats.size;
+    // An existing file belongs to the day it was last written
+    day = toDay(size > 0 ? stats.mtimeMs : Date.now());
+  };
+
+  // Rotated files of this log, oldest first
+  const listRotated = () =>
+    readdirSync(dir)
+      .filter((file) => rotatedPattern.test(file))
+      .sort((a, b) => statSync(join(dir, a)).mtimeMs - statSync(join(dir, b)).mtimeMs);
+
+  const rotate = () => {
+    closeSync(fd);
+    fd = -1;
+
+    let target = join(dir, `${name}-${day}${extension}`);
+    for (let i = 1; existsSync(target); i++) {
+      target = join(dir, `${name}-${day}.${i}${extension}`);
+    }
+    renameSync(path, target);
+
+    if (options.keep > 0) {
+      const rotated = listRotated();
+      rotated.slice(0, Math.max(0, rotated.length - options.keep)).forEach((file) => unlinkSync(join(dir, file)));
+    }
+
+    open();
+  };
+
+  // Whether bytes written after `current` bytes belong in a new file
+  const needsRotation = (current: number, bytes: number) =>
+    current > 0 &&
+    ((options.daily && toDay(Date.now()) !== day) || (options.maxSize > 0 && current + bytes > options.maxSize));
+
+  // Take the queued lines that fit in the current file, rotating first if
+  // the next line doesn't
+  const takeBatch = (): Buffer => {
+    if (needsRotation(size, queue[0].byteLength)) {
+      try {
+        rotate();
+      } catch (error) {
+        console.error("Error rotating log file:", error);
+        if (fd < 0) open();
+      }
+    }
+
+    let count = 1;
+    let bytes = queue[0].byteLength;
+    while (count < queue.length && !needsRotation(size + bytes, queue[count].byteLength)) {
+      bytes += queue[count].byteLength;
+      count++;
+    }
+
+    const batch = Buffer.concat(queue.splice(0, count));
+    size += batch.byteLength;
+    return batch;
+  };
+
+  const flush = async () => {
+    try {
+      while (queue.length > 0 && fd >= 0) {
+        await writeAsync(fd, takeBatch());
+      }
+    } catch (error) {
+      console.error("Error writing log file:", error);
+    } finally {
+      flushing = false;
+    }
+  };
+
+  open();
+
+  return {
+    write(line: string) {
+      queue.push(Buffer.from(line.endsWith("\n") ? line : `${line}\n`));
+
+      if (!flushing) {
+        flushing = true;
+        setImmediate(flush);
+      }
+    },
+
+    close() {
+      // Lines still queued are written at once, e.g. when the process exits
+      while (queue.length > 0 && fd >= 0) {
+        writeSync(fd, takeBatch());
+      }
+      if (fd >= 0) closeSync(fd);
+      fd = -1;
+    },
+  };
+}
+
+export default {
+  openLogFile,
+};
@@ -0,0 +1,249 @@
+// server/services/metrics.ts
+
+/**
+ * Server metrics
+ *
+ * Counters, gauges and histograms kept in memory and rendered in the
+ * Prometheus text exposition format by the /metrics endpoint
+ * (handlers/special.ts). Values start at zero when the process starts,
+ * Prometheus handles the resets of counters.
+ *
+ * Metric names are prefixed with mtrl_, except the process_ metrics which
+ * follow the names of the standard client libraries.
+ */
+
+// Labels of a series
+export type MetricLabels = Record<string, string>;
+
+// A metric family and its series, keyed by their serialized labels
+interface MetricFamily {
+  name: string;
+  help: string;
+  type: "counter" | "gauge" | "histogram";
+  buckets?: number[]; // Upper bounds of histogram buckets, ascending
+  collect?: () => number; // Value computed when scraped
+  series: Map<string, { labels: MetricLabels; value: number; counts?: number[]; sum?: number }>;
+}
+
+// Request durations in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Compressed size / original size
+const RATIO_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+// Methods counted under their own name, others under "other"
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+const families = new Map<string, MetricFamily>();
+
+/**
+ * Declare a metric family
+ * @param name Metric name
+ * @param type Metric type
+ * @param help Description
+ * @param options Histogram buckets, or the collect function of a gauge
+ */
+function define(
+  name: string,
+  type: MetricFamily["type"],
+  help: string,
+  options: { buckets?: number[]; collect?: () => number } = {}
+): void {
+  families.set(name, { name, type, help, ...options, series: new Map() });
+}
+
+/**
+ * Get the series of a family for a set of labels, created on first use
+ * @param name Metric name
+ * @param labels Series labels
+ * @returns The series
+ */
+function getSeries(name: string, labels: MetricLabels) {
+  const family = families.get(name);
+  if (!family) throw new Error(`Unknown metric: ${name}`);
+
+  const key = JSON.stringify(labels);
+  let series = family.series.get(key);
+
+  if (!series) {
+    series = family.type === "histogram"
+      ? { labels, value: 0, counts: family.buckets!.map(() => 0), sum: 0 }
+      : { labels, value: 0 };
+    family.series.set(key, series);
+  }
+
+  return series;
+}
+
+/**
+ * Increase a counter
+ * @param name Metric name
+ * @param labels Series labels
+ * @param value Increment
+ */
+export function incrementCounter(name: string, labels: MetricLabels = {}, value: number = 1): void {
+  getSeries(name, labels).value += value;
+}
+
+/**
+ * Record an observation in a histogram
+ * @param name Metric name
+ * @param labels Series labels
+ * @param value Observed value
+ */
+export function observeHistogram(name: string, labels: MetricLabels, value: number): void {
+  const family = families.get(name)!;
+  const series = getSeries(name, labels);
+
+  family.buckets!.forEach((bound, i) => {
+    if (value <= bound) series.counts![i]++;
+  });
+  series.sum! += value;
+  series.value++;
+}
+
+/**
+ * Declare a metric whose value is read when metrics are scraped
+ * Used for values other modules already keep, e.g. cache statistics
+ * @param name Metric name
+ * @param type Metric type
+ * @param help Description
+ * @param collect Returns the current value
+ */
+export function defineCollected(name: string, type: "counter" | "gauge", help: string, collect: () => number): void {
+  define(name, type, help, { collect });
+}
+
+/**
+ * Record a served request
+ * @param request Handler name, method, status, duration in seconds and user agent class
+ */
+export function recordRequest(request: {
+  handler: string;
+  method: string;
+  status: number;
+  duration: number;
+  agent: string;
+}): void {
+  const method = METHODS.includes(request.method) ? request.method : "other";
+
+  incrementCounter("mtrl_http_requests_total", { handler: request.handler, method, status: String(request.status) });
+  observeHistogram("mtrl_http_request_duration_seconds", { handler: request.handler }, request.duration);
+  incrementCounter("mtrl_http_requests_by_agent_total", { agent: request.agent });
+}
+
+/**
+ * Record a compressed response
+ * @param encoding Content encoding
+ * @param source "dynamic" (compression middleware) or "precompressed" (build.js siblings)
+ * @param originalBytes Size before compression
+ * @param compressedBytes Size sent
+ */
+export function recordCompression(
+  encoding: string,
+  source: "dynamic" | "precompressed",
+  originalBytes: number,
+  compressedBytes: number
+): void {
+  const labels = { encoding, source };
+
+  incrementCounter("mtrl_compression_original_bytes_total", labels, originalBytes);
+  incrementCounter("mtrl_compression_compressed_bytes_total", labels, compressedBytes);
+  if (originalBytes > 0) {
+    observeHistogram("mtrl_compression_ratio", labels, compressedBytes / originalBytes);
+  }
+}
+
+/**
+ * Record a snapshot lookup
+ * @param hit Whether a snapshot file was found
+ */
+export function recordSnapshot(hit: boolean): void {
+  incrementCounter("mtrl_snapshot_requests_total", { result: hit ? "hit" : "miss" });
+}
+
+/**
+ * Escape a label value for the exposition format
+ * @param value Label value
+ * @returns The escaped value
+ */
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Format the labels of a sample
+ * @param labels Series labels
+ * @returns The label set, e.g. {handler="app"}, or an empty string
+ */
+function formatLabels(labels: MetricLabels): string {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format (version 0.0.4)
+ * @returns The metrics
+ */
+export function renderMetrics(): string {
+  const lines: string[] = [];
+
+  for (const family of families.values()) {
+    lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+
+    if (family.collect) {
+      lines.push(`${family.name} ${family.collect()}`);
+      continue;
+    }
+
+    for (const series of family.series.values()) {
+      if (family.type !== "histogram") {
+        lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+
+      family.buckets!.forEach((bound, i) => {
+        lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.counts![i]}`);
+      });
+      lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.value}`);
+      lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.value}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Requests
+define("mtrl_http_requests_total", "counter", "HTTP requests by handler, method and status");
+define("mtrl_http_request_duration_seconds", "histogram", "Time to produce the response, by handler", {
+  buckets: DURATION_BUCKETS,
+});
+define("mtrl_http_requests_by_agent_total", "counter", "HTTP requests by user agent class: bot, browser, cli, other or none");
+
+// Compression
+define("mtrl_compression_original_bytes_total", "counter", "Bytes of compressed responses before compression");
+define("mtrl_compression_compressed_bytes_total", "counter", "Bytes of compressed responses as sent");
+define("mtrl_compression_ratio", "histogram", "Compressed size divided by original size", {
+  buckets: RATIO_BUCKETS,
+});
+
+// Snapshots served to bots
+define("mtrl_snapshot_requests_total", "counter", "Snapshot lookups, hit when a snapshot file was served");
+
+// Process
+const startTime = Date.now() / 1000;
+defineCollected("process_resident_memory_bytes", "gauge", "Resident memory size in bytes", () => process.memoryUsage().rss);
+defineCollected("process_heap_used_bytes", "gauge", "JavaScript heap in use in bytes", () => process.memoryUsage().heapUsed);
+defineCollected("process_start_time_seconds", "gauge", "Start time of the process since the epoch in seconds", () => startTime);
+defineCollected("process_uptime_seconds", "gauge", "Seconds since the process started", () => process.uptime());
+
+export default {
+  incrementCounter,
+  observeHistogram,
+  defineCollected,
+  recordRequest,
+  recordCompression,
+  recordSnapshot,
+  renderMetrics,
+};
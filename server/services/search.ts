@@ -0,0 +1,474 @@
+// server/services/search.ts
+import { join, dirname, basename } from "path";
+import { existsSync, watch } from "fs";
+import { parseSections } from "../../client/core/markdown/index.js";
+import { sitemap } from "../../client/sitemap.js";
+import { componentsList } from "../../client/content/components/components-list.js";
+import { listDocs, DOCS_DIR } from "./docs.js";
+import config from "../config.js";
+
+// Kind of content a search entry comes from
+export type SearchEntryType = "doc" | "page" | "component";
+
+// A searchable unit: a doc section, a sitemap page or a component
+interface SearchEntry {
+  type: SearchEntryType;
+  title: string; // Page, doc or component title
+  heading?: string; // Section heading for docs
+  url: string; // Target URL, including the heading anchor for doc sections
+  text: string; // Plain text used for snippets
+  lengths: FieldValues; // Number of indexed tokens per field
+}
+
+// A value per indexed field
+type FieldValues = Record<SearchField, number>;
+
+// Fields of an entry, scored separately
+type SearchField = "title" | "heading" | "text";
+
+// A ranked search result
+export interface SearchResult {
+  type: SearchEntryType;
+  title: string;
+  heading?: string;
+  url: string;
+  snippet: string; // HTML-escaped excerpt with <mark> highlights
+  score: number;
+}
+
+// Ranked results and the number of entries matching the query
+export interface SearchResults {
+  items: SearchResult[];
+  total: number;
+}
+
+// Inverted index: term -> entry index -> term frequency per field
+interface SearchIndex {
+  entries: SearchEntry[];
+  postings: Map<string, Map<number, FieldValues>>;
+  terms: string[]; // Sorted terms for prefix lookups
+  averageLengths: FieldValues;
+}
+
+const FIELDS: SearchField[] = ["title", "heading", "text"];
+
+// Field weights (BM25F): a term in a title counts for several in body text
+const FIELD_WEIGHTS: FieldValues = {
+  title: 6,
+  heading: 3,
+  text: 1,
+};
+
+// Score factors by entry type, pages and components are the destinations
+// people look for, doc sections come after them on equal matches
+const TYPE_BOOSTS: Record<SearchEntryType, number> = {
+  component: 1.5,
+  page: 1.3,
+  doc: 1,
+};
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Score factor for terms only matched by prefix, raised towards 1 as the
+// prefix covers more of the term ("button" almost fully matches "buttons")
+const PREFIX_MATCH_FACTOR = 0.5;
+
+// Characters shown around the first match in snippets
+const SNIPPET_LENGTH = 160;
+
+// Sources indexed besides the docs, reloaded when they change in development
+const SITEMAP_FILE = join(config.paths.root, "client/sitemap.js");
+const COMPONENTS_FILE = join(config.paths.root, "client/content/components/components-list.js");
+
+let index: SearchIndex = createEmptyIndex();
+let sources = { sitemap, componentsList };
+
+/**
+ * Create an empty search index
+ * @returns An index without entries
+ */
+function createEmptyIndex(): SearchIndex {
+  return { entries: [], postings: new Map(), terms: [], averageLengths: { title: 0, heading: 0, text: 0 } };
+}
+
+/**
+ * Fold text for matching: lowercase, without diacritics
+ * @param text Text to fold
+ * @returns Folded text
+ */
+function foldText(text: string): string {
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, ""); // Strip diacritics
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param text Text to tokenize
+ * @returns Array of terms
+ */
+export function tokenize(text: string): string[] {
+  return foldText(text || "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1);
+}
+
+/**
+ * Escape HTML special characters
+ * @param text Raw text
+ * @returns Escaped text
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Collect searchable entries from docs, the sitemap and the components list
+ * @returns Array of search entries
+ */
+async function collectEntries(): Promise<Omit<SearchEntry, "lengths">[]> {
+  const entries: Omit<SearchEntry, "lengths">[] = [];
+
+  // Markdown docs, one entry per section
+  for (const doc of await listDocs()) {
+    try {
+      for (const section of parseSections(doc.content)) {
+        entries.push({
+          type: "doc",
+          title: doc.title,
+          heading: section.heading || undefined,
+          url: section.id ? `${doc.url}#${section.id}` : doc.url,
+          text: section.text,
+        });
+      }
+    } catch (error: any) {
+      console.warn(`Skipping ${doc.path} in search index: ${error.message}`);
+    }
+  }
+
+  // Sitemap pages
+  const visitPage = (page: any) => {
+    if (!page) return;
+
+    if (page.path && page.label) {
+      entries.push({
+        type: "page",
+        title: page.label,
+        url: page.path,
+        text: page.description || "",
+      });
+    }
+
+    if (Array.isArray(page.items)) {
+      page.items.forEach(visitPage);
+    }
+  };
+  Object.values(sources.sitemap).forEach(visitPage);
+
+  // Component catalogue
+  for (const group of sources.componentsList) {
+    for (const component of group.components || []) {
+      entries.push({
+        type: "component",
+        title: component.title,
+        heading: group.title,
+        url: `/${component.path}`,
+        text: [
+          component.description,
+          (component.features || []).join(", "),
+          component.examples,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Build the inverted index from all searchable content
+ * @returns Number of indexed entries
+ */
+export async function buildSearchIndex(): Promise<number> {
+  const next = createEmptyIndex();
+  const totalLengths: FieldValues = { title: 0, heading: 0, text: 0 };
+
+  (await collectEntries()).forEach((entry, entryIndex) => {
+    const lengths: FieldValues = { title: 0, heading: 0, text: 0 };
+
+    for (const field of FIELDS) {
+      for (const term of tokenize(entry[field] || "")) {
+        let posting = next.postings.get(term);
+        if (!posting) {
+          posting = new Map();
+          next.postings.set(term, posting);
+        }
+
+        let frequencies = posting.get(entryIndex);
+        if (!frequencies) {
+          frequencies = { title: 0, heading: 0, text: 0 };
+          posting.set(entryIndex, frequencies);
+        }
+
+        frequencies[field]++;
+        lengths[field]++;
+      }
+      totalLengths[field] += lengths[field];
+    }
+
+    next.entries.push({ ...entry, lengths });
+  });
+
+  next.terms = [...next.postings.keys()].sort();
+  for (const field of FIELDS) {
+    next.averageLengths[field] = next.entries.length ? totalLengths[field] / next.entries.length : 0;
+  }
+  index = next;
+
+  return index.entries.length;
+}
+
+/**
+ * Find indexed terms starting with a prefix
+ * @param prefix Term prefix
+ * @returns Matching terms
+ */
+function findPrefixTerms(prefix: string): string[] {
+  const { terms } = index;
+  let low = 0;
+  let high = terms.length;
+
+  // Binary search for the first term >= prefix
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches: string[] = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Build a highlighted snippet around the first matching term
+ * @param text Entry text
+ * @param queryTerms Terms from the query
+ * @returns HTML snippet
+ */
+function createSnippet(text: string, queryTerms: string[]): string {
+  const plain = text.replace(/\s+/g, " ").trim();
+  if (!plain) return "";
+
+  // Match on the text folded like the index terms, keeping for each folded
+  // character the position of the character it comes from in the plain text
+  let folded = "";
+  const positions: number[] = [];
+  let offset = 0;
+  for (const char of plain) {
+    const foldedChar = foldText(char);
+    for (let i = 0; i < foldedChar.length; i++) positions.push(offset);
+    folded += foldedChar;
+    offset += char.length;
+  }
+  positions.push(plain.length);
+
+  const firstMatch = queryTerms
+    .map((term) => folded.indexOf(term))
+    .filter((position) => position >= 0)
+    .sort((a, b) => a - b)[0];
+
+  const start = firstMatch === undefined
+    ? 0
+    : Math.max(0, positions[firstMatch] - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(plain.length, start + SNIPPET_LENGTH);
+
+  // Highlight words starting with any of the query terms
+  const pattern = queryTerms
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  const matcher = new RegExp(`(^|[^\\p{L}\\p{N}])((?:${pattern})[\\p{L}\\p{N}]*)`, "gu");
+
+  let snippet = "";
+  let last = start;
+  for (const match of folded.matchAll(matcher)) {
+    const matchStart = positions[match.index! + match[1].length];
+    const matchEnd = positions[match.index! + match[1].length + match[2].length];
+    if (matchStart < last) continue;
+    if (matchEnd > end) break;
+
+    snippet += escapeHtml(plain.slice(last, matchStart));
+    snippet += `<mark>${escapeHtml(plain.slice(matchStart, matchEnd))}</mark>`;
+    last = matchEnd;
+  }
+  snippet += escapeHtml(plain.slice(last, end));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < plain.length ? "…" : ""}`;
+}
+
+/**
+ * Combine the field frequencies of a term in an entry (BM25F)
+ * Each field is normalized by its own length, then weighted
+ * @param frequencies Term frequency per field
+ * @param lengths Field lengths of the entry
+ * @returns The weighted term frequency
+ */
+function weightFrequencies(frequencies: FieldValues, lengths: FieldValues): number {
+  let weighted = 0;
+
+  for (const field of FIELDS) {
+    if (!frequencies[field]) continue;
+    const average = index.averageLengths[field] || 1;
+    const norm = 1 - BM25_B + BM25_B * (lengths[field] / average);
+    weighted += (FIELD_WEIGHTS[field] * frequencies[field]) / norm;
+  }
+
+  return weighted;
+}
+
+/**
+ * Search the index
+ * All query terms must match, the last one also by prefix (search as you type)
+ * @param query Search query
+ * @param limit Maximum number of results
+ * @returns Ranked results and the number of matching entries
+ */
+export function search(query: string, limit: number = 20): SearchResults {
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0) return { items: [], total: 0 };
+
+  const total = index.entries.length;
+  const scores = new Map<number, number>();
+
+  queryTerms.forEach((term, termIndex) => {
+    const termScores = new Map<number, number>();
+    const isLast = termIndex === queryTerms.length - 1;
+    const candidates = isLast ? findPrefixTerms(term) : [term];
+
+    for (const candidate of candidates) {
+      const posting = index.postings.get(candidate);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+      const factor = candidate === term
+        ? 1
+        : PREFIX_MATCH_FACTOR + (1 - PREFIX_MATCH_FACTOR) * (term.length / candidate.length);
+
+      for (const [entryIndex, frequencies] of posting) {
+        const frequency = weightFrequencies(frequencies, index.entries[entryIndex].lengths);
+        const score = factor * idf * ((frequency * (BM25_K1 + 1)) / (frequency + BM25_K1));
+        termScores.set(entryIndex, Math.max(termScores.get(entryIndex) || 0, score));
+      }
+    }
+
+    // Intersect with the entries matched by previous terms
+    if (termIndex === 0) {
+      termScores.forEach((score, entryIndex) => scores.set(entryIndex, score));
+    } else {
+      for (const [entryIndex, score] of scores) {
+        const termScore = termScores.get(entryIndex);
+        if (termScore === undefined) scores.delete(entryIndex);
+        else scores.set(entryIndex, score + termScore);
+      }
+    }
+  });
+
+  const items = [...scores]
+    .map(([entryIndex, score]): [number, number] => [entryIndex, score * TYPE_BOOSTS[index.entries[entryIndex].type]])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([entryIndex, score]) => {
+      const entry = index.entries[entryIndex];
+      return {
+        type: entry.type,
+        title: entry.title,
+        heading: entry.heading,
+        url: entry.url,
+        snippet: createSnippet(entry.text, queryTerms),
+        score: Math.round(score * 1000) / 1000,
+      };
+    });
+
+  return { items, total: scores.size };
+}
+
+/**
+ * Reload the sitemap and the components list from their files
+ * The query string gives the modules a new identity, so the changed files are evaluated again
+ */
+async function reloadSources(): Promise<void> {
+  const version = Date.now();
+  const [sitemapModule, componentsModule] = await Promise.all([
+    import(`${SITEMAP_FILE}?v=${version}`),
+    import(`${COMPONENTS_FILE}?v=${version}`),
+  ]);
+  sources = { sitemap: sitemapModule.sitemap, componentsList: componentsModule.componentsList };
+}
+
+/**
+ * Build the index and, in development, rebuild it when docs, the sitemap or
+ * the components list change
+ */
+export async function initSearchIndex(): Promise<void> {
+  try {
+    const count = await buildSearchIndex();
+    console.log(`✓ Search index built (${count} entries)`);
+  } catch (error) {
+    console.error("✗ Error building search index:", error);
+  }
+
+  if (config.isProduction) return;
+
+  let rebuildTimeout: ReturnType<typeof setTimeout> | null = null;
+  let reload = false;
+
+  const scheduleRebuild = (filename: string, reloadModules: boolean) => {
+    reload = reload || reloadModules;
+
+    if (rebuildTimeout) clearTimeout(rebuildTimeout);
+    rebuildTimeout = setTimeout(async () => {
+      rebuildTimeout = null;
+      try {
+        if (reload) {
+          reload = false;
+          await reloadSources();
+        }
+        const count = await buildSearchIndex();
+        console.log(`🔎 Search index rebuilt after ${filename} changed (${count} entries)`);
+      } catch (error) {
+        console.error("Error rebuilding search index:", error);
+      }
+    }, 200); // 200ms debounce time
+  };
+
+  if (existsSync(DOCS_DIR)) {
+    watch(DOCS_DIR, { recursive: true }, (_, filename) => {
+      if (filename?.endsWith(".md")) scheduleRebuild(filename, false);
+    });
+  }
+
+  // Watch the directories, editors often replace files instead of writing them
+  for (const file of [SITEMAP_FILE, COMPONENTS_FILE]) {
+    watch(dirname(file), (_, filename) => {
+      if (filename === basename(file)) scheduleRebuild(filename, true);
+    });
+  }
+}
+
+export default {
+  initSearchIndex,
+  buildSearchIndex,
+  search,
+  tokenize,
+};
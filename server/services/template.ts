@@ -2,12 +2,10 @@
 import ejs from "ejs";
 import { existsSync } from "fs";
 import { isCompressibleType } from "../utils/mime-types.js";
-import {
-  compressContent,
-  setCompressionHeaders,
-} from "../utils/compression.js";
 import { getTimestampParam } from "../utils/caching.js";
+import { getPageAssets, PageAssets } from "./assets.js";
 import { getTemplateFile } from "../utils/paths.js";
+import { getCspNonce } from "../middleware/security.js";
 import config from "../config.js";
 
 const { isProduction } = config;
@@ -17,12 +15,15 @@ export interface TemplateData {
   [key: string]: any;
   title?: string;
   description?: string;
+  keywords?: string[]; // Meta keywords, e.g. front-matter tags of a doc
   path?: string; // Current URL path
   canonicalUrl?: string; // Full canonical URL
   ogImage?: string; // Open Graph image URL
   jsonLd?: Record<string, any>; // Structured data
   timestamp?: string; // Cache-busting timestamp
+  assets?: PageAssets; // Script, stylesheet and preload URLs from the build manifest
   isSnapshot?: boolean; // Whether this is being rendered for a snapshot
+  nonce?: string; // CSP nonce of the request, for inline scripts
 }
 
 /**
@@ -31,7 +32,7 @@ export interface TemplateData {
  * @returns Default template data
  */
 export function getDefaultTemplateData(path: string = "/"): TemplateData {
-  const baseUrl = process.env.BASE_URL || "https://mtrl.app";
+  const { baseUrl } = config;
   const canonicalUrl = `${baseUrl}${path === "/" ? "" : path}`;
 
   return {
@@ -42,8 +43,10 @@ export function getDefaultTemplateData(path: string = "/"): TemplateData {
     canonicalUrl,
     ogImage: `${baseUrl}/og-image.png`,
     timestamp: getTimestampParam(),
+    assets: getPageAssets(),
     isSnapshot: false,
     isProduction,
+    nonce: "",
   };
 }
 
@@ -119,7 +122,7 @@ export async function serveRenderedTemplate(
 ): Promise<Response> {
   const headers = new Headers({
     "Content-Type": "text/html; charset=utf-8",
-    "Cache-Control": isBot ? "public, max-age=3600" : "no-cache", // Higher cache for bots
+    "Cache-Control": isBot ? `public, max-age=${config.cache.bots}` : "no-cache", // Higher cache for bots
     Vary: "User-Agent", // Important for caching different versions based on user agent
   });
 
@@ -129,16 +132,7 @@ export async function serveRenderedTemplate(
     headers.set("X-Pre-Rendered", "true");
   }
 
-  // Try to compress HTML in production
-  if (isProduction) {
-    const compressed = await compressContent(html, "text/html");
-    setCompressionHeaders(headers, compressed);
-
-    if (compressed) {
-      return new Response(compressed, { headers });
-    }
-  }
-
+  // Compressed by the compression middleware, which negotiates the encoding
   return new Response(html, { headers });
 }
 
@@ -201,6 +195,7 @@ export async function render404Page(req: Request): Promise<Response> {
         description: "The page you're looking for doesn't exist.",
         path: requestedPath,
         requestedPath,
+        nonce: getCspNonce(req),
       });
 
       return new Response(html, {
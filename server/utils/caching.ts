@@ -1,9 +1,24 @@
 // server/utils/caching.ts
-import { extname } from "path";
+import { basename, extname } from "path";
 import config from "../config.js";
 
 const { isProduction, cache } = config;
 
+// Content-hashed build output written by build.js, e.g. app.k3j2h1g0.js
+const HASHED_ASSET = /\.[a-z0-9]{8}\.(?:js|mjs|css)(?:\.map)?$/i;
+
+// Hashed files never change, a new build writes new names
+const IMMUTABLE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+/**
+ * Check if a file name is content-hashed
+ * @param path File path
+ * @returns True for content-hashed build assets
+ */
+export function isHashedAsset(path: string): boolean {
+  return HASHED_ASSET.test(basename(path));
+}
+
 /**
  * Get cache control header value based on file type and environment
  * @param path File path
@@ -11,6 +26,11 @@ const { isProduction, cache } = config;
  */
 export function getCacheControl(path: string): string {
   const ext = extname(path);
+
+  // Content-hashed build assets
+  if (isHashedAsset(path)) {
+    return IMMUTABLE_CACHE_CONTROL;
+  }
   
   // CSS files
   if (ext === ".css") {
@@ -24,8 +44,8 @@ export function getCacheControl(path: string): string {
     return duration > 0 ? `public, max-age=${duration}` : "no-store, no-cache";
   }
   
-  // HTML files - never cache
-  if (ext === ".html") {
+  // HTML files and the build manifest - never cache
+  if (ext === ".html" || basename(path) === "manifest.json") {
     return "no-cache";
   }
   
@@ -34,6 +54,15 @@ export function getCacheControl(path: string): string {
   return `public, max-age=${duration}`;
 }
 
+/**
+ * Get the Cache-Control of the sitemaps and robots.txt
+ * @returns Cache-Control header value
+ */
+export function getSitemapCacheControl(): string {
+  const duration = isProduction ? cache.sitemap.production : cache.sitemap.development;
+  return duration > 0 ? `public, max-age=${duration}` : "no-cache";
+}
+
 /**
  * Set no-cache headers for dynamic content
  * @param headers Headers object to modify
@@ -53,7 +82,9 @@ export function getTimestampParam(): string {
 }
 
 export default {
+  isHashedAsset,
   getCacheControl,
+  getSitemapCacheControl,
   setNoCacheHeaders,
   getTimestampParam
 };
\ No newline at end of file
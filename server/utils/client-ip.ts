@@ -0,0 +1,43 @@
+// server/utils/client-ip.ts
+import config from "../config.js";
+
+/**
+ * Client addresses
+ *
+ * Bun only exposes the socket address through the server object, so
+ * handleRequest records it for each request. Behind a reverse proxy
+ * (config.trustProxy) the proxy's address is replaced by the last entry of
+ * X-Forwarded-For, the one the proxy appended; earlier entries come from the
+ * client and can't be trusted.
+ */
+
+// Socket addresses of the requests in flight
+const addresses = new WeakMap<Request, string>();
+
+/**
+ * Record the socket address of a request
+ * @param req The request object
+ * @param address Remote address from server.requestIP()
+ */
+export function setClientAddress(req: Request, address: string | null | undefined): void {
+  if (address) addresses.set(req, address);
+}
+
+/**
+ * Get the IP address of the client that sent a request
+ * @param req The request object
+ * @returns The address, or "unknown" if it isn't known
+ */
+export function getClientIp(req: Request): string {
+  if (config.trustProxy) {
+    const forwarded = req.headers.get("X-Forwarded-For")?.split(",").pop()?.trim();
+    if (forwarded) return forwarded;
+  }
+
+  return addresses.get(req) || "unknown";
+}
+
+export default {
+  setClientAddress,
+  getClientIp,
+};
@@ -1,7 +1,24 @@
 // server/utils/compression.ts
+import * as zlib from "zlib";
+import { promisify } from "util";
+import { weakenETag } from "./conditional.js";
+import { defineCollected, recordCompression } from "../services/metrics.js";
+import { logEvent } from "../middleware/logger.js";
 import config from "../config.js";
 
-const { isProduction } = config;
+const { compression } = config;
+
+/**
+ * Response compression
+ *
+ * The encoding is negotiated from Accept-Encoding with q-values among br,
+ * zstd and gzip, preferring them in that order when the client rates them
+ * equally. Compressed bodies are kept in an in-memory LRU cache keyed by the
+ * hash of their content, so an unchanged response is only compressed once.
+ */
+
+// Content encodings the server can produce
+export type ContentEncoding = "br" | "zstd" | "gzip";
 
 // Define compressible MIME types
 const COMPRESSIBLE_TYPES = [
@@ -18,8 +35,41 @@ const COMPRESSIBLE_TYPES = [
   "application/vnd.api+json",
 ];
 
-// Minimum size to compress (don't bother with tiny files)
-const MIN_SIZE_TO_COMPRESS = 1024; // 1KB
+// Supported encodings in order of preference, zstd needs a recent runtime
+export const ENCODINGS: ContentEncoding[] = (["br", "zstd", "gzip"] as ContentEncoding[]).filter(
+  (encoding) => encoding !== "zstd" || typeof (zlib as any).zstdCompress === "function"
+);
+
+// File extensions of the precompressed siblings written by build.js
+export const PRECOMPRESSED_EXTENSIONS: Partial<Record<ContentEncoding, string>> = {
+  br: ".br",
+  gzip: ".gz",
+};
+
+// Compressors, levels come from config.compression
+const compressors: Record<ContentEncoding, (data: Uint8Array) => Promise<Buffer>> = {
+  br: (data) =>
+    promisify(zlib.brotliCompress)(data, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: compression.brotliQuality,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.byteLength,
+      },
+    }),
+  zstd: (data) =>
+    promisify((zlib as any).zstdCompress)(data, {
+      params: { [(zlib.constants as any).ZSTD_c_compressionLevel]: compression.zstdLevel },
+    }),
+  gzip: (data) => promisify(zlib.gzip)(data, { level: compression.level }),
+};
+
+// Compressed bodies by "<content hash>:<encoding>", oldest first
+const cache = new Map<string, Uint8Array>();
+let cacheSize = 0;
+const cacheStats = { hits: 0, misses: 0 };
+
+defineCollected("mtrl_compression_cache_hits_total", "counter", "Compressions answered from the cache", () => cacheStats.hits);
+defineCollected("mtrl_compression_cache_misses_total", "counter", "Compressions not found in the cache", () => cacheStats.misses);
+defineCollected("mtrl_compression_cache_bytes", "gauge", "Bytes of compressed responses in the cache", () => cacheSize);
 
 /**
  * Check if a content type is compressible
@@ -31,58 +81,124 @@ export function isCompressible(contentType: string): boolean {
   return COMPRESSIBLE_TYPES.some((type) => contentType.startsWith(type));
 }
 
+/**
+ * Pick the content encoding for a request
+ * Encodings with q=0 are refused, "*" rates every encoding not listed. When
+ * several encodings share the highest q-value the server preference wins.
+ * @param acceptEncoding The Accept-Encoding header
+ * @param available Encodings that can be served, in order of preference
+ * @returns The encoding, or null to send the identity encoding
+ */
+export function negotiateEncoding(
+  acceptEncoding: string | null,
+  available: ContentEncoding[] = ENCODINGS
+): ContentEncoding | null {
+  if (!acceptEncoding) return null;
+
+  const ratings = new Map<string, number>();
+  for (const part of acceptEncoding.split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    if (!name) continue;
+
+    let q = 1;
+    for (const param of params) {
+      const [key, value] = param.trim().split("=");
+      if (key === "q") {
+        q = Number(value);
+        if (!Number.isFinite(q)) q = 0;
+      }
+    }
+    ratings.set(name.trim(), Math.min(1, Math.max(0, q)));
+  }
+
+  let best: ContentEncoding | null = null;
+  let bestQ = 0;
+
+  for (const encoding of available) {
+    const q = ratings.get(encoding) ?? ratings.get("*") ?? 0;
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+
+  return best;
+}
+
 /**
  * Check if client accepts compressed responses
  * @param request The request object
  * @returns True if client accepts gzip encoding
  */
 export function clientAcceptsGzip(request: Request): boolean {
-  const acceptEncoding = request.headers.get("accept-encoding") || "";
-  return acceptEncoding.includes("gzip");
+  return negotiateEncoding(request.headers.get("accept-encoding"), ["gzip"]) === "gzip";
 }
 
 /**
- * Compress response data - disabled for development, enabled for production
- * @param responseData Response data to compress
- * @returns Compressed data as Buffer or null if compression disabled
+ * Compress data, reusing the cached result for identical content
+ * @param data Data to compress
+ * @param encoding Content encoding
+ * @returns Compressed data
  */
-export async function compressData(
-  responseData: Uint8Array | string
-): Promise<Buffer | null> {
-  // Only compress in production
-  if (!isProduction) {
-    return null;
+export async function compressData(data: Uint8Array | string, encoding: ContentEncoding): Promise<Uint8Array> {
+  const buffer = typeof data === "string" ? Buffer.from(data) : data;
+  const key = `${Bun.hash(buffer).toString(36)}:${encoding}`;
+
+  const cached = cache.get(key);
+  if (cached) {
+    // Move to the end, the least recently used entries are evicted first
+    cache.delete(key);
+    cache.set(key, cached);
+    cacheStats.hits++;
+    return cached;
   }
 
-  // Convert to Buffer if it's a string
-  const dataBuffer =
-    typeof responseData === "string"
-      ? Buffer.from(responseData)
-      : Buffer.from(responseData);
+  cacheStats.misses++;
+  const compressed = new Uint8Array(await compressors[encoding](buffer));
 
-  // In production, we would compress the data here
-  // For now, returning null to disable compression completely
-  // TODO: Implement production compression when needed
-  return null;
+  if (compressed.byteLength <= compression.cacheSize) {
+    cache.set(key, compressed);
+    cacheSize += compressed.byteLength;
+
+    for (const [oldKey, oldValue] of cache) {
+      if (cacheSize <= compression.cacheSize) break;
+      cache.delete(oldKey);
+      cacheSize -= oldValue.byteLength;
+    }
+  }
+
+  return compressed;
+}
+
+/**
+ * Add Accept-Encoding to the Vary header
+ * @param headers Headers object to modify
+ */
+export function varyOnEncoding(headers: Headers): void {
+  const vary = headers.get("Vary");
+  if (!vary) {
+    headers.set("Vary", "Accept-Encoding");
+  } else if (!/(^|,)\s*(accept-encoding|\*)\s*(,|$)/i.test(vary)) {
+    headers.set("Vary", `${vary}, Accept-Encoding`);
+  }
 }
 
 /**
  * Apply compression to a Response object if appropriate
+ * Responses that are already encoded, partial or empty are returned as is
  * @param response Original Response
  * @param request Original Request (to check accept-encoding)
  * @returns New Response with compression applied if appropriate
  */
-export async function compressResponse(
-  response: Response,
-  request: Request
-): Promise<Response> {
-  // Skip compression in development
-  if (!isProduction) {
-    return response;
-  }
-
-  // Don't compress if client doesn't accept gzip
-  if (!clientAcceptsGzip(request)) {
+export async function compressResponse(response: Response, request: Request): Promise<Response> {
+  if (
+    !compression.enabled ||
+    !response.body ||
+    response.status === 204 ||
+    response.status === 206 ||
+    response.status === 304 ||
+    response.headers.has("content-encoding")
+  ) {
     return response;
   }
 
@@ -92,100 +208,67 @@ export async function compressResponse(
     return response;
   }
 
-  // Clone the response to avoid consuming the original
-  const clone = response.clone();
+  // Streams (e.g. server-sent events) have no known size
+  if (contentType.startsWith("text/event-stream")) {
+    return response;
+  }
+
+  const encoding = negotiateEncoding(request.headers.get("accept-encoding"));
+  if (!encoding) {
+    const headers = new Headers(response.headers);
+    varyOnEncoding(headers);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+  }
 
-  // Get the response body
-  const bodyBuffer = await clone.arrayBuffer();
+  const body = new Uint8Array(await response.arrayBuffer());
+  const headers = new Headers(response.headers);
+  varyOnEncoding(headers);
 
   // Skip compression for small responses
-  if (bodyBuffer.byteLength < MIN_SIZE_TO_COMPRESS) {
-    return response;
+  if (body.byteLength < compression.threshold) {
+    return new Response(body, { status: response.status, statusText: response.statusText, headers });
   }
 
   try {
-    // Compress the response body (disabled for now)
-    const compressedBody = await compressData(new Uint8Array(bodyBuffer));
+    const compressed = await compressData(body, encoding);
+    recordCompression(encoding, "dynamic", body.byteLength, compressed.byteLength);
+    logEvent("debug", "Compressed response", { encoding, bytes: body.byteLength, compressed: compressed.byteLength });
 
-    // If compression returned null (disabled), return original response
-    if (!compressedBody) {
-      return response;
-    }
+    headers.set("Content-Encoding", encoding);
+    headers.set("Content-Length", compressed.byteLength.toString());
 
-    // Create new headers, copying all from original response
-    const newHeaders = new Headers(response.headers);
+    // A strong ETag describes the uncompressed bytes
+    const etag = headers.get("ETag");
+    if (etag) headers.set("ETag", weakenETag(etag));
 
-    // Add compression-related headers
-    newHeaders.set("content-encoding", "gzip");
-    newHeaders.set("content-length", compressedBody.length.toString());
-    newHeaders.set("vary", "accept-encoding");
+    // Ranges address the uncompressed file, see utils/range.ts
+    headers.delete("Accept-Ranges");
 
-    // Return new compressed response
-    return new Response(compressedBody, {
+    return new Response(compressed, {
       status: response.status,
       statusText: response.statusText,
-      headers: newHeaders,
+      headers,
     });
-  } catch (error) {
-    console.error("Compression error:", error);
+  } catch (error: any) {
+    logEvent("error", "Compression failed", { encoding, error: error.message });
     // Fall back to uncompressed response on error
-    return response;
+    return new Response(body, { status: response.status, statusText: response.statusText, headers });
   }
 }
 
 /**
- * Middleware to compress responses
- * @param request Original request
- * @param response Original response
- * @returns Compressed response if appropriate
- */
-export async function compressionMiddleware(
-  request: Request,
-  response: Response
-): Promise<Response> {
-  return await compressResponse(response, request);
-}
-
-/**
- * Legacy API compatibility functions
+ * Get the statistics of the compressed cache
+ * @returns Entries, bytes and hit counts
  */
-export async function compressContent(
-  content: string | Buffer | Uint8Array,
-  contentType: string
-): Promise<Uint8Array | null> {
-  // Only compress in production
-  if (!isProduction) {
-    return null;
-  }
-
-  // Check if content type is compressible
-  if (!isCompressible(contentType)) {
-    return null;
-  }
-
-  // Convert content to Buffer if it's a string
-  const buffer =
-    typeof content === "string" ? Buffer.from(content) : Buffer.from(content);
-
-  // Only compress content larger than threshold
-  if (buffer.length < MIN_SIZE_TO_COMPRESS) {
-    return null;
-  }
-
-  // Compression disabled for now - return null
-  return null;
-}
-
-export function setCompressionHeaders(
-  headers: Headers,
-  compressed: Uint8Array | null
-): void {
-  if (compressed) {
-    headers.set("Content-Encoding", "gzip");
-  }
-
-  // Always set Vary header to indicate content varies based on Accept-Encoding
-  headers.set("Vary", "Accept-Encoding");
+export function getCompressionCacheStats(): { entries: number; bytes: number; hits: number; misses: number } {
+  return { entries: cache.size, bytes: cacheSize, ...cacheStats };
 }
 
-export default compressionMiddleware;
+export default {
+  ENCODINGS,
+  isCompressible,
+  negotiateEncoding,
+  compressData,
+  compressResponse,
+  getCompressionCacheStats,
+};
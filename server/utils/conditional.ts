@@ -0,0 +1,152 @@
+// server/utils/conditional.ts
+
+/**
+ * Conditional requests
+ *
+ * Responses carry validators: strong ETags identify the exact bytes sent
+ * (a hash of the content, or the size and mtime of a static file), weak
+ * ETags (W/"...") a semantically equivalent representation, and
+ * Last-Modified comes from file mtimes or content dates. GET and HEAD
+ * requests whose If-None-Match or If-Modified-Since still match get a 304
+ * without a body. If-None-Match takes precedence, as in RFC 9110.
+ */
+
+// Validators of a representation
+export interface Validators {
+  etag?: string | null;
+  lastModified?: Date | number | string | null;
+}
+
+// Headers a 304 response repeats from the full response
+const NOT_MODIFIED_HEADERS = ["Cache-Control", "Content-Location", "Date", "ETag", "Expires", "Last-Modified", "Vary"];
+
+/**
+ * Create an ETag from content
+ * @param content Content to hash
+ * @param weak Create a weak ETag
+ * @returns The quoted ETag
+ */
+export function createETag(content: string | Uint8Array, weak: boolean = false): string {
+  const hash = Bun.hash(content).toString(36);
+  return weak ? `W/"${hash}"` : `"${hash}"`;
+}
+
+/**
+ * Turn an ETag into a weak one
+ * Used when a representation is transformed, e.g. compressed
+ * @param etag The ETag
+ * @returns The weak ETag
+ */
+export function weakenETag(etag: string): string {
+  return etag.startsWith("W/") ? etag : `W/${etag}`;
+}
+
+/**
+ * Format a date for HTTP headers, at second precision
+ * @param date Date, timestamp or date string
+ * @returns The HTTP date, or null for invalid dates
+ */
+export function toHttpDate(date: Date | number | string): string | null {
+  const time = new Date(date).getTime();
+  return Number.isFinite(time) ? new Date(Math.floor(time / 1000) * 1000).toUTCString() : null;
+}
+
+/**
+ * Check if the client's cached copy is still valid
+ * ETags are compared weakly, so W/"a" matches "a"
+ * @param req The request object
+ * @param etag ETag of the current representation
+ * @param lastModified Last-Modified of the current representation
+ * @returns True if a 304 should be sent
+ */
+export function isNotModified(req: Request, etag: string | null, lastModified: string | null): boolean {
+  if (req.method !== "GET" && req.method !== "HEAD") return false;
+
+  const ifNoneMatch = req.headers.get("If-None-Match");
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === "*") return true;
+
+    const opaque = etag.replace(/^W\//, "");
+    return ifNoneMatch.split(",").some((candidate) => candidate.trim().replace(/^W\//, "") === opaque);
+  }
+
+  const ifModifiedSince = req.headers.get("If-Modified-Since");
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(lastModified);
+    return Number.isFinite(since) && Number.isFinite(modified) && modified <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Create a 304 response from the headers of the full response
+ * @param headers Headers of the full response
+ * @returns The 304 response
+ */
+export function notModifiedResponse(headers: HeadersInit): Response {
+  const source = new Headers(headers);
+  const result = new Headers();
+
+  for (const name of NOT_MODIFIED_HEADERS) {
+    const value = source.get(name);
+    if (value) result.set(name, value);
+  }
+
+  return new Response(null, { status: 304, headers: result });
+}
+
+/**
+ * Add validators to a response and answer conditional requests
+ * Only successful GET and HEAD responses are validated. Without an ETag
+ * one is computed from the body.
+ * @param req The request object
+ * @param response The full response
+ * @param validators Known ETag and Last-Modified
+ * @param weak Compute a weak ETag
+ * @returns The response with validators, or a 304 response
+ */
+export async function withValidators(
+  req: Request,
+  response: Response,
+  validators: Validators = {},
+  weak: boolean = false
+): Promise<Response> {
+  if (response.status !== 200 || (req.method !== "GET" && req.method !== "HEAD")) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  let body: Uint8Array | null = null;
+
+  let etag = validators.etag || headers.get("ETag");
+  if (!etag) {
+    body = new Uint8Array(await response.arrayBuffer());
+    etag = createETag(body, weak);
+  }
+  headers.set("ETag", etag);
+
+  const lastModified = validators.lastModified ? toHttpDate(validators.lastModified) : headers.get("Last-Modified");
+  if (lastModified) headers.set("Last-Modified", lastModified);
+
+  if (isNotModified(req, etag, lastModified)) {
+    return notModifiedResponse(headers);
+  }
+
+  return new Response(body ?? response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+export default {
+  createETag,
+  weakenETag,
+  toHttpDate,
+  isNotModified,
+  notModifiedResponse,
+  withValidators,
+};
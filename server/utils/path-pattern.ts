@@ -0,0 +1,94 @@
+// server/utils/path-pattern.ts
+
+/**
+ * Path patterns
+ *
+ * Shared by the request router (router.ts) and the API routes
+ * (api/routes.ts). Patterns are exact ("/health"), have named segments
+ * ("/users/{id}") or end with a wildcard ("/dist/*" matches /dist and
+ * everything below it, the rest of the path is params["*"]).
+ *
+ * Parameters, the wildcard included, are matched on the raw path and then
+ * percent-decoded with decodeURIComponent. A path whose parameters aren't
+ * valid percent-encoding is malformed, callers answer it with a 400.
+ */
+
+// Pattern options
+export interface PathPatternOptions {
+  integers?: string[]; // Parameters only matching digits
+  trailingSlash?: boolean; // Also match the path followed by a slash
+}
+
+// A compiled pattern
+export interface PathPattern {
+  regex: RegExp;
+  names: string[];
+}
+
+// Result of matching a path, params are decoded
+export interface PathMatch {
+  params: Record<string, string>;
+  malformed?: boolean;
+}
+
+// Compiled patterns, keyed by pattern and options
+const patterns = new Map<string, PathPattern>();
+
+/**
+ * Compile a path pattern into a regular expression
+ * @param path Path pattern
+ * @param options Parameter types and trailing slash handling
+ * @returns The pattern and the parameter names in order
+ */
+export function compilePath(path: string, options: PathPatternOptions = {}): PathPattern {
+  const key = `${path} ${JSON.stringify(options)}`;
+  let pattern = patterns.get(key);
+
+  if (!pattern) {
+    const names: string[] = [];
+    let source = path.replace(/[.+?^$()|[\]\\]/g, "\\$&").replace(/\{(\w+)\}/g, (_, name) => {
+      names.push(name);
+      return options.integers?.includes(name) ? "(\\d+)" : "([^/]+)";
+    });
+
+    if (source.endsWith("/*")) {
+      names.push("*");
+      source = `${source.slice(0, -2)}(?:/(.*))?`;
+    } else if (options.trailingSlash) {
+      source = `${source}/?`;
+    }
+
+    pattern = { regex: new RegExp(`^${source}$`), names };
+    patterns.set(key, pattern);
+  }
+
+  return pattern;
+}
+
+/**
+ * Match a path against a pattern
+ * @param pattern Compiled pattern
+ * @param pathname URL path, not decoded
+ * @returns The decoded parameters, malformed if one can't be decoded, or
+ * null if the path doesn't match
+ */
+export function matchPath(pattern: PathPattern, pathname: string): PathMatch | null {
+  const match = pathname.match(pattern.regex);
+  if (!match) return null;
+
+  const params: Record<string, string> = {};
+  try {
+    pattern.names.forEach((name, i) => {
+      params[name] = decodeURIComponent(match[i + 1] ?? "");
+    });
+  } catch (error) {
+    return { params: {}, malformed: true };
+  }
+
+  return { params };
+}
+
+export default {
+  compilePath,
+  matchPath,
+};
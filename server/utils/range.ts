@@ -0,0 +1,170 @@
+// server/utils/range.ts
+
+/**
+ * Byte range requests
+ *
+ * Static files answer Range requests with 206 Partial Content (one range, or
+ * several as multipart/byteranges) and 416 Range Not Satisfiable. Ranges
+ * always address the identity representation: compressed responses don't
+ * advertise Accept-Ranges, and ranged responses are never compressed.
+ */
+
+// Inclusive byte range
+export interface ByteRange {
+  start: number;
+  end: number;
+}
+
+// More ranges than this are ignored and the full body is sent
+const MAX_RANGES = 16;
+
+/**
+ * Parse a Range header
+ * Overlapping and adjacent ranges are merged, the order is kept otherwise
+ * @param header The Range header
+ * @param size Size of the representation in bytes
+ * @returns The ranges, "unsatisfiable", or null to ignore the header
+ */
+export function parseRange(header: string, size: number): ByteRange[] | "unsatisfiable" | null {
+  const match = header.match(/^\s*bytes\s*=\s*(.+)$/i);
+  if (!match) return null;
+
+  const ranges: ByteRange[] = [];
+  for (const part of match[1].split(",")) {
+    const spec = part.trim().match(/^(\d*)\s*-\s*(\d*)$/);
+    if (!spec || (spec[1] === "" && spec[2] === "")) return null;
+
+    let start: number;
+    let end: number;
+
+    if (spec[1] === "") {
+      // Suffix range: the last N bytes
+      const length = Number(spec[2]);
+      if (length === 0) continue;
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = Number(spec[1]);
+      end = spec[2] === "" ? size - 1 : Math.min(Number(spec[2]), size - 1);
+      if (spec[2] !== "" && Number(spec[2]) < start) return null;
+    }
+
+    if (start < size) ranges.push({ start, end });
+  }
+
+  if (ranges.length === 0) return "unsatisfiable";
+
+  // Merge overlapping or adjacent ranges
+  const merged: ByteRange[] = [];
+  for (const range of ranges) {
+    const overlapping = merged.find((other) => range.start <= other.end + 1 && range.end >= other.start - 1);
+    if (overlapping) {
+      overlapping.start = Math.min(overlapping.start, range.start);
+      overlapping.end = Math.max(overlapping.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged.length > MAX_RANGES ? null : merged;
+}
+
+/**
+ * Check if a range request applies to the current representation
+ * If-Range holds a strong ETag or the exact Last-Modified date
+ * @param req The request object
+ * @param etag ETag of the current representation
+ * @param lastModified Last-Modified of the current representation
+ * @returns False if the full representation must be sent instead
+ */
+export function ifRangeMatches(req: Request, etag: string | null, lastModified: string | null): boolean {
+  const ifRange = req.headers.get("If-Range");
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"')) {
+    return etag !== null && !etag.startsWith("W/") && value === etag;
+  }
+  if (value.startsWith("W/")) {
+    return false;
+  }
+
+  return lastModified !== null && Date.parse(value) === Date.parse(lastModified);
+}
+
+/**
+ * Create a 206 response for the requested ranges
+ * @param body The full representation
+ * @param ranges Ranges from parseRange
+ * @param headers Headers of the full response, Content-Type included
+ * @returns The partial response
+ */
+export async function createRangeResponse(
+  body: Blob,
+  ranges: ByteRange[],
+  headers: Record<string, string>
+): Promise<Response> {
+  const size = body.size;
+  const contentType = headers["Content-Type"] || "application/octet-stream";
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+
+    return new Response(body.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        ...headers,
+        "Content-Range": `bytes ${start}-${end}/${size}`,
+        "Content-Length": String(end - start + 1),
+      },
+    });
+  }
+
+  // Several ranges: one part per range, read into memory (file slices
+  // nested in a Blob are not read by Bun)
+  const boundary = `range-${crypto.randomUUID()}`;
+  const parts: (string | Uint8Array)[] = [];
+
+  for (const { start, end } of ranges) {
+    parts.push(
+      `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+      new Uint8Array(await body.slice(start, end + 1).arrayBuffer()),
+      "\r\n"
+    );
+  }
+  parts.push(`--${boundary}--\r\n`);
+
+  const multipart = new Blob(parts);
+
+  return new Response(multipart, {
+    status: 206,
+    headers: {
+      ...headers,
+      "Content-Type": `multipart/byteranges; boundary=${boundary}`,
+      "Content-Length": String(multipart.size),
+    },
+  });
+}
+
+/**
+ * Create a 416 response
+ * @param size Size of the representation in bytes
+ * @param headers Headers to keep, e.g. validators
+ * @returns The response
+ */
+export function rangeNotSatisfiable(size: number, headers: Record<string, string> = {}): Response {
+  return new Response(null, {
+    status: 416,
+    headers: {
+      ...headers,
+      "Content-Range": `bytes */${size}`,
+    },
+  });
+}
+
+export default {
+  parseRange,
+  ifRangeMatches,
+  createRangeResponse,
+  rangeNotSatisfiable,
+};
@@ -0,0 +1,148 @@
+// test/chaos/chaos.test.js
+import { describe, test, expect, afterEach } from 'bun:test'
+import {
+  parseChaosScenario,
+  formatChaosScenario,
+  getChaosScenario,
+  setDefaultChaosScenario,
+  setChaosIdleTimeout,
+  withChaos,
+  CHAOS_HEADER,
+  CHAOS_APPLIED_HEADER
+} from '../../server/middleware/chaos.ts'
+
+/**
+ * Chaos scenarios: spec parsing, scenario resolution, seeded outcome
+ * sequences and the idle timeout of delayed responses.
+ */
+
+const request = (search = '', headers = {}) => {
+  const url = new URL(`http://localhost/api/users${search}`)
+  return { req: new Request(url, { headers }), url }
+}
+
+const handle = async () => new Response(JSON.stringify({ items: [1, 2, 3] }), {
+  headers: { 'Content-Type': 'application/json' }
+})
+
+// Status and applied effects of a series of requests under a scenario
+const outcomes = async (spec, count) => {
+  const results = []
+  for (let i = 0; i < count; i++) {
+    const { req, url } = request(`?chaos=${encodeURIComponent(spec)}`)
+    const response = await withChaos(req, url, handle)
+    results.push(`${response.status} ${response.headers.get(CHAOS_APPLIED_HEADER) || '-'}`)
+  }
+  return results
+}
+
+afterEach(() => setDefaultChaosScenario(null))
+
+describe('parseChaosScenario', () => {
+  test('parses every option', () => {
+    expect(parseChaosScenario('latency=300; jitter=200;error=500:0.1,503:0.05;truncate=0.05;malformed=0.1;hang=0.01;seed=42')).toEqual({
+      scenario: {
+        latency: 300,
+        jitter: 200,
+        errors: [{ status: 500, rate: 0.1 }, { status: 503, rate: 0.05 }],
+        truncate: 0.05,
+        malformed: 0.1,
+        hang: 0.01,
+        seed: 42
+      }
+    })
+  })
+
+  test('defaults to a scenario without effects', () => {
+    const { scenario } = parseChaosScenario('')
+    expect(formatChaosScenario(scenario)).toBe('')
+  })
+
+  test('rejects invalid values', () => {
+    expect(parseChaosScenario('latency=-1').error).toMatch(/latency must be a number of milliseconds/)
+    expect(parseChaosScenario('jitter=60001').error).toMatch(/jitter must be/)
+    expect(parseChaosScenario('error=302:0.1').error).toMatch(/Invalid error rate "302:0.1"/)
+    expect(parseChaosScenario('error=500').error).toMatch(/Invalid error rate/)
+    expect(parseChaosScenario('error=500:0.6,503:0.5').error).toBe('Error rates must not add up to more than 1')
+    expect(parseChaosScenario('hang=2').error).toBe('hang must be a rate between 0 and 1')
+    expect(parseChaosScenario('seed=1.5').error).toBe('seed must be an integer')
+    expect(parseChaosScenario('flood=1').error).toBe('Unknown chaos option "flood"')
+  })
+
+  test('round trips through formatChaosScenario', () => {
+    const spec = 'latency=300;error=503:0.2;truncate=0.1;seed=7'
+    expect(formatChaosScenario(parseChaosScenario(spec).scenario)).toBe(spec)
+  })
+})
+
+describe('getChaosScenario', () => {
+  test('reads the query parameter before the header', () => {
+    const { req, url } = request('?chaos=latency=5', { [CHAOS_HEADER]: 'latency=9' })
+    expect(getChaosScenario(req, url).scenario.latency).toBe(5)
+
+    const fromHeader = request('', { [CHAOS_HEADER]: 'latency=9' })
+    expect(getChaosScenario(fromHeader.req, fromHeader.url).scenario.latency).toBe(9)
+  })
+
+  test('falls back to the default scenario, chaos=off skips it', () => {
+    setDefaultChaosScenario(parseChaosScenario('latency=7').scenario)
+
+    const plain = request()
+    expect(getChaosScenario(plain.req, plain.url).scenario.latency).toBe(7)
+
+    const off = request('?chaos=off')
+    expect(getChaosScenario(off.req, off.url).scenario).toBeNull()
+  })
+
+  test('reports invalid specs', () => {
+    const { req, url } = request('?chaos=hang=5')
+    expect(getChaosScenario(req, url)).toEqual({ scenario: null, error: 'hang must be a rate between 0 and 1' })
+  })
+})
+
+describe('withChaos', () => {
+  test('answers invalid scenarios with a 400', async () => {
+    const { req, url } = request('?chaos=bogus')
+    const response = await withChaos(req, url, handle)
+
+    expect(response.status).toBe(400)
+    expect((await response.json()).error).toBe('Invalid chaos scenario: Unknown chaos option "bogus"')
+  })
+
+  test('replays the same outcomes for the same seed', async () => {
+    const spec = 'error=500:0.3,503:0.2;truncate=0.2;malformed=0.2;seed=7'
+    setDefaultChaosScenario(parseChaosScenario(spec).scenario)
+    const first = await outcomes(spec, 30)
+
+    // Setting the scenario again restarts its sequence
+    setDefaultChaosScenario(parseChaosScenario(spec).scenario)
+    const second = await outcomes(spec, 30)
+
+    expect(second).toEqual(first)
+    expect(new Set(first).size).toBeGreaterThan(2)
+    expect(await outcomes(spec.replace('seed=7', 'seed=8'), 30)).not.toEqual(first)
+  })
+
+  test('adds retry hints to injected 503s', async () => {
+    const { req, url } = request('?chaos=error=503:1')
+    const response = await withChaos(req, url, handle)
+
+    expect(response.status).toBe(503)
+    expect(response.headers.get('Retry-After')).toBe('1')
+    expect(response.headers.get(CHAOS_APPLIED_HEADER)).toBe('error=503')
+  })
+
+  test('lifts the idle timeout of delayed responses only', async () => {
+    const timeouts = []
+
+    const delayed = request('?chaos=latency=1')
+    setChaosIdleTimeout(delayed.req, (seconds) => timeouts.push(seconds))
+    await withChaos(delayed.req, delayed.url, handle)
+    expect(timeouts).toEqual([0])
+
+    const failing = request('?chaos=error=500:1')
+    setChaosIdleTimeout(failing.req, (seconds) => timeouts.push(seconds))
+    await withChaos(failing.req, failing.url, handle)
+    expect(timeouts).toEqual([0])
+  })
+})
@@ -0,0 +1,137 @@
+// test/collections/collections.test.js
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test'
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import config from '../../server/config.ts'
+import { getCollection } from '../../server/api/collections/store.ts'
+import { getCollectionSchema, getLevel, getCollectionResults } from '../../server/api/collections/query.ts'
+import { parseListQuery } from '../../server/api/users/query.ts'
+
+/**
+ * Fixture collections: levels normalized from JSON files, the derived
+ * schema and the search, filter and sort of a level.
+ */
+
+const FIXTURE = {
+  items: [
+    { id: 1, label: 'Open file', group: 'File', size: 10 },
+    { divider: true },
+    { id: 2, label: 'Save', group: 'File', size: 2 },
+    {
+      id: 3,
+      label: 'Export',
+      group: 'File',
+      icon: '<svg></svg>',
+      submenu: [
+        { id: 'pdf', label: 'Export as PDF' },
+        { id: 'png', label: 'Export as PNG', children: [{ id: 'hd', label: 'High resolution' }] }
+      ]
+    },
+    { id: 4, label: 'Undo', group: 'Edit', size: 10 },
+    { id: 2, label: 'Save as', group: 'File', size: 5 }
+  ]
+}
+
+let dir
+let savedData
+
+const query = (search, collection) =>
+  parseListQuery(new URL(`http://localhost/api/collections/menu?${search}`), getCollectionSchema(collection))
+
+const labels = (items) => items.map((item) => item.label)
+
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'collections-'))
+  writeFileSync(join(dir, 'menu.json'), JSON.stringify(FIXTURE))
+  writeFileSync(join(dir, 'broken.json'), '{ "items": ')
+  savedData = config.paths.data
+  config.paths.data = dir
+})
+
+afterAll(() => {
+  config.paths.data = savedData
+  rmSync(dir, { recursive: true, force: true })
+})
+
+describe('normalized levels', () => {
+  test('skip entries without an id, later duplicates replace earlier ones', async () => {
+    const collection = await getCollection('menu')
+
+    expect(collection.source).toBe('server')
+    expect(collection.items.map((item) => item.id)).toEqual([1, 3, 4, 2])
+    expect(collection.items[3].label).toBe('Save as')
+  })
+
+  test('serve nested lists through their parent id', async () => {
+    const collection = await getCollection('menu')
+    const exported = collection.items.find((item) => item.id === 3)
+
+    expect(exported.submenu).toBeUndefined()
+    expect(exported.childCount).toBe(2)
+    expect(labels(getLevel(collection, '3'))).toEqual(['Export as PDF', 'Export as PNG'])
+    expect(labels(getLevel(collection, 'png'))).toEqual(['High resolution'])
+    expect(getLevel(collection, '1')).toBeNull()
+  })
+
+  test('derive the scalar fields of every level, markup is not searched', async () => {
+    const collection = await getCollection('menu')
+
+    expect(collection.fields).toEqual(['id', 'label', 'group', 'size', 'icon', 'childCount'])
+    expect(collection.searchFields).toEqual(['label', 'group', 'id'])
+  })
+
+  test('reload changed files and skip invalid ones', async () => {
+    const before = await getCollection('menu')
+    expect(await getCollection('menu')).toBe(before)
+
+    writeFileSync(join(dir, 'menu.json'), JSON.stringify([{ id: 1, label: 'Only' }]))
+    utimesSync(join(dir, 'menu.json'), new Date(), new Date(Date.now() + 5000))
+    const after = await getCollection('menu')
+
+    expect(after.version).toBeGreaterThan(before.version)
+    expect(labels(after.items)).toEqual(['Only'])
+    expect(await getCollection('broken')).toBeNull()
+    expect(await getCollection('../menu')).toBeNull()
+
+    writeFileSync(join(dir, 'menu.json'), JSON.stringify(FIXTURE))
+    utimesSync(join(dir, 'menu.json'), new Date(), new Date(Date.now() + 10000))
+  })
+})
+
+describe('getCollectionResults', () => {
+  test('keeps list order without a query', async () => {
+    const collection = await getCollection('menu')
+    const results = getCollectionResults(collection.items, collection, query('', collection).query)
+
+    expect(results).toEqual(collection.items)
+  })
+
+  test('matches every search term by prefix, fuzzy tolerates typos', async () => {
+    const collection = await getCollection('menu')
+
+    expect(labels(getCollectionResults(collection.items, collection, query('search=sav', collection).query))).toEqual(['Save as'])
+    expect(labels(getCollectionResults(collection.items, collection, query('search=file+op', collection).query))).toEqual(['Open file'])
+    expect(getCollectionResults(collection.items, collection, query('search=exprot', collection).query)).toEqual([])
+    expect(labels(getCollectionResults(collection.items, collection, query('search=exprot&fuzzy=true', collection).query))).toEqual(['Export'])
+  })
+
+  test('filters case-insensitively, values of a field are alternatives', async () => {
+    const collection = await getCollection('menu')
+
+    expect(labels(getCollectionResults(collection.items, collection, query('filter[group]=edit', collection).query))).toEqual(['Undo'])
+    expect(getCollectionResults(collection.items, collection, query('filter[size]=10,5', collection).query)).toHaveLength(3)
+  })
+
+  test('sorts numbers numerically and breaks ties by list order', async () => {
+    const collection = await getCollection('menu')
+    const results = getCollectionResults(collection.items, collection, query('sort=size:desc', collection).query)
+
+    expect(labels(results)).toEqual(['Open file', 'Undo', 'Save as', 'Export'])
+  })
+
+  test('rejects fields the collection does not have', async () => {
+    const collection = await getCollection('menu')
+    expect(query('sort=price', collection).error).toMatch(/Invalid sort field "price"/)
+  })
+})
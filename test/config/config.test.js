@@ -0,0 +1,142 @@
+// test/config/config.test.js
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { loadConfig, describeConfig } from '../../server/config.ts'
+
+/**
+ * Settings loaded from the defaults, a config file, the environment and the
+ * command line, in that order of precedence, and their validation.
+ */
+
+const PRODUCTION = { NODE_ENV: 'production', CURSOR_KEYS: 'k1:secret' }
+
+let dir
+let files = 0
+
+// Write a config file, each under a new name as required files are cached
+const configFile = (source) => {
+  const file = join(dir, `settings-${++files}.config.ts`)
+  writeFileSync(file, source)
+  return file
+}
+
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'config-'))
+})
+
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true })
+})
+
+describe('loadConfig', () => {
+  test('uses the defaults of the mode', () => {
+    const development = loadConfig([], {})
+    expect(development.errors).toEqual([])
+    expect(development.config).toMatchObject({ port: 4000, isProduction: false, baseUrl: 'http://localhost:4000' })
+    expect(development.config.logging).toMatchObject({ level: 'debug', format: 'pretty' })
+    expect(development.config.rateLimit.allowlist).toContain('127.0.0.1')
+    expect(development.sources.size).toBe(0)
+
+    const production = loadConfig([], PRODUCTION)
+    expect(production.errors).toEqual([])
+    expect(production.config).toMatchObject({ isProduction: true, baseUrl: 'https://mtrl.app' })
+    expect(production.config.logging).toMatchObject({ level: 'info', format: 'json' })
+    expect(production.config.rateLimit.allowlist).toEqual([])
+  })
+
+  test('overrides the config file with the environment, and both with flags', () => {
+    const file = configFile('export default { port: 5000, compression: { level: 4, threshold: 512 }, logging: { format: "json" } }')
+    const { config, sources, errors } = loadConfig(
+      ['--config', file, '--compression-level=9', '--log-format', 'pretty'],
+      { PORT: '6000', COMPRESSION_LEVEL: '7' }
+    )
+
+    expect(errors).toEqual([])
+    expect(config.port).toBe(6000)
+    expect(config.baseUrl).toBe('http://localhost:6000')
+    expect(config.compression).toMatchObject({ level: 9, threshold: 512, brotliQuality: 5 })
+    expect(config.logging.format).toBe('pretty')
+    expect(sources.get('port')).toBe('PORT')
+    expect(sources.get('compression.level')).toBe('--compression-level')
+    expect(sources.get('compression.threshold')).toMatch(/^settings-\d+\.config\.ts$/)
+  })
+
+  test('parses the values of variables and flags', () => {
+    const { config } = loadConfig(['--trust-proxy', '--chaos-enabled=false'], {
+      CURSOR_KEYS: 'new:s2, old:s1',
+      RATE_LIMIT_ALLOWLIST: '10.0.0.1, 10.0.0.2',
+      BASE_URL: 'https://example.com/',
+      METRICS_TOKEN: ''
+    })
+
+    expect(config.trustProxy).toBe(true)
+    expect(config.chaos.enabled).toBe(false)
+    expect(config.cursors.keys).toEqual([{ id: 'new', secret: 's2' }, { id: 'old', secret: 's1' }])
+    expect(config.rateLimit.allowlist).toEqual(expect.arrayContaining(['127.0.0.1', '10.0.0.1', '10.0.0.2']))
+    expect(config.baseUrl).toBe('https://example.com')
+    // Empty variables are ignored
+    expect(config.metrics.token).toBe('')
+  })
+
+  test('resolves relative paths from the project root', () => {
+    const file = configFile('export default { paths: { data: "fixtures/data" } }')
+    const { config } = loadConfig(['--config', file, '--log-file', 'logs/app.log'], {})
+
+    expect(config.paths.data).toBe(join(config.paths.root, 'fixtures/data'))
+    expect(config.logging.file).toBe(join(config.paths.root, 'logs/app.log'))
+  })
+
+  test('refuses the development cursor key in production', () => {
+    const { errors } = loadConfig([], { NODE_ENV: 'production' })
+
+    expect(errors).toEqual([
+      'cursors.keys must be set with CURSOR_KEYS in production, not the development key, got [{"id":"dev","secret":"dev-cursor-secret-change-me"}] (default)'
+    ])
+  })
+
+  test('reports invalid values with their source', () => {
+    const { errors } = loadConfig(['--log-level=verbose'], {
+      ...PRODUCTION,
+      COMPRESSION_LEVEL: 'high',
+      CURSOR_KEYS: 'bad id:secret'
+    })
+
+    expect(errors).toEqual([
+      expect.stringMatching(/^compression\.level must be .+, got "high" \(COMPRESSION_LEVEL\)$/),
+      expect.stringMatching(/^cursors\.keys must be a list of id:secret keys.+\(CURSOR_KEYS\)$/),
+      'logging.level must be "debug", "info", "warn" or "error", got "verbose" (--log-level)'
+    ])
+  })
+
+  test('reports unknown flags and settings', () => {
+    const file = configFile('export default { compression: { speed: 1 }, rateLimit: { groups: { exports: { limit: 5, window: 60 } } } }')
+    const { errors } = loadConfig(['--config', file, '--colour'], {})
+
+    expect(errors).toHaveLength(2)
+    expect(errors[0]).toMatch(/^--colour: unknown flag, flags are --node-env, --port, .+ and --config$/)
+    // Rate limit groups are free
+    expect(errors[1]).toMatch(/^compression\.speed is not a setting \(settings-\d+\.config\.ts\)$/)
+  })
+
+  test('reports missing and invalid config files', () => {
+    expect(loadConfig(['--config', join(dir, 'missing.config.ts')], {}).errors).toEqual([
+      `--config: ${join(dir, 'missing.config.ts')} does not exist`
+    ])
+    expect(loadConfig(['--config', configFile('export default 42')], {}).errors).toEqual([
+      expect.stringMatching(/must export the settings object as its default export$/)
+    ])
+  })
+})
+
+describe('describeConfig', () => {
+  test('prints every setting and masks the secrets', () => {
+    const lines = describeConfig().split('\n')
+
+    expect(lines).toContain('  compression.level = 6')
+    expect(lines).toContainEqual(expect.stringMatching(/^ {2}cursors\.keys = ([\w-]+:\*\*\*(, )?)+( \(.+\))?$/))
+    expect(lines).toContainEqual(expect.stringMatching(/^ {2}metrics\.token = (""|\*\*\*)/))
+    expect(lines.join('\n')).not.toContain('dev-cursor-secret-change-me')
+  })
+})
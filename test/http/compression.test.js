@@ -0,0 +1,137 @@
+// test/http/compression.test.js
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test'
+import { gunzipSync, brotliDecompressSync } from 'zlib'
+import config from '../../server/config.ts'
+import {
+  negotiateEncoding,
+  varyOnEncoding,
+  compressData,
+  compressResponse,
+  getCompressionCacheStats
+} from '../../server/utils/compression.ts'
+
+/**
+ * Content encoding negotiation with q-values, the compressed body cache and
+ * the responses compressResponse leaves alone.
+ */
+
+const ALL = ['br', 'zstd', 'gzip']
+
+const json = (size, init = {}) => new Response(JSON.stringify({ data: 'x'.repeat(size) }), {
+  ...init,
+  headers: { 'Content-Type': 'application/json', ...init.headers }
+})
+
+const accepting = (acceptEncoding) => new Request('http://localhost/api/users', {
+  headers: { 'Accept-Encoding': acceptEncoding }
+})
+
+let enabled
+
+beforeAll(() => {
+  enabled = config.compression.enabled
+  config.compression.enabled = true
+})
+
+afterAll(() => {
+  config.compression.enabled = enabled
+})
+
+describe('negotiateEncoding', () => {
+  test('sends the identity encoding without a header', () => {
+    expect(negotiateEncoding(null, ALL)).toBeNull()
+    expect(negotiateEncoding('', ALL)).toBeNull()
+    expect(negotiateEncoding('identity', ALL)).toBeNull()
+  })
+
+  test('prefers br, zstd then gzip when rated equally', () => {
+    expect(negotiateEncoding('gzip, deflate, br, zstd', ALL)).toBe('br')
+    expect(negotiateEncoding('gzip, zstd', ALL)).toBe('zstd')
+    expect(negotiateEncoding('gzip', ALL)).toBe('gzip')
+  })
+
+  test('follows the client q-values', () => {
+    expect(negotiateEncoding('br;q=0.5, gzip;q=0.8', ALL)).toBe('gzip')
+    expect(negotiateEncoding('BR ; Q=0.9, gzip;q=0.2', ALL)).toBe('br')
+  })
+
+  test('refuses encodings rated 0 or with invalid q-values', () => {
+    expect(negotiateEncoding('br;q=0, gzip', ALL)).toBe('gzip')
+    expect(negotiateEncoding('gzip;q=0', ALL)).toBeNull()
+    expect(negotiateEncoding('br;q=abc, gzip;q=0.1', ALL)).toBe('gzip')
+  })
+
+  test('rates unlisted encodings with the wildcard', () => {
+    expect(negotiateEncoding('*', ALL)).toBe('br')
+    expect(negotiateEncoding('br;q=0, *;q=0.5', ALL)).toBe('zstd')
+    expect(negotiateEncoding('gzip;q=1, *;q=0', ALL)).toBe('gzip')
+  })
+
+  test('only picks available encodings', () => {
+    expect(negotiateEncoding('br, zstd', ['gzip'])).toBeNull()
+    expect(negotiateEncoding('br, gzip;q=0.5', ['gzip'])).toBe('gzip')
+  })
+})
+
+describe('varyOnEncoding', () => {
+  test('adds Accept-Encoding once', () => {
+    const headers = new Headers({ Vary: 'Origin' })
+    varyOnEncoding(headers)
+    varyOnEncoding(headers)
+    expect(headers.get('Vary')).toBe('Origin, Accept-Encoding')
+
+    const star = new Headers({ Vary: '*' })
+    varyOnEncoding(star)
+    expect(star.get('Vary')).toBe('*')
+  })
+})
+
+describe('compressData', () => {
+  test('compresses identical content once', async () => {
+    const data = `unique-${Date.now()}-`.repeat(200)
+    const before = getCompressionCacheStats()
+
+    const first = await compressData(data, 'gzip')
+    const second = await compressData(data, 'gzip')
+    const after = getCompressionCacheStats()
+
+    expect(second).toBe(first)
+    expect(gunzipSync(first).toString()).toBe(data)
+    expect(after.misses - before.misses).toBe(1)
+    expect(after.hits - before.hits).toBe(1)
+  })
+})
+
+describe('compressResponse', () => {
+  test('compresses with the negotiated encoding and weakens the ETag', async () => {
+    const response = await compressResponse(
+      json(4096, { headers: { ETag: '"abc"', 'Accept-Ranges': 'bytes' } }),
+      accepting('gzip;q=0.5, br')
+    )
+
+    expect(response.headers.get('Content-Encoding')).toBe('br')
+    expect(response.headers.get('Vary')).toBe('Accept-Encoding')
+    expect(response.headers.get('ETag')).toBe('W/"abc"')
+    expect(response.headers.has('Accept-Ranges')).toBe(false)
+
+    const body = brotliDecompressSync(Buffer.from(await response.arrayBuffer()))
+    expect(JSON.parse(body.toString()).data).toHaveLength(4096)
+  })
+
+  test('keeps small bodies as they are, still varying on the encoding', async () => {
+    const response = await compressResponse(json(10), accepting('gzip'))
+
+    expect(response.headers.has('Content-Encoding')).toBe(false)
+    expect(response.headers.get('Vary')).toBe('Accept-Encoding')
+  })
+
+  test('leaves partial, encoded and incompressible responses alone', async () => {
+    const partial = json(4096, { status: 206 })
+    const encoded = json(4096, { headers: { 'Content-Encoding': 'gzip' } })
+    const image = new Response(new Uint8Array(4096), { headers: { 'Content-Type': 'image/png' } })
+
+    expect(await compressResponse(partial, accepting('gzip'))).toBe(partial)
+    expect(await compressResponse(encoded, accepting('gzip'))).toBe(encoded)
+    expect(await compressResponse(image, accepting('gzip'))).toBe(image)
+  })
+})
@@ -0,0 +1,113 @@
+// test/http/conditional.test.js
+import { describe, test, expect } from 'bun:test'
+import {
+  createETag,
+  weakenETag,
+  toHttpDate,
+  isNotModified,
+  notModifiedResponse,
+  withValidators
+} from '../../server/utils/conditional.ts'
+
+/**
+ * Validators and conditional requests: weak ETag comparison, the
+ * precedence of If-None-Match and the 304 responses.
+ */
+
+const MODIFIED = 'Wed, 01 Jan 2025 12:00:00 GMT'
+
+const get = (headers = {}, method = 'GET') => new Request('http://localhost/docs', { method, headers })
+
+describe('ETags and dates', () => {
+  test('hash content into strong or weak ETags', () => {
+    expect(createETag('hello')).toMatch(/^"\w+"$/)
+    expect(createETag('hello', true)).toBe(`W/${createETag('hello')}`)
+    expect(createETag('hello')).not.toBe(createETag('hello!'))
+  })
+
+  test('weaken ETags once', () => {
+    expect(weakenETag('"a"')).toBe('W/"a"')
+    expect(weakenETag('W/"a"')).toBe('W/"a"')
+  })
+
+  test('format HTTP dates at second precision', () => {
+    expect(toHttpDate(Date.parse(MODIFIED) + 999)).toBe(MODIFIED)
+    expect(toHttpDate('not a date')).toBeNull()
+  })
+})
+
+describe('isNotModified', () => {
+  test('compares ETags weakly, in lists and with a wildcard', () => {
+    expect(isNotModified(get({ 'If-None-Match': '"a"' }), '"a"', null)).toBe(true)
+    expect(isNotModified(get({ 'If-None-Match': 'W/"a"' }), '"a"', null)).toBe(true)
+    expect(isNotModified(get({ 'If-None-Match': '"b", W/"a"' }), 'W/"a"', null)).toBe(true)
+    expect(isNotModified(get({ 'If-None-Match': '"b"' }), '"a"', null)).toBe(false)
+    expect(isNotModified(get({ 'If-None-Match': '*' }), '"a"', null)).toBe(true)
+    expect(isNotModified(get({ 'If-None-Match': '*' }), null, null)).toBe(false)
+  })
+
+  test('compares dates when there is no If-None-Match', () => {
+    const later = 'Thu, 02 Jan 2025 12:00:00 GMT'
+    const earlier = 'Tue, 31 Dec 2024 12:00:00 GMT'
+
+    expect(isNotModified(get({ 'If-Modified-Since': MODIFIED }), null, MODIFIED)).toBe(true)
+    expect(isNotModified(get({ 'If-Modified-Since': later }), null, MODIFIED)).toBe(true)
+    expect(isNotModified(get({ 'If-Modified-Since': earlier }), null, MODIFIED)).toBe(false)
+    expect(isNotModified(get({ 'If-Modified-Since': 'garbage' }), null, MODIFIED)).toBe(false)
+  })
+
+  test('lets If-None-Match take precedence over If-Modified-Since', () => {
+    const req = get({ 'If-None-Match': '"old"', 'If-Modified-Since': MODIFIED })
+    expect(isNotModified(req, '"new"', MODIFIED)).toBe(false)
+  })
+
+  test('only applies to GET and HEAD', () => {
+    expect(isNotModified(get({ 'If-None-Match': '"a"' }, 'HEAD'), '"a"', null)).toBe(true)
+    expect(isNotModified(get({ 'If-None-Match': '"a"' }, 'POST'), '"a"', null)).toBe(false)
+  })
+})
+
+describe('notModifiedResponse', () => {
+  test('repeats the validators and caching headers only', () => {
+    const response = notModifiedResponse({
+      ETag: '"a"',
+      'Cache-Control': 'no-cache',
+      Vary: 'Accept-Encoding',
+      'Content-Type': 'text/html',
+      'Content-Length': '120'
+    })
+
+    expect(response.status).toBe(304)
+    expect([...response.headers.keys()].sort()).toEqual(['cache-control', 'etag', 'vary'])
+  })
+})
+
+describe('withValidators', () => {
+  test('adds an ETag computed from the body and Last-Modified', async () => {
+    const response = await withValidators(get(), new Response('hello'), { lastModified: Date.parse(MODIFIED) })
+
+    expect(response.headers.get('ETag')).toBe(createETag('hello'))
+    expect(response.headers.get('Last-Modified')).toBe(MODIFIED)
+    expect(await response.text()).toBe('hello')
+  })
+
+  test('answers matching requests with a 304', async () => {
+    const etag = createETag('hello', true)
+    const response = await withValidators(get({ 'If-None-Match': etag }), new Response('hello'), {}, true)
+
+    expect(response.status).toBe(304)
+    expect(response.headers.get('ETag')).toBe(etag)
+    expect(await response.text()).toBe('')
+  })
+
+  test('keeps the known ETag and skips other responses', async () => {
+    const known = await withValidators(get(), new Response('hello'), { etag: '"v1"' })
+    expect(known.headers.get('ETag')).toBe('"v1"')
+
+    const missing = new Response('nope', { status: 404 })
+    expect(await withValidators(get({ 'If-None-Match': '*' }), missing)).toBe(missing)
+
+    const posted = new Response('hello')
+    expect(await withValidators(get({}, 'POST'), posted)).toBe(posted)
+  })
+})
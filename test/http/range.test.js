@@ -0,0 +1,183 @@
+// test/http/range.test.js
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test'
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { gzipSync, gunzipSync } from 'zlib'
+import config from '../../server/config.ts'
+import { parseRange, ifRangeMatches, createRangeResponse, rangeNotSatisfiable } from '../../server/utils/range.ts'
+import { serveStaticFile } from '../../server/services/file-service.ts'
+
+/**
+ * Byte ranges: Range header parsing, If-Range, single and multipart 206
+ * responses, and how the static file service combines them with
+ * validators and precompressed siblings.
+ */
+
+const BODY = 'abcdefghijklmnopqrstuvwxyz'
+const MODIFIED = 'Wed, 01 Jan 2025 12:00:00 GMT'
+
+const get = (headers = {}) => new Request('http://localhost/file.txt', { headers })
+
+let dir
+let file
+let enabled
+
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'range-'))
+  file = join(dir, 'file.txt')
+  writeFileSync(file, BODY)
+  utimesSync(file, new Date(MODIFIED), new Date(MODIFIED))
+  enabled = config.compression.enabled
+})
+
+afterAll(() => {
+  config.compression.enabled = enabled
+  rmSync(dir, { recursive: true, force: true })
+})
+
+describe('parseRange', () => {
+  test('parses closed, open and suffix ranges', () => {
+    expect(parseRange('bytes=0-4', 26)).toEqual([{ start: 0, end: 4 }])
+    expect(parseRange('bytes=20-', 26)).toEqual([{ start: 20, end: 25 }])
+    expect(parseRange('bytes=-3', 26)).toEqual([{ start: 23, end: 25 }])
+    expect(parseRange('BYTES = 0 - 100', 26)).toEqual([{ start: 0, end: 25 }])
+    expect(parseRange('bytes=-100', 26)).toEqual([{ start: 0, end: 25 }])
+  })
+
+  test('merges overlapping and adjacent ranges, keeping the order', () => {
+    expect(parseRange('bytes=10-12,0-2,3-5,11-15', 26)).toEqual([
+      { start: 10, end: 15 },
+      { start: 0, end: 5 }
+    ])
+  })
+
+  test('skips ranges past the end, none left is unsatisfiable', () => {
+    expect(parseRange('bytes=0-1,30-40', 26)).toEqual([{ start: 0, end: 1 }])
+    expect(parseRange('bytes=26-', 26)).toBe('unsatisfiable')
+    expect(parseRange('bytes=-0', 26)).toBe('unsatisfiable')
+  })
+
+  test('ignores invalid headers and too many ranges', () => {
+    expect(parseRange('items=0-1', 26)).toBeNull()
+    expect(parseRange('bytes=-', 26)).toBeNull()
+    expect(parseRange('bytes=5-2', 26)).toBeNull()
+    expect(parseRange('bytes=a-b', 26)).toBeNull()
+
+    const many = Array.from({ length: 17 }, (_, i) => `${i * 2}-${i * 2}`).join(',')
+    expect(parseRange(`bytes=${many}`, 100)).toBeNull()
+  })
+})
+
+describe('ifRangeMatches', () => {
+  const withIfRange = (value) => get({ 'If-Range': value })
+
+  test('applies the range without If-Range', () => {
+    expect(ifRangeMatches(get(), '"a"', MODIFIED)).toBe(true)
+  })
+
+  test('requires the same strong ETag', () => {
+    expect(ifRangeMatches(withIfRange('"a"'), '"a"', MODIFIED)).toBe(true)
+    expect(ifRangeMatches(withIfRange('"b"'), '"a"', MODIFIED)).toBe(false)
+    expect(ifRangeMatches(withIfRange('"a"'), 'W/"a"', MODIFIED)).toBe(false)
+    expect(ifRangeMatches(withIfRange('W/"a"'), 'W/"a"', MODIFIED)).toBe(false)
+  })
+
+  test('requires the exact Last-Modified date', () => {
+    expect(ifRangeMatches(withIfRange(MODIFIED), '"a"', MODIFIED)).toBe(true)
+    expect(ifRangeMatches(withIfRange('Thu, 02 Jan 2025 12:00:00 GMT'), '"a"', MODIFIED)).toBe(false)
+    expect(ifRangeMatches(withIfRange(MODIFIED), '"a"', null)).toBe(false)
+  })
+})
+
+describe('range responses', () => {
+  test('send one range as is', async () => {
+    const response = await createRangeResponse(new Blob([BODY]), [{ start: 2, end: 4 }], { 'Content-Type': 'text/plain' })
+
+    expect(response.status).toBe(206)
+    expect(response.headers.get('Content-Range')).toBe('bytes 2-4/26')
+    expect(response.headers.get('Content-Length')).toBe('3')
+    expect(await response.text()).toBe('cde')
+  })
+
+  test('send several ranges as multipart/byteranges', async () => {
+    const response = await createRangeResponse(
+      new Blob([BODY]),
+      [{ start: 0, end: 1 }, { start: 24, end: 25 }],
+      { 'Content-Type': 'text/plain' }
+    )
+    const boundary = response.headers.get('Content-Type').match(/boundary=(.+)$/)[1]
+    const body = await response.text()
+
+    expect(response.headers.get('Content-Length')).toBe(String(body.length))
+    expect(body).toBe(
+      `--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-1/26\r\n\r\nab\r\n` +
+      `--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 24-25/26\r\n\r\nyz\r\n` +
+      `--${boundary}--\r\n`
+    )
+  })
+
+  test('answer unsatisfiable ranges with the size', () => {
+    const response = rangeNotSatisfiable(26, { ETag: '"a"' })
+
+    expect(response.status).toBe(416)
+    expect(response.headers.get('Content-Range')).toBe('bytes */26')
+    expect(response.headers.get('ETag')).toBe('"a"')
+  })
+})
+
+describe('serveStaticFile', () => {
+  test('derives the ETag from the size and mtime', async () => {
+    const first = await serveStaticFile(file, {}, get())
+    const etag = first.headers.get('ETag')
+
+    expect(etag).toMatch(/^"[\da-z]+-[\da-z]+"$/)
+    expect(first.headers.get('Last-Modified')).toBe(MODIFIED)
+    expect((await serveStaticFile(file, {}, get())).headers.get('ETag')).toBe(etag)
+
+    utimesSync(file, new Date(MODIFIED), new Date(Date.parse(MODIFIED) + 1000))
+    expect((await serveStaticFile(file, {}, get())).headers.get('ETag')).not.toBe(etag)
+    utimesSync(file, new Date(MODIFIED), new Date(MODIFIED))
+  })
+
+  test('serves ranges while If-Range still matches', async () => {
+    const { headers } = await serveStaticFile(file, {}, get())
+    const etag = headers.get('ETag')
+
+    const partial = await serveStaticFile(file, {}, get({ Range: 'bytes=0-2', 'If-Range': etag }))
+    expect(partial.status).toBe(206)
+    expect(await partial.text()).toBe('abc')
+
+    const stale = await serveStaticFile(file, {}, get({ Range: 'bytes=0-2', 'If-Range': '"old"' }))
+    expect(stale.status).toBe(200)
+    expect(await stale.text()).toBe(BODY)
+
+    const outside = await serveStaticFile(file, {}, get({ Range: 'bytes=100-' }))
+    expect(outside.status).toBe(416)
+  })
+
+  test('answers a matching ETag with a 304', async () => {
+    const { headers } = await serveStaticFile(file, {}, get())
+    const response = await serveStaticFile(file, {}, get({ 'If-None-Match': headers.get('ETag') }))
+
+    expect(response.status).toBe(304)
+  })
+
+  test('serves a fresh precompressed sibling with a weak ETag', async () => {
+    config.compression.enabled = true
+    writeFileSync(`${file}.gz`, gzipSync(BODY))
+    utimesSync(`${file}.gz`, new Date(MODIFIED), new Date(MODIFIED))
+
+    const plain = await serveStaticFile(file, {}, get())
+    const response = await serveStaticFile(file, {}, get({ 'Accept-Encoding': 'gzip' }))
+
+    expect(response.headers.get('Content-Encoding')).toBe('gzip')
+    expect(response.headers.get('ETag')).toBe(`W/${plain.headers.get('ETag')}`)
+    expect(gunzipSync(Buffer.from(await response.arrayBuffer())).length).toBe(BODY.length)
+
+    // A sibling older than the file is stale
+    utimesSync(`${file}.gz`, new Date(MODIFIED), new Date(Date.parse(MODIFIED) - 1000))
+    const stale = await serveStaticFile(file, {}, get({ 'Accept-Encoding': 'gzip' }))
+    expect(stale.headers.has('Content-Encoding')).toBe(false)
+  })
+})
@@ -0,0 +1,96 @@
+// test/logging/log-file.test.js
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test'
+import { mkdtempSync, rmSync, readdirSync, readFileSync, writeFileSync, utimesSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { openLogFile } from '../../server/services/log-file.ts'
+
+/**
+ * Rotating log files: rotation by size and date, names of rotated files,
+ * pruning and asynchronous writes.
+ */
+
+const DAY1 = new Date(2026, 0, 1, 12)
+const DAY2 = new Date(2026, 0, 2, 12)
+
+let dir
+
+const read = (file) => readFileSync(join(dir, file), 'utf-8')
+const files = () => readdirSync(dir).sort()
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'logs-'))
+  setSystemTime(DAY1)
+})
+
+afterEach(() => {
+  setSystemTime()
+  rmSync(dir, { recursive: true, force: true })
+})
+
+describe('openLogFile', () => {
+  test('rotates by size, numbering files of the same day', () => {
+    const log = openLogFile(join(dir, 'access.log'), { maxSize: 30, daily: false, keep: 0 })
+    for (let i = 0; i < 7; i++) log.write(`line ${i} ..`)
+    log.close()
+
+    expect(files()).toEqual(['access-2026-01-01.1.log', 'access-2026-01-01.log', 'access.log'])
+    expect(read('access-2026-01-01.log')).toBe('line 0 ..\nline 1 ..\nline 2 ..\n')
+    expect(read('access-2026-01-01.1.log')).toBe('line 3 ..\nline 4 ..\nline 5 ..\n')
+    expect(read('access.log')).toBe('line 6 ..\n')
+  })
+
+  test('rotates when the date changes', () => {
+    const log = openLogFile(join(dir, 'access.log'), { maxSize: 0, daily: true, keep: 0 })
+    log.write('first')
+    setSystemTime(DAY2)
+    log.write('second')
+    log.close()
+
+    expect(read('access-2026-01-01.log')).toBe('first\n')
+    expect(read('access.log')).toBe('second\n')
+  })
+
+  test('dates an existing file by its last write', () => {
+    writeFileSync(join(dir, 'access.log'), 'old\n')
+    utimesSync(join(dir, 'access.log'), DAY1, DAY1)
+    setSystemTime(DAY2)
+
+    const log = openLogFile(join(dir, 'access.log'), { maxSize: 0, daily: true, keep: 0 })
+    log.write('new')
+    log.close()
+
+    expect(read('access-2026-01-01.log')).toBe('old\n')
+    expect(read('access.log')).toBe('new\n')
+  })
+
+  test('keeps the most recent rotated files of this log only', () => {
+    const unrelated = ['access-extra.log', 'access-2025-12-01.log.bak', 'error-2025-12-01.log', 'accesses-2025-12-01.log']
+    for (const [i, file] of ['access-2025-12-01.log', 'access-2025-12-02.log', ...unrelated].entries()) {
+      writeFileSync(join(dir, file), 'x\n')
+      utimesSync(join(dir, file), new Date(2025, 11, 1 + i), new Date(2025, 11, 1 + i))
+    }
+
+    const log = openLogFile(join(dir, 'access.log'), { maxSize: 5, daily: false, keep: 2 })
+    log.write('1234')
+    log.write('5678')
+    log.close()
+
+    expect(files()).toEqual([
+      'access-2025-12-02.log',
+      'access-2026-01-01.log',
+      ...unrelated,
+      'access.log'
+    ].sort())
+  })
+
+  test('writes after the current tick', async () => {
+    const log = openLogFile(join(dir, 'app.log'), { maxSize: 0, daily: false, keep: 0 })
+    log.write('{"level":"info"}')
+    expect(read('app.log')).toBe('')
+
+    await Bun.sleep(20)
+    expect(read('app.log')).toBe('{"level":"info"}\n')
+    log.close()
+  })
+})
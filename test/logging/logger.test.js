@@ -0,0 +1,55 @@
+// test/logging/logger.test.js
+import { describe, test, expect, beforeEach, afterEach, spyOn } from 'bun:test'
+import config from '../../server/config.ts'
+import { logEvent, runWithRequestContext } from '../../server/middleware/logger.ts'
+
+/**
+ * Events of the request being handled, as JSON lines, and the level below
+ * which they are dropped.
+ */
+
+let saved
+let log
+let warn
+
+// JSON entries written to the console
+const entries = () => [...log.mock.calls, ...warn.mock.calls].map(([line]) => JSON.parse(line))
+
+beforeEach(() => {
+  saved = { ...config.logging }
+  config.logging.format = 'json'
+  log = spyOn(console, 'log').mockImplementation(() => {})
+  warn = spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  Object.assign(config.logging, saved)
+  log.mockRestore()
+  warn.mockRestore()
+})
+
+describe('logEvent', () => {
+  test('writes the fields and the id of the request being handled', async () => {
+    config.logging.level = 'debug'
+    const req = new Request('http://localhost/api/users', { headers: { 'X-Request-Id': 'req-1' } })
+
+    await runWithRequestContext(req, async () => logEvent('debug', 'Users page', { page: 2, total: 40 }))
+
+    expect(entries()).toEqual([
+      expect.objectContaining({ level: 'debug', type: 'event', requestId: 'req-1', message: 'Users page', page: 2, total: 40 })
+    ])
+  })
+
+  test('drops lines below the configured level', () => {
+    config.logging.level = 'info'
+    logEvent('debug', 'Chaos applied')
+    logEvent('info', 'User created', { id: '7' })
+    logEvent('warn', 'Invalid cursor signature')
+
+    expect(entries().map((entry) => entry.message)).toEqual(['User created', 'Invalid cursor signature'])
+
+    config.logging.level = 'error'
+    logEvent('warn', 'Invalid cursor signature')
+    expect(entries()).toHaveLength(2)
+  })
+})
@@ -0,0 +1,105 @@
+// test/markdown/spec.test.js
+import { describe, test, expect } from 'bun:test'
+import { readFileSync } from 'fs'
+import { join } from 'path'
+import { tests as commonmarkTests } from 'commonmark-spec'
+import { renderMarkdown } from '../../client/core/markdown/index.js'
+
+/**
+ * Runs the CommonMark spec examples and the GFM extension examples
+ * (gfm-spec.txt) through the markdown pipeline shared by the client and
+ * the server.
+ *
+ * The pipeline decorates its output (heading ids, language classes on
+ * <pre>, lazy images, table and task list classes), so both sides are
+ * normalized before comparing. Examples where markdown-it knowingly departs
+ * from the specs are listed with the reason and reported as todo.
+ */
+
+// CommonMark examples by spec number
+const COMMONMARK_DIFFERENCES = {
+  602: 'linkify (GFM extended autolinks) links the URL inside the invalid autolink',
+  608: 'linkify (GFM extended autolinks) links the URL inside the invalid autolink',
+  611: 'linkify (GFM extended autolinks) links bare URLs',
+  612: 'linkify (GFM extended autolinks) links bare email addresses'
+}
+
+// GFM examples by position in gfm-spec.txt
+const GFM_DIFFERENCES = {
+  13: 'markdown-it strikes through the inner pair of a ~~~ run',
+  18: 'linkify-it stops URLs at an unbalanced closing parenthesis',
+  19: 'linkify-it keeps entity-like suffixes (&hl;) in URLs',
+  22: 'linkify-it only links emails with a known top level domain',
+  23: 'linkify-it only links emails with a known top level domain',
+  24: 'linkify-it only links emails with a known top level domain',
+  25: 'markdown-it has no tagfilter, raw HTML is passed through'
+}
+
+/**
+ * Extract the examples of a file in the spec format
+ * @param {string} text Spec text
+ * @returns {Array<{ number: number, section: string, markdown: string, html: string }>} Examples
+ */
+function extractExamples (text) {
+  const examples = []
+  let section = ''
+
+  for (const match of text.matchAll(/^`{32} example[^\n]*\n([\s\S]*?)^\.\n([\s\S]*?)^`{32}$|^#{1,6} *(.*)$/gm)) {
+    if (match[3] !== undefined) {
+      section = match[3]
+    } else {
+      examples.push({ number: examples.length + 1, section, markdown: match[1], html: match[2] })
+    }
+  }
+
+  return examples
+}
+
+/**
+ * Strip the pipeline's decorations and the spec's XHTML style
+ * @param {string} html Rendered or expected HTML
+ * @returns {string} Normalized HTML
+ */
+function normalize (html) {
+  return html
+    .replace(/→/g, '\t')
+    .replace(/(<h[1-6]) id="[^"]*"/g, '$1')
+    .replace(/<pre class="language-[^"]*">/g, '<pre>')
+    .replace(/(<img [^>]*?) loading="lazy"/g, '$1')
+    .replace(/<table class="markdown-table">/g, '<table>')
+    .replace(/ class="(?:contains-task-list|task-list-item|task-list-item-checkbox)"/g, '')
+    .replace(/ style="text-align:(\w+)"/g, ' align="$1"')
+    .replace(/<(\/?)s>/g, '<$1del>')
+    .replace(/ \/>/g, '>')
+    .replace(/<blockquote>\n<\/blockquote>/g, '<blockquote></blockquote>')
+}
+
+/**
+ * Declare one test per example, grouped by section
+ * @param {Array} examples Spec examples
+ * @param {Object} differences Known differences by example number
+ */
+function runExamples (examples, differences) {
+  const sections = Map.groupBy(examples, example => example.section)
+
+  for (const [section, sectionExamples] of sections) {
+    describe(section, () => {
+      for (const { number, markdown, html } of sectionExamples) {
+        const reason = differences[number]
+        const name = reason ? `example ${number} (${reason})` : `example ${number}`
+
+        ;(reason ? test.todo : test)(name, () => {
+          expect(normalize(renderMarkdown(markdown.replace(/→/g, '\t')))).toBe(normalize(html))
+        })
+      }
+    })
+  }
+}
+
+describe('CommonMark spec', () => {
+  runExamples(commonmarkTests, COMMONMARK_DIFFERENCES)
+})
+
+describe('GFM extensions', () => {
+  runExamples(extractExamples(readFileSync(join(import.meta.dir, 'gfm-spec.txt'), 'utf-8')), GFM_DIFFERENCES)
+})
@@ -0,0 +1,83 @@
+// test/metrics/metrics.test.js
+import { describe, test, expect } from 'bun:test'
+import {
+  incrementCounter,
+  recordRequest,
+  recordCompression,
+  renderMetrics
+} from '../../server/services/metrics.ts'
+
+/**
+ * The Prometheus text exposition of the server metrics: histogram buckets,
+ * sums and counts, label escaping and collected values. Metrics are global,
+ * each test uses labels of its own.
+ */
+
+// Sample lines of a metric whose labels include a fragment
+const samples = (name, fragment) =>
+  renderMetrics().split('\n').filter((line) => line.startsWith(name) && line.includes(fragment))
+
+describe('renderMetrics', () => {
+  test('renders cumulative histogram buckets, the sum and the count', () => {
+    for (const duration of [0.003, 0.02, 0.02, 0.7, 12]) {
+      recordRequest({ handler: 'histogram-test', method: 'GET', status: 200, duration, agent: 'cli' })
+    }
+
+    const lines = samples('mtrl_http_request_duration_seconds', 'handler="histogram-test"')
+    expect(lines).toEqual([
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.005"} 1',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.01"} 1',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.025"} 3',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.05"} 3',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.1"} 3',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.25"} 3',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="0.5"} 3',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="1"} 4',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="2.5"} 4',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="5"} 4',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="10"} 4',
+      'mtrl_http_request_duration_seconds_bucket{handler="histogram-test",le="+Inf"} 5',
+      `mtrl_http_request_duration_seconds_sum{handler="histogram-test"} ${0.003 + 0.02 + 0.02 + 0.7 + 12}`,
+      'mtrl_http_request_duration_seconds_count{handler="histogram-test"} 5'
+    ])
+  })
+
+  test('counts requests by status, other methods grouped', () => {
+    recordRequest({ handler: 'counter-test', method: 'GET', status: 200, duration: 0.01, agent: 'bot' })
+    recordRequest({ handler: 'counter-test', method: 'BREW', status: 405, duration: 0.01, agent: 'bot' })
+
+    expect(samples('mtrl_http_requests_total', 'handler="counter-test"')).toEqual([
+      'mtrl_http_requests_total{handler="counter-test",method="GET",status="200"} 1',
+      'mtrl_http_requests_total{handler="counter-test",method="other",status="405"} 1'
+    ])
+  })
+
+  test('records compression ratios per encoding and source', () => {
+    recordCompression('ratio-test', 'precompressed', 1000, 250)
+
+    const lines = samples('mtrl_compression_ratio', 'encoding="ratio-test"')
+    expect(lines).toContain('mtrl_compression_ratio_bucket{encoding="ratio-test",source="precompressed",le="0.2"} 0')
+    expect(lines).toContain('mtrl_compression_ratio_bucket{encoding="ratio-test",source="precompressed",le="0.3"} 1')
+    expect(lines).toContain('mtrl_compression_ratio_sum{encoding="ratio-test",source="precompressed"} 0.25')
+  })
+
+  test('escapes label values', () => {
+    incrementCounter('mtrl_snapshot_requests_total', { result: 'a"b\\c\nd' })
+    expect(samples('mtrl_snapshot_requests_total', 'a\\"b')).toEqual([
+      'mtrl_snapshot_requests_total{result="a\\"b\\\\c\\nd"} 1'
+    ])
+  })
+
+  test('declares every family once, with collected values', () => {
+    const text = renderMetrics()
+
+    expect(text.endsWith('\n')).toBe(true)
+    expect(text.match(/^# TYPE mtrl_http_request_duration_seconds histogram$/gm)).toHaveLength(1)
+    expect(text).toMatch(/^# HELP process_uptime_seconds .+$/m)
+    expect(text).toMatch(/^process_resident_memory_bytes \d+$/m)
+  })
+
+  test('rejects unknown metrics', () => {
+    expect(() => incrementCounter('mtrl_unknown_total')).toThrow('Unknown metric: mtrl_unknown_total')
+  })
+})
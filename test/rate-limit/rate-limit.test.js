@@ -0,0 +1,132 @@
+// test/rate-limit/rate-limit.test.js
+import { describe, test, expect, beforeAll, afterAll, afterEach, setSystemTime } from 'bun:test'
+import config from '../../server/config.ts'
+import {
+  isAllowlisted,
+  consumeRateLimit,
+  rateLimitedResponse
+} from '../../server/middleware/rate-limit.ts'
+import { handleApiRequest } from '../../server/api/index.ts'
+import { setClientAddress } from '../../server/utils/client-ip.ts'
+
+/**
+ * Token buckets per client IP and route group, the 429 response, and the
+ * group the API routes pick for each request.
+ */
+
+const NOW = Date.parse('2026-01-01T00:00:00Z')
+
+let saved
+let clients = 0
+
+// A client no other test has used, buckets live for the whole run
+const client = () => `203.0.113.${++clients}`
+
+// Send API requests from one client, returning the statuses
+const send = async (ip, paths) => {
+  const statuses = []
+  for (const path of paths) {
+    const req = new Request(`http://localhost/api${path}`)
+    setClientAddress(req, ip)
+    statuses.push((await handleApiRequest(req)).status)
+  }
+  return statuses
+}
+
+beforeAll(() => {
+  saved = { ...config.rateLimit }
+  config.rateLimit.enabled = true
+  config.rateLimit.allowlist = ['127.0.0.1']
+  config.rateLimit.groups = {
+    default: { limit: 5, window: 10 },
+    search: { limit: 2, window: 60 }
+  }
+})
+
+afterAll(() => {
+  Object.assign(config.rateLimit, saved)
+})
+
+afterEach(() => setSystemTime())
+
+describe('consumeRateLimit', () => {
+  test('takes one token per request until the bucket is empty', () => {
+    setSystemTime(NOW)
+    const ip = client()
+    const results = Array.from({ length: 3 }, () => consumeRateLimit('search', ip))
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, false])
+    expect(results.map((result) => result.remaining)).toEqual([1, 0, 0])
+    expect(results[2]).toMatchObject({ limit: 2, window: 60, retryAfter: 30, reset: 60 })
+  })
+
+  test('refills continuously over the window', () => {
+    setSystemTime(NOW)
+    const ip = client()
+    consumeRateLimit('search', ip)
+    consumeRateLimit('search', ip)
+
+    setSystemTime(NOW + 29000)
+    expect(consumeRateLimit('search', ip).allowed).toBe(false)
+
+    setSystemTime(NOW + 30000)
+    expect(consumeRateLimit('search', ip)).toMatchObject({ allowed: true, remaining: 0 })
+
+    setSystemTime(NOW + 600000)
+    expect(consumeRateLimit('search', ip).remaining).toBe(1)
+  })
+
+  test('counts each group and client on its own', () => {
+    const ip = client()
+    consumeRateLimit('search', ip)
+    consumeRateLimit('search', ip)
+
+    expect(consumeRateLimit('search', ip).allowed).toBe(false)
+    expect(consumeRateLimit('default', ip).allowed).toBe(true)
+    expect(consumeRateLimit('search', client()).allowed).toBe(true)
+  })
+
+  test('uses the default group for unknown groups', () => {
+    expect(consumeRateLimit('nonexistent', client()).limit).toBe(5)
+  })
+
+  test('never limits allowlisted IPs or a disabled limiter', () => {
+    expect(isAllowlisted('::ffff:127.0.0.1')).toBe(true)
+    expect(consumeRateLimit('search', '127.0.0.1')).toBeNull()
+
+    config.rateLimit.enabled = false
+    expect(consumeRateLimit('search', client())).toBeNull()
+    config.rateLimit.enabled = true
+  })
+})
+
+describe('rateLimitedResponse', () => {
+  test('answers with a 429, Retry-After and the quota headers', async () => {
+    const ip = client()
+    consumeRateLimit('search', ip)
+    consumeRateLimit('search', ip)
+    const response = rateLimitedResponse(consumeRateLimit('search', ip))
+
+    expect(response.status).toBe(429)
+    expect(response.headers.get('Retry-After')).toBe(String((await response.json()).retryAfter))
+    expect(response.headers.get('RateLimit-Limit')).toBe('2')
+    expect(response.headers.get('RateLimit-Remaining')).toBe('0')
+    expect(response.headers.get('RateLimit-Policy')).toBe('2;w=60')
+  })
+})
+
+describe('API route groups', () => {
+  test('only searches count against the search group', async () => {
+    const ip = client()
+
+    expect(await send(ip, ['/users?search=ada', '/users/cursor?search=ada', '/users?search=ada'])).toEqual([200, 200, 429])
+    expect(await send(ip, ['/users?limit=1', '/users/cursor?limit=1', '/users/find-position/5', '/users?page=2'])).toEqual([200, 200, 200, 200])
+  })
+
+  test('plain paging uses the default group', async () => {
+    const ip = client()
+    const statuses = await send(ip, Array.from({ length: 6 }, (_, i) => `/users?page=${i + 1}&limit=1`))
+
+    expect(statuses).toEqual([200, 200, 200, 200, 200, 429])
+  })
+})
@@ -0,0 +1,155 @@
+// test/router/router.test.js
+import { describe, test, expect } from 'bun:test'
+import { compilePath, matchPath } from '../../server/utils/path-pattern.ts'
+import { createRouter, matchRoute } from '../../server/router.ts'
+import { matchApiRoute } from '../../server/api/routes.ts'
+
+/**
+ * Path patterns shared by the request router and the API routes, route
+ * matching by method, and the middleware pipeline.
+ */
+
+const match = (pattern, pathname, options) => matchPath(compilePath(pattern, options), pathname)
+
+describe('compilePath', () => {
+  test('compiles each pattern and options once', () => {
+    expect(compilePath('/users/{id}')).toBe(compilePath('/users/{id}'))
+    expect(compilePath('/users/{id}', { integers: ['id'] })).not.toBe(compilePath('/users/{id}'))
+  })
+
+  test('lists the parameter names in order, the wildcard last', () => {
+    expect(compilePath('/{collection}/{id}/*').names).toEqual(['collection', 'id', '*'])
+  })
+
+  test('escapes regular expression characters', () => {
+    expect(match('/sitemap.xml', '/sitemap.xml')).toEqual({ params: {} })
+    expect(match('/sitemap.xml', '/sitemapxxml')).toBeNull()
+  })
+})
+
+describe('matchPath', () => {
+  test('matches exact paths only', () => {
+    expect(match('/health', '/health')).toEqual({ params: {} })
+    expect(match('/health', '/health/')).toBeNull()
+    expect(match('/health', '/healthz')).toBeNull()
+  })
+
+  test('accepts a trailing slash when asked to', () => {
+    expect(match('/users', '/users/', { trailingSlash: true })).toEqual({ params: {} })
+  })
+
+  test('matches one segment per named parameter', () => {
+    expect(match('/users/{id}', '/users/42')).toEqual({ params: { id: '42' } })
+    expect(match('/users/{id}', '/users/42/posts')).toBeNull()
+    expect(match('/users/{id}', '/users/')).toBeNull()
+  })
+
+  test('restricts integer parameters to digits', () => {
+    expect(match('/users/{id}', '/users/abc', { integers: ['id'] })).toBeNull()
+    expect(match('/users/{id}', '/users/7', { integers: ['id'] })).toEqual({ params: { id: '7' } })
+  })
+
+  test('matches the wildcard with or without a rest', () => {
+    expect(match('/dist/*', '/dist')).toEqual({ params: { '*': '' } })
+    expect(match('/dist/*', '/dist/')).toEqual({ params: { '*': '' } })
+    expect(match('/dist/*', '/dist/js/app.js')).toEqual({ params: { '*': 'js/app.js' } })
+    expect(match('/dist/*', '/distant')).toBeNull()
+  })
+
+  test('decodes parameters after matching', () => {
+    expect(match('/docs/{page}', '/docs/getting%20started')).toEqual({ params: { page: 'getting started' } })
+    // An encoded slash stays in its segment
+    expect(match('/docs/{page}', '/docs/a%2Fb')).toEqual({ params: { page: 'a/b' } })
+    expect(match('/dist/*', '/dist/%C3%A9t%C3%A9.js')).toEqual({ params: { '*': 'été.js' } })
+  })
+
+  test('reports parameters that are not valid percent-encoding', () => {
+    expect(match('/docs/{page}', '/docs/%E0%A4%A')).toEqual({ params: {}, malformed: true })
+    expect(match('/dist/*', '/dist/%zz')).toEqual({ params: {}, malformed: true })
+  })
+})
+
+describe('matchRoute', () => {
+  const route = { name: 'docs', path: ['/docs', '/docs/{page}'], method: 'GET', handle: () => null }
+
+  test('tries every path of the route', () => {
+    expect(matchRoute(route, 'GET', '/docs')).toEqual({ params: {} })
+    expect(matchRoute(route, 'GET', '/docs/intro')).toEqual({ params: { page: 'intro' } })
+  })
+
+  test('serves HEAD requests with GET routes', () => {
+    expect(matchRoute(route, 'head', '/docs')).toEqual({ params: {} })
+    expect(matchRoute(route, 'POST', '/docs')).toBeNull()
+    expect(matchRoute({ ...route, method: undefined }, 'DELETE', '/docs')).toEqual({ params: {} })
+  })
+})
+
+describe('createRouter', () => {
+  const text = (body) => new Response(body)
+  const trace = []
+  const router = createRouter([
+    {
+      name: 'item',
+      path: '/items/{id}',
+      before: [(req, match) => { trace.push(`route before ${match.params.id}`); return null }],
+      after: [(req, response) => { trace.push('route after'); return response }],
+      handle: (req, match) => (match.params.id === 'skip' ? null : text(`item ${match.params.id}`))
+    },
+    { name: 'fallback', path: '/*', handle: () => text('fallback') }
+  ], {
+    before: [(req) => { trace.push('router before'); return new URL(req.url).pathname === '/blocked' ? text('blocked') : null }],
+    after: [(req, response) => { trace.push('router after'); return response }],
+    notFound: () => new Response('not found', { status: 404 })
+  })
+
+  const route = (path) => router(new Request(`http://localhost${path}`))
+
+  test('runs the middleware around the handler in order', async () => {
+    trace.length = 0
+    const { response, handler } = await route('/items/7')
+
+    expect(handler).toBe('item')
+    expect(await response.text()).toBe('item 7')
+    expect(trace).toEqual(['router before', 'route before 7', 'route after', 'router after'])
+  })
+
+  test('passes on to the next route when a handler returns null', async () => {
+    const { response, handler } = await route('/items/skip')
+
+    expect(handler).toBe('fallback')
+    expect(await response.text()).toBe('fallback')
+  })
+
+  test('lets before middleware answer the request', async () => {
+    expect(await (await route('/blocked')).response.text()).toBe('blocked')
+  })
+
+  test('answers malformed paths with a 400', async () => {
+    const { response, handler } = await route('/items/%E0%A4%A')
+
+    expect(response.status).toBe(400)
+    expect(handler).toBe('item')
+  })
+})
+
+describe('matchApiRoute', () => {
+  const handle = async () => new Response()
+  const routes = [
+    { method: 'GET', path: '/users/{id}', parameters: [{ name: 'id', in: 'path', schema: { type: 'integer' } }], handle },
+    { method: 'DELETE', path: '/users/{id}', parameters: [{ name: 'id', in: 'path', schema: { type: 'integer' } }], handle },
+    { method: 'GET', path: '/collections/{name}', parameters: [{ name: 'name', in: 'path', schema: { type: 'string' } }], handle }
+  ]
+
+  test('matches integer path parameters and a trailing slash', () => {
+    expect(matchApiRoute(routes, 'HEAD', '/users/5/')).toEqual({ route: routes[0], params: { id: '5' } })
+    expect(matchApiRoute(routes, 'GET', '/users/abc')).toEqual({})
+  })
+
+  test('lists the allowed methods of a path', () => {
+    expect(matchApiRoute(routes, 'PUT', '/users/5')).toEqual({ allowed: ['GET', 'DELETE'] })
+  })
+
+  test('reports malformed parameters', () => {
+    expect(matchApiRoute(routes, 'GET', '/collections/%E0%A4%A')).toEqual({ malformed: true })
+  })
+})
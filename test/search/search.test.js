@@ -0,0 +1,64 @@
+// test/search/search.test.js
+import { describe, test, expect, beforeAll } from 'bun:test'
+import { buildSearchIndex, search, tokenize } from '../../server/services/search.ts'
+
+/**
+ * Full-text search over the docs, the sitemap and the components list.
+ * The index is built from the real sources, the assertions only rely on
+ * pages and components that are part of the app.
+ */
+
+beforeAll(async () => {
+  await buildSearchIndex()
+})
+
+describe('tokenize', () => {
+  test('folds case and diacritics', () => {
+    expect(tokenize('Crème BRÛLÉE')).toEqual(['creme', 'brulee'])
+  })
+
+  test('splits on punctuation and drops one letter terms', () => {
+    expect(tokenize('createButton({ a: 1, size: "large" })')).toEqual(['createbutton', 'size', 'large'])
+  })
+})
+
+describe('search', () => {
+  test('returns nothing for an empty query', () => {
+    expect(search('  ')).toEqual({ items: [], total: 0 })
+  })
+
+  test('ranks the component above doc sections mentioning it', () => {
+    const { items } = search('button')
+    expect(items[0]).toMatchObject({ type: 'component', title: 'Buttons' })
+  })
+
+  test('ranks title matches of pages and components first', () => {
+    const { items } = search('fab', 3)
+    expect(items.map((item) => item.type)).not.toContain('doc')
+    expect(items.map((item) => item.title)).toContain('FAB')
+  })
+
+  test('matches the last term by prefix', () => {
+    const { items } = search('butt', 1)
+    expect(items[0].title).toBe('Buttons')
+  })
+
+  test('requires every term to match', () => {
+    const { total } = search('button')
+    expect(search('button zzzunknown').total).toBe(0)
+    expect(search('radio button').total).toBeLessThan(total)
+  })
+
+  test('reports the number of matches before the limit', () => {
+    const all = search('button', 1000)
+    const page = search('button', 5)
+    expect(page.items).toHaveLength(5)
+    expect(page.total).toBe(all.items.length)
+    expect(page.total).toBeGreaterThan(5)
+  })
+
+  test('highlights matches in snippets', () => {
+    const item = search('slider').items.find((result) => result.type === 'doc')
+    expect(item.snippet).toMatch(/<mark>slider/i)
+  })
+})
@@ -0,0 +1,116 @@
+// test/users/cursors.test.js
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test'
+import config from '../../server/config.ts'
+import { createCursor, verifyCursor, decodeCursor, DEFAULT_LIMIT } from '../../server/api/users/base.ts'
+
+/**
+ * Signed cursors: payload round trip, tampering, key rotation and expiry.
+ * The key ring and TTL are swapped per test and restored afterwards.
+ */
+
+const OLD_KEY = { id: 'old', secret: 'old-secret' }
+const NEW_KEY = { id: 'new', secret: 'new-secret' }
+
+let saved
+
+beforeEach(() => {
+  saved = { ...config.cursors }
+  config.cursors.keys = [OLD_KEY]
+  config.cursors.ttl = 0
+})
+
+afterEach(() => {
+  Object.assign(config.cursors, saved)
+  setSystemTime()
+})
+
+describe('createCursor and verifyCursor', () => {
+  test('round trip the position and query state', () => {
+    const cursor = createCursor(40, 20, 'ada', 'sort=name:desc')
+
+    expect(cursor.startsWith('old.')).toBe(true)
+    expect(verifyCursor(cursor)).toEqual({
+      data: { position: 40, limit: 20, searchTerm: 'ada', queryKey: 'sort=name:desc' }
+    })
+  })
+
+  test('default the optional fields', () => {
+    const { data } = verifyCursor(createCursor(0, 0))
+    expect(data).toEqual({ position: 0, limit: DEFAULT_LIMIT, searchTerm: '', queryKey: null })
+  })
+
+  test('reject missing, malformed and tampered cursors', () => {
+    const [keyId, payload, signature] = createCursor(40, 20).split('.')
+    const forged = Buffer.from(JSON.stringify({ p: 0, l: 20, s: '', t: Date.now() })).toString('base64url')
+
+    expect(verifyCursor(null)).toEqual({ error: 'invalid' })
+    expect(verifyCursor('not-a-cursor')).toEqual({ error: 'invalid' })
+    expect(verifyCursor(`${keyId}.${forged}.${signature}`)).toEqual({ error: 'invalid' })
+    expect(verifyCursor(`${keyId}.${payload}.${signature.slice(0, -4)}`)).toEqual({ error: 'invalid' })
+  })
+
+  test('bind the key id into the signature', () => {
+    config.cursors.keys = [OLD_KEY, { id: 'other', secret: OLD_KEY.secret }]
+    const cursor = createCursor(40, 20)
+
+    expect(verifyCursor(cursor.replace(/^old\./, 'other.'))).toEqual({ error: 'invalid' })
+  })
+})
+
+describe('key rotation', () => {
+  test('signs with the first key and verifies with any key of the ring', () => {
+    const before = createCursor(10, 20)
+    config.cursors.keys = [NEW_KEY, OLD_KEY]
+    const after = createCursor(10, 20)
+
+    expect(after.startsWith('new.')).toBe(true)
+    expect(verifyCursor(before).data.position).toBe(10)
+    expect(verifyCursor(after).data.position).toBe(10)
+  })
+
+  test('rejects cursors of a retired key', () => {
+    const cursor = createCursor(10, 20)
+    config.cursors.keys = [NEW_KEY]
+
+    expect(verifyCursor(cursor)).toEqual({ error: 'invalid' })
+  })
+})
+
+describe('expiry', () => {
+  test('expires cursors after the TTL', () => {
+    config.cursors.ttl = 60
+    setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    const cursor = createCursor(10, 20)
+
+    setSystemTime(new Date('2026-01-01T00:00:59Z'))
+    expect(verifyCursor(cursor).data.position).toBe(10)
+
+    setSystemTime(new Date('2026-01-01T00:01:00Z'))
+    expect(verifyCursor(cursor)).toEqual({ error: 'expired' })
+  })
+
+  test('keeps cursors valid without a TTL', () => {
+    setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    const cursor = createCursor(10, 20)
+
+    setSystemTime(new Date('2036-01-01T00:00:00Z'))
+    expect(verifyCursor(cursor).data.position).toBe(10)
+  })
+
+  test('checks the signature before the expiry', () => {
+    config.cursors.ttl = 60
+    setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    const cursor = createCursor(10, 20)
+    config.cursors.keys = [NEW_KEY]
+
+    setSystemTime(new Date('2026-01-02T00:00:00Z'))
+    expect(verifyCursor(cursor)).toEqual({ error: 'invalid' })
+  })
+})
+
+describe('decodeCursor', () => {
+  test('accepts positions up to the end of the result set', () => {
+    expect(decodeCursor(createCursor(50, 20), 50).data.position).toBe(50)
+    expect(decodeCursor(createCursor(51, 20), 50)).toEqual({ error: 'invalid' })
+  })
+})
@@ -0,0 +1,121 @@
+// test/users/pagination.test.js
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test'
+import config from '../../server/config.ts'
+import { createCursor } from '../../server/api/users/base.ts'
+import { resolveCursor, handleCursorPagination } from '../../server/api/users/cursor.ts'
+
+/**
+ * Cursor resolution against a list and the after= and before= pages of
+ * the users list, with the query state carried by the cursors.
+ */
+
+const scope = (overrides = {}) => ({
+  queryKey: 'sort=name:asc',
+  ownState: true,
+  keyOf: (data) => data.queryKey,
+  adopt: () => false,
+  total: () => 100,
+  ...overrides
+})
+
+const list = async (search) => {
+  const url = new URL(`http://localhost/api/users/cursor?${search}`)
+  const response = await handleCursorPagination(new Request(url), url)
+  return { status: response.status, body: await response.json() }
+}
+
+const ids = (body) => body.items.map((user) => user.id)
+
+let saved
+
+beforeEach(() => {
+  saved = { ...config.cursors }
+})
+
+afterEach(() => {
+  Object.assign(config.cursors, saved)
+  setSystemTime()
+})
+
+describe('resolveCursor', () => {
+  test('returns the position of a cursor of the same query', () => {
+    expect(resolveCursor(createCursor(40, 20, '', 'sort=name:asc'), scope())).toEqual({ position: 40 })
+  })
+
+  test('accepts the end of the list, not past it', () => {
+    expect(resolveCursor(createCursor(100, 20, '', 'sort=name:asc'), scope())).toEqual({ position: 100 })
+    expect(resolveCursor(createCursor(101, 20, '', 'sort=name:asc'), scope()).error.status).toBe(400)
+  })
+
+  test('starts over when the request changed the query', () => {
+    expect(resolveCursor(createCursor(40, 20, '', 'sort=role:asc'), scope())).toEqual({ position: null })
+  })
+
+  test('adopts the cursor state when the request has none', () => {
+    const adopted = []
+    const resolved = resolveCursor(createCursor(40, 20, '', 'sort=role:asc'), scope({
+      ownState: false,
+      adopt: (key) => adopted.push(key) > 0
+    }))
+
+    expect(resolved).toEqual({ position: 40 })
+    expect(adopted).toEqual(['sort=role:asc'])
+  })
+
+  test('rejects cursors of another list', async () => {
+    const { error } = resolveCursor(createCursor(40, 20, '', 'sort=name:asc'), scope({ keyOf: () => null }))
+    expect(error.status).toBe(400)
+    expect(await error.json()).toEqual({ error: 'Invalid cursor', details: { code: 'CURSOR_INVALID' } })
+  })
+
+  test('answers expired cursors with a 410', async () => {
+    config.cursors.ttl = 60
+    setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    const cursor = createCursor(40, 20, '', 'sort=name:asc')
+    setSystemTime(new Date('2026-01-01T00:02:00Z'))
+
+    const { error } = resolveCursor(cursor, scope())
+    expect(error.status).toBe(410)
+    expect((await error.json()).details.code).toBe('CURSOR_EXPIRED')
+  })
+})
+
+describe('handleCursorPagination', () => {
+  test('pages forward with after= and back with before=', async () => {
+    const first = await list('limit=5')
+    expect(ids(first.body)).toEqual(['1', '2', '3', '4', '5'])
+    expect(first.body.meta.hasPrev).toBe(false)
+    expect(first.body.meta.prevCursor).toBeNull()
+
+    const second = await list(`limit=5&after=${first.body.meta.cursor}`)
+    expect(ids(second.body)).toEqual(['6', '7', '8', '9', '10'])
+    expect(second.body.meta.hasPrev).toBe(true)
+
+    const back = await list(`limit=5&before=${second.body.meta.prevCursor}`)
+    expect(ids(back.body)).toEqual(ids(first.body))
+  })
+
+  test('returns a short page before a cursor near the start', async () => {
+    const cursor = createCursor(3, 5)
+    const { body } = await list(`limit=5&before=${cursor}`)
+
+    expect(ids(body)).toEqual(['1', '2', '3'])
+    expect(body.meta.hasPrev).toBe(false)
+  })
+
+  test('keeps the sort of the first page', async () => {
+    const first = await list('limit=3&sort=name:desc')
+    const second = await list(`limit=3&after=${first.body.meta.cursor}`)
+    const both = await list('limit=6&sort=name:desc')
+
+    expect([...ids(first.body), ...ids(second.body)]).toEqual(ids(both.body))
+  })
+
+  test('rejects before and after together', async () => {
+    const cursor = createCursor(5, 5)
+    const { status, body } = await list(`before=${cursor}&after=${cursor}`)
+
+    expect(status).toBe(400)
+    expect(body.error).toBe('Use either before or after, not both')
+  })
+})
@@ -0,0 +1,114 @@
+// test/users/query.test.js
+import { describe, test, expect } from 'bun:test'
+import { parseLimit, DEFAULT_LIMIT, MAX_LIMIT } from '../../server/api/users/base.ts'
+import { parseListQuery, getQueryKey, parseQueryKey, queryUsers } from '../../server/api/users/query.ts'
+
+/**
+ * List query parsing (sort, filter, field selection) and the sorted and
+ * filtered result sets of the users list.
+ */
+
+const parse = (search) => parseListQuery(new URL(`http://localhost/api/users?${search}`))
+
+describe('parseLimit', () => {
+  const limit = (value) => parseLimit(new URL(`http://localhost/api/users?limit=${value}`))
+
+  test('defaults when missing, zero or not a number', () => {
+    expect(parseLimit(new URL('http://localhost/api/users'))).toBe(DEFAULT_LIMIT)
+    expect(limit('0')).toBe(DEFAULT_LIMIT)
+    expect(limit('abc')).toBe(DEFAULT_LIMIT)
+  })
+
+  test('clamps to 1..MAX_LIMIT', () => {
+    expect(limit('-5')).toBe(1)
+    expect(limit('35')).toBe(35)
+    expect(limit('100000')).toBe(MAX_LIMIT)
+  })
+})
+
+describe('parseListQuery', () => {
+  test('parses sort rules, ascending by default, each field once', () => {
+    expect(parse('sort=name,role:desc,name:desc').query.sort).toEqual([
+      { field: 'name', direction: 'asc' },
+      { field: 'role', direction: 'desc' }
+    ])
+  })
+
+  test('rejects unknown sort fields and directions', () => {
+    expect(parse('sort=avatar').error).toMatch(/Invalid sort field "avatar"/)
+    expect(parse('sort=name:up').error).toMatch(/Invalid sort direction "up"/)
+  })
+
+  test('collects filter values across parameters', () => {
+    expect(parse('filter[role]=Designer,%20Manager&filter[role]=Developer').query.filters).toEqual({
+      role: ['Designer', 'Manager', 'Developer']
+    })
+  })
+
+  test('rejects unknown filter fields', () => {
+    expect(parse('filter[password]=x').error).toMatch(/Invalid filter field "password"/)
+  })
+
+  test('parses the field selection', () => {
+    expect(parse('fields=id,name').query.fields).toEqual(['id', 'name'])
+    expect(parse('').query.fields).toBeNull()
+    expect(parse('fields=id,secret').error).toMatch(/Invalid fields: secret/)
+  })
+
+  test('reads the search term and flags', () => {
+    const { query } = parse('search=ann&fuzzy=1&highlight=true')
+    expect(query).toMatchObject({ search: 'ann', fuzzy: true, highlight: true })
+    expect(parse('fuzzy=yes').query.fuzzy).toBe(false)
+  })
+})
+
+describe('getQueryKey', () => {
+  test('is canonical for filter order and case', () => {
+    const a = parse('filter[role]=Manager,designer&filter[name]=Ann').query
+    const b = parse('filter[name]=Ann&filter[role]=Designer,manager').query
+    expect(getQueryKey(a)).toBe(getQueryKey(b))
+  })
+
+  test('round trips through parseQueryKey', () => {
+    const { query } = parse('search=ann&sort=name:desc&filter[role]=Designer&fuzzy=1')
+    expect(parseQueryKey(getQueryKey(query))).toEqual({
+      search: 'ann',
+      sort: [{ field: 'name', direction: 'desc' }],
+      filters: { role: ['designer'] },
+      fuzzy: true
+    })
+  })
+
+  test('rejects malformed keys and unknown fields', () => {
+    expect(parseQueryKey('not json')).toBeNull()
+    expect(parseQueryKey(JSON.stringify({ s: '', o: ['avatar:asc'], f: [] }))).toBeNull()
+  })
+})
+
+describe('queryUsers', () => {
+  const { query } = parse('filter[role]=Designer&sort=name:desc')
+
+  test('only returns users matching the filters', () => {
+    const { users, total } = queryUsers(query, 0, 50)
+    expect(total).toBeGreaterThan(0)
+    expect(users).toHaveLength(50)
+    expect(users.every((user) => user.role === 'Designer')).toBe(true)
+  })
+
+  test('sorts by the sort rules', () => {
+    const names = queryUsers(query, 0, 50).users.map((user) => user.name.toLowerCase())
+    expect(names).toEqual([...names].sort().reverse())
+  })
+
+  test('pages never overlap, ties keep list order', () => {
+    const first = queryUsers(query, 0, 20).users.map((user) => user.id)
+    const second = queryUsers(query, 20, 20).users.map((user) => user.id)
+    const both = queryUsers(query, 0, 40).users.map((user) => user.id)
+    expect([...first, ...second]).toEqual(both)
+  })
+
+  test('returns an empty page past the end', () => {
+    const { total } = queryUsers(query, 0, 1)
+    expect(queryUsers(query, total, 20)).toEqual({ users: [], total })
+  })
+})
@@ -0,0 +1,111 @@
+// test/users/search.test.js
+import { describe, test, expect, afterEach } from 'bun:test'
+import { USERS, TOTAL_USERS } from '../../server/data/users.js'
+import { createUser, updateUser, deleteUser, resetUsers, getUserAt } from '../../server/api/users/store.ts'
+import {
+  tokenizeQuery,
+  tokenMatches,
+  searchUserPositions,
+  getUserHighlights
+} from '../../server/api/users/search.ts'
+
+/**
+ * The users search index: term matching, exact results over the generated
+ * users and the overlay store, and highlight ranges.
+ */
+
+const payload = (name) => ({ name, email: 'someone@example.com', role: 'Designer' })
+
+// Scan of the generated users, the reference for the index
+const scan = (terms) => {
+  const positions = []
+  USERS.forEach((user, position) => {
+    const tokens = `${user.name} ${user.email} ${user.role}`.toLowerCase().split(/[^\p{L}]+/u)
+    if (terms.every((term) => tokens.some((token) => token.startsWith(term)))) positions.push(position)
+  })
+  return positions
+}
+
+afterEach(() => resetUsers())
+
+describe('tokenizeQuery', () => {
+  test('splits letters and digits into lowercase terms', () => {
+    expect(tokenizeQuery('Young99 HUNTER')).toEqual(['young', '99', 'hunter'])
+    expect(tokenizeQuery('  ')).toEqual([])
+  })
+})
+
+describe('tokenMatches', () => {
+  test('matches prefixes', () => {
+    expect(tokenMatches('hunter', 'hun', false)).toBe(true)
+    expect(tokenMatches('hunter', 'unter', false)).toBe(false)
+  })
+
+  test('tolerates typos only when fuzzy', () => {
+    expect(tokenMatches('hunter', 'huntr', false)).toBe(false)
+    expect(tokenMatches('hunter', 'huntr', true)).toBe(true)
+    expect(tokenMatches('hunter', 'hnuter', true)).toBe(true)
+  })
+
+  test('scales the tolerance with the term length', () => {
+    // No typos below four letters, one below eight, two from eight
+    expect(tokenMatches('ada', 'adx', true)).toBe(false)
+    expect(tokenMatches('hunter', 'hxntxr', true)).toBe(false)
+    expect(tokenMatches('architect', 'arxhitext', true)).toBe(true)
+  })
+
+  test('matches typos in a prefix of a longer token', () => {
+    expect(tokenMatches('architect', 'arhci', true)).toBe(true)
+  })
+})
+
+describe('searchUserPositions', () => {
+  test('matches every term by prefix, like a scan', () => {
+    expect([...searchUserPositions('hunt')]).toEqual(scan(['hunt']))
+    expect([...searchUserPositions('michael hunt')]).toEqual(scan(['michael', 'hunt']))
+  })
+
+  test('returns every position without terms', () => {
+    expect(searchUserPositions('').length).toBe(TOTAL_USERS)
+  })
+
+  test('matches digit terms against ids', () => {
+    expect([...searchUserPositions('42')]).toEqual([41])
+    expect([...searchUserPositions(String(TOTAL_USERS + 1))]).toEqual([])
+  })
+
+  test('finds more with typos when fuzzy', () => {
+    const exact = searchUserPositions('micheal')
+    const fuzzy = searchUserPositions('micheal', true)
+
+    expect(fuzzy.length).toBeGreaterThan(exact.length)
+    expect(getUserAt(fuzzy[0]).name.toLowerCase()).toMatch(/mich|mica/)
+  })
+
+  test('follows the overlay store', () => {
+    const created = createUser(payload('Zyxwv Quuxly'))
+    updateUser(1, { name: 'Zyxwv Renamed', email: 'zyxwv@example.com' })
+    deleteUser(2)
+
+    // The renamed user keeps its position, the created one follows the deletion
+    expect([...searchUserPositions('zyxwv')]).toEqual([0, TOTAL_USERS - 1])
+    expect(getUserAt(TOTAL_USERS - 1)).toBe(created)
+    expect([...searchUserPositions('michael hunter')]).not.toContain(0)
+    expect([...searchUserPositions('autumn woods')]).not.toContain(1)
+  })
+})
+
+describe('getUserHighlights', () => {
+  test('highlights the matched prefix of each token', () => {
+    const user = { name: 'Michael Hunter', email: 'michael.hunter1@example.com', role: 'Manager' }
+
+    expect(getUserHighlights(user, 'mich hun')).toEqual({
+      name: [[0, 4], [8, 11]],
+      email: [[0, 4], [8, 11]]
+    })
+  })
+
+  test('ignores digit terms and unmatched fields', () => {
+    expect(getUserHighlights({ name: 'Ada', role: 'Designer' }, 'ada 42')).toEqual({ name: [[0, 3]] })
+  })
+})
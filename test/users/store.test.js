@@ -0,0 +1,162 @@
+// test/users/store.test.js
+import { describe, test, expect, afterEach } from 'bun:test'
+import { TOTAL_USERS } from '../../server/data/users.js'
+import {
+  getTotalUsers,
+  getUsersVersion,
+  getUserAt,
+  getUsersInRange,
+  getBasePosition,
+  isBaseUserChanged,
+  findUser,
+  getUserPosition,
+  validateUser,
+  createUser,
+  replaceUser,
+  updateUser,
+  deleteUser,
+  resetUsers
+} from '../../server/api/users/store.ts'
+
+/**
+ * The write overlay on top of the generated users: positions shift around
+ * deleted base users and created users are appended at the end.
+ */
+
+const payload = (name) => ({ name, email: `${name.toLowerCase()}@example.com`, role: 'Designer' })
+
+afterEach(() => resetUsers())
+
+describe('deleted base users', () => {
+  test('shift the positions of the users after them', () => {
+    const total = getTotalUsers()
+    // Out of order, the deleted indexes must stay sorted
+    expect(deleteUser(10)).toBe(true)
+    expect(deleteUser(5)).toBe(true)
+    expect(deleteUser(7)).toBe(true)
+
+    expect(getTotalUsers()).toBe(total - 3)
+    expect(getUserAt(3).id).toBe('4')
+    expect(getUserAt(4).id).toBe('6')
+    expect(getUserAt(5).id).toBe('8')
+    expect(getUserAt(7).id).toBe('11')
+    expect(getUserPosition(11)).toBe(7)
+    expect(getBasePosition(10)).toBe(7)
+  })
+
+  test('are gone and can only be deleted once', () => {
+    deleteUser(42)
+    expect(findUser(42)).toBeNull()
+    expect(getUserPosition(42)).toBe(-1)
+    expect(deleteUser(42)).toBe(false)
+    expect(isBaseUserChanged(41)).toBe(true)
+  })
+
+  test('are skipped by ranges, matching single lookups', () => {
+    deleteUser(1)
+    deleteUser(3)
+    deleteUser(4)
+
+    const range = getUsersInRange(0, 10)
+    expect(range.map((user) => user.id)).toEqual(['2', '5', '6', '7', '8', '9', '10', '11', '12', '13'])
+    range.forEach((user, position) => expect(getUserAt(position)).toBe(user))
+  })
+})
+
+describe('created users', () => {
+  test('are appended with ids after the generated ones', () => {
+    const total = getTotalUsers()
+    const user = createUser(payload('Ada'))
+
+    expect(user.id).toBe(String(TOTAL_USERS + 1))
+    expect(user.avatar).toBe('A')
+    expect(getTotalUsers()).toBe(total + 1)
+    expect(getUserAt(total)).toBe(user)
+    expect(getUserPosition(TOTAL_USERS + 1)).toBe(total)
+  })
+
+  test('follow the base users in ranges, after deletions', () => {
+    const first = createUser(payload('Ada'))
+    const second = createUser(payload('Grace'))
+    deleteUser(TOTAL_USERS)
+
+    const total = getTotalUsers()
+    expect(total).toBe(TOTAL_USERS + 1)
+    expect(getUsersInRange(total - 3, 10).map((user) => user.id)).toEqual([
+      String(TOTAL_USERS - 1), first.id, second.id
+    ])
+  })
+
+  test('close the gap when deleted', () => {
+    const first = createUser(payload('Ada'))
+    const second = createUser(payload('Grace'))
+
+    expect(deleteUser(Number(first.id))).toBe(true)
+    expect(getUserPosition(Number(second.id))).toBe(TOTAL_USERS)
+    expect(getUserAt(TOTAL_USERS)).toBe(second)
+  })
+})
+
+describe('updates', () => {
+  test('replace keeps the position', () => {
+    const user = replaceUser(3, payload('Linus'))
+
+    expect(user.id).toBe('3')
+    expect(getUserAt(2)).toBe(user)
+    expect(findUser(3).name).toBe('Linus')
+    expect(isBaseUserChanged(2)).toBe(true)
+  })
+
+  test('update merges the patch, a null phone removes it', () => {
+    const before = findUser(8)
+    const user = updateUser(8, { id: '999', name: 'Renamed', phone: null })
+
+    expect(user.id).toBe('8')
+    expect(user.name).toBe('Renamed')
+    expect(user.email).toBe(before.email)
+    expect('phone' in user).toBe(false)
+  })
+
+  test('missing users are not found', () => {
+    expect(replaceUser(TOTAL_USERS + 50, payload('Nobody'))).toBeNull()
+    expect(updateUser(0, { name: 'Nobody' })).toBeNull()
+  })
+
+  test('every write bumps the version', () => {
+    const version = getUsersVersion()
+    createUser(payload('Ada'))
+    updateUser(1, { name: 'Renamed' })
+    deleteUser(2)
+    expect(getUsersVersion()).toBe(version + 3)
+  })
+})
+
+describe('validateUser', () => {
+  test('requires every field unless partial', () => {
+    const fields = validateUser({}).map((issue) => issue.field)
+    expect(fields).toEqual(['name', 'email', 'role'])
+    expect(validateUser({}, true)).toEqual([])
+  })
+
+  test('rejects unknown fields and invalid values', () => {
+    const issues = validateUser({ ...payload('Ada'), role: 'Pilot', extra: 1, phone: 5 })
+    expect(issues.map((issue) => issue.field)).toEqual(['extra', 'role', 'phone'])
+    expect(validateUser([])[0].message).toBe('Payload must be a JSON object')
+  })
+})
+
+describe('resetUsers', () => {
+  test('restores the generated dataset', () => {
+    const total = getTotalUsers()
+    const original = findUser(1)
+    createUser(payload('Ada'))
+    updateUser(1, { name: 'Renamed' })
+    deleteUser(2)
+
+    resetUsers()
+    expect(getTotalUsers()).toBe(total)
+    expect(findUser(1)).toEqual(original)
+    expect(getUserAt(1).id).toBe('2')
+    expect(createUser(payload('Grace')).id).toBe(String(TOTAL_USERS + 1))
+  })
+})